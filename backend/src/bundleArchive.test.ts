@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import type { SelectionStore } from './store';
+
+type BundleArchive = typeof import('./bundleArchive');
+
+let root: string;
+let archiveModule: BundleArchive;
+let stores: SelectionStore[];
+
+const HOTSPOT = {
+  id: 'bakery',
+  x: 10, y: 20, width: 30, height: 40,
+  label: 'Bakery',
+  points: [{ x: 0.1, y: 0.2 }, { x: 0.4, y: 0.2 }, { x: 0.4, y: 0.6 }],
+  createdAt: '2026-01-02T03:04:05.000Z'
+};
+const PATH = {
+  id: 'walk',
+  characterId: 'fox',
+  points: [{ x: 0.1, y: 0.1 }, { x: 0.5, y: 0.5 }],
+  curve: false, speed: 0.2, easing: 'linear',
+  createdAt: '2026-01-02T03:04:05.000Z'
+};
+const PLACEMENT = { characterId: 'fox', x: 0.3, y: 0.7, updatedAt: '2026-01-02T03:04:05.000Z' };
+
+// A bundle archive as exportBundle writes one
+function makeArchive(hotspots: object[] = [HOTSPOT]): Buffer {
+  const zip = new AdmZip();
+  const json = (value: unknown) => Buffer.from(JSON.stringify(value, null, 2));
+  zip.addFile('archive.json', json({ format: 1, bundleId: 'town.bundle', exportedAt: new Date().toISOString(), hotspots: hotspots.length, paths: 1, placements: 1 }));
+  zip.addFile('manifest.json', json({ id: 'town.bundle' }));
+  zip.addFile('annotations/hotspots.json', json(hotspots));
+  zip.addFile('annotations/paths.json', json([PATH]));
+  zip.addFile('annotations/placements.json', json([PLACEMENT]));
+  zip.addFile('images/map.txt', Buffer.from('map'));
+  return zip.toBuffer();
+}
+
+const readBundleFile = (bundleId: string, file: string) =>
+  JSON.parse(fs.readFileSync(path.join(root, 'stories', bundleId, file), 'utf8'));
+
+before(async () => {
+  // Bundle and data folders are fixed when the modules load
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'story-map-bundles-'));
+  process.env.STORIES_DIR = path.join(root, 'stories');
+  process.env.DATA_DIR = path.join(root, 'data');
+  archiveModule = await import('./bundleArchive');
+  const { createStore } = await import('./stores');
+  stores = [createStore('json'), createStore('sqlite')];
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('importing under a new id gives the folder and the store the same new ids', async () => {
+  for (const store of stores) {
+    const bundleId = `copy-${store.backend}.bundle`;
+    await archiveModule.importBundle(store, makeArchive(), { as: bundleId });
+
+    const [hotspot] = await store.getHotspotsByMap(bundleId);
+    const [characterPath] = await store.getPathsByMap(bundleId);
+    assert.notEqual(hotspot.id, HOTSPOT.id, store.backend);
+    assert.deepEqual(readBundleFile(bundleId, 'annotations/hotspots.json').map((h: { id: string }) => h.id), [hotspot.id]);
+    assert.deepEqual(readBundleFile(bundleId, 'annotations/paths.json').map((p: { id: string }) => p.id), [characterPath.id]);
+    assert.deepEqual((await store.getPlacementsByMap(bundleId)).map(p => [p.characterId, p.x, p.y]), [['fox', 0.3, 0.7]]);
+  }
+});
+
+test('reimporting replaces the map\'s annotations instead of adding to them', async () => {
+  for (const store of stores) {
+    const bundleId = `again-${store.backend}.bundle`;
+    await archiveModule.importBundle(store, makeArchive(), { as: bundleId });
+    await archiveModule.importBundle(store, makeArchive(), { as: bundleId, replace: true });
+
+    assert.equal((await store.getHotspotsByMap(bundleId)).length, 1, store.backend);
+    assert.equal((await store.getPathsByMap(bundleId)).length, 1, store.backend);
+    assert.equal((await store.getPlacementsByMap(bundleId)).length, 1, store.backend);
+  }
+});
+
+test('an unreadable createdAt is refused before anything is written', async () => {
+  for (const store of stores) {
+    const bundleId = `broken-${store.backend}.bundle`;
+    await assert.rejects(
+      archiveModule.importBundle(store, makeArchive([{ ...HOTSPOT, createdAt: 'last Tuesday' }]), { as: bundleId }),
+      /record 1: createdAt must be a date/
+    );
+    assert.equal(fs.existsSync(path.join(root, 'stories', bundleId)), false);
+    assert.deepEqual(await store.getHotspotsByMap(bundleId), []);
+  }
+});
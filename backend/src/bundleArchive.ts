@@ -0,0 +1,316 @@
+/**
+ * Package a story bundle as a single zip for handing it to another author or
+ * deployment, and unpack one back into public/stories.
+ *
+ * An archive holds the bundle folder as-is (manifest, images, derived assets,
+ * chapter files) plus the map's hotspots, character paths and placements
+ * from the store, written to the annotation files the manifest declares, and
+ * an archive.json describing what's inside.
+ *
+ * Importing writes a new bundle folder and replaces that map's hotspots,
+ * paths and placements in the store with the archive's. It refuses to overwrite an existing
+ * bundle unless asked to.
+ *
+ * Usage:
+ *   npm run bundle:export -- <bundle id> [--out file.zip]
+ *   npm run bundle:import -- <file.zip> [--as new-id.bundle] [--replace]
+ *   npm run bundle:publish -- <bundle id>   (annotation files only, no zip)
+ */
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { MapAnnotations, SelectionStore } from './store';
+import { createStore } from './stores';
+import { Hotspot, CharacterPath, CharacterPlacement } from './types';
+import {
+  DEFAULT_PATH_EASING,
+  DEFAULT_PATH_SPEED,
+  hotspotError,
+  isValidRecordList,
+  pathError,
+  placementError
+} from './validation';
+import {
+  ANNOTATION_KINDS,
+  BundleFileError,
+  BundleManifest,
+  annotationRecords,
+  bundleDir,
+  bundleRelativePath,
+  checkBundleId,
+  dependencyExists,
+  publishAnnotations,
+  publishedRecords,
+  readManifest,
+  withAnnotations,
+  writeJsonFile
+} from './bundleFiles';
+
+export const ARCHIVE_FORMAT = 1;
+const ARCHIVE_INFO = 'archive.json';
+
+export interface ArchiveInfo {
+  format: number;
+  bundleId: string;
+  version?: string;
+  exportedAt: string;
+  hotspots: number;
+  paths: number;
+  placements: number;
+}
+
+export interface ImportResult {
+  bundleId: string;
+  files: number;
+  hotspots: number;
+  paths: number;
+  placements: number;
+  // dependsOn packs this deployment doesn't have
+  missingDependencies: string[];
+}
+
+// Every file under dir, as forward-slash paths relative to it; dotfiles are skipped
+function listFiles(dir: string, prefix = ''): string[] {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .flatMap(entry => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+    });
+}
+
+const readJson = <T>(zip: AdmZip, name: string): T | null => {
+  const entry = zip.getEntry(name);
+  if (!entry) return null;
+  try {
+    return JSON.parse(entry.getData().toString('utf8'));
+  } catch {
+    throw new BundleFileError(`${name} in the archive is not valid JSON`);
+  }
+};
+
+/**
+ * Zip a bundle folder together with its map's hotspots, paths and placements.
+ */
+export async function exportBundle(store: SelectionStore, bundleId: string): Promise<{ archive: Buffer; info: ArchiveInfo }> {
+  const dir = bundleDir(bundleId);
+  const { manifest, files: annotationFiles } = withAnnotations(readManifest(bundleId));
+  const records = await annotationRecords(store, bundleId);
+
+  const zip = new AdmZip();
+  const generated = new Set(['manifest.json', ...Object.values(annotationFiles), ARCHIVE_INFO]);
+  for (const file of listFiles(dir)) {
+    if (generated.has(file)) continue;
+    const folder = path.posix.dirname(file);
+    zip.addLocalFile(path.join(dir, file), folder === '.' ? '' : folder);
+  }
+
+  const info: ArchiveInfo = {
+    format: ARCHIVE_FORMAT,
+    bundleId,
+    version: manifest.version,
+    exportedAt: new Date().toISOString(),
+    hotspots: records.hotspots.length,
+    paths: records.paths.length,
+    placements: records.placements.length
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  for (const kind of ANNOTATION_KINDS) {
+    zip.addFile(annotationFiles[kind], Buffer.from(JSON.stringify(records[kind], null, 2)));
+  }
+  zip.addFile(ARCHIVE_INFO, Buffer.from(JSON.stringify(info, null, 2)));
+
+  return { archive: zip.toBuffer(), info };
+}
+
+// Rejects entries that would land outside the bundle folder
+function safeEntryPath(name: string): string {
+  try {
+    return bundleRelativePath(name);
+  } catch {
+    throw new BundleFileError(`Archive entry ${name} points outside the bundle`);
+  }
+}
+
+/**
+ * Unpack an archive into a new bundle folder and load its hotspots, paths
+ * and placements into the store. `as` imports it under a different bundle
+ * id; `replace` overwrites a bundle that already exists.
+ */
+export async function importBundle(
+  store: SelectionStore,
+  archive: Buffer,
+  options: { as?: string; replace?: boolean } = {}
+): Promise<ImportResult> {
+  let zip: AdmZip;
+  try {
+    zip = new AdmZip(archive);
+  } catch {
+    throw new BundleFileError('Not a zip archive');
+  }
+
+  const info = readJson<ArchiveInfo>(zip, ARCHIVE_INFO);
+  if (!info || info.format !== ARCHIVE_FORMAT) {
+    throw new BundleFileError(`Not a story bundle archive (missing ${ARCHIVE_INFO} or unsupported format)`);
+  }
+  const archived = readJson<BundleManifest>(zip, 'manifest.json');
+  if (!archived) {
+    throw new BundleFileError('The archive has no manifest.json');
+  }
+
+  const bundleId = options.as || archived.id;
+  checkBundleId(bundleId);
+  const renamed = bundleId !== archived.id;
+  const { manifest, files: annotationFiles } = withAnnotations({ ...archived, id: bundleId });
+
+  const dir = bundleDir(bundleId);
+  if (fs.existsSync(dir) && !options.replace) {
+    throw new BundleFileError(`${bundleId} already exists (import with replace to overwrite it)`, 409);
+  }
+
+  const hotspots = readJson<Omit<Hotspot, 'mapId'>[]>(zip, annotationFiles.hotspots) ?? [];
+  const paths = readJson<Omit<CharacterPath, 'mapId'>[]>(zip, annotationFiles.paths) ?? [];
+  // Archives from before placements were published have none
+  const placements = readJson<Omit<CharacterPlacement, 'mapId'>[]>(zip, annotationFiles.placements) ?? [];
+  if (!isValidRecordList(hotspots) || !Array.isArray(paths) || !Array.isArray(placements)) {
+    throw new BundleFileError('Annotation files in the archive must hold arrays (hotspots with ids)');
+  }
+  // The same checks the API makes when these records are saved one by one
+  const invalid = (file: string, records: object[], check: (record: Record<string, unknown>) => string | null) => {
+    for (const [index, record] of records.entries()) {
+      const error = typeof record === 'object' && record !== null
+        ? check(record as Record<string, unknown>)
+        : 'not a record';
+      if (error) return `${file} in the archive, record ${index + 1}: ${error}`;
+    }
+    return null;
+  };
+  const invalidRecords =
+    invalid(annotationFiles.hotspots, hotspots, hotspotError) ||
+    invalid(annotationFiles.paths, paths, record => pathError(record)) ||
+    invalid(annotationFiles.placements, placements, placementError);
+  if (invalidRecords) {
+    throw new BundleFileError(invalidRecords);
+  }
+
+  // The map's annotations become exactly the archive's. Under a new id the
+  // hotspots get new ids so they can't collide with the original map's;
+  // paths get new ids as they would saving them one by one.
+  const now = new Date();
+  const records: MapAnnotations = {
+    // Lasso selections aren't archived, so hotspots lose their link to one
+    hotspots: hotspots.map(hotspot => ({
+      ...hotspot,
+      id: renamed ? randomUUID() : hotspot.id,
+      lassoSelectionId: undefined,
+      createdAt: new Date(hotspot.createdAt ?? now),
+      mapId: bundleId
+    })),
+    paths: paths.map(p => ({
+      id: randomUUID(),
+      createdAt: now,
+      mapId: bundleId,
+      characterId: p.characterId,
+      sceneId: p.sceneId ?? null,
+      points: p.points,
+      curve: p.curve ?? false,
+      speed: p.speed ?? DEFAULT_PATH_SPEED,
+      easing: p.easing ?? DEFAULT_PATH_EASING
+    })),
+    placements: placements.map(placement => ({
+      mapId: bundleId,
+      characterId: placement.characterId,
+      x: placement.x,
+      y: placement.y,
+      updatedAt: now
+    }))
+  };
+
+  // Unpack next to the destination and only swap it in once the store holds
+  // the archive's records, so a bad archive or a failed write never leaves
+  // half a bundle behind
+  const staging = `${dir}.${process.pid}.importing`;
+  const previous = `${dir}.${process.pid}.replaced`;
+  let files = 0;
+  try {
+    fs.rmSync(staging, { recursive: true, force: true });
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory || entry.entryName === ARCHIVE_INFO) continue;
+      const target = path.join(staging, safeEntryPath(entry.entryName));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, entry.getData());
+      files++;
+    }
+    fs.writeFileSync(path.join(staging, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    // The annotation files hold the records as stored, with their new ids
+    for (const kind of ANNOTATION_KINDS) {
+      writeJsonFile(path.join(staging, annotationFiles[kind]), publishedRecords(records[kind]));
+    }
+
+    await store.replaceMapAnnotations(bundleId, records);
+
+    // Keep the bundle being replaced until the new one is in place
+    if (fs.existsSync(dir)) fs.renameSync(dir, previous);
+    try {
+      fs.renameSync(staging, dir);
+    } catch (error) {
+      if (fs.existsSync(previous)) fs.renameSync(previous, dir);
+      throw error;
+    }
+    fs.rmSync(previous, { recursive: true, force: true });
+  } catch (error) {
+    fs.rmSync(staging, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    bundleId,
+    files,
+    hotspots: hotspots.length,
+    paths: paths.length,
+    placements: placements.length,
+    missingDependencies: (manifest.dependsOn || []).filter(id => !dependencyExists(id))
+  };
+}
+
+function optionValue(argv: string[], flag: string): string | undefined {
+  const index = argv.indexOf(flag);
+  if (index === -1) return undefined;
+  if (!argv[index + 1]) throw new Error(`${flag} expects a value`);
+  return argv[index + 1];
+}
+
+async function main(argv: string[]) {
+  const [command, target] = argv;
+
+  if (command === 'export' && target) {
+    const out = optionValue(argv, '--out') || `${target}.zip`;
+    const { archive, info } = await exportBundle(createStore(), target);
+    fs.writeFileSync(out, archive);
+    console.log(`📦 ${out}: ${info.hotspots} hotspots, ${info.paths} paths, ${info.placements} placements (${archive.length} bytes)`);
+  } else if (command === 'import' && target) {
+    const result = await importBundle(createStore(), fs.readFileSync(target), {
+      as: optionValue(argv, '--as'),
+      replace: argv.includes('--replace')
+    });
+    console.log(`✅ ${result.bundleId}: ${result.files} files, ${result.hotspots} hotspots, ${result.paths} paths, ${result.placements} placements`);
+    for (const id of result.missingDependencies) {
+      console.warn(`⚠️  depends on ${id}, which this deployment doesn't have`);
+    }
+  } else if (command === 'publish' && target) {
+    const result = await publishAnnotations(createStore(), target);
+    for (const { path: file, records } of Object.values(result.files)) {
+      console.log(`📝 ${target}/${file}: ${records} records`);
+    }
+  } else {
+    throw new Error('Usage: bundleArchive.ts export <bundle id> [--out file.zip] | import <file.zip> [--as id] [--replace] | publish <bundle id>');
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('✖', (error as Error).message);
+    process.exit(1);
+  });
+}
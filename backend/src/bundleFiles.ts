@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import { SelectionStore } from './store';
+
+// Bundle folders the frontend serves as /stories/<bundle id>
+export const STORIES_DIR = process.env.STORIES_DIR || path.join(__dirname, '../../public/stories');
+
+// Bundle ids double as folder names and map ids
+const BUNDLE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*\.bundle$/;
+
+/**
+ * A request on a bundle folder that can't be carried out; `status` is the
+ * HTTP status the API answers with.
+ */
+export class BundleFileError extends Error {
+  constructor(message: string, public readonly status = 400) {
+    super(message);
+    this.name = 'BundleFileError';
+  }
+}
+
+export interface BundleManifest {
+  id: string;
+  version?: string;
+  dependsOn?: string[];
+  assets?: {
+    annotations?: Record<string, { path: string; description?: string }>;
+  };
+}
+
+// Authored data published into a bundle, by manifest annotation key
+export type AnnotationKind = 'hotspots' | 'paths' | 'placements';
+
+// Where each kind goes when the manifest doesn't say
+const DEFAULT_ANNOTATIONS: Record<AnnotationKind, { path: string; description: string }> = {
+  hotspots: { path: 'annotations/hotspots.json', description: 'Interactive hotspots for the map' },
+  paths: { path: 'annotations/paths.json', description: 'Character movement paths' },
+  placements: { path: 'annotations/placements.json', description: 'Character sticker positions' }
+};
+
+export const ANNOTATION_KINDS = Object.keys(DEFAULT_ANNOTATIONS) as AnnotationKind[];
+
+export const bundleDir = (bundleId: string) => path.join(STORIES_DIR, bundleId);
+
+// Folder of a bundle or of a pack it depends on; pack folders sit next to
+// public/stories, as in the frontend's bundleBaseUrl
+export const assetDir = (id: string) =>
+  path.join(id.endsWith('.bundle') ? STORIES_DIR : path.dirname(STORIES_DIR), id);
+
+export const dependencyExists = (id: string) => fs.existsSync(path.join(assetDir(id), 'manifest.json'));
+
+export function checkBundleId(bundleId: string): void {
+  if (!BUNDLE_ID_PATTERN.test(bundleId)) {
+    throw new BundleFileError(`"${bundleId}" is not a bundle id (expected e.g. my-story.bundle)`);
+  }
+}
+
+/**
+ * A path from a manifest or archive as a forward-slash path inside the
+ * bundle folder. Absolute paths and ones climbing out with .. are refused,
+ * so nothing read from a bundle can make us write outside it.
+ */
+export function bundleRelativePath(name: string): string {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (
+    normalized === '.' || normalized === '..' ||
+    normalized.startsWith('/') || normalized.startsWith('../') || /^[a-zA-Z]:/.test(normalized)
+  ) {
+    throw new BundleFileError(`${name} points outside the bundle`);
+  }
+  return normalized;
+}
+
+export function readManifest(bundleId: string): BundleManifest {
+  checkBundleId(bundleId);
+  const file = path.join(bundleDir(bundleId), 'manifest.json');
+  if (!fs.existsSync(file)) {
+    throw new BundleFileError(`No bundle named ${bundleId}`, 404);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    throw new BundleFileError(`${bundleId}/manifest.json is not valid JSON`, 422);
+  }
+}
+
+/**
+ * The manifest with an annotation entry for every kind we publish (adding
+ * any it doesn't declare yet), and each kind's file path in the bundle.
+ * Throws if the manifest points one outside the bundle folder.
+ */
+export function withAnnotations(manifest: BundleManifest) {
+  const annotations = { ...manifest.assets?.annotations };
+  let added = false;
+  for (const kind of ANNOTATION_KINDS) {
+    if (!annotations[kind]) {
+      annotations[kind] = DEFAULT_ANNOTATIONS[kind];
+      added = true;
+    }
+  }
+  const files = Object.fromEntries(ANNOTATION_KINDS.map(kind => [
+    kind,
+    annotationPath(kind, annotations[kind].path)
+  ])) as Record<AnnotationKind, string>;
+  return { manifest: { ...manifest, assets: { ...manifest.assets, annotations } }, files, added };
+}
+
+function annotationPath(kind: AnnotationKind, file: unknown): string {
+  if (typeof file !== 'string') {
+    throw new BundleFileError(`The manifest's ${kind} annotation has no path`);
+  }
+  try {
+    return bundleRelativePath(file);
+  } catch {
+    throw new BundleFileError(`The manifest's ${kind} annotation path ${file} points outside the bundle`);
+  }
+}
+
+/**
+ * Absolute path of a file in a bundle folder; throws unless it stays inside
+ * the folder.
+ */
+export function bundleFile(bundleId: string, name: string): string {
+  const dir = path.resolve(bundleDir(bundleId));
+  const file = path.resolve(dir, bundleRelativePath(name));
+  if (!file.startsWith(dir + path.sep)) {
+    throw new BundleFileError(`${name} points outside the bundle`);
+  }
+  return file;
+}
+
+// A copy of the record without the given fields
+const omit = (record: object, keys: string[]) =>
+  Object.fromEntries(Object.entries(record).filter(([key]) => !keys.includes(key)));
+
+// Records as published: the map id is the bundle id, so it's left out
+export const publishedRecords = (records: object[]) => records.map(record => omit(record, ['mapId']));
+
+/**
+ * A map's authored records as published.
+ */
+export async function annotationRecords(store: SelectionStore, bundleId: string): Promise<Record<AnnotationKind, object[]>> {
+  return {
+    hotspots: publishedRecords(await store.getHotspotsByMap(bundleId)),
+    paths: publishedRecords(await store.getPathsByMap(bundleId)),
+    placements: publishedRecords(await store.getPlacementsByMap(bundleId))
+  };
+}
+
+/**
+ * Write JSON through a temporary file so readers never see half of it.
+ */
+export function writeJsonFile(file: string, value: unknown): void {
+  const temp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temp, `${JSON.stringify(value, null, 2)}\n`);
+    fs.renameSync(temp, file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+export interface PublishResult {
+  bundleId: string;
+  // Path in the bundle and record count for each kind
+  files: Record<AnnotationKind, { path: string; records: number }>;
+  manifestUpdated: boolean;
+}
+
+/**
+ * Write the map's hotspots, paths and character placements into the
+ * bundle's annotation files, so the story can be read without a backend.
+ * Annotation entries the manifest is missing are added to it.
+ */
+export async function publishAnnotations(store: SelectionStore, bundleId: string): Promise<PublishResult> {
+  const { manifest, files, added } = withAnnotations(readManifest(bundleId));
+  const records = await annotationRecords(store, bundleId);
+
+  for (const kind of ANNOTATION_KINDS) {
+    writeJsonFile(bundleFile(bundleId, files[kind]), records[kind]);
+  }
+  if (added) {
+    writeJsonFile(bundleFile(bundleId, 'manifest.json'), manifest);
+  }
+
+  return {
+    bundleId,
+    files: Object.fromEntries(ANNOTATION_KINDS.map(kind => [
+      kind,
+      { path: files[kind], records: records[kind].length }
+    ])) as PublishResult['files'],
+    manifestUpdated: added
+  };
+}
@@ -0,0 +1,334 @@
+/**
+ * Detect candidate hotspots from a map's outline image
+ *
+ * Traces the outline layer (.outline.webp) with potrace. The ink lines come
+ * back as filled shapes; their holes are the closed regions bounded by ink,
+ * i.e. buildings, parks, ponds. potrace returns every boundary as a separate
+ * path, so holes are told apart from ink by how deeply each path is nested
+ * (odd depth = hole). Each hole becomes a polygon which is:
+ * - Flattened from Bézier curves and simplified
+ * - Normalized to 0–1 image coordinates like saved hotspots
+ * - Filtered by area, and skipped if an existing hotspot already covers it
+ *
+ * Existing hotspots come from the store (STORE_BACKEND picks JSON or SQLite,
+ * as for the API). The results replace the map's earlier candidates, which
+ * authors accept, rename or discard in the edit panel.
+ *
+ * Usage:
+ *   npm run detect:hotspots -- <bundle-id> [--min-area 0.002] [--max-area 0.2]
+ *     [--close-gaps 1] [--tolerance 1.5] [--include-existing] [--dry-run]
+ *
+ *   <bundle-id>  Story bundle whose map to scan, e.g. gingerbread.bundle.
+ *                The map id used for the candidates is the bundle id.
+ */
+import fs from 'fs';
+import path from 'path';
+import potrace from 'potrace';
+import sharp from 'sharp';
+import { SelectionStore } from './store';
+import { createStore } from './stores';
+import { Hotspot, Point } from './types';
+import { boundsFromPoints, openRing, simplifyPolygon } from './geometry';
+import { assetDir, checkBundleId } from './bundleFiles';
+
+// Manifest image id of the outline layer
+const OUTLINE_IMAGE_ID = 'map-outline';
+
+export interface DetectOptions {
+  inkThreshold: number;  // Luminance below this counts as ink
+  closeGaps: number;     // Thicken ink by this many pixels to close small breaks
+  turdSize: number;      // potrace: ignore specks smaller than this many pixels
+  minArea: number;       // Smallest region kept, as a fraction of the image
+  maxArea: number;       // Largest region kept, as a fraction of the image
+  tolerance: number;     // Simplification tolerance in pixels
+  curveSamples: number;  // Points per Bézier segment when flattening
+  includeExisting: boolean;  // Keep regions an existing hotspot already covers
+}
+
+export const DEFAULT_DETECT_OPTIONS: DetectOptions = {
+  inkThreshold: 128,
+  closeGaps: 1,
+  turdSize: 8,
+  minArea: 0.002,
+  maxArea: 0.2,
+  tolerance: 1.5,
+  curveSamples: 4,
+  includeExisting: false
+};
+
+interface ImageManifest {
+  assets?: { images?: Record<string, { path: string }> };
+  dependsOn?: string[];
+}
+
+/**
+ * Find the outline image for a bundle, following dependsOn depth-first the
+ * same way the app's bundle loader does (the bundle's own assets win)
+ */
+function resolveOutlineImage(bundleId: string, seen = new Set<string>()): string | null {
+  if (seen.has(bundleId)) return null;
+  seen.add(bundleId);
+
+  const dir = assetDir(bundleId);
+  const manifest: ImageManifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+
+  const own = manifest.assets?.images?.[OUTLINE_IMAGE_ID];
+  if (own) return path.join(dir, own.path);
+
+  for (const dependencyId of manifest.dependsOn || []) {
+    const found = resolveOutlineImage(dependencyId, seen);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Trace the ink of an outline image; resolves to potrace's SVG path data
+ */
+async function traceInk(imagePath: string, options: DetectOptions) {
+  let image = sharp(imagePath).flatten({ background: '#ffffff' }).greyscale();
+  if (options.closeGaps > 0) {
+    // Eroding the white background grows the dark ink
+    image = image.erode(options.closeGaps);
+  }
+  const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+
+  const tracer = new potrace.Potrace({
+    threshold: options.inkThreshold,
+    turdSize: options.turdSize,
+    optCurve: true
+  });
+
+  const pathData = await new Promise<string>((resolve, reject) => {
+    // potrace's typings get this callback's arguments (it passes the error
+    // first) and getPathTag's optional scale (an { x, y } object) wrong
+    tracer.loadImage(data, (error: unknown) => {
+      if (error) return reject(error);
+      const tag = (tracer.getPathTag as () => string).call(tracer);
+      resolve(/ d="([^"]*)"/.exec(tag)?.[1] || '');
+    });
+  });
+
+  return { pathData, width: info.width, height: info.height };
+}
+
+/**
+ * Split potrace path data into flattened rings of pixel coordinates.
+ * potrace emits one "M" per closed path followed by "C" (comma-separated
+ * control points) and "L" segments, with no closing "Z".
+ */
+function parseRings(pathData: string, curveSamples: number): Point[][] {
+  const tokens = pathData.match(/[MLCZ]|-?\d*\.?\d+(?:e-?\d+)?/gi) || [];
+  const rings: Point[][] = [];
+  let ring: Point[] | null = null;
+  let command: string | null = null;
+  let current: Point = { x: 0, y: 0 };
+
+  const finishRing = () => {
+    if (ring && ring.length > 2) rings.push(ring);
+    ring = null;
+  };
+
+  for (let i = 0; i < tokens.length;) {
+    if (/^[MLCZ]$/i.test(tokens[i])) {
+      command = tokens[i++].toUpperCase();
+      if (command === 'M' || command === 'Z') finishRing();
+      continue;
+    }
+
+    const next = () => Number(tokens[i++]);
+    if (command === 'M') {
+      current = { x: next(), y: next() };
+      ring = [current];
+    } else if (ring && command === 'L') {
+      current = { x: next(), y: next() };
+      (ring as Point[]).push(current);
+    } else if (ring && command === 'C') {
+      const c1 = { x: next(), y: next() };
+      const c2 = { x: next(), y: next() };
+      const end = { x: next(), y: next() };
+      const start = current;
+      for (let s = 1; s <= curveSamples; s++) {
+        const t = s / curveSamples;
+        const u = 1 - t;
+        (ring as Point[]).push({
+          x: u * u * u * start.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+          y: u * u * u * start.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y
+        });
+      }
+      current = end;
+    } else {
+      i++; // Stray number, skip
+    }
+  }
+  finishRing();
+
+  return rings;
+}
+
+function signedArea(ring: Point[]): number {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+function pointInPolygon(point: Point, polygon: Point[]): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * How many other rings enclose each ring. potrace paths never cross, so
+ * testing one vertex per ring is enough; bounding boxes skip most pairs.
+ */
+function nestingDepths(rings: Point[][]): number[] {
+  const boxes = rings.map(ring => {
+    const xs = ring.map(p => p.x);
+    const ys = ring.map(p => p.y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  });
+
+  return rings.map((ring, i) => {
+    const box = boxes[i];
+    let depth = 0;
+    rings.forEach((other, j) => {
+      const outer = boxes[j];
+      if (j === i || outer.minX > box.minX || outer.maxX < box.maxX || outer.minY > box.minY || outer.maxY < box.maxY) return;
+      if (pointInPolygon(ring[0], other)) depth++;
+    });
+    return depth;
+  });
+}
+
+function centroid(ring: Point[]): Point {
+  const sum = ring.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / ring.length, y: sum.y / ring.length };
+}
+
+/**
+ * Detect closed regions in a map's outline and return them as hotspot records
+ */
+export async function detectHotspots(store: SelectionStore, bundleId: string, options: Partial<DetectOptions> = {}) {
+  checkBundleId(bundleId);
+  const settings = { ...DEFAULT_DETECT_OPTIONS, ...options };
+
+  const outlinePath = resolveOutlineImage(bundleId);
+  if (!outlinePath) {
+    throw new Error(`${bundleId} has no "${OUTLINE_IMAGE_ID}" image in its manifest or dependencies`);
+  }
+
+  const { pathData, width, height } = await traceInk(outlinePath, settings);
+  const rings = parseRings(pathData, settings.curveSamples);
+
+  const depths = nestingDepths(rings);
+  const imageArea = width * height;
+
+  const existing = settings.includeExisting
+    ? []
+    : (await store.getHotspotsByMap(bundleId)).filter(h => (h.points?.length ?? 0) > 2);
+
+  const regions = rings
+    .filter((_, i) => depths[i] % 2 === 1)
+    .map(ring => ({ ring, area: Math.abs(signedArea(ring)) / imageArea }))
+    .filter(({ area }) => area >= settings.minArea && area <= settings.maxArea)
+    .map(({ ring, area }) => {
+      // potrace's last curve ends back on the first point
+      const points = openRing(simplifyPolygon(ring, settings.tolerance)).map(p => ({
+        x: Math.max(0, Math.min(1, p.x / width)),
+        y: Math.max(0, Math.min(1, p.y / height))
+      }));
+      return { points, area, center: centroid(points) };
+    })
+    .filter(region => !existing.some(h => pointInPolygon(region.center, h.points!)))
+    // Number regions in reading order so labels are stable between runs
+    .sort((a, b) => Math.round(a.center.y * 20) - Math.round(b.center.y * 20) || a.center.x - b.center.x);
+
+  const createdAt = new Date();
+  const stamp = createdAt.getTime();
+  const candidates: Hotspot[] = regions.map((region, index) => ({
+    id: `candidate-${stamp}-${index + 1}`,
+    ...boundsFromPoints(region.points),
+    label: `Region ${index + 1}`,
+    description: `Detected from ${path.basename(outlinePath)} (${(region.area * 100).toFixed(1)}% of map)`,
+    points: [...region.points, region.points[0]],
+    createdAt,
+    mapId: bundleId
+  }));
+
+  return { outlinePath, candidates, traced: rings.length };
+}
+
+function parseArgs(argv: string[]) {
+  const options: Partial<DetectOptions> = {};
+  const numberFlags: Record<string, 'minArea' | 'maxArea' | 'closeGaps' | 'tolerance'> = {
+    '--min-area': 'minArea',
+    '--max-area': 'maxArea',
+    '--close-gaps': 'closeGaps',
+    '--tolerance': 'tolerance'
+  };
+  let bundleId: string | null = null;
+  let dryRun = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (numberFlags[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`${arg} expects a non-negative number`);
+      options[numberFlags[arg]] = value;
+    } else if (arg === '--include-existing') {
+      options.includeExisting = true;
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (!arg.startsWith('--') && !bundleId) {
+      bundleId = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return { bundleId, options, dryRun };
+}
+
+async function main(argv: string[]) {
+  const { bundleId, options, dryRun } = parseArgs(argv);
+  if (!bundleId) {
+    throw new Error('Usage: detectHotspots.ts <bundle id> [--min-area n] [--max-area n] [--close-gaps px] [--tolerance px] [--include-existing] [--dry-run]');
+  }
+
+  const store = createStore();
+  console.log(`🔍 Detecting regions for ${bundleId}`);
+  const { outlinePath, candidates, traced } = await detectHotspots(store, bundleId, options);
+
+  console.log(`   Outline: ${path.relative(process.cwd(), outlinePath)}`);
+  console.log(`   Traced ${traced} paths → ${candidates.length} candidate region(s)`);
+  for (const candidate of candidates) {
+    console.log(`   • ${candidate.label}: ${candidate.points!.length - 1} vertices, ${candidate.description}`);
+  }
+
+  if (dryRun) {
+    console.log('\nDry run: no candidates saved');
+    return;
+  }
+
+  await store.replaceCandidates(bundleId, candidates);
+  console.log(`\n✅ Saved ${candidates.length} candidate(s) for ${bundleId}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('✖', (error as Error).message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,104 @@
+import { Point } from './types';
+
+// Hotspot polygons are stored in normalized image coordinates: 0–1 of the
+// map image's natural width/height, so they line up at any display size.
+// Allow a little slack for points dragged just past the image edge.
+const NORMALIZED_SLACK = 0.01;
+
+export const isNormalizedPoints = (points: Point[]): boolean =>
+  points.every(p =>
+    p.x >= -NORMALIZED_SLACK && p.x <= 1 + NORMALIZED_SLACK &&
+    p.y >= -NORMALIZED_SLACK && p.y <= 1 + NORMALIZED_SLACK
+  );
+
+export const clampNormalized = (points: Point[]): Point[] =>
+  points.map(p => ({
+    x: Math.max(0, Math.min(1, p.x)),
+    y: Math.max(0, Math.min(1, p.y))
+  }));
+
+/**
+ * Bounding box of a normalized polygon, as percentages (the x/y/width/height
+ * fields on Hotspot).
+ */
+export const boundsFromPoints = (points: Point[]) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    x: minX * 100,
+    y: minY * 100,
+    width: (Math.max(...xs) - minX) * 100,
+    height: (Math.max(...ys) - minY) * 100
+  };
+};
+
+// Douglas–Peucker simplification, mirroring simplifyPolygon in the frontend's
+// src/utils/geometry.ts so saved and re-simplified hotspots match.
+export const DEFAULT_SIMPLIFY_TOLERANCE = 0.002;
+
+const samePoint = (a: Point, b: Point) => a.x === b.x && a.y === b.y;
+
+// A polygon without its closing point, if it has one (as openRing in the frontend)
+export const openRing = (points: Point[]): Point[] =>
+  points.length > 1 && samePoint(points[0], points[points.length - 1]) ? points.slice(0, -1) : points;
+
+const segmentDistance = (p: Point, a: Point, b: Point): number => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const simplifyPolyline = (points: Point[], tolerance: number): Point[] => {
+  if (points.length <= 2) return points;
+
+  const keep = new Array<boolean>(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack: [number, number][] = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()!;
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = segmentDistance(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+export const simplifyPolygon = (points: Point[], tolerance = DEFAULT_SIMPLIFY_TOLERANCE): Point[] => {
+  const closed = points.length > 1 && samePoint(points[0], points[points.length - 1]);
+  const ring = closed ? points.slice(0, -1) : points;
+  if (ring.length <= 3) return points;
+
+  let far = 0;
+  let farDistance = -1;
+  ring.forEach((p, i) => {
+    const distance = Math.hypot(p.x - ring[0].x, p.y - ring[0].y);
+    if (distance > farDistance) {
+      farDistance = distance;
+      far = i;
+    }
+  });
+
+  const first = simplifyPolyline(ring.slice(0, far + 1), tolerance);
+  const second = simplifyPolyline([...ring.slice(far), ring[0]], tolerance);
+  const simplified = [...first, ...second.slice(1, -1)];
+
+  if (simplified.length < 3) return points;
+  return closed ? [...simplified, simplified[0]] : simplified;
+};
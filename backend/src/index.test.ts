@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import { Hotspot, Selection } from './types';
+
+// The committed gingerbread map: 20 lasso selections, about 105kb as JSON
+const MAP_ID = 'gingerbread.bundle';
+const readData = <T>(file: string): T[] =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, '../data', file), 'utf8'));
+
+let dataDir: string;
+let server: Server;
+let baseUrl: string;
+
+before(async () => {
+  // The store resolves its files when index.ts loads, so point it at an empty folder first
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-map-api-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.STORE_BACKEND = 'json';
+  process.env.NODE_ENV = 'test';
+  const { default: app } = await import('./index');
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/maps/${MAP_ID}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const post = (route: string, body: unknown) => fetch(`${baseUrl}/${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('undoing "Clear map" restores every selection of a full map', async () => {
+  const selections = readData<Selection>('selections.json');
+  assert.ok(JSON.stringify({ selections }).length > 100 * 1024, 'fixture should exceed the default body limit');
+
+  const response = await post('selections/restore', { selections });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).restored, selections.length);
+
+  const stored: Selection[] = await (await fetch(`${baseUrl}/selections`)).json();
+  assert.deepEqual(stored.map(s => s.id).sort(), selections.map(s => s.id).sort());
+});
+
+test('hotspots restore with their ids and polygons', async () => {
+  const hotspots = readData<Hotspot>('hotspots.json');
+
+  const response = await post('hotspots/restore', { hotspots });
+  assert.equal(response.status, 200);
+
+  const stored: Hotspot[] = await (await fetch(`${baseUrl}/hotspots`)).json();
+  assert.deepEqual(stored.map(h => [h.id, h.points]), hotspots.map(h => [h.id, h.points]));
+});
+
+test('other routes keep the default body limit', async () => {
+  const points = Array.from({ length: 6000 }, (_, i) => ({ x: (i % 100) / 100, y: 0.5 }));
+  const response = await post('selections', { points });
+  assert.equal(response.status, 413);
+});
@@ -1,20 +1,315 @@
 import express from 'express';
 import cors from 'cors';
-import { SelectionStore } from './store';
-import { Point } from './types';
+import { DEFAULT_MAP_ID } from './store';
+import { createStore } from './stores';
+import { Selection, Hotspot, StoryProgress } from './types';
+import { simplifyPolygon, boundsFromPoints, DEFAULT_SIMPLIFY_TOLERANCE } from './geometry';
+import { exportBundle, importBundle } from './bundleArchive';
+import { BundleFileError, publishAnnotations } from './bundleFiles';
+import {
+  DEFAULT_PATH_EASING,
+  DEFAULT_PATH_SPEED,
+  actionError,
+  hotspotError,
+  isValidHotspotBody,
+  isValidRecordList,
+  pathError,
+  pointsError
+} from './validation';
 
 const app = express();
 const port = process.env.PORT || 3001;
-const store = new SelectionStore();
+const store = createStore();
+
+// Undoing "Clear map" sends back every selection on the map at once, which
+// is well past express.json()'s 100kb default
+const RESTORE_BODY_LIMIT = '5mb';
+const RESTORE_ROUTES = ['/api/maps/:mapId/selections/restore', '/api/maps/:mapId/hotspots/restore'];
 
 // Middleware
 app.use(cors());
+app.use(RESTORE_ROUTES, express.json({ limit: RESTORE_BODY_LIMIT }));
 app.use(express.json());
 
-// Routes
+// Reader ids are generated on the device; keep them URL- and filename-safe
+const READER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isStringList = (value: unknown): value is string[] =>
+  Array.isArray(value) && value.every(v => typeof v === 'string');
+
+// Returns an error message for a { storyId: progress } payload, or null if it's fine
+const progressError = (stories: unknown): string | null => {
+  if (typeof stories !== 'object' || stories === null || Array.isArray(stories)) {
+    return 'stories must be an object keyed by story id';
+  }
+  for (const [storyId, progress] of Object.entries(stories)) {
+    const p = progress as Partial<StoryProgress> | null;
+    if (typeof p !== 'object' || p === null) return `${storyId}: progress must be an object`;
+    if (!isStringList(p.discoveredHotspots) || !isStringList(p.foundClues)) {
+      return `${storyId}: discoveredHotspots and foundClues must be arrays of ids`;
+    }
+    if (typeof p.updatedAt !== 'string' || Number.isNaN(Date.parse(p.updatedAt))) {
+      return `${storyId}: updatedAt must be an ISO date`;
+    }
+    if ((p.chapterId !== undefined && typeof p.chapterId !== 'string') ||
+        (p.sceneId !== undefined && typeof p.sceneId !== 'string')) {
+      return `${storyId}: chapterId and sceneId must be strings`;
+    }
+  }
+  return null;
+};
+
+// Map-scoped routes: each story bundle's map keeps its own selections and hotspots
+app.get('/api/maps/:mapId/selections', async (req, res) => {
+  try {
+    const selections = await store.getSelectionsByMap(req.params.mapId);
+    res.json(selections);
+  } catch (error) {
+    console.error('Error fetching selections:', error);
+    res.status(500).json({ error: 'Failed to fetch selections' });
+  }
+});
+
+app.post('/api/maps/:mapId/selections', async (req, res) => {
+  try {
+    const { points } = req.body;
+
+    const invalid = pointsError(points, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const selection = await store.saveSelection({ points, mapId: req.params.mapId });
+    res.status(201).json(selection);
+  } catch (error) {
+    console.error('Error saving selection:', error);
+    res.status(500).json({ error: 'Failed to save selection' });
+  }
+});
+
+app.delete('/api/maps/:mapId/selections', async (req, res) => {
+  try {
+    const removed = await store.clearSelectionsByMap(req.params.mapId);
+    res.json({ message: `Cleared ${removed} selections for map ${req.params.mapId}`, removed });
+  } catch (error) {
+    console.error('Error clearing selections:', error);
+    res.status(500).json({ error: 'Failed to clear selections' });
+  }
+});
+
+// Undo support: re-insert deleted selections with their original ids
+app.post('/api/maps/:mapId/selections/restore', async (req, res) => {
+  try {
+    const { selections } = req.body;
+
+    if (!isValidRecordList(selections)) {
+      return res.status(400).json({ error: 'selections must be an array of records with ids' });
+    }
+    for (const selection of selections) {
+      const invalid = pointsError((selection as { points?: unknown }).points, true);
+      if (invalid) {
+        return res.status(400).json({ error: `${selection.id}: ${invalid}` });
+      }
+    }
+
+    const restored = await store.restoreSelections(req.params.mapId, selections as Selection[]);
+    res.json({ message: `Restored ${restored} selections`, restored });
+  } catch (error) {
+    console.error('Error restoring selections:', error);
+    res.status(500).json({ error: 'Failed to restore selections' });
+  }
+});
+
+app.get('/api/maps/:mapId/hotspots', async (req, res) => {
+  try {
+    const hotspots = await store.getHotspotsByMap(req.params.mapId);
+    res.json(hotspots);
+  } catch (error) {
+    console.error('Error fetching hotspots:', error);
+    res.status(500).json({ error: 'Failed to fetch hotspots' });
+  }
+});
+
+app.post('/api/maps/:mapId/hotspots', async (req, res) => {
+  try {
+    if (!isValidHotspotBody(req.body)) {
+      return res.status(400).json({ error: 'Invalid hotspot dimensions' });
+    }
+    const invalidPoints = pointsError(req.body.points);
+    if (invalidPoints) {
+      return res.status(400).json({ error: invalidPoints });
+    }
+    const invalidAction = actionError(req.body.action);
+    if (invalidAction) {
+      return res.status(400).json({ error: invalidAction });
+    }
+
+    const { x, y, width, height, label, description, lassoSelectionId, points, action } = req.body;
+    const hotspot = await store.saveHotspot({
+      x, y, width, height,
+      label: label || 'New Hotspot',
+      description,
+      lassoSelectionId,
+      points,
+      action,
+      mapId: req.params.mapId
+    });
+
+    res.status(201).json(hotspot);
+  } catch (error) {
+    console.error('Error saving hotspot:', error);
+    res.status(500).json({ error: 'Failed to save hotspot' });
+  }
+});
+
+// Undo support: re-insert deleted hotspots with their original ids
+app.post('/api/maps/:mapId/hotspots/restore', async (req, res) => {
+  try {
+    const { hotspots } = req.body;
+
+    if (!isValidRecordList(hotspots)) {
+      return res.status(400).json({ error: 'hotspots must be an array of records with ids' });
+    }
+    for (const hotspot of hotspots as Record<string, unknown>[]) {
+      const invalid = hotspotError(hotspot);
+      if (invalid) {
+        return res.status(400).json({ error: `${hotspot.id}: ${invalid}` });
+      }
+    }
+
+    const restored = await store.restoreHotspots(req.params.mapId, hotspots as Hotspot[]);
+    res.json({ message: `Restored ${restored} hotspots`, restored });
+  } catch (error) {
+    console.error('Error restoring hotspots:', error);
+    res.status(500).json({ error: 'Failed to restore hotspots' });
+  }
+});
+
+app.put('/api/maps/:mapId/hotspots/order', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'ids must be an array of hotspot ids' });
+    }
+
+    await store.reorderHotspots(req.params.mapId, ids);
+    res.json({ message: 'Hotspots reordered successfully' });
+  } catch (error) {
+    console.error('Error reordering hotspots:', error);
+    res.status(500).json({ error: 'Failed to reorder hotspots' });
+  }
+});
+
+// Re-run lasso simplification over every hotspot on a map; ?dryRun=true only reports
+app.post('/api/maps/:mapId/hotspots/simplify', async (req, res) => {
+  try {
+    const tolerance = req.body?.tolerance ?? DEFAULT_SIMPLIFY_TOLERANCE;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (typeof tolerance !== 'number' || !(tolerance > 0 && tolerance < 0.1)) {
+      return res.status(400).json({ error: 'tolerance must be a number between 0 and 0.1' });
+    }
+
+    const hotspots = await store.getHotspotsByMap(req.params.mapId);
+    const results = [];
+    for (const hotspot of hotspots) {
+      if (!hotspot.points || hotspot.points.length === 0) continue;
+
+      const points = simplifyPolygon(hotspot.points, tolerance);
+      if (points.length === hotspot.points.length) continue;
+
+      results.push({ id: hotspot.id, label: hotspot.label, before: hotspot.points.length, after: points.length });
+      if (!dryRun) {
+        await store.updateHotspot(hotspot.id, { points, ...boundsFromPoints(points) });
+      }
+    }
+
+    res.json({ tolerance, dryRun, updated: results.length, hotspots: results });
+  } catch (error) {
+    console.error('Error simplifying hotspots:', error);
+    res.status(500).json({ error: 'Failed to simplify hotspots' });
+  }
+});
+
+app.delete('/api/maps/:mapId/hotspots', async (req, res) => {
+  try {
+    const removed = await store.clearHotspotsByMap(req.params.mapId);
+    res.json({ message: `Cleared ${removed} hotspots for map ${req.params.mapId}`, removed });
+  } catch (error) {
+    console.error('Error clearing hotspots:', error);
+    res.status(500).json({ error: 'Failed to clear hotspots' });
+  }
+});
+
+// Candidate hotspots detected by detectHotspots.ts, awaiting review.
+// Accepting one is done by the client: it saves a hotspot and discards the candidate.
+app.get('/api/maps/:mapId/candidates', async (req, res) => {
+  try {
+    const candidates = await store.getCandidatesByMap(req.params.mapId);
+    res.json(candidates);
+  } catch (error) {
+    console.error('Error fetching candidates:', error);
+    res.status(500).json({ error: 'Failed to fetch candidates' });
+  }
+});
+
+app.put('/api/maps/:mapId/candidates/:id', async (req, res) => {
+  try {
+    const { label, description } = req.body;
+
+    if (typeof label !== 'string' || label.trim() === '') {
+      return res.status(400).json({ error: 'label is required' });
+    }
+
+    const updated = await store.updateCandidate(req.params.id, {
+      label: label.trim(),
+      ...(typeof description === 'string' ? { description } : {})
+    });
+
+    if (updated) {
+      res.json({ message: 'Candidate updated successfully' });
+    } else {
+      res.status(404).json({ error: 'Candidate not found' });
+    }
+  } catch (error) {
+    console.error('Error updating candidate:', error);
+    res.status(500).json({ error: 'Failed to update candidate' });
+  }
+});
+
+app.delete('/api/maps/:mapId/candidates/:id', async (req, res) => {
+  try {
+    const deleted = await store.deleteCandidate(req.params.id);
+
+    if (deleted) {
+      res.json({ message: 'Candidate discarded' });
+    } else {
+      res.status(404).json({ error: 'Candidate not found' });
+    }
+  } catch (error) {
+    console.error('Error discarding candidate:', error);
+    res.status(500).json({ error: 'Failed to discard candidate' });
+  }
+});
+
+app.delete('/api/maps/:mapId/candidates', async (req, res) => {
+  try {
+    const removed = await store.clearCandidatesByMap(req.params.mapId);
+    res.json({ message: `Discarded ${removed} candidates for map ${req.params.mapId}`, removed });
+  } catch (error) {
+    console.error('Error discarding candidates:', error);
+    res.status(500).json({ error: 'Failed to discard candidates' });
+  }
+});
+
+// Legacy routes: optionally filtered with ?mapId=
 app.get('/api/selections', async (req, res) => {
   try {
-    const selections = await store.getAllSelections();
+    const { mapId } = req.query;
+    const selections = typeof mapId === 'string'
+      ? await store.getSelectionsByMap(mapId)
+      : await store.getAllSelections();
     res.json(selections);
   } catch (error) {
     console.error('Error fetching selections:', error);
@@ -25,25 +320,15 @@ app.get('/api/selections', async (req, res) => {
 app.post('/api/selections', async (req, res) => {
   try {
     const { points, mapId } = req.body;
-    
-    if (!points || !Array.isArray(points)) {
-      return res.status(400).json({ error: 'Invalid points data' });
-    }
 
-    // Validate points structure
-    const isValidPoints = points.every((p: any) => 
-      typeof p === 'object' && 
-      typeof p.x === 'number' && 
-      typeof p.y === 'number'
-    );
-
-    if (!isValidPoints) {
-      return res.status(400).json({ error: 'Invalid point structure' });
+    const invalid = pointsError(points, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
     const selection = await store.saveSelection({
-      points: points as Point[],
-      mapId: mapId || 'default'
+      points,
+      mapId: mapId || DEFAULT_MAP_ID
     });
 
     res.status(201).json(selection);
@@ -57,7 +342,7 @@ app.delete('/api/selections/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const deleted = await store.deleteSelection(id);
-    
+
     if (deleted) {
       res.json({ message: 'Selection deleted successfully' });
     } else {
@@ -69,10 +354,16 @@ app.delete('/api/selections/:id', async (req, res) => {
   }
 });
 
+// Clearing is always scoped so one story can't wipe another's work
 app.delete('/api/selections', async (req, res) => {
+  const { mapId } = req.query;
+  if (typeof mapId !== 'string') {
+    return res.status(400).json({ error: 'mapId is required; use DELETE /api/maps/:mapId/selections' });
+  }
+
   try {
-    await store.clearAllSelections();
-    res.json({ message: 'All selections cleared successfully' });
+    const removed = await store.clearSelectionsByMap(mapId);
+    res.json({ message: `Cleared ${removed} selections for map ${mapId}`, removed });
   } catch (error) {
     console.error('Error clearing selections:', error);
     res.status(500).json({ error: 'Failed to clear selections' });
@@ -82,7 +373,10 @@ app.delete('/api/selections', async (req, res) => {
 // Hotspot routes
 app.get('/api/hotspots', async (req, res) => {
   try {
-    const hotspots = await store.getAllHotspots();
+    const { mapId } = req.query;
+    const hotspots = typeof mapId === 'string'
+      ? await store.getHotspotsByMap(mapId)
+      : await store.getAllHotspots();
     res.json(hotspots);
   } catch (error) {
     console.error('Error fetching hotspots:', error);
@@ -92,11 +386,19 @@ app.get('/api/hotspots', async (req, res) => {
 
 app.post('/api/hotspots', async (req, res) => {
   try {
-    const { x, y, width, height, label, description, lassoSelectionId, points, mapId } = req.body;
-    
-    if (typeof x !== 'number' || typeof y !== 'number' || typeof width !== 'number' || typeof height !== 'number') {
+    const { x, y, width, height, label, description, lassoSelectionId, points, action, mapId } = req.body;
+
+    if (!isValidHotspotBody(req.body)) {
       return res.status(400).json({ error: 'Invalid hotspot dimensions' });
     }
+    const invalidPoints = pointsError(req.body.points);
+    if (invalidPoints) {
+      return res.status(400).json({ error: invalidPoints });
+    }
+    const invalidAction = actionError(action);
+    if (invalidAction) {
+      return res.status(400).json({ error: invalidAction });
+    }
 
     const hotspot = await store.saveHotspot({
       x, y, width, height,
@@ -104,7 +406,8 @@ app.post('/api/hotspots', async (req, res) => {
       description,
       lassoSelectionId,
       points,
-      mapId: mapId || 'default'
+      action,
+      mapId: mapId || DEFAULT_MAP_ID
     });
 
     res.status(201).json(hotspot);
@@ -118,9 +421,14 @@ app.put('/api/hotspots/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
-    
+
+    const invalid = pointsError(updates.points) || actionError(updates.action);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
     const updated = await store.updateHotspot(id, updates);
-    
+
     if (updated) {
       res.json({ message: 'Hotspot updated successfully' });
     } else {
@@ -136,7 +444,7 @@ app.delete('/api/hotspots/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const deleted = await store.deleteHotspot(id);
-    
+
     if (deleted) {
       res.json({ message: 'Hotspot deleted successfully' });
     } else {
@@ -148,12 +456,225 @@ app.delete('/api/hotspots/:id', async (req, res) => {
   }
 });
 
+// Character sticker positions authored on each map
+app.get('/api/maps/:mapId/placements', async (req, res) => {
+  try {
+    const placements = await store.getPlacementsByMap(req.params.mapId);
+    res.json(placements);
+  } catch (error) {
+    console.error('Error fetching placements:', error);
+    res.status(500).json({ error: 'Failed to fetch placements' });
+  }
+});
+
+app.put('/api/maps/:mapId/placements/:characterId', async (req, res) => {
+  try {
+    const { x, y } = req.body;
+
+    const invalid = pointsError([{ x, y }], true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const placement = await store.savePlacement(req.params.mapId, req.params.characterId, { x, y });
+    res.json(placement);
+  } catch (error) {
+    console.error('Error saving placement:', error);
+    res.status(500).json({ error: 'Failed to save placement' });
+  }
+});
+
+app.delete('/api/maps/:mapId/placements/:characterId', async (req, res) => {
+  try {
+    const deleted = await store.deletePlacement(req.params.mapId, req.params.characterId);
+
+    if (deleted) {
+      res.json({ message: 'Placement removed successfully' });
+    } else {
+      res.status(404).json({ error: 'Placement not found' });
+    }
+  } catch (error) {
+    console.error('Error removing placement:', error);
+    res.status(500).json({ error: 'Failed to remove placement' });
+  }
+});
+
+// Character movement paths, played when their scene comes up in the story player
+app.get('/api/maps/:mapId/paths', async (req, res) => {
+  try {
+    const paths = await store.getPathsByMap(req.params.mapId);
+    res.json(paths);
+  } catch (error) {
+    console.error('Error fetching paths:', error);
+    res.status(500).json({ error: 'Failed to fetch paths' });
+  }
+});
+
+app.post('/api/maps/:mapId/paths', async (req, res) => {
+  try {
+    const { characterId, sceneId, points, curve, speed, easing } = req.body;
+
+    const invalid = pathError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const characterPath = await store.savePath({
+      mapId: req.params.mapId,
+      characterId,
+      sceneId: sceneId ?? null,
+      points,
+      curve: curve ?? false,
+      speed: speed ?? DEFAULT_PATH_SPEED,
+      easing: easing ?? DEFAULT_PATH_EASING
+    });
+    res.status(201).json(characterPath);
+  } catch (error) {
+    console.error('Error saving path:', error);
+    res.status(500).json({ error: 'Failed to save path' });
+  }
+});
+
+app.put('/api/maps/:mapId/paths/:id', async (req, res) => {
+  try {
+    const { characterId, sceneId, points, curve, speed, easing } = req.body;
+    const updates = { characterId, sceneId, points, curve, speed, easing };
+
+    const invalid = pathError(updates, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Only the fields sent are changed
+    const present = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+    const updated = await store.updatePath(req.params.id, present);
+
+    if (updated) {
+      res.json({ message: 'Path updated successfully' });
+    } else {
+      res.status(404).json({ error: 'Path not found' });
+    }
+  } catch (error) {
+    console.error('Error updating path:', error);
+    res.status(500).json({ error: 'Failed to update path' });
+  }
+});
+
+app.delete('/api/maps/:mapId/paths/:id', async (req, res) => {
+  try {
+    const deleted = await store.deletePath(req.params.id);
+
+    if (deleted) {
+      res.json({ message: 'Path deleted successfully' });
+    } else {
+      res.status(404).json({ error: 'Path not found' });
+    }
+  } catch (error) {
+    console.error('Error deleting path:', error);
+    res.status(500).json({ error: 'Failed to delete path' });
+  }
+});
+
+// Story bundles packaged as one zip with their hotspots and paths
+app.get('/api/bundles/:bundleId/archive', async (req, res) => {
+  try {
+    const { archive } = await exportBundle(store, req.params.bundleId);
+    res.attachment(`${req.params.bundleId}.zip`);
+    res.type('application/zip').send(archive);
+  } catch (error) {
+    if (error instanceof BundleFileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error exporting bundle:', error);
+    res.status(500).json({ error: 'Failed to export bundle' });
+  }
+});
+
+// Body is the zip itself; ?as=<bundle id> imports under another id, ?replace=true overwrites
+app.post(
+  '/api/bundles/import',
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '200mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the archive as an application/zip body' });
+      }
+
+      const result = await importBundle(store, req.body, {
+        as: typeof req.query.as === 'string' ? req.query.as : undefined,
+        replace: req.query.replace === 'true'
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      if (error instanceof BundleFileError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error importing bundle:', error);
+      res.status(500).json({ error: 'Failed to import bundle' });
+    }
+  }
+);
+
+// Writes the map's hotspots, paths and placements into the bundle's annotation
+// files, so the story can be read from static hosting without this server
+app.post('/api/bundles/:bundleId/publish', async (req, res) => {
+  try {
+    res.json(await publishAnnotations(store, req.params.bundleId));
+  } catch (error) {
+    if (error instanceof BundleFileError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error publishing bundle annotations:', error);
+    res.status(500).json({ error: 'Failed to publish annotations' });
+  }
+});
+
+// Reader progress: discovered hotspots, found clues and place in each story
+app.get('/api/progress/:readerId', async (req, res) => {
+  try {
+    const { readerId } = req.params;
+    if (!READER_ID_PATTERN.test(readerId)) {
+      return res.status(400).json({ error: 'Invalid reader id' });
+    }
+
+    const progress = await store.getProgress(readerId);
+    res.json(progress ?? { readerId, stories: {}, updatedAt: null });
+  } catch (error) {
+    console.error('Error fetching progress:', error);
+    res.status(500).json({ error: 'Failed to fetch progress' });
+  }
+});
+
+app.put('/api/progress/:readerId', async (req, res) => {
+  try {
+    const { readerId } = req.params;
+    if (!READER_ID_PATTERN.test(readerId)) {
+      return res.status(400).json({ error: 'Invalid reader id' });
+    }
+    const { stories } = req.body;
+    const invalid = progressError(stories);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const progress = await store.saveProgress(readerId, stories);
+    res.json(progress);
+  } catch (error) {
+    console.error('Error saving progress:', error);
+    res.status(500).json({ error: 'Failed to save progress' });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', store: store.backend, timestamp: new Date().toISOString() });
 });
 
-app.listen(port, () => {
-  console.log(`🚀 Backend server running on port ${port}`);
-  console.log(`📊 API endpoints available at http://localhost:${port}/api`);
-});
\ No newline at end of file
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`🚀 Backend server running on port ${port} (${store.backend} storage)`);
+    console.log(`📊 API endpoints available at http://localhost:${port}/api`);
+  });
+}
+
+export default app;
@@ -0,0 +1,83 @@
+/**
+ * Copy selections.json, hotspots.json, placements.json, paths.json and
+ * progress.json into the SQLite database used with STORE_BACKEND=sqlite. Ids,
+ * creation dates and hotspot order are kept; the JSON files are left untouched. Candidates stay in
+ * candidates.json.
+ *
+ * Refuses to import into a database that already has records unless
+ * --replace is given, which empties it first.
+ *
+ * Usage:
+ *   npm run migrate:sqlite [-- --dry-run] [-- --replace] [-- --database path/to/file.db]
+ */
+import { DATA_FILE, HOTSPOTS_FILE, PLACEMENTS_FILE, PATHS_FILE, PROGRESS_FILE, DATABASE_FILE, DEFAULT_MAP_ID } from '../store';
+import { JsonCollection } from '../stores/jsonStore';
+import { SqliteSelectionStore } from '../stores/sqliteStore';
+import { Selection, Hotspot, CharacterPlacement, CharacterPath, ReaderProgress } from '../types';
+
+function parseArgs(argv: string[]) {
+  const dryRun = argv.includes('--dry-run');
+  const replace = argv.includes('--replace');
+  let database = DATABASE_FILE;
+
+  const index = argv.indexOf('--database');
+  if (index !== -1) {
+    if (!argv[index + 1]) {
+      throw new Error('--database expects a file path');
+    }
+    database = argv[index + 1];
+  }
+
+  return { dryRun, replace, database };
+}
+
+const countByMap = (records: { mapId?: string }[]) => {
+  const counts = new Map<string, number>();
+  for (const record of records) {
+    const mapId = record.mapId || DEFAULT_MAP_ID;
+    counts.set(mapId, (counts.get(mapId) ?? 0) + 1);
+  }
+  return [...counts].map(([mapId, count]) => `${mapId}: ${count}`);
+};
+
+export async function importJson(argv: string[] = process.argv.slice(2)) {
+  const { dryRun, replace, database } = parseArgs(argv);
+
+  // Corrupt files throw here rather than importing nothing
+  const selections = new JsonCollection<Selection>(DATA_FILE).read();
+  const hotspots = new JsonCollection<Hotspot>(HOTSPOTS_FILE).read();
+  const placements = new JsonCollection<CharacterPlacement>(PLACEMENTS_FILE, ['updatedAt']).read();
+  const paths = new JsonCollection<CharacterPath>(PATHS_FILE).read();
+  const progress = new JsonCollection<ReaderProgress>(PROGRESS_FILE, ['updatedAt']).read();
+
+  console.log(
+    `📄 ${selections.length} selections, ${hotspots.length} hotspots, ` +
+    `${placements.length} character placements, ${paths.length} character paths, ` +
+    `${progress.length} readers in JSON`
+  );
+  for (const line of countByMap(hotspots)) console.log(`   hotspots ${line}`);
+
+  if (dryRun) {
+    console.log('Dry run: nothing written');
+    return;
+  }
+
+  const store = new SqliteSelectionStore(database);
+  try {
+    const existing = await store.countRecords();
+    if (existing > 0 && !replace) {
+      throw new Error(`${database} already has ${existing} records (pass --replace to overwrite them)`);
+    }
+    store.importRecords({ selections, hotspots, placements, paths, progress }, replace);
+    console.log(`✅ Imported into ${database}`);
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  importJson().catch(error => {
+    console.error('✖', (error as Error).message);
+    process.exit(1);
+  });
+}
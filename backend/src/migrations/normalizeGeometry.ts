@@ -0,0 +1,160 @@
+/**
+ * One-time migration: convert hotspot and selection polygons saved in raw
+ * container pixels (LassoSelection before normalized coordinates) into
+ * normalized 0–1 image coordinates.
+ *
+ * The container size at authoring time was never stored, but each legacy
+ * hotspot's x/y/width/height percentages were computed from the same points,
+ * so the size can be recovered from the polygon's pixel bounding box.
+ * Selections reuse the size of the hotspot created from them; unlinked
+ * selections use --container WxH, or the size every hotspot agreed on.
+ *
+ * Usage:
+ *   npm run migrate:normalize [-- --dry-run] [-- --container 1116x748]
+ */
+import fs from 'fs';
+import { DATA_FILE, HOTSPOTS_FILE } from '../store';
+import { isNormalizedPoints, boundsFromPoints } from '../geometry';
+import { Point } from '../types';
+
+interface Size {
+  width: number;
+  height: number;
+}
+
+interface LegacyRecord {
+  id: string;
+  points?: Point[];
+  x?: number;
+  y?: number;
+  width?: number;
+  height?: number;
+  lassoSelectionId?: string;
+}
+
+// Sizes within a pixel of each other come from the same window
+const SIZE_TOLERANCE_PX = 1;
+
+const readJson = (file: string): LegacyRecord[] =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+const writeJson = (file: string, records: LegacyRecord[]) => {
+  fs.copyFileSync(file, `${file}.bak`);
+  fs.writeFileSync(file, JSON.stringify(records, null, 2));
+};
+
+/**
+ * Recover the container size from a legacy hotspot. Percentages were clamped
+ * to a 1% minimum size, so fall back to the offset when the box is tiny.
+ */
+export function inferContainerSize(hotspot: LegacyRecord): Size | null {
+  const points = hotspot.points;
+  if (!points || points.length < 3) return null;
+  if ([hotspot.x, hotspot.y, hotspot.width, hotspot.height].some(v => typeof v !== 'number')) return null;
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const spanX = Math.max(...xs) - Math.min(...xs);
+  const spanY = Math.max(...ys) - Math.min(...ys);
+
+  const width = hotspot.width! > 1 ? spanX * 100 / hotspot.width!
+    : hotspot.x! > 0 ? Math.min(...xs) * 100 / hotspot.x! : NaN;
+  const height = hotspot.height! > 1 ? spanY * 100 / hotspot.height!
+    : hotspot.y! > 0 ? Math.min(...ys) * 100 / hotspot.y! : NaN;
+
+  if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) return null;
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+const normalize = (points: Point[], size: Size): Point[] =>
+  points.map(p => ({ x: p.x / size.width, y: p.y / size.height }));
+
+const sameSize = (a: Size, b: Size) =>
+  Math.abs(a.width - b.width) <= SIZE_TOLERANCE_PX && Math.abs(a.height - b.height) <= SIZE_TOLERANCE_PX;
+
+function parseArgs(argv: string[]) {
+  const dryRun = argv.includes('--dry-run');
+  let container: Size | null = null;
+
+  const index = argv.indexOf('--container');
+  if (index !== -1) {
+    const match = /^(\d+)x(\d+)$/.exec(argv[index + 1] || '');
+    if (!match) {
+      throw new Error('--container expects WIDTHxHEIGHT, e.g. 1116x748');
+    }
+    container = { width: Number(match[1]), height: Number(match[2]) };
+  }
+
+  return { dryRun, container };
+}
+
+export function migrate(argv: string[] = process.argv.slice(2)) {
+  const { dryRun, container } = parseArgs(argv);
+  const hotspots = readJson(HOTSPOTS_FILE);
+  const selections = readJson(DATA_FILE);
+
+  const sizeBySelection = new Map<string, Size>();
+  const inferredSizes: Size[] = [];
+  const skipped: string[] = [];
+  let migratedHotspots = 0;
+
+  for (const hotspot of hotspots) {
+    if (!hotspot.points || isNormalizedPoints(hotspot.points)) continue;
+
+    const size = inferContainerSize(hotspot) || container;
+    if (!size) {
+      skipped.push(`hotspot ${hotspot.id}`);
+      continue;
+    }
+
+    hotspot.points = normalize(hotspot.points, size);
+    Object.assign(hotspot, boundsFromPoints(hotspot.points));
+    inferredSizes.push(size);
+    if (hotspot.lassoSelectionId) sizeBySelection.set(hotspot.lassoSelectionId, size);
+    migratedHotspots++;
+    console.log(`  ✅ hotspot ${hotspot.id}: authored at ${size.width}x${size.height}`);
+  }
+
+  // Only trust a shared size for unlinked selections if every hotspot agrees on it
+  const sharedSize = inferredSizes.length > 0 && inferredSizes.every(s => sameSize(s, inferredSizes[0]))
+    ? inferredSizes[0]
+    : null;
+
+  let migratedSelections = 0;
+  for (const selection of selections) {
+    if (!selection.points || isNormalizedPoints(selection.points)) continue;
+
+    const size = sizeBySelection.get(selection.id) || container || sharedSize;
+    if (!size) {
+      skipped.push(`selection ${selection.id}`);
+      continue;
+    }
+
+    selection.points = normalize(selection.points, size);
+    migratedSelections++;
+  }
+
+  console.log(`📊 Migrated ${migratedHotspots} hotspots and ${migratedSelections} selections`);
+  if (sharedSize && !container) {
+    console.log(`   Unlinked selections assumed ${sharedSize.width}x${sharedSize.height}`);
+  }
+  if (skipped.length > 0) {
+    console.log(`⚠️  Could not infer a size for: ${skipped.join(', ')} (pass --container WxH)`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files written');
+    return;
+  }
+  if (migratedHotspots > 0) writeJson(HOTSPOTS_FILE, hotspots);
+  if (migratedSelections > 0) writeJson(DATA_FILE, selections);
+}
+
+if (require.main === module) {
+  try {
+    migrate();
+  } catch (error) {
+    console.error('✖', (error as Error).message);
+    process.exit(1);
+  }
+}
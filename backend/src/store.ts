@@ -1,152 +1,99 @@
-import { Selection, Hotspot } from './types';
-import fs from 'fs';
+import { Selection, Hotspot, ReaderProgress, StoryProgress, CharacterPlacement, CharacterPath, Point } from './types';
 import path from 'path';
 
-const DATA_FILE = path.join(__dirname, '../data/selections.json');
-const HOTSPOTS_FILE = path.join(__dirname, '../data/hotspots.json');
+// Folder holding every data file below
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
 
-// Simple file-based storage (in production, use a proper database)
-export class SelectionStore {
-  private ensureDataDirectory() {
-    const dataDir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-  }
+export const DATA_FILE = path.join(DATA_DIR, 'selections.json');
+export const HOTSPOTS_FILE = path.join(DATA_DIR, 'hotspots.json');
+// Written by detectHotspots.ts; same record shape as hotspots
+export const CANDIDATES_FILE = path.join(DATA_DIR, 'candidates.json');
+export const PLACEMENTS_FILE = path.join(DATA_DIR, 'placements.json');
+export const PATHS_FILE = path.join(DATA_DIR, 'paths.json');
+export const PROGRESS_FILE = path.join(DATA_DIR, 'progress.json');
+// SQLite database used when STORE_BACKEND=sqlite
+export const DATABASE_FILE = path.join(DATA_DIR, 'story-map.db');
 
-  private loadSelections(): Selection[] {
-    this.ensureDataDirectory();
-    try {
-      if (fs.existsSync(DATA_FILE)) {
-        const data = fs.readFileSync(DATA_FILE, 'utf8');
-        const selections = JSON.parse(data);
-        // Convert date strings back to Date objects
-        return selections.map((s: any) => ({
-          ...s,
-          createdAt: new Date(s.createdAt)
-        }));
-      }
-    } catch (error) {
-      console.error('Error loading selections:', error);
-    }
-    return [];
-  }
+// Records saved before maps were scoped have no mapId
+export const DEFAULT_MAP_ID = 'default';
 
-  private saveSelections(selections: Selection[]): void {
-    this.ensureDataDirectory();
-    try {
-      fs.writeFileSync(DATA_FILE, JSON.stringify(selections, null, 2));
-    } catch (error) {
-      console.error('Error saving selections:', error);
-      throw error;
-    }
-  }
+export const belongsToMap = (record: { mapId?: string }, mapId: string) =>
+  (record.mapId || DEFAULT_MAP_ID) === mapId;
 
-  public async getAllSelections(): Promise<Selection[]> {
-    return this.loadSelections();
-  }
+export type StoreBackend = 'json' | 'sqlite';
 
-  public async saveSelection(selection: Omit<Selection, 'id' | 'createdAt'>): Promise<Selection> {
-    const selections = this.loadSelections();
-    const newSelection: Selection = {
-      id: Date.now().toString(), // Simple ID generation
-      createdAt: new Date(),
-      ...selection
-    };
-    
-    selections.push(newSelection);
-    this.saveSelections(selections);
-    
-    return newSelection;
+/**
+ * Raised when stored data can't be read or written, e.g. a JSON file that no
+ * longer parses. Routes report it as a 500 rather than serving an empty map.
+ */
+export class StoreError extends Error {
+  constructor(message: string, public readonly cause?: unknown) {
+    super(message);
+    this.name = 'StoreError';
   }
+}
 
-  public async deleteSelection(id: string): Promise<boolean> {
-    const selections = this.loadSelections();
-    const initialLength = selections.length;
-    const filtered = selections.filter(s => s.id !== id);
-    
-    if (filtered.length !== initialLength) {
-      this.saveSelections(filtered);
-      return true;
-    }
-    return false;
-  }
+// Everything a bundle archive carries for its map
+export interface MapAnnotations {
+  hotspots: Hotspot[];
+  paths: CharacterPath[];
+  placements: CharacterPlacement[];
+}
 
-  public async clearAllSelections(): Promise<void> {
-    this.saveSelections([]);
-  }
+/**
+ * Storage used by the API routes. Every write is all-or-nothing: a failed
+ * request leaves the previous data in place.
+ */
+export interface SelectionStore {
+  readonly backend: StoreBackend;
 
-  // Hotspot methods
-  private loadHotspots(): Hotspot[] {
-    this.ensureDataDirectory();
-    try {
-      if (fs.existsSync(HOTSPOTS_FILE)) {
-        const data = fs.readFileSync(HOTSPOTS_FILE, 'utf8');
-        const hotspots = JSON.parse(data);
-        return hotspots.map((h: any) => ({
-          ...h,
-          createdAt: new Date(h.createdAt)
-        }));
-      }
-    } catch (error) {
-      console.error('Error loading hotspots:', error);
-    }
-    return [];
-  }
+  getAllSelections(): Promise<Selection[]>;
+  getSelectionsByMap(mapId: string): Promise<Selection[]>;
+  saveSelection(selection: Omit<Selection, 'id' | 'createdAt'>): Promise<Selection>;
+  deleteSelection(id: string): Promise<boolean>;
+  clearAllSelections(): Promise<void>;
+  // Returns the number of selections removed
+  clearSelectionsByMap(mapId: string): Promise<number>;
+  // Put back previously deleted selections (undo), keeping their ids
+  restoreSelections(mapId: string, records: Selection[]): Promise<number>;
 
-  private saveHotspots(hotspots: Hotspot[]): void {
-    this.ensureDataDirectory();
-    try {
-      fs.writeFileSync(HOTSPOTS_FILE, JSON.stringify(hotspots, null, 2));
-    } catch (error) {
-      console.error('Error saving hotspots:', error);
-      throw error;
-    }
-  }
+  getAllHotspots(): Promise<Hotspot[]>;
+  getHotspotsByMap(mapId: string): Promise<Hotspot[]>;
+  saveHotspot(hotspot: Omit<Hotspot, 'id' | 'createdAt'>): Promise<Hotspot>;
+  updateHotspot(id: string, updates: Partial<Hotspot>): Promise<boolean>;
+  deleteHotspot(id: string): Promise<boolean>;
+  // Put back previously deleted hotspots (undo), keeping their ids
+  restoreHotspots(mapId: string, records: Hotspot[]): Promise<number>;
+  // Order a map's hotspots by the given ids; ids not listed keep their place at the end
+  reorderHotspots(mapId: string, ids: string[]): Promise<void>;
+  clearAllHotspots(): Promise<void>;
+  // Returns the number of hotspots removed
+  clearHotspotsByMap(mapId: string): Promise<number>;
 
-  public async getAllHotspots(): Promise<Hotspot[]> {
-    return this.loadHotspots();
-  }
+  getCandidatesByMap(mapId: string): Promise<Hotspot[]>;
+  updateCandidate(id: string, updates: Partial<Hotspot>): Promise<boolean>;
+  deleteCandidate(id: string): Promise<boolean>;
+  // Returns the number of candidates removed
+  clearCandidatesByMap(mapId: string): Promise<number>;
+  // Replaces the map's candidates with a fresh detection run; returns how many were saved
+  replaceCandidates(mapId: string, records: Hotspot[]): Promise<number>;
 
-  public async saveHotspot(hotspot: Omit<Hotspot, 'id' | 'createdAt'>): Promise<Hotspot> {
-    const hotspots = this.loadHotspots();
-    const newHotspot: Hotspot = {
-      id: Date.now().toString(),
-      createdAt: new Date(),
-      ...hotspot
-    };
-    
-    hotspots.push(newHotspot);
-    this.saveHotspots(hotspots);
-    
-    return newHotspot;
-  }
+  getPlacementsByMap(mapId: string): Promise<CharacterPlacement[]>;
+  // Creates or moves the character's placement on the map
+  savePlacement(mapId: string, characterId: string, position: Point): Promise<CharacterPlacement>;
+  // Back to the bundle's default position; false if it wasn't placed
+  deletePlacement(mapId: string, characterId: string): Promise<boolean>;
 
-  public async updateHotspot(id: string, updates: Partial<Hotspot>): Promise<boolean> {
-    const hotspots = this.loadHotspots();
-    const index = hotspots.findIndex(h => h.id === id);
-    
-    if (index !== -1) {
-      hotspots[index] = { ...hotspots[index], ...updates };
-      this.saveHotspots(hotspots);
-      return true;
-    }
-    return false;
-  }
+  getPathsByMap(mapId: string): Promise<CharacterPath[]>;
+  savePath(characterPath: Omit<CharacterPath, 'id' | 'createdAt'>): Promise<CharacterPath>;
+  updatePath(id: string, updates: Partial<CharacterPath>): Promise<boolean>;
+  deletePath(id: string): Promise<boolean>;
 
-  public async deleteHotspot(id: string): Promise<boolean> {
-    const hotspots = this.loadHotspots();
-    const initialLength = hotspots.length;
-    const filtered = hotspots.filter(h => h.id !== id);
-    
-    if (filtered.length !== initialLength) {
-      this.saveHotspots(filtered);
-      return true;
-    }
-    return false;
-  }
+  // Swap the map's hotspots, paths and placements for the given records in
+  // one write (bundle imports), keeping their ids
+  replaceMapAnnotations(mapId: string, records: MapAnnotations): Promise<void>;
 
-  public async clearAllHotspots(): Promise<void> {
-    this.saveHotspots([]);
-  }
-}
\ No newline at end of file
+  getProgress(readerId: string): Promise<ReaderProgress | null>;
+  // Replaces the given stories' progress, leaving the reader's other stories alone
+  saveProgress(readerId: string, stories: Record<string, StoryProgress>): Promise<ReaderProgress>;
+}
@@ -0,0 +1,21 @@
+import { SelectionStore, StoreBackend } from '../store';
+import { JsonSelectionStore } from './jsonStore';
+import { SqliteSelectionStore } from './sqliteStore';
+
+export const STORE_BACKENDS: StoreBackend[] = ['json', 'sqlite'];
+
+/**
+ * Storage picked by STORE_BACKEND (json by default). Switching an existing
+ * install to sqlite starts from an empty database until the JSON data is
+ * imported with `npm run migrate:sqlite`.
+ */
+export function createStore(backend = process.env.STORE_BACKEND || 'json'): SelectionStore {
+  switch (backend) {
+    case 'json':
+      return new JsonSelectionStore();
+    case 'sqlite':
+      return new SqliteSelectionStore();
+    default:
+      throw new Error(`Unknown STORE_BACKEND "${backend}" (expected ${STORE_BACKENDS.join(' or ')})`);
+  }
+}
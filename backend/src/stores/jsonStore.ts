@@ -0,0 +1,377 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Selection, Hotspot, ReaderProgress, StoryProgress, CharacterPlacement, CharacterPath, Point } from '../types';
+import {
+  DATA_FILE,
+  HOTSPOTS_FILE,
+  CANDIDATES_FILE,
+  MapAnnotations,
+  PLACEMENTS_FILE,
+  PATHS_FILE,
+  PROGRESS_FILE,
+  SelectionStore,
+  StoreError,
+  belongsToMap
+} from '../store';
+
+/**
+ * One JSON array on disk. Reads fail loudly on a corrupt file, and writes go
+ * to a temporary file that is renamed over the original, so a crash mid-write
+ * never leaves half a file behind.
+ */
+export class JsonCollection<T extends object> {
+  constructor(
+    public readonly file: string,
+    // Fields saved as ISO strings that should come back as Date objects
+    private readonly dateFields: string[] = ['createdAt']
+  ) {}
+
+  read(): T[] {
+    if (!fs.existsSync(this.file)) return [];
+
+    let records: unknown;
+    try {
+      records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new StoreError(`${path.basename(this.file)} is not valid JSON`, error);
+    }
+    if (!Array.isArray(records)) {
+      throw new StoreError(`${path.basename(this.file)} does not contain an array`);
+    }
+    return records.map(r => {
+      const record = { ...r };
+      for (const field of this.dateFields) {
+        if (field in record) record[field] = new Date(record[field]);
+      }
+      return record;
+    });
+  }
+
+  write(records: T[]): void {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(temp, JSON.stringify(records, null, 2));
+      fs.renameSync(temp, this.file);
+    } catch (error) {
+      fs.rmSync(temp, { force: true });
+      throw new StoreError(`Could not write ${path.basename(this.file)}`, error);
+    }
+  }
+}
+
+/**
+ * Candidate hotspots stay in one JSON file whichever backend holds the
+ * authored data: they're disposable suggestions from detectHotspots.ts,
+ * not authored records.
+ */
+export class CandidateFile extends JsonCollection<Hotspot> {
+  constructor(file = CANDIDATES_FILE) {
+    super(file);
+  }
+
+  byMap(mapId: string): Hotspot[] {
+    return this.read().filter(c => belongsToMap(c, mapId));
+  }
+
+  update(id: string, updates: Partial<Hotspot>): boolean {
+    const candidates = this.read();
+    const index = candidates.findIndex(c => c.id === id);
+
+    if (index !== -1) {
+      candidates[index] = { ...candidates[index], ...updates };
+      this.write(candidates);
+      return true;
+    }
+    return false;
+  }
+
+  delete(id: string): boolean {
+    const candidates = this.read();
+    const filtered = candidates.filter(c => c.id !== id);
+
+    if (filtered.length !== candidates.length) {
+      this.write(filtered);
+      return true;
+    }
+    return false;
+  }
+
+  // Returns the number of candidates removed
+  clearMap(mapId: string): number {
+    const candidates = this.read();
+    const kept = candidates.filter(c => !belongsToMap(c, mapId));
+    this.write(kept);
+    return candidates.length - kept.length;
+  }
+
+  // Swap a map's candidates for a new set, keeping other maps'
+  replaceMap(mapId: string, records: Hotspot[]): number {
+    const kept = this.read().filter(c => !belongsToMap(c, mapId));
+    this.write([...kept, ...records.map(record => ({ ...record, mapId }))]);
+    return records.length;
+  }
+}
+
+/**
+ * File-based storage: one JSON file per collection. Each method reads,
+ * modifies and writes without yielding, so requests can't interleave.
+ */
+export class JsonSelectionStore implements SelectionStore {
+  readonly backend = 'json';
+
+  private selections = new JsonCollection<Selection>(DATA_FILE);
+  private hotspots = new JsonCollection<Hotspot>(HOTSPOTS_FILE);
+  private candidates = new CandidateFile();
+  private placements = new JsonCollection<CharacterPlacement>(PLACEMENTS_FILE, ['updatedAt']);
+  private paths = new JsonCollection<CharacterPath>(PATHS_FILE);
+  private progress = new JsonCollection<ReaderProgress>(PROGRESS_FILE, ['updatedAt']);
+
+  public async getAllSelections(): Promise<Selection[]> {
+    return this.selections.read();
+  }
+
+  public async getSelectionsByMap(mapId: string): Promise<Selection[]> {
+    return this.selections.read().filter(s => belongsToMap(s, mapId));
+  }
+
+  public async saveSelection(selection: Omit<Selection, 'id' | 'createdAt'>): Promise<Selection> {
+    const selections = this.selections.read();
+    const newSelection: Selection = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...selection
+    };
+
+    selections.push(newSelection);
+    this.selections.write(selections);
+
+    return newSelection;
+  }
+
+  public async deleteSelection(id: string): Promise<boolean> {
+    const selections = this.selections.read();
+    const filtered = selections.filter(s => s.id !== id);
+
+    if (filtered.length !== selections.length) {
+      this.selections.write(filtered);
+      return true;
+    }
+    return false;
+  }
+
+  public async clearAllSelections(): Promise<void> {
+    this.selections.write([]);
+  }
+
+  public async clearSelectionsByMap(mapId: string): Promise<number> {
+    const selections = this.selections.read();
+    const kept = selections.filter(s => !belongsToMap(s, mapId));
+    this.selections.write(kept);
+    return selections.length - kept.length;
+  }
+
+  public async restoreSelections(mapId: string, records: Selection[]): Promise<number> {
+    const ids = new Set(records.map(r => r.id));
+    const selections = this.selections.read().filter(s => !ids.has(s.id));
+    selections.push(...records.map(r => ({ ...r, mapId, createdAt: new Date(r.createdAt) })));
+    this.selections.write(selections);
+    return records.length;
+  }
+
+  public async getAllHotspots(): Promise<Hotspot[]> {
+    return this.hotspots.read();
+  }
+
+  public async getHotspotsByMap(mapId: string): Promise<Hotspot[]> {
+    return this.hotspots.read().filter(h => belongsToMap(h, mapId));
+  }
+
+  public async saveHotspot(hotspot: Omit<Hotspot, 'id' | 'createdAt'>): Promise<Hotspot> {
+    const hotspots = this.hotspots.read();
+    const newHotspot: Hotspot = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...hotspot
+    };
+
+    hotspots.push(newHotspot);
+    this.hotspots.write(hotspots);
+
+    return newHotspot;
+  }
+
+  public async updateHotspot(id: string, updates: Partial<Hotspot>): Promise<boolean> {
+    const hotspots = this.hotspots.read();
+    const index = hotspots.findIndex(h => h.id === id);
+
+    if (index !== -1) {
+      hotspots[index] = { ...hotspots[index], ...updates };
+      this.hotspots.write(hotspots);
+      return true;
+    }
+    return false;
+  }
+
+  public async deleteHotspot(id: string): Promise<boolean> {
+    const hotspots = this.hotspots.read();
+    const filtered = hotspots.filter(h => h.id !== id);
+
+    if (filtered.length !== hotspots.length) {
+      this.hotspots.write(filtered);
+      return true;
+    }
+    return false;
+  }
+
+  public async restoreHotspots(mapId: string, records: Hotspot[]): Promise<number> {
+    const ids = new Set(records.map(r => r.id));
+    const hotspots = this.hotspots.read().filter(h => !ids.has(h.id));
+    hotspots.push(...records.map(r => ({ ...r, mapId, createdAt: new Date(r.createdAt) })));
+    this.hotspots.write(hotspots);
+    return records.length;
+  }
+
+  public async reorderHotspots(mapId: string, ids: string[]): Promise<void> {
+    const hotspots = this.hotspots.read();
+    const rank = (h: Hotspot) => {
+      const index = ids.indexOf(h.id);
+      return index === -1 ? ids.length : index;
+    };
+    const others = hotspots.filter(h => !belongsToMap(h, mapId));
+    const ordered = hotspots
+      .filter(h => belongsToMap(h, mapId))
+      .sort((a, b) => rank(a) - rank(b));
+    this.hotspots.write([...others, ...ordered]);
+  }
+
+  public async clearAllHotspots(): Promise<void> {
+    this.hotspots.write([]);
+  }
+
+  public async clearHotspotsByMap(mapId: string): Promise<number> {
+    const hotspots = this.hotspots.read();
+    const kept = hotspots.filter(h => !belongsToMap(h, mapId));
+    this.hotspots.write(kept);
+    return hotspots.length - kept.length;
+  }
+
+  public async getCandidatesByMap(mapId: string): Promise<Hotspot[]> {
+    return this.candidates.byMap(mapId);
+  }
+
+  public async updateCandidate(id: string, updates: Partial<Hotspot>): Promise<boolean> {
+    return this.candidates.update(id, updates);
+  }
+
+  public async deleteCandidate(id: string): Promise<boolean> {
+    return this.candidates.delete(id);
+  }
+
+  public async clearCandidatesByMap(mapId: string): Promise<number> {
+    return this.candidates.clearMap(mapId);
+  }
+
+  public async replaceCandidates(mapId: string, records: Hotspot[]): Promise<number> {
+    return this.candidates.replaceMap(mapId, records);
+  }
+
+  public async getPlacementsByMap(mapId: string): Promise<CharacterPlacement[]> {
+    return this.placements.read().filter(p => p.mapId === mapId);
+  }
+
+  public async savePlacement(mapId: string, characterId: string, position: Point): Promise<CharacterPlacement> {
+    const placements = this.placements.read()
+      .filter(p => !(p.mapId === mapId && p.characterId === characterId));
+    const placement: CharacterPlacement = { characterId, mapId, x: position.x, y: position.y, updatedAt: new Date() };
+    placements.push(placement);
+    this.placements.write(placements);
+    return placement;
+  }
+
+  public async deletePlacement(mapId: string, characterId: string): Promise<boolean> {
+    const placements = this.placements.read();
+    const kept = placements.filter(p => !(p.mapId === mapId && p.characterId === characterId));
+
+    if (kept.length !== placements.length) {
+      this.placements.write(kept);
+      return true;
+    }
+    return false;
+  }
+
+  public async getPathsByMap(mapId: string): Promise<CharacterPath[]> {
+    return this.paths.read().filter(p => p.mapId === mapId);
+  }
+
+  public async savePath(characterPath: Omit<CharacterPath, 'id' | 'createdAt'>): Promise<CharacterPath> {
+    const paths = this.paths.read();
+    const newPath: CharacterPath = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...characterPath
+    };
+
+    paths.push(newPath);
+    this.paths.write(paths);
+
+    return newPath;
+  }
+
+  public async updatePath(id: string, updates: Partial<CharacterPath>): Promise<boolean> {
+    const paths = this.paths.read();
+    const index = paths.findIndex(p => p.id === id);
+
+    if (index !== -1) {
+      paths[index] = { ...paths[index], ...updates };
+      this.paths.write(paths);
+      return true;
+    }
+    return false;
+  }
+
+  public async deletePath(id: string): Promise<boolean> {
+    const paths = this.paths.read();
+    const filtered = paths.filter(p => p.id !== id);
+
+    if (filtered.length !== paths.length) {
+      this.paths.write(filtered);
+      return true;
+    }
+    return false;
+  }
+
+  public async replaceMapAnnotations(mapId: string, records: MapAnnotations): Promise<void> {
+    // Read everything first, so a corrupt file stops the import before any write
+    const hotspots = this.hotspots.read().filter(h => !belongsToMap(h, mapId));
+    const paths = this.paths.read().filter(p => p.mapId !== mapId);
+    const placements = this.placements.read().filter(p => p.mapId !== mapId);
+
+    this.hotspots.write([...hotspots, ...records.hotspots.map(h => ({ ...h, mapId }))]);
+    this.paths.write([...paths, ...records.paths.map(p => ({ ...p, mapId }))]);
+    this.placements.write([...placements, ...records.placements.map(p => ({ ...p, mapId }))]);
+  }
+
+  public async getProgress(readerId: string): Promise<ReaderProgress | null> {
+    return this.progress.read().find(p => p.readerId === readerId) ?? null;
+  }
+
+  public async saveProgress(readerId: string, stories: Record<string, StoryProgress>): Promise<ReaderProgress> {
+    const records = this.progress.read();
+    const index = records.findIndex(p => p.readerId === readerId);
+    const saved: ReaderProgress = {
+      readerId,
+      stories: { ...(index !== -1 ? records[index].stories : {}), ...stories },
+      updatedAt: new Date()
+    };
+
+    if (index !== -1) {
+      records[index] = saved;
+    } else {
+      records.push(saved);
+    }
+    this.progress.write(records);
+    return saved;
+  }
+}
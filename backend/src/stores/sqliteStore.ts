@@ -0,0 +1,472 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { Selection, Hotspot, ReaderProgress, StoryProgress, CharacterPlacement, CharacterPath, Point } from '../types';
+import { DATABASE_FILE, DEFAULT_MAP_ID, MapAnnotations, SelectionStore } from '../store';
+import { CandidateFile } from './jsonStore';
+
+interface SelectionRow {
+  id: string;
+  map_id: string;
+  position: number;
+  created_at: string;
+  points: string;
+}
+
+interface PlacementRow {
+  map_id: string;
+  character_id: string;
+  x: number;
+  y: number;
+  updated_at: string;
+}
+
+interface PathRow {
+  id: string;
+  map_id: string;
+  position: number;
+  created_at: string;
+  record: string;
+}
+
+interface ProgressRow {
+  reader_id: string;
+  stories: string;
+  updated_at: string;
+}
+
+interface HotspotRow {
+  id: string;
+  map_id: string;
+  position: number;
+  created_at: string;
+  record: string;
+}
+
+// `position` keeps records in insertion order (and hotspots in the order the
+// author arranged them). Hotspot and path fields other than the keyed ones
+// live in `record` as JSON so new fields don't need a schema change.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS selections (
+    id TEXT PRIMARY KEY,
+    map_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    points TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS selections_by_map ON selections (map_id, position);
+
+  CREATE TABLE IF NOT EXISTS hotspots (
+    id TEXT PRIMARY KEY,
+    map_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS hotspots_by_map ON hotspots (map_id, position);
+
+  CREATE TABLE IF NOT EXISTS placements (
+    map_id TEXT NOT NULL,
+    character_id TEXT NOT NULL,
+    x REAL NOT NULL,
+    y REAL NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (map_id, character_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS paths (
+    id TEXT PRIMARY KEY,
+    map_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS paths_by_map ON paths (map_id, position);
+
+  CREATE TABLE IF NOT EXISTS progress (
+    reader_id TEXT PRIMARY KEY,
+    stories TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+const toSelection = (row: SelectionRow): Selection => ({
+  id: row.id,
+  points: JSON.parse(row.points),
+  createdAt: new Date(row.created_at),
+  mapId: row.map_id
+});
+
+const toHotspot = (row: HotspotRow): Hotspot => ({
+  id: row.id,
+  ...JSON.parse(row.record),
+  createdAt: new Date(row.created_at),
+  mapId: row.map_id
+});
+
+const toPlacement = (row: PlacementRow): CharacterPlacement => ({
+  characterId: row.character_id,
+  mapId: row.map_id,
+  x: row.x,
+  y: row.y,
+  updatedAt: new Date(row.updated_at)
+});
+
+const toPath = (row: PathRow): CharacterPath => ({
+  id: row.id,
+  ...JSON.parse(row.record),
+  createdAt: new Date(row.created_at),
+  mapId: row.map_id
+});
+
+const toProgress = (row: ProgressRow): ReaderProgress => ({
+  readerId: row.reader_id,
+  stories: JSON.parse(row.stories),
+  updatedAt: new Date(row.updated_at)
+});
+
+// Column values for a hotspot row (all but position)
+const hotspotColumns = (hotspot: Hotspot) => {
+  const { id, mapId, createdAt, ...record } = hotspot;
+  return {
+    id,
+    mapId: mapId || DEFAULT_MAP_ID,
+    createdAt: new Date(createdAt).toISOString(),
+    record: JSON.stringify(record)
+  };
+};
+
+// Column values for a path row (all but position)
+const pathColumns = (characterPath: CharacterPath) => {
+  const { id, mapId, createdAt, ...record } = characterPath;
+  return {
+    id,
+    mapId,
+    createdAt: new Date(createdAt).toISOString(),
+    record: JSON.stringify(record)
+  };
+};
+
+/**
+ * Embedded SQLite storage (a single file under backend/data). Every write
+ * runs in a transaction, so a failure part-way leaves the data untouched.
+ */
+export class SqliteSelectionStore implements SelectionStore {
+  readonly backend = 'sqlite';
+
+  private db: Database.Database;
+  private candidates = new CandidateFile();
+
+  constructor(file = DATABASE_FILE) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  close(): void {
+    this.db.close();
+  }
+
+  private nextPosition(table: 'selections' | 'hotspots' | 'paths'): number {
+    const row = this.db.prepare(`SELECT MAX(position) AS last FROM ${table}`).get() as { last: number | null };
+    return (row.last ?? 0) + 1;
+  }
+
+  private insertSelection(selection: Selection): void {
+    this.db.prepare(
+      'INSERT INTO selections (id, map_id, position, created_at, points) VALUES (?, ?, ?, ?, ?)'
+    ).run(
+      selection.id,
+      selection.mapId || DEFAULT_MAP_ID,
+      this.nextPosition('selections'),
+      new Date(selection.createdAt).toISOString(),
+      JSON.stringify(selection.points)
+    );
+  }
+
+  private insertHotspot(hotspot: Hotspot): void {
+    const row = hotspotColumns(hotspot);
+    this.db.prepare(
+      'INSERT INTO hotspots (id, map_id, position, created_at, record) VALUES (?, ?, ?, ?, ?)'
+    ).run(row.id, row.mapId, this.nextPosition('hotspots'), row.createdAt, row.record);
+  }
+
+  private insertPath(characterPath: CharacterPath): void {
+    const row = pathColumns(characterPath);
+    this.db.prepare(
+      'INSERT INTO paths (id, map_id, position, created_at, record) VALUES (?, ?, ?, ?, ?)'
+    ).run(row.id, row.mapId, this.nextPosition('paths'), row.createdAt, row.record);
+  }
+
+  private writePlacement(placement: CharacterPlacement): void {
+    this.db.prepare(
+      'INSERT OR REPLACE INTO placements (map_id, character_id, x, y, updated_at) VALUES (?, ?, ?, ?, ?)'
+    ).run(placement.mapId, placement.characterId, placement.x, placement.y, new Date(placement.updatedAt).toISOString());
+  }
+
+  private writeProgress(progress: ReaderProgress): void {
+    this.db.prepare(
+      'INSERT OR REPLACE INTO progress (reader_id, stories, updated_at) VALUES (?, ?, ?)'
+    ).run(progress.readerId, JSON.stringify(progress.stories), new Date(progress.updatedAt).toISOString());
+  }
+
+  public async getAllSelections(): Promise<Selection[]> {
+    const rows = this.db.prepare('SELECT * FROM selections ORDER BY position').all() as SelectionRow[];
+    return rows.map(toSelection);
+  }
+
+  public async getSelectionsByMap(mapId: string): Promise<Selection[]> {
+    const rows = this.db
+      .prepare('SELECT * FROM selections WHERE map_id = ? ORDER BY position')
+      .all(mapId) as SelectionRow[];
+    return rows.map(toSelection);
+  }
+
+  public async saveSelection(selection: Omit<Selection, 'id' | 'createdAt'>): Promise<Selection> {
+    const newSelection: Selection = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...selection
+    };
+    this.db.transaction(() => this.insertSelection(newSelection))();
+    return newSelection;
+  }
+
+  public async deleteSelection(id: string): Promise<boolean> {
+    return this.db.prepare('DELETE FROM selections WHERE id = ?').run(id).changes > 0;
+  }
+
+  public async clearAllSelections(): Promise<void> {
+    this.db.prepare('DELETE FROM selections').run();
+  }
+
+  public async clearSelectionsByMap(mapId: string): Promise<number> {
+    return this.db.prepare('DELETE FROM selections WHERE map_id = ?').run(mapId).changes;
+  }
+
+  public async restoreSelections(mapId: string, records: Selection[]): Promise<number> {
+    const remove = this.db.prepare('DELETE FROM selections WHERE id = ?');
+    this.db.transaction(() => {
+      for (const record of records) {
+        remove.run(record.id);
+        this.insertSelection({ ...record, mapId });
+      }
+    })();
+    return records.length;
+  }
+
+  public async getAllHotspots(): Promise<Hotspot[]> {
+    const rows = this.db.prepare('SELECT * FROM hotspots ORDER BY position').all() as HotspotRow[];
+    return rows.map(toHotspot);
+  }
+
+  public async getHotspotsByMap(mapId: string): Promise<Hotspot[]> {
+    const rows = this.db
+      .prepare('SELECT * FROM hotspots WHERE map_id = ? ORDER BY position')
+      .all(mapId) as HotspotRow[];
+    return rows.map(toHotspot);
+  }
+
+  public async saveHotspot(hotspot: Omit<Hotspot, 'id' | 'createdAt'>): Promise<Hotspot> {
+    const newHotspot: Hotspot = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...hotspot
+    };
+    this.db.transaction(() => this.insertHotspot(newHotspot))();
+    return newHotspot;
+  }
+
+  public async updateHotspot(id: string, updates: Partial<Hotspot>): Promise<boolean> {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT * FROM hotspots WHERE id = ?').get(id) as HotspotRow | undefined;
+      if (!row) return false;
+
+      // The id and position stay put; everything else may change
+      const updated = hotspotColumns({ ...toHotspot(row), ...updates, id });
+      this.db.prepare(
+        'UPDATE hotspots SET map_id = ?, created_at = ?, record = ? WHERE id = ?'
+      ).run(updated.mapId, updated.createdAt, updated.record, id);
+      return true;
+    })();
+  }
+
+  public async deleteHotspot(id: string): Promise<boolean> {
+    return this.db.prepare('DELETE FROM hotspots WHERE id = ?').run(id).changes > 0;
+  }
+
+  public async restoreHotspots(mapId: string, records: Hotspot[]): Promise<number> {
+    const remove = this.db.prepare('DELETE FROM hotspots WHERE id = ?');
+    this.db.transaction(() => {
+      for (const record of records) {
+        remove.run(record.id);
+        this.insertHotspot({ ...record, mapId });
+      }
+    })();
+    return records.length;
+  }
+
+  public async reorderHotspots(mapId: string, ids: string[]): Promise<void> {
+    this.db.transaction(() => {
+      const rows = this.db
+        .prepare('SELECT id, position FROM hotspots WHERE map_id = ? ORDER BY position')
+        .all(mapId) as Pick<HotspotRow, 'id' | 'position'>[];
+      const rank = (id: string) => {
+        const index = ids.indexOf(id);
+        return index === -1 ? ids.length : index;
+      };
+      // Reuse the map's existing position slots so other maps aren't disturbed
+      const slots = rows.map(r => r.position);
+      const ordered = [...rows].sort((a, b) => rank(a.id) - rank(b.id));
+      const setPosition = this.db.prepare('UPDATE hotspots SET position = ? WHERE id = ?');
+      ordered.forEach((row, i) => setPosition.run(slots[i], row.id));
+    })();
+  }
+
+  public async clearAllHotspots(): Promise<void> {
+    this.db.prepare('DELETE FROM hotspots').run();
+  }
+
+  public async clearHotspotsByMap(mapId: string): Promise<number> {
+    return this.db.prepare('DELETE FROM hotspots WHERE map_id = ?').run(mapId).changes;
+  }
+
+  public async getPlacementsByMap(mapId: string): Promise<CharacterPlacement[]> {
+    const rows = this.db.prepare('SELECT * FROM placements WHERE map_id = ?').all(mapId) as PlacementRow[];
+    return rows.map(toPlacement);
+  }
+
+  public async savePlacement(mapId: string, characterId: string, position: Point): Promise<CharacterPlacement> {
+    const placement: CharacterPlacement = { characterId, mapId, x: position.x, y: position.y, updatedAt: new Date() };
+    this.writePlacement(placement);
+    return placement;
+  }
+
+  public async deletePlacement(mapId: string, characterId: string): Promise<boolean> {
+    return this.db
+      .prepare('DELETE FROM placements WHERE map_id = ? AND character_id = ?')
+      .run(mapId, characterId).changes > 0;
+  }
+
+  public async getPathsByMap(mapId: string): Promise<CharacterPath[]> {
+    const rows = this.db
+      .prepare('SELECT * FROM paths WHERE map_id = ? ORDER BY position')
+      .all(mapId) as PathRow[];
+    return rows.map(toPath);
+  }
+
+  public async savePath(characterPath: Omit<CharacterPath, 'id' | 'createdAt'>): Promise<CharacterPath> {
+    const newPath: CharacterPath = {
+      id: randomUUID(),
+      createdAt: new Date(),
+      ...characterPath
+    };
+    this.db.transaction(() => this.insertPath(newPath))();
+    return newPath;
+  }
+
+  public async updatePath(id: string, updates: Partial<CharacterPath>): Promise<boolean> {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT * FROM paths WHERE id = ?').get(id) as PathRow | undefined;
+      if (!row) return false;
+
+      const updated = pathColumns({ ...toPath(row), ...updates, id });
+      this.db.prepare(
+        'UPDATE paths SET map_id = ?, created_at = ?, record = ? WHERE id = ?'
+      ).run(updated.mapId, updated.createdAt, updated.record, id);
+      return true;
+    })();
+  }
+
+  public async deletePath(id: string): Promise<boolean> {
+    return this.db.prepare('DELETE FROM paths WHERE id = ?').run(id).changes > 0;
+  }
+
+  public async replaceMapAnnotations(mapId: string, records: MapAnnotations): Promise<void> {
+    this.db.transaction(() => {
+      for (const table of ['hotspots', 'paths', 'placements']) {
+        this.db.prepare(`DELETE FROM ${table} WHERE map_id = ?`).run(mapId);
+      }
+      records.hotspots.forEach(h => this.insertHotspot({ ...h, mapId }));
+      records.paths.forEach(p => this.insertPath({ ...p, mapId }));
+      records.placements.forEach(p => this.writePlacement({ ...p, mapId }));
+    })();
+  }
+
+  public async getProgress(readerId: string): Promise<ReaderProgress | null> {
+    const row = this.db.prepare('SELECT * FROM progress WHERE reader_id = ?').get(readerId) as ProgressRow | undefined;
+    return row ? toProgress(row) : null;
+  }
+
+  public async saveProgress(readerId: string, stories: Record<string, StoryProgress>): Promise<ReaderProgress> {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT * FROM progress WHERE reader_id = ?').get(readerId) as ProgressRow | undefined;
+      const saved: ReaderProgress = {
+        readerId,
+        stories: { ...(row ? toProgress(row).stories : {}), ...stories },
+        updatedAt: new Date()
+      };
+      this.writeProgress(saved);
+      return saved;
+    })();
+  }
+
+  public async countRecords(): Promise<number> {
+    const row = this.db.prepare(
+      'SELECT (SELECT COUNT(*) FROM selections) + (SELECT COUNT(*) FROM hotspots) + (SELECT COUNT(*) FROM placements) + (SELECT COUNT(*) FROM paths) + (SELECT COUNT(*) FROM progress) AS total'
+    ).get() as { total: number };
+    return row.total;
+  }
+
+  /**
+   * Bulk-load records keeping their ids, dates and order (used by the JSON
+   * import migration). With `replace`, existing rows are dropped first.
+   */
+  public importRecords(
+    records: {
+      selections: Selection[];
+      hotspots: Hotspot[];
+      placements: CharacterPlacement[];
+      paths: CharacterPath[];
+      progress: ReaderProgress[];
+    },
+    replace = false
+  ): void {
+    this.db.transaction(() => {
+      if (replace) {
+        this.db.prepare('DELETE FROM selections').run();
+        this.db.prepare('DELETE FROM hotspots').run();
+        this.db.prepare('DELETE FROM placements').run();
+        this.db.prepare('DELETE FROM paths').run();
+        this.db.prepare('DELETE FROM progress').run();
+      }
+      records.selections.forEach(s => this.insertSelection(s));
+      records.hotspots.forEach(h => this.insertHotspot(h));
+      records.placements.forEach(p => this.writePlacement(p));
+      records.paths.forEach(p => this.insertPath(p));
+      records.progress.forEach(p => this.writeProgress(p));
+    })();
+  }
+
+  public async getCandidatesByMap(mapId: string): Promise<Hotspot[]> {
+    return this.candidates.byMap(mapId);
+  }
+
+  public async updateCandidate(id: string, updates: Partial<Hotspot>): Promise<boolean> {
+    return this.candidates.update(id, updates);
+  }
+
+  public async deleteCandidate(id: string): Promise<boolean> {
+    return this.candidates.delete(id);
+  }
+
+  public async clearCandidatesByMap(mapId: string): Promise<number> {
+    return this.candidates.clearMap(mapId);
+  }
+
+  public async replaceCandidates(mapId: string, records: Hotspot[]): Promise<number> {
+    return this.candidates.replaceMap(mapId, records);
+  }
+}
@@ -7,9 +7,16 @@ export interface Selection {
   id: string;
   points: Point[];
   createdAt: Date;
-  mapId?: string; // For future multi-map support
+  mapId?: string; // Missing on records saved before maps were scoped
 }
 
+// What happens when a reader clicks a hotspot in the story player
+export type HotspotAction =
+  | { type: 'reveal-clue'; clueId: string }
+  | { type: 'open-scene'; sceneId: string }
+  | { type: 'show-character'; characterId: string }
+  | { type: 'next-chapter' };
+
 export interface Hotspot {
   id: string;
   x: number;
@@ -20,6 +27,46 @@ export interface Hotspot {
   description?: string;
   lassoSelectionId?: string;
   points?: Point[];
+  action?: HotspotAction | null; // null clears a previously set action
   createdAt: Date;
   mapId?: string;
-}
\ No newline at end of file
+}
+// One reader's place in one story
+export interface StoryProgress {
+  discoveredHotspots: string[]; // Hotspot ids the reader has coloured in
+  foundClues: string[];
+  chapterId?: string;
+  sceneId?: string;
+  updatedAt: string; // Set by the reader's device, so offline changes can be ordered
+}
+
+export interface ReaderProgress {
+  readerId: string;
+  stories: Record<string, StoryProgress>; // Keyed by story bundle id
+  updatedAt: Date;
+}
+
+// Where an author dragged a character's sticker on a map
+export interface CharacterPlacement {
+  characterId: string;
+  mapId: string;
+  x: number; // 0–1 of the map image width, like hotspot points
+  y: number;
+  updatedAt: Date;
+}
+
+// How a character speeds up and slows down along its path
+export type PathEasing = 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out';
+
+// A route a character's sticker follows when a scene plays
+export interface CharacterPath {
+  id: string;
+  mapId: string;
+  characterId: string;
+  sceneId?: string | null; // Scene that plays the path; null for none yet
+  points: Point[]; // 0–1 image coordinates, in travel order
+  curve: boolean; // Smooth curve through the points rather than straight segments
+  speed: number; // Map widths per second
+  easing: PathEasing;
+  createdAt: Date;
+}
@@ -0,0 +1,111 @@
+/**
+ * Checks on hotspot, path and placement records, shared by the API routes and
+ * bundle imports. Each *Error function returns a message describing what's
+ * wrong, or null if the record is fine.
+ */
+import { Point, HotspotAction, CharacterPath, PathEasing } from './types';
+import { isNormalizedPoints } from './geometry';
+
+export const isValidPoints = (points: unknown): points is Point[] =>
+  Array.isArray(points) && points.every((p: unknown) =>
+    typeof p === 'object' && p !== null &&
+    typeof (p as Point).x === 'number' &&
+    typeof (p as Point).y === 'number'
+  );
+
+export const isValidHotspotBody = (body: Record<string, unknown>) =>
+  typeof body.x === 'number' && typeof body.y === 'number' &&
+  typeof body.width === 'number' && typeof body.height === 'number';
+
+const NOT_NORMALIZED_ERROR = 'Points must be normalized image coordinates (0–1)';
+
+// Returns an error message for a points payload, or null if it's fine (or absent)
+export const pointsError = (points: unknown, required = false): string | null => {
+  if (points === undefined && !required) return null;
+  if (!points || !Array.isArray(points)) return 'Invalid points data';
+  if (!isValidPoints(points)) return 'Invalid point structure';
+  if (!isNormalizedPoints(points)) return NOT_NORMALIZED_ERROR;
+  return null;
+};
+
+// Each action type and the field naming its target in the story bundle
+const ACTION_TARGETS: Record<HotspotAction['type'], string | null> = {
+  'reveal-clue': 'clueId',
+  'open-scene': 'sceneId',
+  'show-character': 'characterId',
+  'next-chapter': null
+};
+
+// Returns an error message for an action payload, or null if it's fine (or absent/cleared)
+export const actionError = (action: unknown): string | null => {
+  if (action === undefined || action === null) return null;
+  if (typeof action !== 'object') return 'Invalid action';
+
+  const { type } = action as { type?: unknown };
+  if (typeof type !== 'string' || !(type in ACTION_TARGETS)) {
+    return `Unknown action type (expected ${Object.keys(ACTION_TARGETS).join(', ')})`;
+  }
+  const target = ACTION_TARGETS[type as HotspotAction['type']];
+  if (target && typeof (action as Record<string, unknown>)[target] !== 'string') {
+    return `${type} actions need a ${target}`;
+  }
+  return null;
+};
+
+const PATH_EASINGS: PathEasing[] = ['linear', 'ease-in', 'ease-out', 'ease-in-out'];
+
+// Returns an error message for a character path payload, or null if it's fine.
+// With `partial`, only the fields present are checked (updates).
+export const pathError = (body: Partial<CharacterPath>, partial = false): string | null => {
+  if ((!partial || body.characterId !== undefined) &&
+      (typeof body.characterId !== 'string' || body.characterId === '')) {
+    return 'characterId is required';
+  }
+  if (body.sceneId !== undefined && body.sceneId !== null && typeof body.sceneId !== 'string') {
+    return 'sceneId must be a scene id or null';
+  }
+  const invalidPoints = pointsError(body.points, !partial);
+  if (invalidPoints) return invalidPoints;
+  if (body.points && body.points.length < 2) return 'A path needs at least 2 points';
+  if (body.curve !== undefined && typeof body.curve !== 'boolean') return 'curve must be true or false';
+  if (body.speed !== undefined && !(typeof body.speed === 'number' && body.speed > 0)) {
+    return 'speed must be a positive number';
+  }
+  if (body.easing !== undefined && !PATH_EASINGS.includes(body.easing)) {
+    return `easing must be one of ${PATH_EASINGS.join(', ')}`;
+  }
+  return null;
+};
+
+// Defaults for path fields the client leaves out
+export const DEFAULT_PATH_SPEED = 0.25;
+export const DEFAULT_PATH_EASING: PathEasing = 'ease-in-out';
+
+export const isValidRecordList = (records: unknown): records is { id: string }[] =>
+  Array.isArray(records) && records.every(r =>
+    typeof r === 'object' && r !== null && typeof (r as { id?: unknown }).id === 'string'
+  );
+
+// Returns an error message for a record's saved date, or null if it's fine (or absent)
+const createdAtError = (createdAt: unknown): string | null => {
+  if (createdAt === undefined) return null;
+  if ((typeof createdAt !== 'string' && typeof createdAt !== 'number') || Number.isNaN(new Date(createdAt).getTime())) {
+    return 'createdAt must be a date';
+  }
+  return null;
+};
+
+// Returns an error message for a whole hotspot record (as restored or
+// imported), or null if it's fine
+export const hotspotError = (hotspot: Record<string, unknown>): string | null => {
+  if (!isValidHotspotBody(hotspot)) return 'Invalid hotspot dimensions';
+  return pointsError(hotspot.points) || actionError(hotspot.action) || createdAtError(hotspot.createdAt);
+};
+
+// Returns an error message for a character placement record, or null if it's fine
+export const placementError = (placement: Record<string, unknown>): string | null => {
+  if (typeof placement.characterId !== 'string' || placement.characterId === '') {
+    return 'characterId is required';
+  }
+  return pointsError([{ x: placement.x, y: placement.y }], true);
+};
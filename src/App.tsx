@@ -1,121 +1,321 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import InteractiveMap from './components/InteractiveMap';
-import CharacterIcon from './components/CharacterIcon';
 import EditToolbar from './components/EditToolbar';
 import ConfigHighlights from './components/ConfigHighlights';
 import StoryPanel from './components/StoryPanel';
 import RightEditPanel from './components/RightEditPanel';
-import { selectionAPI } from './services/api';
+import StoryEventCard, { type StoryEvent } from './components/StoryEventCard';
+import AudioControls from './components/AudioControls';
+import { useStoryBundle } from './hooks/useStoryBundle';
+import { useHotspots } from './hooks/useHotspots';
+import { useCandidates } from './hooks/useCandidates';
+import { useStoryPlayback } from './hooks/useStoryPlayback';
+import { useReaderProgress } from './hooks/useReaderProgress';
+import { usePlacements } from './hooks/usePlacements';
+import { useCharacterPaths } from './hooks/useCharacterPaths';
+import { usePathAnimation } from './hooks/usePathAnimation';
+import { useStoryAudio } from './hooks/useAudio';
+import { useAnnotationSource, usePublishedAnnotations, type AnnotationSource } from './hooks/usePublishedAnnotations';
+import type { PathOptions } from './components/CharacterPathList';
+import { selectionAPI, type CharacterPath, type Hotspot } from './services/api';
+import { UI_SOUND_IDS, type ResolvedCharacter } from './services/bundles';
+import { audioManager } from './services/audio';
+import { boundsPercent, DEFAULT_LASSO_CLEANUP, type Point } from './utils/geometry';
+import { DEFAULT_PATH_SPEED } from './utils/characterPaths';
+
+const DEFAULT_STORY_BUNDLE = 'gingerbread.bundle';
+
+// Chaikin passes applied to a lasso when "Smooth edges" is on
+const LASSO_SMOOTHING_PASSES = 2;
+
+// Width of the story player column in play mode
+const STORY_PANEL_WIDTH = 320;
+
+// Pick the story with ?story=<bundle id>, e.g. ?story=gingerbread.bundle;
+// ?mode=play opens the reader instead of the editor; ?source=bundle reads the
+// annotations published in the bundle (read-only) even when the backend is up
+const searchParams = new URLSearchParams(window.location.search);
+const storyBundleId = searchParams.get('story') || DEFAULT_STORY_BUNDLE;
+const initialMode = searchParams.get('mode') === 'play' ? 'play' : 'edit';
+const sourceParam = searchParams.get('source');
+const preferredSource: AnnotationSource | null =
+  sourceParam === 'bundle' || sourceParam === 'backend' ? sourceParam : null;
 
 function App() {
+  const { bundle, error: bundleError } = useStoryBundle(storyBundleId);
+  // Without the backend the story is read from its published annotations
+  const annotationSource = useAnnotationSource(preferredSource);
+  const readOnly = annotationSource === 'bundle';
+  const mapId = annotationSource === 'backend' ? bundle?.map.id : undefined;
+  const published = usePublishedAnnotations(readOnly ? bundle : null);
   const [activeTool, setActiveTool] = useState<string | null>(null);
   const [hoveredHotspot, setHoveredHotspot] = useState<string | null>(null);
-  const lassoRef = useRef<{ clearAllSelections: () => void }>(null);
+  const {
+    hotspots,
+    createHotspot,
+    updateHotspot,
+    deleteHotspot,
+    moveHotspot,
+    clearMap,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel
+  } = useHotspots(mapId);
 
-  const handleClearAllSelections = async () => {
-    if (window.confirm('Are you sure you want to delete all saved selections? This cannot be undone.')) {
-      try {
-        await selectionAPI.clearAllSelections();
-        // Notify the LassoSelection component to refresh
-        if (lassoRef.current) {
-          lassoRef.current.clearAllSelections();
-        }
-        console.log('All selections cleared');
-      } catch (error) {
-        console.error('Error clearing selections:', error);
-        alert('Failed to clear selections. Please try again.');
+  const { candidates, renameCandidate, discardCandidate, discardAll } = useCandidates(mapId);
+  const { placements: savedPlacements, placeCharacter, resetCharacter } = usePlacements(mapId);
+  const { paths: savedPaths, createPath, updatePath, deletePath } = useCharacterPaths(mapId);
+  const mapHotspots = readOnly ? published.hotspots : hotspots;
+  const placements = readOnly ? published.placements : savedPlacements;
+  const paths = readOnly ? published.paths : savedPaths;
+
+  const [selectedMode, setMode] = useState<'edit' | 'play'>(initialMode);
+  const mode = readOnly ? 'play' : selectedMode;
+  const playback = useStoryPlayback(bundle);
+  const reader = useReaderProgress(bundle?.id);
+  useStoryAudio(bundle, mode === 'play');
+
+  // Pick up where the reader left off, once both the story and their progress are in
+  const [resumed, setResumed] = useState(false);
+  const { goToScene, stepCount, step } = playback;
+  const savedSceneId = reader.progress.sceneId;
+  useEffect(() => {
+    if (resumed || !reader.loaded || stepCount === 0) return;
+    if (savedSceneId) goToScene(savedSceneId);
+    setResumed(true);
+  }, [resumed, reader.loaded, stepCount, savedSceneId, goToScene]);
+
+  const { setPosition } = reader;
+  useEffect(() => {
+    if (resumed && step) setPosition(step.chapter.id, step.scene.id);
+  }, [resumed, step, setPosition]);
+
+  // Options for the next path drawn; until the author changes them, the
+  // story's first character gets a curved path
+  const [pathDraft, setPathDraft] = useState<PathOptions | null>(null);
+  const firstCharacterId = bundle?.characters[0]?.id;
+  const newPathOptions: PathOptions | null = pathDraft ?? (firstCharacterId ? {
+    characterId: firstCharacterId,
+    sceneId: null,
+    curve: true,
+    speed: DEFAULT_PATH_SPEED,
+    easing: 'ease-in-out'
+  } : null);
+  const [hoveredPath, setHoveredPath] = useState<string | null>(null);
+  const [pathPreview, setPathPreview] = useState<{ paths: CharacterPath[]; key: number } | null>(null);
+
+  // Reading plays the current scene's paths; editing plays whichever one is previewed
+  const sceneId = step?.scene.id ?? null;
+  const walkingPaths = useMemo(
+    () => (mode === 'play' ? paths.filter(p => p.sceneId && p.sceneId === sceneId) : pathPreview?.paths ?? []),
+    [mode, paths, sceneId, pathPreview]
+  );
+  const walkingPositions = usePathAnimation(walkingPaths, mode === 'play' ? sceneId : pathPreview?.key ?? null);
+
+  const handlePathDrawn = async (points: Point[]) => {
+    if (!newPathOptions) return;
+    try {
+      await createPath({ ...newPathOptions, points });
+    } catch (error) {
+      console.error('Error saving path:', error);
+      alert('Failed to save the path. Please try again.');
+    }
+  };
+
+  const switchMode = (next: 'edit' | 'play') => {
+    setMode(next);
+    setPathPreview(null);
+    setActiveTool(null);
+    setEditingShapeId(null);
+    setStoryEvent(null);
+    // The edit panel remounts expanded
+    setIsPanelExpanded(true);
+  };
+
+  // Clue and character reveals triggered from the map
+  const [storyEvent, setStoryEvent] = useState<StoryEvent | null>(null);
+
+  const playClick = () => audioManager.playSound(bundle?.audio[UI_SOUND_IDS.click]);
+
+  const showCharacter = (character: ResolvedCharacter) => {
+    setStoryEvent({
+      title: character.name,
+      imageUrl: character.stickerUrl,
+      fallbackImageUrl: character.imageUrl,
+      description: character.description
+    });
+  };
+
+  const handleCharacterMove = async (characterId: string, position: Point) => {
+    try {
+      await placeCharacter(characterId, position);
+    } catch (error) {
+      console.error('Error saving character position:', error);
+      alert('Failed to save the character\'s position. Please try again.');
+    }
+  };
+
+  const handleCharacterReset = async (characterId: string) => {
+    try {
+      await resetCharacter(characterId);
+    } catch (error) {
+      console.error('Error resetting character position:', error);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!bundle) return;
+    try {
+      const result = await selectionAPI.publishBundle(bundle.id);
+      const summary = Object.entries(result.files)
+        .map(([kind, file]) => `${file.records} ${kind}`)
+        .join(', ');
+      alert(`Published ${summary} to ${result.bundleId}.`);
+    } catch (error) {
+      console.error('Error publishing annotations:', error);
+      alert(`Failed to publish: ${(error as Error).message}`);
+    }
+  };
+
+  const handleHotspotAction = (hotspot: Hotspot) => {
+    const { action } = hotspot;
+    if (!action || !bundle) return;
+    reader.markDiscovered(hotspot.id);
+    playClick();
+
+    switch (action.type) {
+      case 'reveal-clue': {
+        const clue = bundle.clues.find(c => c.id === action.clueId);
+        if (!clue) break;
+        reader.markClueFound(clue.id);
+        setStoryEvent({
+          title: clue.name,
+          imageUrl: clue.imageUrl,
+          outlineUrl: clue.outlineUrl,
+          description: clue.description
+        });
+        return;
+      }
+      case 'show-character': {
+        const character = bundle.characters.find(c => c.id === action.characterId);
+        if (!character) break;
+        showCharacter(character);
+        return;
       }
+      case 'open-scene':
+        playback.goToScene(action.sceneId);
+        return;
+      case 'next-chapter':
+        playback.nextChapter();
+        return;
     }
+    console.warn(`Hotspot "${hotspot.label}" points at something this story doesn't have:`, action);
   };
 
-  const [hotspots, setHotspots] = useState<any[]>([]);
+  // Arrow keys step through scenes while reading
+  useEffect(() => {
+    if (mode !== 'play' || storyEvent) return;
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'ArrowRight') playback.next();
+      if (e.key === 'ArrowLeft') playback.previous();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
-  // Load hotspots on component mount
+  // Accepting a detected region saves it as a regular (undoable) hotspot
+  const handleAcceptCandidate = async (candidate: Hotspot) => {
+    await createHotspot({
+      x: candidate.x,
+      y: candidate.y,
+      width: candidate.width,
+      height: candidate.height,
+      label: candidate.label,
+      description: candidate.description,
+      points: candidate.points
+    });
+    await discardCandidate(candidate.id);
+  };
+
+  // Clearing is undoable, so no confirmation prompt
+  const handleClearAllSelections = async () => {
+    try {
+      await clearMap();
+      console.log('All hotspots and selections cleared');
+    } catch (error) {
+      console.error('Error clearing selections:', error);
+      alert('Failed to clear selections. Please try again.');
+    }
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); Cmd on macOS. Text fields keep their own undo.
   useEffect(() => {
-    const loadHotspots = async () => {
-      try {
-        const savedHotspots = await selectionAPI.getAllHotspots();
-        setHotspots(savedHotspots);
-        console.log('Loaded', savedHotspots.length, 'saved hotspots');
-      } catch (error) {
-        console.error('Error loading hotspots:', error);
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (mode !== 'edit' || !(e.ctrlKey || e.metaKey)) return;
+      const target = e.target as HTMLElement | null;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
       }
     };
-    loadHotspots();
-  }, []);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   const handleHotspotCreated = async (newHotspot: any) => {
     try {
-      // Check if we're replacing an existing hotspot
-      const replacingHotspot = (window as any).replacingHotspot;
-      let hotspotData = {
+      const savedHotspot = await createHotspot({
         x: newHotspot.x,
         y: newHotspot.y,
         width: newHotspot.width,
         height: newHotspot.height,
-        label: replacingHotspot ? replacingHotspot.label : newHotspot.label,
-        description: replacingHotspot ? replacingHotspot.description : newHotspot.description,
+        label: newHotspot.label,
+        description: newHotspot.description,
         lassoSelectionId: newHotspot.lassoSelectionId,
-        points: newHotspot.points,
-        mapId: newHotspot.mapId || 'default'
-      };
-      
-      // Save to backend
-      const savedHotspot = await selectionAPI.saveHotspot(hotspotData);
-      
-      // Update state with saved hotspot, preserving order if replacing
-      if (replacingHotspot && typeof replacingHotspot.originalIndex === 'number') {
-        // Insert the new hotspot at the original position
-        setHotspots(prev => {
-          const newHotspots = [...prev];
-          newHotspots.splice(replacingHotspot.originalIndex, 0, savedHotspot);
-          return newHotspots;
-        });
-        console.log('Hotspot replaced at original position:', replacingHotspot.originalIndex);
-      } else {
-        // Add new hotspot at the end
-        setHotspots(prev => [...prev, savedHotspot]);
-        console.log('New hotspot added:', savedHotspot);
-      }
-      
-      // Clear the replacement flag
-      if (replacingHotspot) {
-        delete (window as any).replacingHotspot;
-      }
-      
-      // Deactivate lasso tool after successful creation
-      setActiveTool('config-highlights');
-      
+        points: newHotspot.points
+      });
+      console.log('New hotspot added:', savedHotspot);
     } catch (error) {
       console.error('Error saving hotspot:', error);
-      // Still add to local state if save fails
-      setHotspots(prev => [...prev, newHotspot]);
-      // Still deactivate lasso tool even if save fails
-      setActiveTool('config-highlights');
     }
+    // Deactivate lasso tool after creation, even if the save failed
+    setActiveTool('config-highlights');
   };
 
-  const characters = [
-    {
-      id: 'guard',
-      x: 30,
-      y: 55,
-      name: 'City Guard',
-      description: 'A vigilant guard watching over the city streets',
-      emoji: '💂'
-    },
-    {
-      id: 'merchant',
-      x: 60,
-      y: 45,
-      name: 'Traveling Merchant',
-      description: 'A merchant with rare and mysterious goods',
-      emoji: '🧙'
+  // Lasso paths are always simplified; smoothing is opt-in
+  const [smoothLasso, setSmoothLasso] = useState(false);
+  const lassoCleanup = useMemo(
+    () => ({ ...DEFAULT_LASSO_CLEANUP, smoothing: smoothLasso ? LASSO_SMOOTHING_PASSES : 0 }),
+    [smoothLasso]
+  );
+
+  // Vertex editing of an existing hotspot's polygon
+  const [editingShapeId, setEditingShapeId] = useState<string | null>(null);
+
+  const handleHotspotShapeChange = async (id: string, points: Point[]) => {
+    try {
+      await updateHotspot(id, { points, ...boundsPercent(points) }, 'Reshape');
+      console.log('Hotspot shape updated:', id);
+    } catch (error) {
+      console.error('Error updating hotspot shape:', error);
     }
-  ];
+  };
 
   const [isPanelExpanded, setIsPanelExpanded] = useState(true);
-  
+  const panelWidth = mode === 'play' ? STORY_PANEL_WIDTH : isPanelExpanded ? 256 : 8;
+
+  const sceneText = playback.narration
+    ?? (playback.narrationError ? 'Narration text is unavailable for this chapter.' : '');
+
   return (
     <div className="h-screen w-screen bg-gray-900 flex overflow-hidden">
       <div 
@@ -124,48 +324,169 @@ function App() {
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center',
-          marginRight: isPanelExpanded ? '256px' : '8px',
+          marginRight: `${panelWidth}px`,
           transition: 'margin-right 0.3s'
         }}
       >
-        <InteractiveMap
-          mapImage="/cityMap.png"
-          mapAlt="A fantasy city map with various locations to explore"
-          hotspots={hotspots}
+        {bundle ? (
+          <InteractiveMap
+            mapImage={bundle.map.image}
+            coloredMapImage={bundle.map.coloredImage}
+            outlineMapImage={bundle.map.outlineImage}
+            mapId={bundle.map.id}
+            mapAlt={`Map for ${bundle.manifest.name}`}
+            hotspots={mapHotspots}
+            characters={bundle.characters}
+            activeTool={activeTool}
+            onHotspotCreated={handleHotspotCreated}
+            onHotspotHover={setHoveredHotspot}
+            hoveredHotspot={hoveredHotspot}
+            editingHotspotId={editingShapeId}
+            onHotspotShapeChange={handleHotspotShapeChange}
+            lassoCleanup={lassoCleanup}
+            candidates={candidates}
+            onHotspotActivate={mode === 'play' ? handleHotspotAction : undefined}
+            discoveredHotspots={mode === 'play' ? reader.progress.discoveredHotspots : undefined}
+            placements={placements}
+            onCharacterMove={mode === 'edit' ? handleCharacterMove : undefined}
+            onCharacterReset={mode === 'edit' ? handleCharacterReset : undefined}
+            onCharacterClick={mode === 'play' ? (character) => {
+              playClick();
+              showCharacter(character);
+            } : undefined}
+            characterPositions={walkingPositions}
+            paths={paths}
+            hoveredPath={hoveredPath}
+            drawCurvedPaths={newPathOptions?.curve}
+            onPathDrawn={mode === 'edit' ? handlePathDrawn : undefined}
+          />
+        ) : (
+          <p className="text-gray-400 text-sm">
+            {bundleError ? `Could not load story "${storyBundleId}": ${bundleError}` : 'Loading story…'}
+          </p>
+        )}
+      </div>
+
+      {readOnly ? (
+        <span
+          className="fixed top-2 left-2 z-50 px-3 py-1 rounded bg-gray-700 text-gray-300 text-sm"
+          title="Showing the annotations published in the story bundle"
+        >
+          Read-only
+        </span>
+      ) : (
+        <button
+          className="fixed top-2 left-2 z-50 px-3 py-1 rounded bg-gray-700 text-white text-sm hover:bg-gray-600"
+          onClick={() => switchMode(mode === 'edit' ? 'play' : 'edit')}
+        >
+          {mode === 'edit' ? '▶ Read story' : '✎ Edit map'}
+        </button>
+      )}
+
+      {storyEvent && (
+        <StoryEventCard
+          key={`${storyEvent.title}-${storyEvent.imageUrl}`}
+          event={storyEvent}
+          onClose={() => setStoryEvent(null)}
+        />
+      )}
+
+      {mode === 'play' ? (
+        <aside
+          className="fixed right-0 top-0 h-screen bg-gray-800 flex flex-col"
+          style={{ width: `${STORY_PANEL_WIDTH}px` }}
+        >
+          <AudioControls />
+          {step ? (
+            <StoryPanel
+              isVisible
+              title={step.scene.title}
+              content={sceneText}
+              chapterTitle={step.chapter.title}
+              imageUrl={step.scene.imageUrl}
+              audioUrl={step.scene.audioUrl}
+              progress={`${playback.stepIndex + 1} / ${playback.stepCount}`}
+              chapters={playback.chapters}
+              currentChapterId={step.chapter.id}
+              onSelectChapter={playback.goToChapter}
+              onNext={playback.next}
+              onPrevious={playback.previous}
+              hasNext={playback.hasNext}
+              hasPrevious={playback.hasPrevious}
+              cluesFound={bundle && bundle.clues.length > 0 ? {
+                found: bundle.clues.filter(c => reader.progress.foundClues.includes(c.id)).length,
+                total: bundle.clues.length
+              } : undefined}
+            />
+          ) : (
+            <p className="m-4 text-gray-400 text-sm">
+              {bundle ? 'This story has no chapters yet.' : 'Loading story…'}
+            </p>
+          )}
+        </aside>
+      ) : (
+        <RightEditPanel
           activeTool={activeTool}
-          onHotspotCreated={handleHotspotCreated}
+          onToolSelect={setActiveTool}
+          onClearSelections={handleClearAllSelections}
+          onExpandChange={setIsPanelExpanded}
+          hotspots={hotspots}
+          onHotspotUpdate={async (id: string, updates: Partial<Hotspot>) => {
+            try {
+              await updateHotspot(id, updates);
+              console.log('Hotspot updated:', id);
+            } catch (error) {
+              console.error('Error updating hotspot:', error);
+            }
+          }}
+          onHotspotDelete={async (id: string) => {
+            try {
+              await deleteHotspot(id);
+              if (editingShapeId === id) setEditingShapeId(null);
+              console.log('Hotspot deleted:', id);
+            } catch (error) {
+              console.error('Error deleting hotspot:', error);
+            }
+          }}
+          onHotspotMove={async (id: string, offset: number) => {
+            try {
+              await moveHotspot(id, offset);
+            } catch (error) {
+              console.error('Error reordering hotspots:', error);
+            }
+          }}
+          onUndo={undo}
+          onRedo={redo}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          undoLabel={undoLabel}
+          redoLabel={redoLabel}
           onHotspotHover={setHoveredHotspot}
           hoveredHotspot={hoveredHotspot}
+          editingShapeId={editingShapeId}
+          onEditShape={setEditingShapeId}
+          smoothLasso={smoothLasso}
+          onSmoothLassoChange={setSmoothLasso}
+          candidates={candidates}
+          onAcceptCandidate={handleAcceptCandidate}
+          onRenameCandidate={renameCandidate}
+          onDiscardCandidate={discardCandidate}
+          onDiscardAllCandidates={discardAll}
+          bundle={bundle}
+          paths={paths}
+          pathDraft={newPathOptions}
+          onPathDraftChange={setPathDraft}
+          onPathUpdate={updatePath}
+          onPathDelete={async (id: string) => {
+            await deletePath(id);
+            if (pathPreview?.paths.some(p => p.id === id)) setPathPreview(null);
+          }}
+          onPathPreview={(path) => setPathPreview({ paths: [path], key: Date.now() })}
+          onPathHover={setHoveredPath}
+          hoveredPath={hoveredPath}
+          onPublish={mapId ? handlePublish : undefined}
         />
-      </div>
-      
-      <RightEditPanel
-        activeTool={activeTool}
-        onToolSelect={setActiveTool}
-        onClearSelections={handleClearAllSelections}
-        onExpandChange={setIsPanelExpanded}
-        hotspots={hotspots}
-        onHotspotsChange={setHotspots}
-        onHotspotUpdate={async (id: string, updates: any) => {
-          try {
-            await selectionAPI.updateHotspot(id, updates);
-            console.log('Hotspot updated:', id);
-          } catch (error) {
-            console.error('Error updating hotspot:', error);
-          }
-        }}
-        onHotspotDelete={async (id: string) => {
-          try {
-            await selectionAPI.deleteHotspot(id);
-            setHotspots(prev => prev.filter(h => h.id !== id));
-            console.log('Hotspot deleted:', id);
-          } catch (error) {
-            console.error('Error deleting hotspot:', error);
-          }
-        }}
-        onHotspotHover={setHoveredHotspot}
-        hoveredHotspot={hoveredHotspot}
-      />
+      )}
     </div>
   );
 }
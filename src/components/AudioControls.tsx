@@ -0,0 +1,39 @@
+import React from 'react';
+import { audioManager } from '../services/audio';
+import { useAudioState } from '../hooks/useAudio';
+
+/**
+ * Mute button and volume slider for every sound in the reader.
+ */
+const AudioControls: React.FC = () => {
+  const { muted, volume, blocked } = useAudioState();
+
+  return (
+    <div className="mx-4 mt-4 flex items-center gap-2 text-gray-300">
+      <button
+        className="px-2 py-1 rounded bg-gray-600 text-white text-sm hover:bg-gray-500"
+        onClick={() => audioManager.setMuted(!muted)}
+        aria-label={muted ? 'Unmute sound' : 'Mute sound'}
+        aria-pressed={muted}
+      >
+        {muted ? '🔇' : '🔊'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={volume}
+        onChange={(e) => audioManager.setVolume(Number(e.target.value))}
+        disabled={muted}
+        className="flex-1"
+        aria-label="Volume"
+      />
+      {blocked && !muted && (
+        <span className="text-xs text-gray-400">Click anywhere for sound</span>
+      )}
+    </div>
+  );
+};
+
+export default AudioControls;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import type { Hotspot } from '../services/api';
+
+interface CandidateListProps {
+  candidates: Hotspot[];
+  onAccept: (candidate: Hotspot) => Promise<void>;
+  onRename: (id: string, label: string) => Promise<void>;
+  onDiscard: (id: string) => Promise<void>;
+  onDiscardAll: () => Promise<void>;
+  onHover?: (id: string | null) => void;
+  hoveredId?: string | null;
+}
+
+const smallButton = (backgroundColor: string): React.CSSProperties => ({
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  padding: '4px 8px',
+  borderRadius: '4px',
+  fontSize: '10px',
+  cursor: 'pointer'
+});
+
+/**
+ * Review list for auto-detected hotspots: accept, rename or discard each one.
+ */
+const CandidateList: React.FC<CandidateListProps> = ({
+  candidates,
+  onAccept,
+  onRename,
+  onDiscard,
+  onDiscardAll,
+  onHover,
+  hoveredId
+}) => {
+  const [renaming, setRenaming] = useState<{ id: string; label: string } | null>(null);
+
+  const run = async (action: () => Promise<void>, what: string) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Error ${what}:`, error);
+    }
+  };
+
+  const saveRename = async () => {
+    if (!renaming || !renaming.label.trim()) return;
+    await run(() => onRename(renaming.id, renaming.label.trim()), 'renaming candidate');
+    setRenaming(null);
+  };
+
+  return (
+    <div style={{ marginBottom: '16px', maxHeight: '240px', overflowY: 'auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ color: 'white', fontSize: '14px', margin: 0 }}>Detected ({candidates.length})</h4>
+        <button onClick={() => run(onDiscardAll, 'discarding candidates')} style={smallButton('#6b7280')}>
+          Discard All
+        </button>
+      </div>
+
+      {candidates.map(candidate => (
+        <div
+          key={candidate.id}
+          style={{
+            backgroundColor: hoveredId === candidate.id ? '#c2410c' : '#4c1d95',
+            border: '1px dashed #f97316',
+            padding: '8px',
+            borderRadius: '6px',
+            marginBottom: '8px',
+            transition: 'background-color 0.2s'
+          }}
+          onMouseEnter={() => onHover?.(candidate.id)}
+          onMouseLeave={() => onHover?.(null)}
+        >
+          {renaming?.id === candidate.id ? (
+            <input
+              type="text"
+              autoFocus
+              value={renaming.label}
+              onChange={(e) => setRenaming({ ...renaming, label: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') saveRename();
+                if (e.key === 'Escape') setRenaming(null);
+              }}
+              onBlur={saveRename}
+              style={{
+                width: '100%',
+                padding: '4px',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '12px'
+              }}
+            />
+          ) : (
+            <div style={{ color: 'white', fontSize: '12px', fontWeight: 'bold' }}>{candidate.label}</div>
+          )}
+          <div style={{ color: '#fdba74', fontSize: '10px', marginTop: '4px' }}>{candidate.description}</div>
+          <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+            <button onClick={() => run(() => onAccept(candidate), 'accepting candidate')} style={smallButton('#16a34a')}>
+              Accept
+            </button>
+            <button onClick={() => setRenaming({ id: candidate.id, label: candidate.label })} style={smallButton('#3b82f6')}>
+              Rename
+            </button>
+            <button onClick={() => run(() => onDiscard(candidate.id), 'discarding candidate')} style={smallButton('#dc2626')}>
+              Discard
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CandidateList;
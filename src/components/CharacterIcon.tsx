@@ -1,4 +1,9 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { clientToNormalized, type Point } from '../utils/geometry';
+import DerivedImage from './DerivedImage';
+
+// Pointer travel, in screen pixels, before a press becomes a drag
+const DRAG_THRESHOLD_PX = 4;
 
 interface CharacterIconProps {
   id: string;
@@ -7,7 +12,17 @@ interface CharacterIconProps {
   name: string;
   description: string;
   emoji?: string;
+  imageUrl?: string;
+  fallbackImageUrl?: string;
   onClick?: () => void;
+  // Authoring: drag the sticker to a new normalized position on the map
+  containerRef?: React.RefObject<HTMLDivElement | null>;
+  onMove?: (position: Point) => void;
+  onReset?: () => void;
+  // Waiting in the tray for a position on this map
+  unplaced?: boolean;
+  // Walking a path: follow every frame without easing behind
+  moving?: boolean;
 }
 
 const CharacterIcon: React.FC<CharacterIconProps> = ({
@@ -17,14 +32,70 @@ const CharacterIcon: React.FC<CharacterIconProps> = ({
   name,
   description,
   emoji = '👤',
-  onClick
+  imageUrl,
+  fallbackImageUrl,
+  onClick,
+  containerRef,
+  onMove,
+  onReset,
+  unplaced = false,
+  moving = false
 }) => {
+  // Derived stickers may not be built yet, so fall back to the source image
+  const [src, setSrc] = useState(imageUrl);
+  const [dragPosition, setDragPosition] = useState<Point | null>(null);
+  const press = useRef<{ clientX: number; clientY: number; dragging: boolean } | null>(null);
+  // The click that ends a drag shouldn't also open the character
+  const suppressClick = useRef(false);
+  const draggable = Boolean(onMove && containerRef);
+
   const handleKeyDown = (event: React.KeyboardEvent) => {
     if (event.key === 'Enter' || event.key === ' ') {
       event.preventDefault();
+      onClick?.();
+    }
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLButtonElement>) => {
+    if (!draggable || event.button !== 0) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    press.current = { clientX: event.clientX, clientY: event.clientY, dragging: false };
+  };
+
+  const handlePointerMove = (event: React.PointerEvent) => {
+    const current = press.current;
+    const container = containerRef?.current;
+    if (!current || !container) return;
+    if (!current.dragging &&
+        Math.hypot(event.clientX - current.clientX, event.clientY - current.clientY) < DRAG_THRESHOLD_PX) {
+      return;
     }
+    current.dragging = true;
+    setDragPosition(clientToNormalized(event.clientX, event.clientY, container.getBoundingClientRect()));
   };
 
+  const handlePointerUp = () => {
+    const current = press.current;
+    press.current = null;
+    if (current?.dragging && dragPosition) {
+      suppressClick.current = true;
+      onMove?.(dragPosition);
+    }
+    setDragPosition(null);
+  };
+
+  const handleClick = (event: React.MouseEvent) => {
+    event.preventDefault();
+    if (suppressClick.current) {
+      suppressClick.current = false;
+      return;
+    }
+    onClick?.();
+  };
+
+  const left = dragPosition ? dragPosition.x * 100 : x;
+  const top = dragPosition ? dragPosition.y * 100 : y;
+
   return (
     <button
       className={`
@@ -34,20 +105,46 @@ const CharacterIcon: React.FC<CharacterIconProps> = ({
         transition-all duration-200
         hover:scale-110 hover:shadow-xl hover:ring-4 hover:ring-purple-400 hover:ring-opacity-60
         focus:outline-none focus:ring-4 focus:ring-yellow-400 focus:ring-opacity-80 focus:scale-110
-        cursor-pointer z-20
+        ${draggable ? (dragPosition ? 'cursor-grabbing scale-110' : 'cursor-grab') : 'cursor-pointer'} z-20
       `}
       style={{
-        left: `${x}%`,
-        top: `${y}%`,
+        left: `${left}%`,
+        top: `${top}%`,
+        opacity: unplaced && !dragPosition ? 0.6 : 1,
+        touchAction: draggable ? 'none' : undefined,
+        transition: moving || dragPosition ? 'none' : undefined
+      }}
+      onClick={handleClick}
+      onDoubleClick={onReset}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => {
+        press.current = null;
+        setDragPosition(null);
       }}
-      onClick={(e) => e.preventDefault()}
       onKeyDown={handleKeyDown}
+      title={draggable ? `${name}: drag to place${onReset ? ', double-click to reset' : ''}` : name}
       aria-label={`Character: ${name}`}
       aria-describedby={`character-desc-${id}`}
       role="button"
       tabIndex={0}
     >
-      <span aria-hidden="true">{emoji}</span>
+      {src ? (
+        <DerivedImage
+          src={src}
+          className="w-full h-full object-contain"
+          onError={() => {
+            if (fallbackImageUrl && src !== fallbackImageUrl) {
+              setSrc(fallbackImageUrl);
+            } else {
+              setSrc(undefined);
+            }
+          }}
+        />
+      ) : (
+        <span aria-hidden="true">{emoji}</span>
+      )}
       <span className="sr-only">{name}</span>
       <div 
         id={`character-desc-${id}`} 
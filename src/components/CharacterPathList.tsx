@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import type { CharacterPath, CharacterPathDraft, PathEasing } from '../services/api';
+import type { ResolvedBundle } from '../services/bundles';
+import { MAX_PATH_SPEED, MIN_PATH_SPEED, PATH_EASINGS } from '../utils/characterPaths';
+
+// Everything about a path except its points
+export type PathOptions = Omit<CharacterPathDraft, 'points'>;
+
+interface CharacterPathListProps {
+  paths: CharacterPath[];
+  bundle: ResolvedBundle | null;
+  // Options for the next path drawn on the map
+  draft: PathOptions;
+  onDraftChange: (draft: PathOptions) => void;
+  onUpdate: (id: string, updates: PathOptions) => Promise<void>;
+  onDelete: (id: string) => Promise<void>;
+  onPreview: (path: CharacterPath) => void;
+  onHover?: (id: string | null) => void;
+  hoveredId?: string | null;
+}
+
+const smallButton = (backgroundColor: string): React.CSSProperties => ({
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  padding: '4px 8px',
+  borderRadius: '4px',
+  fontSize: '10px',
+  cursor: 'pointer'
+});
+
+const fieldStyle: React.CSSProperties = {
+  width: '100%',
+  padding: '4px',
+  marginBottom: '8px',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const labelStyle: React.CSSProperties = {
+  color: '#e9d5ff',
+  fontSize: '10px',
+  display: 'block',
+  marginBottom: '2px'
+};
+
+const PathOptionsFields: React.FC<{
+  options: PathOptions;
+  bundle: ResolvedBundle | null;
+  onChange: (options: PathOptions) => void;
+}> = ({ options, bundle, onChange }) => (
+  <div>
+    <label style={labelStyle}>Character</label>
+    <select
+      value={options.characterId}
+      onChange={(e) => onChange({ ...options, characterId: e.target.value })}
+      style={fieldStyle}
+    >
+      {bundle?.characters.map(c => (
+        <option key={c.id} value={c.id}>{c.name}</option>
+      ))}
+    </select>
+
+    <label style={labelStyle}>Plays during</label>
+    <select
+      value={options.sceneId ?? ''}
+      onChange={(e) => onChange({ ...options, sceneId: e.target.value || null })}
+      style={fieldStyle}
+    >
+      <option value="">No scene (preview only)</option>
+      {Object.values(bundle?.scenes ?? {}).map(scene => (
+        <option key={scene.id} value={scene.id}>{scene.title}</option>
+      ))}
+    </select>
+
+    <label style={labelStyle}>Speed</label>
+    <input
+      type="range"
+      min={MIN_PATH_SPEED}
+      max={MAX_PATH_SPEED}
+      step={0.05}
+      value={options.speed}
+      onChange={(e) => onChange({ ...options, speed: Number(e.target.value) })}
+      style={{ width: '100%', marginBottom: '8px' }}
+    />
+
+    <label style={labelStyle}>Pace</label>
+    <select
+      value={options.easing}
+      onChange={(e) => onChange({ ...options, easing: e.target.value as PathEasing })}
+      style={fieldStyle}
+    >
+      {PATH_EASINGS.map(e => (
+        <option key={e.id} value={e.id}>{e.label}</option>
+      ))}
+    </select>
+
+    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'white', fontSize: '12px', marginBottom: '8px' }}>
+      <input
+        type="checkbox"
+        checked={options.curve}
+        onChange={(e) => onChange({ ...options, curve: e.target.checked })}
+      />
+      Smooth curve
+    </label>
+  </div>
+);
+
+/**
+ * Character movement paths on this map: options for the next one drawn, and
+ * the saved ones to preview, edit or delete.
+ */
+const CharacterPathList: React.FC<CharacterPathListProps> = ({
+  paths,
+  bundle,
+  draft,
+  onDraftChange,
+  onUpdate,
+  onDelete,
+  onPreview,
+  onHover,
+  hoveredId
+}) => {
+  const [editing, setEditing] = useState<{ id: string; options: PathOptions } | null>(null);
+
+  const run = async (action: () => Promise<void>, what: string) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Error ${what}:`, error);
+    }
+  };
+
+  const saveEdit = async () => {
+    if (!editing) return;
+    await run(() => onUpdate(editing.id, editing.options), 'updating path');
+    setEditing(null);
+  };
+
+  const characterName = (id: string) => bundle?.characters.find(c => c.id === id)?.name ?? id;
+  const sceneTitle = (id: string | null | undefined) => (id ? bundle?.scenes[id]?.title ?? id : 'No scene');
+
+  return (
+    <div style={{ marginBottom: '16px', maxHeight: '480px', overflowY: 'auto' }}>
+      <h4 style={{ color: 'white', fontSize: '14px', margin: '0 0 8px' }}>New path</h4>
+      <PathOptionsFields options={draft} bundle={bundle} onChange={onDraftChange} />
+      <p style={{ color: '#e9d5ff', fontSize: '10px', margin: '0 0 16px' }}>
+        Click the map to add points in the order the character travels. Double-click or press Enter to finish.
+      </p>
+
+      <h4 style={{ color: 'white', fontSize: '14px', margin: '0 0 8px' }}>Paths ({paths.length})</h4>
+      {paths.length === 0 && (
+        <p style={{ color: '#a855f7', fontSize: '12px', fontStyle: 'italic' }}>
+          No paths yet.
+        </p>
+      )}
+      {paths.map(path => (
+        <div
+          key={path.id}
+          style={{
+            backgroundColor: hoveredId === path.id ? '#c2410c' : '#581c87',
+            padding: '8px',
+            borderRadius: '6px',
+            marginBottom: '8px',
+            transition: 'background-color 0.2s'
+          }}
+          onMouseEnter={() => onHover?.(path.id)}
+          onMouseLeave={() => onHover?.(null)}
+        >
+          {editing?.id === path.id ? (
+            <div>
+              <PathOptionsFields
+                options={editing.options}
+                bundle={bundle}
+                onChange={(options) => setEditing({ ...editing, options })}
+              />
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button onClick={saveEdit} style={smallButton('#16a34a')}>Save</button>
+                <button onClick={() => setEditing(null)} style={smallButton('#6b7280')}>Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <div>
+              <div style={{ color: 'white', fontSize: '12px', fontWeight: 'bold' }}>
+                {characterName(path.characterId)}
+              </div>
+              <div style={{ color: '#a855f7', fontSize: '10px', marginTop: '4px' }}>
+                {sceneTitle(path.sceneId)} · {path.points.length} points{path.curve ? ', curved' : ''}
+              </div>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+                <button onClick={() => onPreview(path)} style={smallButton('#f97316')} title="Play this path on the map">
+                  ▶ Preview
+                </button>
+                <button
+                  onClick={() => setEditing({
+                    id: path.id,
+                    options: {
+                      characterId: path.characterId,
+                      sceneId: path.sceneId ?? null,
+                      curve: path.curve,
+                      speed: path.speed,
+                      easing: path.easing
+                    }
+                  })}
+                  style={smallButton('#3b82f6')}
+                >
+                  Edit
+                </button>
+                <button onClick={() => run(() => onDelete(path.id), 'deleting path')} style={smallButton('#dc2626')}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CharacterPathList;
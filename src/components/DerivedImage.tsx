@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DERIVED_SVG_ID } from '../services/bundles';
+
+interface DerivedImageProps {
+  src: string;
+  className?: string;
+  style?: React.CSSProperties;
+  onError?: () => void;
+}
+
+const isSvg = (url: string) => /\.svg([?#]|$)/i.test(url);
+
+/**
+ * A decorative sticker or outline image. SVGs from bundles with
+ * derivedFormat "svg" are drawn through <use> rather than <img>, so they stay
+ * sharp when the map zooms and pick up --sticker-border-color,
+ * --sticker-border-width, --outline-color and --outline-width from the page.
+ * Referencing the file (never inlining it) keeps a bundle's SVG from running
+ * script in the app.
+ */
+const DerivedImage: React.FC<DerivedImageProps> = ({ src, className, style, onError }) => {
+  const [size, setSize] = useState<{ src: string; width: number; height: number } | null>(null);
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  useEffect(() => {
+    if (!isSvg(src)) return;
+    // <use> doesn't report a missing file, so load it as an image first;
+    // that also gives the size for the viewBox
+    let cancelled = false;
+    const probe = new Image();
+    probe.onload = () => {
+      if (!cancelled) setSize({ src, width: probe.naturalWidth, height: probe.naturalHeight });
+    };
+    probe.onerror = () => {
+      if (!cancelled) onErrorRef.current?.();
+    };
+    probe.src = src;
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  if (!isSvg(src)) {
+    return (
+      <img
+        src={src}
+        alt=""
+        aria-hidden="true"
+        draggable={false}
+        className={className}
+        style={style}
+        onError={onError}
+      />
+    );
+  }
+
+  if (size?.src !== src) return null;
+
+  return (
+    <svg
+      viewBox={`0 0 ${size.width} ${size.height}`}
+      overflow="visible"
+      aria-hidden="true"
+      className={className}
+      style={style}
+    >
+      <use href={`${src}#${DERIVED_SVG_ID}`} width={size.width} height={size.height} />
+    </svg>
+  );
+};
+
+export default DerivedImage;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import type { HotspotAction } from '../services/api';
+import type { ResolvedBundle } from '../services/bundles';
+import {
+  HOTSPOT_ACTIONS,
+  actionOptions,
+  actionTargetId,
+  buildAction,
+  type HotspotActionType
+} from '../utils/hotspotActions';
+
+interface HotspotActionEditorProps {
+  action: HotspotAction | null | undefined;
+  bundle: ResolvedBundle | null;
+  onChange: (action: HotspotAction | null) => void;
+}
+
+const selectStyle: React.CSSProperties = {
+  width: '100%',
+  padding: '4px',
+  marginBottom: '8px',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+/**
+ * Picks what a hotspot does when a reader clicks it: the action type, then
+ * the clue, scene or character it points at.
+ */
+const HotspotActionEditor: React.FC<HotspotActionEditorProps> = ({ action, bundle, onChange }) => {
+  // Kept separately so a type whose target list is empty stays selected
+  const [type, setType] = useState<HotspotActionType | ''>(action?.type ?? '');
+  const options = type ? actionOptions(bundle, type) : [];
+  const needsTarget = HOTSPOT_ACTIONS.find(a => a.type === type)?.target != null;
+
+  const handleTypeChange = (next: HotspotActionType | '') => {
+    setType(next);
+    onChange(next ? buildAction(next, actionOptions(bundle, next)[0]?.id ?? null) : null);
+  };
+
+  return (
+    <div>
+      <label style={{ color: '#e9d5ff', fontSize: '10px', display: 'block', marginBottom: '2px' }}>
+        When clicked
+      </label>
+      <select
+        value={type}
+        onChange={(e) => handleTypeChange(e.target.value as HotspotActionType | '')}
+        style={selectStyle}
+      >
+        <option value="">Nothing</option>
+        {HOTSPOT_ACTIONS.map(a => (
+          <option key={a.type} value={a.type}>{a.label}</option>
+        ))}
+      </select>
+
+      {type && needsTarget && (
+        options.length > 0 ? (
+          <select
+            value={(action && actionTargetId(action)) ?? ''}
+            onChange={(e) => onChange(buildAction(type, e.target.value))}
+            style={selectStyle}
+          >
+            {options.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        ) : (
+          <p style={{ color: '#fca5a5', fontSize: '10px', margin: '0 0 8px' }}>
+            This story has nothing to pick for this action
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default HotspotActionEditor;
@@ -1,42 +1,87 @@
 import React, { useState, useRef, useEffect } from 'react';
 import LassoSelection from './LassoSelection';
 import LayeredMapImage from './LayeredMapImage';
-
-interface Hotspot {
-  id: string;
-  x: number;
-  y: number;
-  width: number;
-  height: number;
-  label: string;
-  description: string;
-}
+import CharacterIcon from './CharacterIcon';
+import PolygonEditor from './PolygonEditor';
+import ShapeSelection from './ShapeSelection';
+import PathDrawing from './PathDrawing';
+import type { ResolvedCharacter } from '../services/bundles';
+import type { CharacterPath, Hotspot } from '../services/api';
+import { isSelectionTool } from '../utils/selectionTools';
+import { routePoints } from '../utils/characterPaths';
+import { clipPathFromBounds, clipPathPolygon, svgPathData, type LassoCleanupOptions, type Point } from '../utils/geometry';
 
 interface InteractiveMapProps {
+  mapId: string;
   mapImage: string;
   mapAlt: string;
   hotspots: Hotspot[];
-  coloredMapImage?: string;
+  coloredMapImage: string;
+  outlineMapImage: string;
+  characters?: ResolvedCharacter[];
   activeTool?: string | null;
   onHotspotCreated?: (hotspot: any) => void;
   onHotspotHover?: (hotspotId: string | null) => void;
   hoveredHotspot?: string | null;
+  editingHotspotId?: string | null;
+  onHotspotShapeChange?: (hotspotId: string, points: Point[]) => void;
+  lassoCleanup?: LassoCleanupOptions;
+  candidates?: Hotspot[];
+  // Story player: hotspots with an action become clickable
+  onHotspotActivate?: (hotspot: Hotspot) => void;
+  // Hotspots the reader has found, drawn coloured in
+  discoveredHotspots?: string[];
+  // Saved character positions on this map, by character id
+  placements?: Record<string, Point>;
+  // Authoring: characters can be dragged; unplaced ones wait in a tray
+  onCharacterMove?: (characterId: string, position: Point) => void;
+  onCharacterReset?: (characterId: string) => void;
+  onCharacterClick?: (character: ResolvedCharacter) => void;
+  // Where characters walking a path are right now; these win over placements
+  characterPositions?: Record<string, Point>;
+  // Path tool: saved paths drawn as routes, and the next one drawn by clicking
+  paths?: CharacterPath[];
+  hoveredPath?: string | null;
+  drawCurvedPaths?: boolean;
+  onPathDrawn?: (points: Point[]) => void;
 }
 
+// Where characters without a position wait while authoring, down the left edge
+const trayPosition = (index: number): Point => ({ x: 0.04, y: 0.06 + index * 0.08 });
+
 const InteractiveMap: React.FC<InteractiveMapProps> = ({ 
+  mapId,
   mapImage, 
   mapAlt, 
   hotspots, 
-  coloredMapImage = '/cityMapColored.png',
+  coloredMapImage,
+  outlineMapImage,
+  characters = [],
   activeTool,
   onHotspotCreated,
   onHotspotHover,
-  hoveredHotspot
+  hoveredHotspot,
+  editingHotspotId,
+  onHotspotShapeChange,
+  lassoCleanup,
+  candidates = [],
+  onHotspotActivate,
+  discoveredHotspots = [],
+  placements = {},
+  onCharacterMove,
+  onCharacterReset,
+  onCharacterClick,
+  characterPositions = {},
+  paths = [],
+  hoveredPath,
+  drawCurvedPaths = false,
+  onPathDrawn
 }) => {
-  const [hotspotStates, setHotspotStates] = useState<Map<string, 'none' | 'colored' | 'glimmer'>>(new Map());
   const [imageDimensions, setImageDimensions] = useState({ width: 0, height: 0 });
   const imgRef = useRef<HTMLImageElement>(null);
   const containerRef = useRef<HTMLDivElement>(null);
+  // Dragging characters would fight the selection tools
+  const charactersDraggable = Boolean(onCharacterMove) && (!activeTool || activeTool === 'config-highlights');
 
   useEffect(() => {
     const updateDimensions = () => {
@@ -54,31 +99,7 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
   }, []);
 
   const handleHotspotClick = (hotspot: Hotspot) => {
-    setHotspotStates(prev => {
-      const newMap = new Map(prev);
-      const currentState = newMap.get(hotspot.id) || 'none';
-      
-      // Cycle through states: none → colored → glimmer → none
-      let nextState: 'none' | 'colored' | 'glimmer';
-      switch (currentState) {
-        case 'none':
-          nextState = 'colored';
-          break;
-        case 'colored':
-          nextState = 'glimmer';
-          break;
-        case 'glimmer':
-          nextState = 'none';
-          break;
-        default:
-          nextState = 'colored';
-      }
-      
-      console.log(`Hotspot ${hotspot.id}: ${currentState} → ${nextState}`);
-      newMap.set(hotspot.id, nextState);
-      
-      return newMap;
-    });
+    onHotspotActivate?.(hotspot);
   };
 
   const handleKeyDown = (event: React.KeyboardEvent, hotspot: Hotspot) => {
@@ -88,6 +109,20 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
     }
   };
 
+  const editingHotspot = editingHotspotId ? hotspots.find(h => h.id === editingHotspotId) : undefined;
+
+  // Rectangle-only hotspots get their bounds as a starting polygon
+  const editingPoints: Point[] | null = editingHotspot
+    ? editingHotspot.points && editingHotspot.points.length >= 3
+      ? editingHotspot.points
+      : [
+          { x: editingHotspot.x / 100, y: editingHotspot.y / 100 },
+          { x: (editingHotspot.x + editingHotspot.width) / 100, y: editingHotspot.y / 100 },
+          { x: (editingHotspot.x + editingHotspot.width) / 100, y: (editingHotspot.y + editingHotspot.height) / 100 },
+          { x: editingHotspot.x / 100, y: (editingHotspot.y + editingHotspot.height) / 100 }
+        ]
+    : null;
+
   const handleLassoComplete = (points: { x: number; y: number }[]) => {
     console.log('Lasso selection completed with points:', points);
     // Here you can add logic to determine what's inside the selection
@@ -95,14 +130,14 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
 
 
   return (
-    <div className={`w-full h-full flex items-center justify-center ${activeTool === 'lasso' ? 'cursor-crosshair' : ''}`}>
+    <div className={`w-full h-full flex items-center justify-center ${isSelectionTool(activeTool) ? 'cursor-crosshair' : ''}`}>
       <div ref={containerRef} className="relative inline-block">
         
         {/* Layered map images */}
         <LayeredMapImage
           whiteMapImage={mapImage}
           coloredMapImage={coloredMapImage}
-          outlineMapImage="/cityMap-outline.png"
+          outlineMapImage={outlineMapImage}
           mapAlt={mapAlt}
           onLoad={(dimensions) => {
             setImageDimensions(dimensions);
@@ -112,29 +147,16 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
         
         {/* Overlay sections - colored and glimmer */}
         {hotspots.map((hotspot) => {
-          const state = hotspotStates.get(hotspot.id) || 'none';
-          
-          if (state !== 'none') {
-            console.log(`Rendering hotspot ${hotspot.id} in ${state} state`);
-          }
-          
-          // Always render hotspots regardless of state
-          // if (state === 'none') return null;
+          // Discovered hotspots stay coloured in; undiscovered ones glimmer while hovered
+          const state = discoveredHotspots.includes(hotspot.id)
+            ? 'colored'
+            : onHotspotActivate && hotspot.action && hoveredHotspot === hotspot.id ? 'glimmer' : 'none';
+          if (state === 'none') return null;
           
           // Create clipPath from lasso points if available, otherwise fallback to rectangle
-          let clipPathValue = '';
-          if (hotspot.points && hotspot.points.length > 0 && containerRef.current) {
-            // Convert pixel coordinates to percentages for clipPath using container dimensions
-            const containerWidth = containerRef.current.offsetWidth;
-            const containerHeight = containerRef.current.offsetHeight;
-            const polygonPoints = hotspot.points.map(point => 
-              `${(point.x / containerWidth) * 100}% ${(point.y / containerHeight) * 100}%`
-            ).join(', ');
-            clipPathValue = `polygon(${polygonPoints})`;
-          } else {
-            // Fallback to rectangle if no points available
-            clipPathValue = `polygon(${hotspot.x}% ${hotspot.y}%, ${hotspot.x + hotspot.width}% ${hotspot.y}%, ${hotspot.x + hotspot.width}% ${hotspot.y + hotspot.height}%, ${hotspot.x}% ${hotspot.y + hotspot.height}%)`;
-          }
+          const clipPathValue = hotspot.points && hotspot.points.length > 0
+            ? clipPathPolygon(hotspot.points)
+            : clipPathFromBounds(hotspot);
           
           return (
             <div
@@ -183,8 +205,10 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
         })}
 
         {/* Config Highlights - Show hotspot outlines when config tool is active */}
-        {(activeTool === 'config-highlights' || activeTool === 'lasso') && imageDimensions.width > 0 && (
+        {(activeTool === 'config-highlights' || isSelectionTool(activeTool)) && imageDimensions.width > 0 && (
           <svg
+            viewBox="0 0 1 1"
+            preserveAspectRatio="none"
             style={{
               position: 'absolute',
               top: 0,
@@ -198,9 +222,7 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
             {hotspots.map((hotspot) => {
               if (!hotspot.points || hotspot.points.length === 0) return null;
               
-              const pathData = hotspot.points.map((point, index) => 
-                `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`
-              ).join(' ') + ' Z';
+              const pathData = svgPathData(hotspot.points);
               
               const isHovered = hoveredHotspot === hotspot.id;
               
@@ -212,6 +234,7 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
                   stroke={isHovered ? "#22c55e" : "#3b82f6"}
                   strokeWidth="2"
                   strokeDasharray="5,5"
+                  vectorEffect="non-scaling-stroke"
                   opacity="0.8"
                   style={{ cursor: 'pointer', pointerEvents: 'auto' }}
                   onMouseEnter={(e) => {
@@ -225,18 +248,159 @@ const InteractiveMap: React.FC<InteractiveMapProps> = ({
                 />
               );
             })}
+
+            {/* Detected candidates awaiting review */}
+            {activeTool === 'config-highlights' && candidates.map((candidate) => (
+              candidate.points && candidate.points.length > 0 && (
+                <path
+                  key={candidate.id}
+                  d={svgPathData(candidate.points)}
+                  fill={hoveredHotspot === candidate.id ? 'rgba(249, 115, 22, 0.3)' : 'rgba(249, 115, 22, 0.08)'}
+                  stroke="#f97316"
+                  strokeWidth={hoveredHotspot === candidate.id ? 2 : 1}
+                  strokeDasharray="3,3"
+                  vectorEffect="non-scaling-stroke"
+                  style={{ cursor: 'pointer', pointerEvents: 'auto' }}
+                  onMouseEnter={() => onHotspotHover?.(candidate.id)}
+                  onMouseLeave={() => onHotspotHover?.(null)}
+                />
+              )
+            ))}
           </svg>
         )}
 
+        {/* Story player: click a hotspot to trigger its action */}
+        {onHotspotActivate && !activeTool && imageDimensions.width > 0 && (
+          <svg
+            viewBox="0 0 1 1"
+            preserveAspectRatio="none"
+            style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              width: imageDimensions.width,
+              height: imageDimensions.height,
+              zIndex: 20,
+              pointerEvents: 'none'
+            }}
+          >
+            {hotspots.filter(hotspot => hotspot.action).map((hotspot) => {
+              const shapeProps = {
+                fill: 'transparent',
+                role: 'button',
+                tabIndex: 0,
+                'aria-label': hotspot.label,
+                style: { cursor: 'pointer', pointerEvents: 'auto' as const, outline: 'none' },
+                onClick: () => handleHotspotClick(hotspot),
+                onKeyDown: (e: React.KeyboardEvent) => handleKeyDown(e, hotspot),
+                onMouseEnter: () => onHotspotHover?.(hotspot.id),
+                onMouseLeave: () => onHotspotHover?.(null)
+              };
+              return hotspot.points && hotspot.points.length > 0 ? (
+                <path key={hotspot.id} d={svgPathData(hotspot.points)} {...shapeProps} />
+              ) : (
+                <rect
+                  key={hotspot.id}
+                  x={hotspot.x / 100}
+                  y={hotspot.y / 100}
+                  width={hotspot.width / 100}
+                  height={hotspot.height / 100}
+                  {...shapeProps}
+                />
+              );
+            })}
+          </svg>
+        )}
+
+        {/* Characters: saved placements first, then the bundle's default position */}
+        {imageDimensions.width > 0 && (() => {
+          let trayIndex = 0;
+          return characters.map(character => {
+            const walking = characterPositions[character.id];
+            const placed = walking ?? placements[character.id] ?? character.position;
+            if (!placed && !onCharacterMove) return null;
+            const position = placed ?? trayPosition(trayIndex++);
+            return (
+              <CharacterIcon
+                key={character.id}
+                id={character.id}
+                x={position.x * 100}
+                y={position.y * 100}
+                name={character.name}
+                description={character.description || ''}
+                imageUrl={character.stickerUrl}
+                fallbackImageUrl={character.imageUrl}
+                unplaced={!placed}
+                moving={Boolean(walking)}
+                containerRef={charactersDraggable ? containerRef : undefined}
+                onMove={charactersDraggable ? (point) => onCharacterMove?.(character.id, point) : undefined}
+                onReset={charactersDraggable && placements[character.id] ? () => onCharacterReset?.(character.id) : undefined}
+                onClick={onCharacterClick ? () => onCharacterClick(character) : undefined}
+              />
+            );
+          });
+        })()}
+
+        {/* Saved character paths, with a dot where each one starts */}
+        {activeTool === 'paths' && imageDimensions.width > 0 && (
+          <svg
+            viewBox="0 0 1 1"
+            preserveAspectRatio="none"
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', zIndex: 25, pointerEvents: 'none' }}
+          >
+            {paths.map(path => (
+              <g key={path.id} opacity={hoveredPath && hoveredPath !== path.id ? 0.4 : 1}>
+                <path
+                  d={svgPathData(routePoints(path), false)}
+                  fill="none"
+                  stroke={hoveredPath === path.id ? '#22c55e' : '#f97316'}
+                  strokeWidth="3"
+                  vectorEffect="non-scaling-stroke"
+                />
+                <circle cx={path.points[0].x} cy={path.points[0].y} r="0.006" fill="#22c55e" />
+              </g>
+            ))}
+          </svg>
+        )}
+
+        {activeTool === 'paths' && onPathDrawn && imageDimensions.width > 0 && (
+          <PathDrawing containerRef={containerRef} curve={drawCurvedPaths} onComplete={onPathDrawn} />
+        )}
+
+        {/* Vertex editor for the hotspot being reshaped */}
+        {editingHotspot && editingPoints && imageDimensions.width > 0 && (
+          <PolygonEditor
+            key={editingHotspot.id}
+            points={editingPoints}
+            containerRef={containerRef}
+            onCommit={(points) => onHotspotShapeChange?.(editingHotspot.id, points)}
+          />
+        )}
+
         {/* Lasso Selection Tool - positioned on top layer - only active when explicitly requested */}
         {activeTool === 'lasso' && (
           <div style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: 100, pointerEvents: 'auto' }}>
             <LassoSelection
               isActive={true}
+              mapId={mapId}
               containerRef={containerRef}
               onSelectionComplete={handleLassoComplete}
               onHotspotCreated={onHotspotCreated}
               hotspots={hotspots}
+              cleanup={lassoCleanup}
+            />
+          </div>
+        )}
+
+        {/* Polygon, rectangle, ellipse and magic wand tools */}
+        {isSelectionTool(activeTool) && activeTool !== 'lasso' && (
+          <div style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: 100, pointerEvents: 'auto' }}>
+            <ShapeSelection
+              tool={activeTool}
+              mapId={mapId}
+              containerRef={containerRef}
+              outlineImage={outlineMapImage}
+              onHotspotCreated={onHotspotCreated}
             />
           </div>
         )}
@@ -1,46 +1,36 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { selectionAPI } from '../services/api';
-
-interface Point {
-  x: number;
-  y: number;
-}
-
-interface Selection {
-  id: string;
-  points: Point[];
-  createdAt: string;
-  mapId?: string;
-}
-
-interface Hotspot {
-  id: string;
-  x: number;
-  y: number;
-  width: number;
-  height: number;
-  label: string;
-  description?: string;
-  lassoSelectionId?: string;
-  points?: Point[];
-  createdAt: string;
-  mapId?: string;
-}
+import { selectionAPI, type Hotspot } from '../services/api';
+import {
+  cleanLassoPath,
+  clientToNormalized,
+  svgPathData,
+  DEFAULT_LASSO_CLEANUP,
+  type LassoCleanupOptions,
+  type Point
+} from '../utils/geometry';
+import { buildHotspotDraft } from '../utils/selectionTools';
+
+// Minimum pointer travel, in screen pixels, before another vertex is recorded
+const MIN_POINT_DISTANCE_PX = 3;
 
 interface LassoSelectionProps {
   isActive: boolean;
-  containerRef: React.RefObject<HTMLDivElement>;
+  mapId: string;
+  containerRef: React.RefObject<HTMLDivElement | null>;
   onSelectionComplete?: (points: Point[]) => void;
   onHotspotCreated?: (hotspot: any) => void;
   hotspots?: Hotspot[];
+  cleanup?: LassoCleanupOptions;
 }
 
 const LassoSelection: React.FC<LassoSelectionProps> = ({ 
   isActive, 
+  mapId,
   containerRef,
   onSelectionComplete,
   onHotspotCreated,
-  hotspots = []
+  hotspots = [],
+  cleanup = DEFAULT_LASSO_CLEANUP
 }) => {
   const [isDrawing, setIsDrawing] = useState(false);
   const [points, setPoints] = useState<Point[]>([]);
@@ -48,35 +38,6 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
   const [error, setError] = useState<string | null>(null);
   const svgRef = useRef<SVGSVGElement>(null);
 
-  const calculateBounds = (points: Point[]) => {
-    if (points.length === 0) return { x: 0, y: 0, width: 10, height: 10 };
-    
-    const containerWidth = containerRef.current?.offsetWidth || 800;
-    const containerHeight = containerRef.current?.offsetHeight || 600;
-    
-    const xs = points.map(p => p.x);
-    const ys = points.map(p => p.y);
-    
-    const minX = Math.min(...xs);
-    const maxX = Math.max(...xs);
-    const minY = Math.min(...ys);
-    const maxY = Math.max(...ys);
-    
-    // Convert pixel coordinates to percentages
-    const x = (minX / containerWidth) * 100;
-    const y = (minY / containerHeight) * 100;
-    const width = ((maxX - minX) / containerWidth) * 100;
-    const height = ((maxY - minY) / containerHeight) * 100;
-    
-    return {
-      x: Math.max(0, Math.min(100, x)),
-      y: Math.max(0, Math.min(100, y)),
-      width: Math.max(1, Math.min(100 - x, width)),
-      height: Math.max(1, Math.min(100 - y, height))
-    };
-  };
-
-
   useEffect(() => {
     if (!isActive) {
       setIsDrawing(false);
@@ -92,11 +53,7 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
     
     const handleMouseDown = (e: MouseEvent) => {
       e.preventDefault();
-      const rect = container.getBoundingClientRect();
-      const point = {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top
-      };
+      const point = clientToNormalized(e.clientX, e.clientY, container.getBoundingClientRect());
       console.log('Starting lasso at:', point);
       setIsDrawing(true);
       setPoints([point]);
@@ -107,22 +64,19 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
       if (!isDrawing) return;
       
       const rect = container.getBoundingClientRect();
-      const point = {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top
-      };
+      const point = clientToNormalized(e.clientX, e.clientY, rect);
       
       setCurrentPoint(point);
       
-      // Add point to path if moved enough distance
+      // Add point to path if moved enough distance on screen
       if (points.length > 0) {
         const lastPoint = points[points.length - 1];
         const distance = Math.sqrt(
-          Math.pow(point.x - lastPoint.x, 2) + 
-          Math.pow(point.y - lastPoint.y, 2)
+          Math.pow((point.x - lastPoint.x) * rect.width, 2) + 
+          Math.pow((point.y - lastPoint.y) * rect.height, 2)
         );
         
-        if (distance > 3) {
+        if (distance > MIN_POINT_DISTANCE_PX) {
           setPoints(prev => [...prev, point]);
         }
       }
@@ -131,28 +85,18 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
     const handleMouseUp = async () => {
       console.log('Ending lasso with', points.length, 'points');
       if (isDrawing && points.length > 2) {
-        const closedSelection = [...points, points[0]];
+        // Drop mouse jitter (and optionally smooth) before anything is saved
+        const closedSelection = cleanLassoPath([...points, points[0]], cleanup);
+        console.log('Simplified lasso from', points.length, 'to', closedSelection.length - 1, 'vertices');
         
         try {
           // Save selection to backend
-          const savedSelection = await selectionAPI.saveSelection(closedSelection);
+          const savedSelection = await selectionAPI.saveSelection(mapId, closedSelection);
           console.log('Selection saved with ID:', savedSelection.id);
           
           // Create a hotspot from the lasso selection
-          if (onHotspotCreated && containerRef.current) {
-            const bounds = calculateBounds(closedSelection);
-            const hotspot = {
-              id: `lasso-${savedSelection.id}`,
-              x: bounds.x,
-              y: bounds.y,
-              width: bounds.width,
-              height: bounds.height,
-              label: `Selection ${savedSelection.id}`,
-              description: `Lasso selection created on ${new Date().toLocaleDateString()}`,
-              lassoSelectionId: savedSelection.id,
-              points: closedSelection
-            };
-            onHotspotCreated(hotspot);
+          if (onHotspotCreated) {
+            onHotspotCreated(buildHotspotDraft(savedSelection.id, closedSelection, 'lasso'));
           }
           
           if (onSelectionComplete) {
@@ -178,22 +122,7 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
       document.removeEventListener('mousemove', handleMouseMove);
       document.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [isActive, isDrawing, points, containerRef, onSelectionComplete]);
-
-  const createPath = (pathPoints: Point[], isClosed: boolean = false) => {
-    if (pathPoints.length < 2) return '';
-    
-    let path = `M ${pathPoints[0].x} ${pathPoints[0].y}`;
-    for (let i = 1; i < pathPoints.length; i++) {
-      path += ` L ${pathPoints[i].x} ${pathPoints[i].y}`;
-    }
-    
-    if (isClosed) {
-      path += ' Z';
-    }
-    
-    return path;
-  };
+  }, [isActive, isDrawing, points, containerRef, onSelectionComplete, mapId, cleanup]);
 
   if (!isActive) return null;
 
@@ -216,20 +145,22 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
       <svg
         ref={svgRef}
         className="absolute inset-0 w-full h-full z-20 pointer-events-none"
-        viewBox={`0 0 ${containerRef.current?.offsetWidth || 800} ${containerRef.current?.offsetHeight || 600}`}
+        viewBox="0 0 1 1"
+        preserveAspectRatio="none"
       >
         {/* Hotspots with lasso paths */}
         {hotspots.filter(h => h.points && h.points.length > 0).map((hotspot) => (
           <g key={`hotspot-${hotspot.id}`}>
             <path
-              d={createPath(hotspot.points!, true)}
+              d={svgPathData(hotspot.points!)}
               fill="none"
               stroke="#3b82f6"
               strokeWidth="2"
               strokeDasharray="5,5"
+              vectorEffect="non-scaling-stroke"
             />
             <path
-              d={createPath(hotspot.points!, true)}
+              d={svgPathData(hotspot.points!)}
               fill="rgba(59, 130, 246, 0.1)"
               stroke="none"
             />
@@ -240,7 +171,7 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
         {isDrawing && points.length > 0 && (
           <>
             <path
-              d={createPath(
+              d={svgPathData(
                 currentPoint ? [...points, currentPoint] : points,
                 false
               )}
@@ -248,6 +179,7 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
               stroke="#3b82f6"
               strokeWidth="3"
               strokeDasharray="8,4"
+              vectorEffect="non-scaling-stroke"
             />
             
             {/* Preview closing line */}
@@ -260,6 +192,7 @@ const LassoSelection: React.FC<LassoSelectionProps> = ({
                 stroke="rgba(59, 130, 246, 0.6)"
                 strokeWidth="2"
                 strokeDasharray="4,4"
+                vectorEffect="non-scaling-stroke"
               />
             )}
           </>
@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
+import DerivedImage from './DerivedImage';
 
 interface LayeredMapImageProps {
   whiteMapImage?: string;
@@ -11,9 +12,9 @@ interface LayeredMapImageProps {
 }
 
 const LayeredMapImage: React.FC<LayeredMapImageProps> = ({
-  whiteMapImage = '/cityMap.png',
-  coloredMapImage = '/cityMapColored.png', 
-  outlineMapImage = '/cityMap-outline.png',
+  whiteMapImage,
+  coloredMapImage,
+  outlineMapImage,
   mapAlt,
   className = '',
   style = {},
@@ -40,7 +41,7 @@ const LayeredMapImage: React.FC<LayeredMapImageProps> = ({
       {/* Layer 1: Colored image as base */}
       <img
         ref={baseImageRef}
-        src={coloredMapImage}
+        src={coloredMapImage || whiteMapImage}
         alt={mapAlt}
         className={className}
         style={{
@@ -73,10 +74,9 @@ const LayeredMapImage: React.FC<LayeredMapImageProps> = ({
       )}
       
       {/* Layer 3: Outline image (top layer) - positioned absolutely over base */}
-      {imageDimensions.width > 0 && (
-        <img
+      {imageDimensions.width > 0 && outlineMapImage && (
+        <DerivedImage
           src={outlineMapImage}
-          alt=""
           style={{
             position: 'absolute',
             top: 0,
@@ -88,7 +88,6 @@ const LayeredMapImage: React.FC<LayeredMapImageProps> = ({
             pointerEvents: 'none',
             zIndex: 2
           }}
-          draggable={false}
         />
       )}
     </div>
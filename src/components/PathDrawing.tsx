@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { clientToNormalized, svgPathData, type Point } from '../utils/geometry';
+import { curveThrough } from '../utils/characterPaths';
+
+// Clicks closer than this, in screen pixels, to the last point don't add another
+const MIN_STEP_PX = 4;
+
+interface PathDrawingProps {
+  containerRef: React.RefObject<HTMLDivElement | null>;
+  // Preview the route as a curve rather than straight segments
+  curve: boolean;
+  onComplete: (points: Point[]) => void;
+}
+
+/**
+ * Draws a character path: click to add points in travel order, double-click
+ * or Enter to finish, Backspace to remove the last point, Escape to start over.
+ */
+const PathDrawing: React.FC<PathDrawingProps> = ({ containerRef, curve, onComplete }) => {
+  const [points, setPoints] = useState<Point[]>([]);
+  const [cursor, setCursor] = useState<Point | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const toNormalized = (e: React.PointerEvent | React.MouseEvent) => {
+    const container = containerRef.current;
+    if (!container) return null;
+    return clientToNormalized(e.clientX, e.clientY, container.getBoundingClientRect());
+  };
+
+  const screenDistance = (a: Point, b: Point) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect) return 0;
+    return Math.hypot((a.x - b.x) * rect.width, (a.y - b.y) * rect.height);
+  };
+
+  const finish = (route: Point[]) => {
+    if (route.length < 2) {
+      setError('A path needs at least 2 points');
+      return;
+    }
+    onComplete(route);
+    setPoints([]);
+    setError(null);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      // Keys typed into a text field are meant for it
+      const target = e.target as HTMLElement | null;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      if (e.key === 'Escape') {
+        setPoints([]);
+      } else if (e.key === 'Backspace' && points.length > 0) {
+        e.preventDefault();
+        setPoints(prev => prev.slice(0, -1));
+      } else if (e.key === 'Enter') {
+        finish(points);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handlePointerDown = (e: React.PointerEvent) => {
+    if (e.button !== 0) return;
+    const point = toNormalized(e);
+    if (!point) return;
+    e.preventDefault();
+    // The second click of a double-click lands on the point just placed
+    const last = points[points.length - 1];
+    if (!last || screenDistance(last, point) > MIN_STEP_PX) {
+      setPoints(prev => [...prev, point]);
+    }
+  };
+
+  const handleDoubleClick = (e: React.MouseEvent) => {
+    e.preventDefault();
+    finish(points);
+  };
+
+  const preview = cursor && points.length > 0 ? [...points, cursor] : points;
+
+  return (
+    <div
+      style={{ position: 'absolute', inset: 0, cursor: 'crosshair', touchAction: 'none', zIndex: 30 }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={(e) => setCursor(toNormalized(e))}
+      onPointerLeave={() => setCursor(null)}
+      onDoubleClick={handleDoubleClick}
+    >
+      {error && (
+        <div className="absolute top-2 left-2 bg-black/80 text-white p-2 rounded text-xs z-50">
+          <div className="text-red-300">⚠️ {error}</div>
+        </div>
+      )}
+
+      {preview.length > 0 && (
+        <svg
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        >
+          <path
+            d={svgPathData(curve ? curveThrough(preview) : preview, false)}
+            fill="none"
+            stroke="#f97316"
+            strokeWidth="3"
+            strokeDasharray="8,4"
+            vectorEffect="non-scaling-stroke"
+          />
+          {points.map((p, i) => (
+            <circle
+              key={i}
+              cx={p.x}
+              cy={p.y}
+              r="0.004"
+              fill={i === 0 ? '#22c55e' : '#f97316'}
+            />
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default PathDrawing;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  clientToNormalized,
+  closeRing,
+  isClosedRing,
+  midpoint,
+  openRing,
+  samePoints,
+  svgPathData,
+  translatePoints,
+  type Point
+} from '../utils/geometry';
+
+interface PolygonEditorProps {
+  points: Point[];
+  containerRef: React.RefObject<HTMLDivElement | null>;
+  onCommit: (points: Point[]) => void;
+}
+
+type DragState =
+  | { kind: 'vertex'; index: number }
+  | { kind: 'shape'; start: Point; original: Point[] };
+
+const MIN_VERTICES = 3;
+
+const handleStyle = (point: Point, size: number): React.CSSProperties => ({
+  position: 'absolute',
+  left: `${point.x * 100}%`,
+  top: `${point.y * 100}%`,
+  width: `${size}px`,
+  height: `${size}px`,
+  transform: 'translate(-50%, -50%)',
+  borderRadius: '50%',
+  touchAction: 'none'
+});
+
+/**
+ * Vertex editor for an existing hotspot polygon:
+ * - Drag a vertex to move it
+ * - Drag an edge's midpoint handle to insert a vertex there
+ * - Double-click a vertex (or select it and press Delete) to remove it
+ * - Drag inside the shape to move the whole polygon
+ * Changes are committed when the drag ends, if it changed anything.
+ */
+const PolygonEditor: React.FC<PolygonEditorProps> = ({ points, containerRef, onCommit }) => {
+  const wasClosed = isClosedRing(points);
+  const [draft, setDraft] = useState<Point[]>(() => openRing(points));
+  const [selectedVertex, setSelectedVertex] = useState<number | null>(null);
+  const dragRef = useRef<DragState | null>(null);
+
+  // Pick up external changes (e.g. undo) when not mid-drag
+  useEffect(() => {
+    if (!dragRef.current) {
+      setDraft(openRing(points));
+    }
+  }, [points]);
+
+  const commit = (next: Point[]) => {
+    onCommit(wasClosed ? closeRing(next) : next);
+  };
+
+  const pointerToNormalized = (e: PointerEvent | React.PointerEvent) => {
+    const container = containerRef.current;
+    if (!container) return null;
+    return clientToNormalized(e.clientX, e.clientY, container.getBoundingClientRect());
+  };
+
+  useEffect(() => {
+    const handleMove = (e: PointerEvent) => {
+      const drag = dragRef.current;
+      const point = drag && pointerToNormalized(e);
+      if (!drag || !point) return;
+
+      if (drag.kind === 'vertex') {
+        setDraft(prev => prev.map((p, i) => (i === drag.index ? point : p)));
+      } else {
+        setDraft(translatePoints(drag.original, point.x - drag.start.x, point.y - drag.start.y));
+      }
+    };
+
+    const handleUp = () => {
+      if (!dragRef.current) return;
+      dragRef.current = null;
+      // A click that moved nothing shouldn't save or add an undo step
+      if (!samePoints(draft, openRing(points))) commit(draft);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  });
+
+  const deleteVertex = (index: number) => {
+    if (draft.length <= MIN_VERTICES) return;
+    const next = draft.filter((_, i) => i !== index);
+    setDraft(next);
+    setSelectedVertex(null);
+    commit(next);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (selectedVertex === null) return;
+      // Backspace in the label or description field edits the text, not the shape
+      const target = e.target as HTMLElement | null;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteVertex(selectedVertex);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const startVertexDrag = (e: React.PointerEvent, index: number) => {
+    e.stopPropagation();
+    e.preventDefault();
+    setSelectedVertex(index);
+    dragRef.current = { kind: 'vertex', index };
+  };
+
+  const startInsertDrag = (e: React.PointerEvent, edgeIndex: number) => {
+    e.stopPropagation();
+    e.preventDefault();
+    const a = draft[edgeIndex];
+    const b = draft[(edgeIndex + 1) % draft.length];
+    const insertAt = edgeIndex + 1;
+    setDraft(prev => [...prev.slice(0, insertAt), midpoint(a, b), ...prev.slice(insertAt)]);
+    setSelectedVertex(insertAt);
+    dragRef.current = { kind: 'vertex', index: insertAt };
+  };
+
+  const startShapeDrag = (e: React.PointerEvent) => {
+    const start = pointerToNormalized(e);
+    if (!start) return;
+    e.stopPropagation();
+    e.preventDefault();
+    setSelectedVertex(null);
+    dragRef.current = { kind: 'shape', start, original: draft };
+  };
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, zIndex: 100 }}>
+      <svg
+        viewBox="0 0 1 1"
+        preserveAspectRatio="none"
+        style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+      >
+        <path
+          d={svgPathData(draft)}
+          fill="rgba(234, 179, 8, 0.25)"
+          stroke="#eab308"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+          style={{ cursor: 'move', pointerEvents: 'auto' }}
+          onPointerDown={startShapeDrag}
+        />
+      </svg>
+
+      {/* Edge midpoints: drag to insert a new vertex */}
+      {draft.map((point, i) => (
+        <div
+          key={`edge-${i}`}
+          title="Drag to add a vertex"
+          onPointerDown={(e) => startInsertDrag(e, i)}
+          style={{
+            ...handleStyle(midpoint(point, draft[(i + 1) % draft.length]), 8),
+            backgroundColor: 'rgba(255, 255, 255, 0.7)',
+            border: '1px solid #eab308',
+            cursor: 'copy'
+          }}
+        />
+      ))}
+
+      {/* Vertices: drag to move, double-click to delete */}
+      {draft.map((point, i) => (
+        <div
+          key={`vertex-${i}`}
+          title="Drag to move, double-click to delete"
+          onPointerDown={(e) => startVertexDrag(e, i)}
+          onDoubleClick={(e) => {
+            e.stopPropagation();
+            deleteVertex(i);
+          }}
+          style={{
+            ...handleStyle(point, 12),
+            backgroundColor: selectedVertex === i ? '#eab308' : 'white',
+            border: '2px solid #a16207',
+            cursor: 'grab'
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default PolygonEditor;
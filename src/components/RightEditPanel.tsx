@@ -1,14 +1,11 @@
 import React, { useState } from 'react';
-
-interface Hotspot {
-  id: string;
-  x: number;
-  y: number;
-  width: number;
-  height: number;
-  label: string;
-  description: string;
-}
+import type { CharacterPath, Hotspot } from '../services/api';
+import type { ResolvedBundle } from '../services/bundles';
+import { SELECTION_TOOLS, isSelectionTool } from '../utils/selectionTools';
+import { describeAction } from '../utils/hotspotActions';
+import CandidateList from './CandidateList';
+import HotspotActionEditor from './HotspotActionEditor';
+import CharacterPathList, { type PathOptions } from './CharacterPathList';
 
 interface RightEditPanelProps {
   activeTool: string | null;
@@ -16,26 +13,88 @@ interface RightEditPanelProps {
   onClearSelections?: () => void;
   onExpandChange?: (expanded: boolean) => void;
   hotspots?: Hotspot[];
-  onHotspotsChange?: (hotspots: Hotspot[]) => void;
   onHotspotUpdate?: (id: string, updates: any) => Promise<void>;
   onHotspotDelete?: (id: string) => Promise<void>;
+  onHotspotMove?: (id: string, offset: number) => Promise<void>;
   onHotspotHover?: (hotspotId: string | null) => void;
   hoveredHotspot?: string | null;
+  editingShapeId?: string | null;
+  onEditShape?: (hotspotId: string | null) => void;
+  onUndo?: () => void;
+  onRedo?: () => void;
+  canUndo?: boolean;
+  canRedo?: boolean;
+  undoLabel?: string | null;
+  redoLabel?: string | null;
+  smoothLasso?: boolean;
+  onSmoothLassoChange?: (smooth: boolean) => void;
+  candidates?: Hotspot[];
+  onAcceptCandidate?: (candidate: Hotspot) => Promise<void>;
+  onRenameCandidate?: (id: string, label: string) => Promise<void>;
+  onDiscardCandidate?: (id: string) => Promise<void>;
+  onDiscardAllCandidates?: () => Promise<void>;
+  bundle?: ResolvedBundle | null;
+  paths?: CharacterPath[];
+  pathDraft?: PathOptions | null;
+  onPathDraftChange?: (draft: PathOptions) => void;
+  onPathUpdate?: (id: string, updates: PathOptions) => Promise<void>;
+  onPathDelete?: (id: string) => Promise<void>;
+  onPathPreview?: (path: CharacterPath) => void;
+  onPathHover?: (id: string | null) => void;
+  hoveredPath?: string | null;
+  onPublish?: () => Promise<void>;
 }
 
+const historyButtonStyle: React.CSSProperties = {
+  flex: 1,
+  padding: '6px 8px',
+  borderRadius: '6px',
+  backgroundColor: '#581c87',
+  color: 'white',
+  border: 'none',
+  fontSize: '12px'
+};
+
 const RightEditPanel: React.FC<RightEditPanelProps> = ({ 
   activeTool, 
   onToolSelect,
   onClearSelections,
   onExpandChange,
   hotspots = [],
-  onHotspotsChange,
   onHotspotUpdate,
   onHotspotDelete,
+  onHotspotMove,
   onHotspotHover,
-  hoveredHotspot
+  hoveredHotspot,
+  editingShapeId,
+  onEditShape,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel,
+  redoLabel,
+  smoothLasso = false,
+  onSmoothLassoChange,
+  candidates = [],
+  onAcceptCandidate,
+  onRenameCandidate,
+  onDiscardCandidate,
+  onDiscardAllCandidates,
+  bundle = null,
+  paths = [],
+  pathDraft = null,
+  onPathDraftChange,
+  onPathUpdate,
+  onPathDelete,
+  onPathPreview,
+  onPathHover,
+  hoveredPath,
+  onPublish
 }) => {
   const [isExpanded, setIsExpanded] = useState(true);
+  const [publishing, setPublishing] = useState(false);
+  const activeToolInfo = SELECTION_TOOLS.find(t => t.id === activeTool);
   const [editingHotspot, setEditingHotspot] = useState<Hotspot | null>(null);
 
   const handleToolClick = (tool: string) => {
@@ -51,27 +110,25 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
   };
 
   const handleSaveHotspot = async () => {
-    if (!editingHotspot || !onHotspotUpdate || !onHotspotsChange) return;
+    if (!editingHotspot || !onHotspotUpdate) return;
     
     try {
-      await onHotspotUpdate(editingHotspot.id, { label: editingHotspot.label });
-      const updatedHotspots = hotspots.map(h => 
-        h.id === editingHotspot.id ? editingHotspot : h
-      );
-      onHotspotsChange(updatedHotspots);
+      await onHotspotUpdate(editingHotspot.id, {
+        label: editingHotspot.label,
+        action: editingHotspot.action ?? null
+      });
       setEditingHotspot(null);
+      onEditShape?.(null);
     } catch (error) {
       console.error('Error updating hotspot:', error);
     }
   };
 
   const handleDeleteHotspot = async (hotspotId: string) => {
-    if (!onHotspotDelete || !onHotspotsChange) return;
+    if (!onHotspotDelete) return;
     
     try {
       await onHotspotDelete(hotspotId);
-      const updatedHotspots = hotspots.filter(h => h.id !== hotspotId);
-      onHotspotsChange(updatedHotspots);
     } catch (error) {
       console.error('Error deleting hotspot:', error);
     }
@@ -122,6 +179,59 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
         {isExpanded ? (
           <>
             <h3 style={{ color: 'white', fontWeight: 'bold', marginBottom: '16px' }}>Edit Tools</h3>
+
+            {/* Undo / Redo */}
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+              <button
+                onClick={onUndo}
+                disabled={!canUndo}
+                title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                style={{
+                  ...historyButtonStyle,
+                  opacity: canUndo ? 1 : 0.5,
+                  cursor: canUndo ? 'pointer' : 'default'
+                }}
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={onRedo}
+                disabled={!canRedo}
+                title={redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                style={{
+                  ...historyButtonStyle,
+                  opacity: canRedo ? 1 : 0.5,
+                  cursor: canRedo ? 'pointer' : 'default'
+                }}
+              >
+                ↷ Redo
+              </button>
+            </div>
+
+            {/* Write the map's annotations into the story bundle */}
+            {onPublish && (
+              <button
+                onClick={async () => {
+                  setPublishing(true);
+                  try {
+                    await onPublish();
+                  } finally {
+                    setPublishing(false);
+                  }
+                }}
+                disabled={publishing}
+                title="Write hotspots, paths and character positions into the story bundle, so it can be read without the backend"
+                style={{
+                  ...historyButtonStyle,
+                  width: '100%',
+                  marginBottom: '16px',
+                  opacity: publishing ? 0.5 : 1,
+                  cursor: publishing ? 'default' : 'pointer'
+                }}
+              >
+                {publishing ? 'Publishing…' : '⇪ Publish to bundle'}
+              </button>
+            )}
             
             {activeTool && (
               <div style={{
@@ -133,11 +243,47 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                 marginBottom: '16px',
                 textAlign: 'center'
               }}>
-                {activeTool === 'lasso' && 'Lasso Tool Active - Click and drag to select'}
+                {activeToolInfo && `${activeToolInfo.label} Tool Active - ${activeToolInfo.hint}`}
                 {activeTool === 'config-highlights' && 'Config Highlights Active'}
+                {activeTool === 'paths' && 'Path Tool Active - Click to add points, double-click to finish'}
               </div>
             )}
 
+            {/* Selection tool picker */}
+            {isSelectionTool(activeTool) && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '16px' }}>
+                {SELECTION_TOOLS.map(tool => (
+                  <button
+                    key={tool.id}
+                    onClick={() => onToolSelect(tool.id)}
+                    title={tool.hint}
+                    style={{
+                      backgroundColor: activeTool === tool.id ? '#7c3aed' : '#581c87',
+                      color: 'white',
+                      border: 'none',
+                      padding: '4px 8px',
+                      borderRadius: '4px',
+                      fontSize: '10px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {tool.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {activeTool === 'lasso' && onSmoothLassoChange && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: 'white', fontSize: '12px', marginBottom: '16px' }}>
+                <input
+                  type="checkbox"
+                  checked={smoothLasso}
+                  onChange={(e) => onSmoothLassoChange(e.target.checked)}
+                />
+                Smooth lasso edges
+              </label>
+            )}
+
 
             {/* Config Highlights Tool */}
             <button
@@ -175,24 +321,43 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
             </button>
 
             {/* Config Highlights Content */}
-            {(activeTool === 'config-highlights' || activeTool === 'lasso') && (
+            {(activeTool === 'config-highlights' || isSelectionTool(activeTool)) && (
               <div style={{ marginBottom: '16px', maxHeight: '300px', overflowY: 'auto' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
                   <h4 style={{ color: 'white', fontSize: '14px', margin: 0 }}>Hotspots ({hotspots.length})</h4>
-                  <button
-                    onClick={() => onToolSelect('lasso')}
-                    style={{
-                      backgroundColor: '#16a34a',
-                      color: 'white',
-                      border: 'none',
-                      padding: '4px 8px',
-                      borderRadius: '4px',
-                      fontSize: '10px',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    + Add New
-                  </button>
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    {onClearSelections && hotspots.length > 0 && (
+                      <button
+                        onClick={onClearSelections}
+                        title="Remove every hotspot and selection on this map (undoable)"
+                        style={{
+                          backgroundColor: '#dc2626',
+                          color: 'white',
+                          border: 'none',
+                          padding: '4px 8px',
+                          borderRadius: '4px',
+                          fontSize: '10px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Clear All
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onToolSelect('lasso')}
+                      style={{
+                        backgroundColor: '#16a34a',
+                        color: 'white',
+                        border: 'none',
+                        padding: '4px 8px',
+                        borderRadius: '4px',
+                        fontSize: '10px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      + Add New
+                    </button>
+                  </div>
                 </div>
                 
                 {hotspots.length === 0 ? (
@@ -200,7 +365,7 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                     No hotspots yet. Click "Add New" to create selections.
                   </p>
                 ) : (
-                  hotspots.map((hotspot) => (
+                  hotspots.map((hotspot, index) => (
                     <div 
                       key={hotspot.id} 
                       style={{
@@ -229,39 +394,16 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                               fontSize: '12px'
                             }}
                           />
+                          <HotspotActionEditor
+                            action={editingHotspot.action}
+                            bundle={bundle}
+                            onChange={(action) => setEditingHotspot({ ...editingHotspot, action })}
+                          />
                           <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
                             <button
-                              onClick={async () => {
-                                if (editingHotspot && onHotspotDelete && onHotspotsChange) {
-                                  try {
-                                    // Delete the current hotspot
-                                    await onHotspotDelete(editingHotspot.id);
-                                    const updatedHotspots = hotspots.filter(h => h.id !== editingHotspot.id);
-                                    onHotspotsChange(updatedHotspots);
-                                    
-                                    // Store the hotspot info for recreation, including its index
-                                    const hotspotIndex = hotspots.findIndex(h => h.id === editingHotspot.id);
-                                    const hotspotToReplace = { ...editingHotspot, originalIndex: hotspotIndex };
-                                    
-                                    // Exit edit mode
-                                    setEditingHotspot(null);
-                                    
-                                    // Store replacement info in a way the lasso tool can access it
-                                    // We'll use a data attribute or similar approach
-                                    (window as any).replacingHotspot = hotspotToReplace;
-                                    
-                                    // Activate lasso tool
-                                    onToolSelect('lasso');
-                                    
-                                  } catch (error) {
-                                    console.error('Error deleting hotspot for replacement:', error);
-                                  }
-                                } else {
-                                  onToolSelect('lasso');
-                                }
-                              }}
+                              onClick={() => onEditShape?.(editingShapeId === editingHotspot.id ? null : editingHotspot.id)}
                               style={{
-                                backgroundColor: '#3b82f6',
+                                backgroundColor: editingShapeId === editingHotspot.id ? '#eab308' : '#3b82f6',
                                 color: 'white',
                                 border: 'none',
                                 padding: '4px',
@@ -272,7 +414,7 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                                 alignItems: 'center',
                                 justifyContent: 'center'
                               }}
-                              title="Re-select area"
+                              title={editingShapeId === editingHotspot.id ? 'Done editing shape' : 'Edit shape'}
                             >
                               <svg
                                 width="12"
@@ -300,7 +442,10 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                               Save
                             </button>
                             <button
-                              onClick={() => setEditingHotspot(null)}
+                              onClick={() => {
+                                setEditingHotspot(null);
+                                onEditShape?.(null);
+                              }}
                               style={{
                                 backgroundColor: '#6b7280',
                                 color: 'white',
@@ -323,6 +468,11 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                           <div style={{ color: '#a855f7', fontSize: '10px', marginTop: '4px' }}>
                             {hotspot.description}
                           </div>
+                          {hotspot.action && (
+                            <div style={{ color: '#fde68a', fontSize: '10px', marginTop: '4px' }}>
+                              ⚡ {describeAction(hotspot.action, bundle)}
+                            </div>
+                          )}
                           <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
                             <button
                               onClick={() => handleEditHotspot(hotspot)}
@@ -352,6 +502,45 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
                             >
                               Delete
                             </button>
+                            {onHotspotMove && (
+                              <>
+                                <button
+                                  onClick={() => onHotspotMove(hotspot.id, -1)}
+                                  disabled={index === 0}
+                                  title="Move up"
+                                  style={{
+                                    backgroundColor: '#6b7280',
+                                    color: 'white',
+                                    border: 'none',
+                                    padding: '4px 6px',
+                                    borderRadius: '4px',
+                                    fontSize: '10px',
+                                    marginLeft: 'auto',
+                                    opacity: index === 0 ? 0.5 : 1,
+                                    cursor: index === 0 ? 'default' : 'pointer'
+                                  }}
+                                >
+                                  ↑
+                                </button>
+                                <button
+                                  onClick={() => onHotspotMove(hotspot.id, 1)}
+                                  disabled={index === hotspots.length - 1}
+                                  title="Move down"
+                                  style={{
+                                    backgroundColor: '#6b7280',
+                                    color: 'white',
+                                    border: 'none',
+                                    padding: '4px 6px',
+                                    borderRadius: '4px',
+                                    fontSize: '10px',
+                                    opacity: index === hotspots.length - 1 ? 0.5 : 1,
+                                    cursor: index === hotspots.length - 1 ? 'default' : 'pointer'
+                                  }}
+                                >
+                                  ↓
+                                </button>
+                              </>
+                            )}
                           </div>
                         </div>
                       )}
@@ -361,6 +550,71 @@ const RightEditPanel: React.FC<RightEditPanelProps> = ({
               </div>
             )}
 
+            {/* Character movement paths */}
+            {pathDraft && onPathDraftChange && onPathUpdate && onPathDelete && onPathPreview && (
+              <>
+                <button
+                  onClick={() => handleToolClick('paths')}
+                  style={{
+                    width: '100%',
+                    marginBottom: '12px',
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'flex-start',
+                    backgroundColor: activeTool === 'paths' ? '#7c3aed' : '#581c87',
+                    color: 'white',
+                    border: 'none',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s'
+                  }}
+                >
+                  <svg
+                    width="20"
+                    height="20"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    style={{ marginRight: '8px' }}
+                  >
+                    <circle cx="5" cy="19" r="2" />
+                    <path d="M7 18c6-1 2-10 9-11" strokeDasharray="3 2" />
+                    <path d="M16 4l3 3-3 3" />
+                  </svg>
+                  Character Paths
+                </button>
+
+                {activeTool === 'paths' && (
+                  <CharacterPathList
+                    paths={paths}
+                    bundle={bundle}
+                    draft={pathDraft}
+                    onDraftChange={onPathDraftChange}
+                    onUpdate={onPathUpdate}
+                    onDelete={onPathDelete}
+                    onPreview={onPathPreview}
+                    onHover={onPathHover}
+                    hoveredId={hoveredPath}
+                  />
+                )}
+              </>
+            )}
+
+            {/* Auto-detected regions awaiting review */}
+            {activeTool === 'config-highlights' && candidates.length > 0 &&
+              onAcceptCandidate && onRenameCandidate && onDiscardCandidate && onDiscardAllCandidates && (
+              <CandidateList
+                candidates={candidates}
+                onAccept={onAcceptCandidate}
+                onRename={onRenameCandidate}
+                onDiscard={onDiscardCandidate}
+                onDiscardAll={onDiscardAllCandidates}
+                onHover={onHotspotHover}
+                hoveredId={hoveredHotspot}
+              />
+            )}
           </>
         ) : null}
       </div>
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { selectionAPI } from '../services/api';
+import { clientToNormalized, svgPathData, type Point } from '../utils/geometry';
+import { buildHotspotDraft, ellipsePoints, rectanglePoints, type HotspotDraft, type SelectionTool } from '../utils/selectionTools';
+import { loadImagePixels, magicWandSelect } from '../utils/magicWand';
+
+// Drags shorter than this, in screen pixels, are treated as stray clicks
+const MIN_DRAG_PX = 4;
+
+interface ShapeSelectionProps {
+  tool: Exclude<SelectionTool, 'lasso'>;
+  mapId: string;
+  containerRef: React.RefObject<HTMLDivElement | null>;
+  outlineImage: string;
+  onHotspotCreated?: (hotspot: HotspotDraft) => void;
+}
+
+/**
+ * Polygon, rectangle, ellipse and magic wand selection. Like the lasso, a
+ * finished shape is saved as a selection and handed to onHotspotCreated.
+ */
+const ShapeSelection: React.FC<ShapeSelectionProps> = ({
+  tool,
+  mapId,
+  containerRef,
+  outlineImage,
+  onHotspotCreated
+}) => {
+  const [vertices, setVertices] = useState<Point[]>([]);
+  const [dragStart, setDragStart] = useState<Point | null>(null);
+  const [cursor, setCursor] = useState<Point | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Start fresh whenever the tool changes
+  useEffect(() => {
+    setVertices([]);
+    setDragStart(null);
+    setCursor(null);
+    setError(null);
+  }, [tool]);
+
+  // Warm the outline pixels so the first wand click is quick
+  useEffect(() => {
+    if (tool === 'magic-wand') {
+      loadImagePixels(outlineImage).catch(err => setError(err.message));
+    }
+  }, [tool, outlineImage]);
+
+  const toNormalized = (e: React.PointerEvent | React.MouseEvent) => {
+    const container = containerRef.current;
+    if (!container) return null;
+    return clientToNormalized(e.clientX, e.clientY, container.getBoundingClientRect());
+  };
+
+  const screenDistance = (a: Point, b: Point) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect) return 0;
+    return Math.hypot((a.x - b.x) * rect.width, (a.y - b.y) * rect.height);
+  };
+
+  const complete = async (closedPoints: Point[]) => {
+    setBusy(true);
+    try {
+      const savedSelection = await selectionAPI.saveSelection(mapId, closedPoints);
+      console.log(`${tool} selection saved with ID:`, savedSelection.id);
+      onHotspotCreated?.(buildHotspotDraft(savedSelection.id, closedPoints, tool));
+      setError(null);
+    } catch (err) {
+      console.error('Error saving selection:', err);
+      setError('Failed to save selection');
+    } finally {
+      setBusy(false);
+      setVertices([]);
+      setDragStart(null);
+    }
+  };
+
+  const closePolygon = (points: Point[]) => {
+    if (points.length < 3) {
+      setError('A polygon needs at least 3 vertices');
+      return;
+    }
+    complete([...points, points[0]]);
+  };
+
+  // Polygon: Enter closes, Backspace removes the last vertex, Escape cancels
+  useEffect(() => {
+    if (tool !== 'polygon') return;
+    const handleKeyDown = (e: KeyboardEvent) => {
+      // Keys typed into a text field are meant for it
+      const target = e.target as HTMLElement | null;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      if (e.key === 'Escape') {
+        setVertices([]);
+      } else if (e.key === 'Backspace' && vertices.length > 0) {
+        e.preventDefault();
+        setVertices(prev => prev.slice(0, -1));
+      } else if (e.key === 'Enter') {
+        closePolygon(vertices);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handlePointerDown = async (e: React.PointerEvent<HTMLDivElement>) => {
+    if (busy || e.button !== 0) return;
+    const point = toNormalized(e);
+    if (!point) return;
+    e.preventDefault();
+
+    if (tool === 'rectangle' || tool === 'ellipse') {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDragStart(point);
+      setCursor(point);
+    } else if (tool === 'polygon') {
+      // The second click of a double-click lands on the vertex just placed
+      const last = vertices[vertices.length - 1];
+      if (!last || screenDistance(last, point) > MIN_DRAG_PX) {
+        setVertices(prev => [...prev, point]);
+      }
+    } else if (tool === 'magic-wand') {
+      setBusy(true);
+      try {
+        const pixels = await loadImagePixels(outlineImage);
+        const region = magicWandSelect(pixels, point);
+        console.log('Magic wand selected', region.length - 1, 'vertices');
+        await complete(region);
+      } catch (err) {
+        setError((err as Error).message);
+        setBusy(false);
+      }
+    }
+  };
+
+  const handlePointerMove = (e: React.PointerEvent) => {
+    const point = toNormalized(e);
+    if (point) setCursor(point);
+  };
+
+  const handlePointerUp = () => {
+    if (!dragStart || !cursor) return;
+    const start = dragStart;
+    setDragStart(null);
+    if (screenDistance(start, cursor) < MIN_DRAG_PX) return;
+    complete(tool === 'ellipse' ? ellipsePoints(start, cursor) : rectanglePoints(start, cursor));
+  };
+
+  const handleDoubleClick = (e: React.MouseEvent) => {
+    if (tool !== 'polygon') return;
+    e.preventDefault();
+    closePolygon(vertices);
+  };
+
+  // Shape being drawn, shown with the lasso's preview styling
+  let preview: Point[] | null = null;
+  let closedPreview = true;
+  if (dragStart && cursor) {
+    preview = tool === 'ellipse' ? ellipsePoints(dragStart, cursor) : rectanglePoints(dragStart, cursor);
+  } else if (tool === 'polygon' && vertices.length > 0) {
+    preview = cursor ? [...vertices, cursor] : vertices;
+    closedPreview = false;
+  }
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        inset: 0,
+        cursor: busy ? 'progress' : 'crosshair',
+        touchAction: 'none'
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+    >
+      {error && (
+        <div className="absolute top-2 left-2 bg-black/80 text-white p-2 rounded text-xs z-50">
+          <div className="text-red-300">⚠️ {error}</div>
+        </div>
+      )}
+
+      {busy && tool === 'magic-wand' && (
+        <div className="absolute top-2 right-2 bg-blue-600 text-white p-2 rounded text-xs z-50">
+          Selecting…
+        </div>
+      )}
+
+      {preview && (
+        <svg
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        >
+          <path
+            d={svgPathData(preview, closedPreview)}
+            fill={closedPreview ? 'rgba(59, 130, 246, 0.1)' : 'none'}
+            stroke="#3b82f6"
+            strokeWidth="3"
+            strokeDasharray="8,4"
+            vectorEffect="non-scaling-stroke"
+          />
+          {tool === 'polygon' && vertices.map((v, i) => (
+            <circle
+              key={i}
+              cx={v.x}
+              cy={v.y}
+              r="0.004"
+              fill={i === 0 ? '#22c55e' : '#3b82f6'}
+            />
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default ShapeSelection;
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import DerivedImage from './DerivedImage';
+
+export interface StoryEvent {
+  title: string;
+  imageUrl: string;
+  // Shown first and faded into the full image, for clue reveals
+  outlineUrl?: string;
+  fallbackImageUrl?: string;
+  description?: string;
+}
+
+interface StoryEventCardProps {
+  event: StoryEvent;
+  onClose: () => void;
+}
+
+// How long a clue's outline stays up before the colour fades in
+const REVEAL_DELAY_MS = 600;
+
+/**
+ * Card shown over the map when a hotspot reveals a clue or a character.
+ */
+const StoryEventCard: React.FC<StoryEventCardProps> = ({ event, onClose }) => {
+  const [revealed, setRevealed] = useState(!event.outlineUrl);
+  const [imageUrl, setImageUrl] = useState(event.imageUrl);
+
+  useEffect(() => {
+    if (!event.outlineUrl) return;
+    const timer = window.setTimeout(() => setRevealed(true), REVEAL_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [event.outlineUrl]);
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60"
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-label={event.title}
+    >
+      <div
+        className="max-w-md w-full m-4 p-4 bg-gray-800 rounded-lg shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="relative w-full">
+          {event.outlineUrl && (
+            <DerivedImage
+              src={event.outlineUrl}
+              className="w-full rounded bg-white"
+            />
+          )}
+          <img
+            src={imageUrl}
+            alt={event.title}
+            className={`w-full rounded ${event.outlineUrl ? 'absolute inset-0 h-full object-contain' : ''}`}
+            style={{ opacity: revealed ? 1 : 0, transition: 'opacity 1.2s ease-in' }}
+            draggable={false}
+            onError={() => {
+              if (event.fallbackImageUrl && imageUrl !== event.fallbackImageUrl) {
+                setImageUrl(event.fallbackImageUrl);
+              }
+            }}
+          />
+        </div>
+        <h2 className="text-lg font-bold mt-3 text-white">{event.title}</h2>
+        {event.description && (
+          <p className="text-sm text-gray-300 mt-1">{event.description}</p>
+        )}
+        <button
+          className="mt-4 px-3 py-1 rounded bg-gray-600 text-white text-sm hover:bg-gray-500"
+          onClick={onClose}
+          autoFocus
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StoryEventCard;
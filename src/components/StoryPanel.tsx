@@ -1,30 +1,160 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
+import type { ChapterEntry } from '../services/bundles';
+import { audioManager } from '../services/audio';
+import { useAudioState } from '../hooks/useAudio';
 
 interface StoryPanelProps {
   title: string;
   content: string;
   isVisible: boolean;
+  chapterTitle?: string;
+  imageUrl?: string;
+  audioUrl?: string;
+  progress?: string;
+  chapters?: ChapterEntry[];
+  currentChapterId?: string;
+  onSelectChapter?: (chapterId: string) => void;
+  onNext?: () => void;
+  onPrevious?: () => void;
+  hasNext?: boolean;
+  hasPrevious?: boolean;
+  cluesFound?: { found: number; total: number };
 }
 
-const StoryPanel: React.FC<StoryPanelProps> = ({ title, content, isVisible }) => {
+const StoryPanel: React.FC<StoryPanelProps> = ({
+  title,
+  content,
+  isVisible,
+  chapterTitle,
+  imageUrl,
+  audioUrl,
+  progress,
+  chapters = [],
+  currentChapterId,
+  onSelectChapter,
+  onNext,
+  onPrevious,
+  hasNext = false,
+  hasPrevious = false,
+  cluesFound
+}) => {
+  // Once the reader starts the narration, later scenes play as they open
+  const narratingRef = useRef(false);
+  const { narrationUrl, narrationPlaying, unavailable } = useAudioState();
+  const playing = narrationPlaying && narrationUrl === audioUrl;
+  const audioError = audioUrl ? unavailable.includes(audioUrl) : false;
+
+  useEffect(() => {
+    if (audioUrl && narratingRef.current) {
+      audioManager.playNarration(audioUrl);
+    } else {
+      audioManager.stopNarration();
+    }
+  }, [audioUrl]);
+
+  useEffect(() => () => audioManager.stopNarration(), []);
+
   if (!isVisible) return null;
 
+  const toggleNarration = () => {
+    if (!audioUrl) return;
+    if (playing) {
+      audioManager.pauseNarration();
+      narratingRef.current = false;
+    } else {
+      narratingRef.current = true;
+      audioManager.playNarration(audioUrl);
+    }
+  };
+
+  const navButton = 'px-3 py-1 rounded bg-gray-600 text-white text-sm hover:bg-gray-500 disabled:opacity-40 disabled:cursor-default';
+
   return (
-    <div 
+    <div
       className="m-4 p-4 bg-gray-700 rounded-lg shadow-md flex-1 overflow-y-auto"
       role="region"
       aria-label="Story content"
       aria-live="polite"
       aria-atomic="true"
     >
+      {chapterTitle && (
+        <div className="text-xs uppercase tracking-wider text-gray-400 mb-1">
+          {chapterTitle}
+        </div>
+      )}
       <h2 className="text-lg font-bold mb-2 text-white">
         {title}
       </h2>
+
+      {imageUrl && (
+        <img
+          src={imageUrl}
+          alt={title}
+          className="w-full rounded mb-3 bg-gray-800"
+          draggable={false}
+        />
+      )}
+
       <p className="text-sm text-gray-300 leading-relaxed">
         {content}
       </p>
+
+      {audioUrl && (
+        <div className="mt-3 flex items-center gap-2">
+          <button
+            className={navButton}
+            onClick={toggleNarration}
+            disabled={audioError}
+            aria-label={playing ? 'Pause narration' : 'Play narration'}
+          >
+            {playing ? '❚❚ Pause' : '▶ Listen'}
+          </button>
+          {audioError && <span className="text-xs text-red-300">Narration audio unavailable</span>}
+        </div>
+      )}
+
+      {(onNext || onPrevious) && (
+        <div className="mt-4 flex items-center justify-between">
+          <button className={navButton} onClick={onPrevious} disabled={!hasPrevious} aria-label="Previous scene">
+            ← Back
+          </button>
+          {progress && <span className="text-xs text-gray-400">{progress}</span>}
+          <button className={navButton} onClick={onNext} disabled={!hasNext} aria-label="Next scene">
+            Next →
+          </button>
+        </div>
+      )}
+
+      {cluesFound && (
+        <p className="mt-4 text-xs text-gray-400">
+          🔍 {cluesFound.found} of {cluesFound.total} clues found
+        </p>
+      )}
+
+      {chapters.length > 0 && (
+        <nav className="mt-4" aria-label="Chapters">
+          <h3 className="text-xs uppercase tracking-wider text-gray-400 mb-2">Chapters</h3>
+          <ol className="space-y-1">
+            {chapters.map((chapter, i) => (
+              <li key={chapter.id}>
+                <button
+                  className={`w-full text-left px-2 py-1 rounded text-sm ${
+                    chapter.id === currentChapterId
+                      ? 'bg-blue-600 text-white'
+                      : 'text-gray-300 hover:bg-gray-600'
+                  }`}
+                  onClick={() => onSelectChapter?.(chapter.id)}
+                  aria-current={chapter.id === currentChapterId ? 'step' : undefined}
+                >
+                  {i + 1}. {chapter.title}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
     </div>
   );
 };
 
-export default StoryPanel;
\ No newline at end of file
+export default StoryPanel;
@@ -0,0 +1,36 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { audioManager } from '../services/audio';
+import type { ResolvedBundle } from '../services/bundles';
+
+/**
+ * Mute, volume, narration and autoplay state from the audio manager.
+ */
+export function useAudioState() {
+  return useSyncExternalStore(audioManager.subscribe, audioManager.getState);
+}
+
+/**
+ * Preloads a story's sounds and loops its map's ambient track while
+ * `playing` is on.
+ */
+export function useStoryAudio(bundle: ResolvedBundle | null, playing: boolean) {
+  useEffect(() => {
+    if (!bundle) return;
+    audioManager.preload(Object.values(bundle.audio));
+    audioManager.preload(
+      Object.values(bundle.scenes).flatMap(scene => (scene.audioUrl ? [scene.audioUrl] : [])),
+      'metadata'
+    );
+  }, [bundle]);
+
+  const ambientUrl = playing ? bundle?.map.ambientAudio ?? null : null;
+  useEffect(() => {
+    audioManager.playAmbient(ambientUrl);
+  }, [ambientUrl]);
+
+  // Leaving the reader silences the story
+  useEffect(() => {
+    if (playing) return;
+    audioManager.stopNarration();
+  }, [playing]);
+}
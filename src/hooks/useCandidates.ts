@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { selectionAPI, type Hotspot } from '../services/api';
+
+/**
+ * Candidate hotspots detected from the map outline (npm run detect:hotspots)
+ * that haven't been accepted or discarded yet.
+ */
+export function useCandidates(mapId: string | undefined) {
+  const [candidates, setCandidates] = useState<Hotspot[]>([]);
+
+  useEffect(() => {
+    setCandidates([]);
+    if (!mapId) return;
+    selectionAPI.getCandidates(mapId)
+      .then(found => {
+        setCandidates(found);
+        if (found.length > 0) console.log('Loaded', found.length, 'candidate hotspots for map', mapId);
+      })
+      .catch(error => console.error('Error loading candidates:', error));
+  }, [mapId]);
+
+  const renameCandidate = async (id: string, label: string) => {
+    if (!mapId) return;
+    await selectionAPI.renameCandidate(mapId, id, label);
+    setCandidates(prev => prev.map(c => (c.id === id ? { ...c, label } : c)));
+  };
+
+  const discardCandidate = async (id: string) => {
+    if (!mapId) return;
+    await selectionAPI.discardCandidate(mapId, id);
+    setCandidates(prev => prev.filter(c => c.id !== id));
+  };
+
+  const discardAll = async () => {
+    if (!mapId) return;
+    await selectionAPI.clearCandidates(mapId);
+    setCandidates([]);
+  };
+
+  return { candidates, renameCandidate, discardCandidate, discardAll };
+}
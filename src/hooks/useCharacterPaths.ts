@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { selectionAPI, type CharacterPath, type CharacterPathDraft } from '../services/api';
+
+/**
+ * Character movement paths authored for a map.
+ */
+export function useCharacterPaths(mapId: string | undefined) {
+  const [paths, setPaths] = useState<CharacterPath[]>([]);
+
+  useEffect(() => {
+    setPaths([]);
+    if (!mapId) return;
+    selectionAPI.getPaths(mapId)
+      .then(setPaths)
+      .catch(error => console.error('Error loading character paths:', error));
+  }, [mapId]);
+
+  const createPath = async (draft: CharacterPathDraft) => {
+    if (!mapId) return;
+    const saved = await selectionAPI.createPath(mapId, draft);
+    setPaths(prev => [...prev, saved]);
+  };
+
+  const updatePath = async (id: string, updates: Partial<CharacterPathDraft>) => {
+    if (!mapId) return;
+    await selectionAPI.updatePath(mapId, id, updates);
+    setPaths(prev => prev.map(p => (p.id === id ? { ...p, ...updates } : p)));
+  };
+
+  const deletePath = async (id: string) => {
+    if (!mapId) return;
+    await selectionAPI.deletePath(mapId, id);
+    setPaths(prev => prev.filter(p => p.id !== id));
+  };
+
+  return { paths, createPath, updatePath, deletePath };
+}
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { selectionAPI, type Hotspot } from '../services/api';
+import { HistoryStack } from '../services/history';
+
+export type NewHotspot = Omit<Hotspot, 'id' | 'createdAt' | 'mapId'>;
+
+/**
+ * The hotspots of one map plus an undo/redo history of every change to them.
+ * Each operation is applied to the backend first, then to local state; undo
+ * and redo replay backend calls and reload the list from the server.
+ */
+export function useHotspots(mapId: string | undefined) {
+  const [hotspots, setHotspots] = useState<Hotspot[]>([]);
+  const [history] = useState(() => new HistoryStack());
+  const [, setHistoryVersion] = useState(0);
+  const hotspotsRef = useRef(hotspots);
+  hotspotsRef.current = hotspots;
+
+  useEffect(() => history.subscribe(() => setHistoryVersion(v => v + 1)), [history]);
+
+  const reload = useCallback(async () => {
+    if (!mapId) return;
+    const savedHotspots = await selectionAPI.getHotspots(mapId);
+    setHotspots(savedHotspots);
+    console.log('Loaded', savedHotspots.length, 'saved hotspots for map', mapId);
+  }, [mapId]);
+
+  // Load the hotspots for the current story's map; history doesn't carry across maps
+  useEffect(() => {
+    history.clear();
+    setHotspots([]);
+    reload().catch(error => console.error('Error loading hotspots:', error));
+  }, [history, reload]);
+
+  // Put records back where they were, e.g. when undoing a delete
+  const restoreAt = async (records: Hotspot[], order: string[]) => {
+    if (!mapId) return;
+    await selectionAPI.restoreHotspots(mapId, records);
+    await selectionAPI.reorderHotspots(mapId, order);
+  };
+
+  const createHotspot = async (data: NewHotspot): Promise<Hotspot | null> => {
+    if (!mapId) return null;
+    const saved = await selectionAPI.saveHotspot(mapId, data);
+    setHotspots(prev => [...prev, saved]);
+    history.push({
+      label: `Create "${saved.label}"`,
+      undo: () => selectionAPI.deleteHotspot(saved.id),
+      redo: () => selectionAPI.restoreHotspots(mapId, [saved])
+    });
+    return saved;
+  };
+
+  const updateHotspot = async (id: string, updates: Partial<Hotspot>, label = 'Edit hotspot') => {
+    const previous = hotspotsRef.current.find(h => h.id === id);
+    if (!previous) return;
+    const order = hotspotsRef.current.map(h => h.id);
+
+    await selectionAPI.updateHotspot(id, updates);
+    setHotspots(prev => prev.map(h => (h.id === id ? { ...h, ...updates } : h)));
+    history.push({
+      label: `${label} "${previous.label}"`,
+      // Restore the whole record so fields the update added are removed again
+      undo: () => restoreAt([previous], order),
+      redo: () => selectionAPI.updateHotspot(id, updates)
+    });
+  };
+
+  const deleteHotspot = async (id: string) => {
+    const previous = hotspotsRef.current.find(h => h.id === id);
+    if (!previous) return;
+    const order = hotspotsRef.current.map(h => h.id);
+
+    await selectionAPI.deleteHotspot(id);
+    setHotspots(prev => prev.filter(h => h.id !== id));
+    history.push({
+      label: `Delete "${previous.label}"`,
+      undo: () => restoreAt([previous], order),
+      redo: () => selectionAPI.deleteHotspot(id)
+    });
+  };
+
+  const moveHotspot = async (id: string, offset: number) => {
+    if (!mapId) return;
+    const current = hotspotsRef.current;
+    const from = current.findIndex(h => h.id === id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= current.length) return;
+
+    const reordered = [...current];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    const before = current.map(h => h.id);
+    const after = reordered.map(h => h.id);
+
+    await selectionAPI.reorderHotspots(mapId, after);
+    setHotspots(reordered);
+    history.push({
+      label: `Move "${moved.label}"`,
+      undo: () => selectionAPI.reorderHotspots(mapId, before),
+      redo: () => selectionAPI.reorderHotspots(mapId, after)
+    });
+  };
+
+  // Bulk clear of everything drawn on this map: hotspots and lasso selections
+  const clearMap = async () => {
+    if (!mapId) return;
+    const previousHotspots = hotspotsRef.current;
+    const previousSelections = await selectionAPI.getSelections(mapId);
+
+    const clear = async () => {
+      await selectionAPI.clearHotspots(mapId);
+      await selectionAPI.clearSelections(mapId);
+    };
+
+    await clear();
+    setHotspots([]);
+    history.push({
+      label: 'Clear map',
+      undo: async () => {
+        await selectionAPI.restoreSelections(mapId, previousSelections);
+        await selectionAPI.restoreHotspots(mapId, previousHotspots);
+      },
+      redo: clear
+    });
+  };
+
+  const replay = async (direction: 'undo' | 'redo') => {
+    try {
+      const command = await (direction === 'undo' ? history.undo() : history.redo());
+      if (command) console.log(`${direction}: ${command.label}`);
+    } catch (error) {
+      console.error(`Error during ${direction}:`, error);
+      alert(`Failed to ${direction}. Please try again.`);
+    }
+    // Whatever happened, show what the server now has
+    await reload().catch(error => console.error('Error loading hotspots:', error));
+  };
+
+  return {
+    hotspots,
+    createHotspot,
+    updateHotspot,
+    deleteHotspot,
+    moveHotspot,
+    clearMap,
+    undo: () => replay('undo'),
+    redo: () => replay('redo'),
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    undoLabel: history.undoLabel,
+    redoLabel: history.redoLabel
+  };
+}
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import type { CharacterPath } from '../services/api';
+import type { Point } from '../utils/geometry';
+import { easingFunction, pathDurationMs, pointAlong, routePoints } from '../utils/characterPaths';
+
+/**
+ * Walks characters along their paths, all starting together, and returns
+ * where each one is now (by character id). Characters stay at the end of
+ * their path once they get there. A new playKey starts the walk again;
+ * null stops it.
+ */
+export function usePathAnimation(paths: CharacterPath[], playKey: string | number | null) {
+  const [positions, setPositions] = useState<Record<string, Point>>({});
+
+  useEffect(() => {
+    setPositions({});
+    if (playKey === null || paths.length === 0) return;
+
+    const walks = paths.map(path => ({
+      characterId: path.characterId,
+      route: routePoints(path),
+      duration: pathDurationMs(path),
+      ease: easingFunction(path.easing)
+    }));
+
+    // Readers who asked for less motion see everyone arrive straight away
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      setPositions(Object.fromEntries(walks.map(w => [w.characterId, w.route[w.route.length - 1]])));
+      return;
+    }
+
+    let frame = 0;
+    let start: number | null = null;
+    const tick = (now: number) => {
+      start ??= now;
+      const elapsed = now - start;
+      let running = false;
+
+      const next: Record<string, Point> = {};
+      for (const walk of walks) {
+        const t = walk.duration > 0 ? Math.min(1, elapsed / walk.duration) : 1;
+        if (t < 1) running = true;
+        next[walk.characterId] = pointAlong(walk.route, walk.ease(t));
+      }
+      setPositions(next);
+
+      if (running) frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [paths, playKey]);
+
+  return positions;
+}
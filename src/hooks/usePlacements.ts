@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import { selectionAPI } from '../services/api';
+import type { Point } from '../utils/geometry';
+
+/**
+ * Character sticker positions authored for a map, keyed by character id.
+ * Characters without one use the position from the story bundle.
+ */
+export function usePlacements(mapId: string | undefined) {
+  const [placements, setPlacements] = useState<Record<string, Point>>({});
+
+  useEffect(() => {
+    setPlacements({});
+    if (!mapId) return;
+    selectionAPI.getPlacements(mapId)
+      .then(found => setPlacements(Object.fromEntries(found.map(p => [p.characterId, { x: p.x, y: p.y }]))))
+      .catch(error => console.error('Error loading character placements:', error));
+  }, [mapId]);
+
+  // Moves the sticker right away and puts it back if the save fails
+  const placeCharacter = async (characterId: string, position: Point) => {
+    if (!mapId) return;
+    const previous = placements[characterId];
+    setPlacements(prev => ({ ...prev, [characterId]: position }));
+    try {
+      await selectionAPI.savePlacement(mapId, characterId, position);
+    } catch (error) {
+      setPlacements(prev => {
+        const next = { ...prev };
+        if (previous) next[characterId] = previous;
+        else delete next[characterId];
+        return next;
+      });
+      throw error;
+    }
+  };
+
+  // Back to the story bundle's position
+  const resetCharacter = async (characterId: string) => {
+    if (!mapId || !placements[characterId]) return;
+    await selectionAPI.deletePlacement(mapId, characterId);
+    setPlacements(prev => {
+      const next = { ...prev };
+      delete next[characterId];
+      return next;
+    });
+  };
+
+  return { placements, placeCharacter, resetCharacter };
+}
@@ -0,0 +1,66 @@
+import { useEffect, useMemo, useState } from 'react';
+import { selectionAPI } from '../services/api';
+import { bundleLoader, type PublishedAnnotations, type ResolvedBundle } from '../services/bundles';
+import type { Point } from '../utils/geometry';
+
+// Where the map's hotspots, paths and placements come from: the backend for
+// authoring, or the files published into the bundle for read-only reading
+export type AnnotationSource = 'backend' | 'bundle';
+
+const EMPTY: PublishedAnnotations = { hotspots: [], paths: [], placements: [] };
+
+/**
+ * Uses `preferred` if given, otherwise the backend when it answers and the
+ * bundle when it doesn't. null while the backend is being checked.
+ */
+export function useAnnotationSource(preferred: AnnotationSource | null): AnnotationSource | null {
+  const [detected, setDetected] = useState<AnnotationSource | null>(null);
+
+  useEffect(() => {
+    if (preferred) return;
+    let cancelled = false;
+    selectionAPI.checkHealth()
+      .then(() => {
+        if (!cancelled) setDetected('backend');
+      })
+      .catch(() => {
+        if (cancelled) return;
+        console.warn('Backend unreachable, reading the annotations published in the story bundle');
+        setDetected('bundle');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [preferred]);
+
+  return preferred ?? detected;
+}
+
+/**
+ * The annotations published into a bundle, with placements keyed by
+ * character id like usePlacements. Empty while `bundle` is null.
+ */
+export function usePublishedAnnotations(bundle: ResolvedBundle | null) {
+  const [annotations, setAnnotations] = useState<PublishedAnnotations>(EMPTY);
+
+  useEffect(() => {
+    setAnnotations(EMPTY);
+    if (!bundle) return;
+    let cancelled = false;
+    bundleLoader.getAnnotations(bundle)
+      .then(found => {
+        if (!cancelled) setAnnotations(found);
+      })
+      .catch(error => console.error('Error loading published annotations:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [bundle]);
+
+  const placements = useMemo(
+    () => Object.fromEntries(annotations.placements.map(p => [p.characterId, { x: p.x, y: p.y }])) as Record<string, Point>,
+    [annotations.placements]
+  );
+
+  return { hotspots: annotations.hotspots, paths: annotations.paths, placements };
+}
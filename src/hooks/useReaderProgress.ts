@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import type { StoryProgress } from '../services/api';
+import { emptyProgress, getReaderId, progressStore } from '../services/progress';
+
+/**
+ * The current reader's progress through a story: hotspots coloured in,
+ * clues found and where they are in the chapters. Every change is saved.
+ */
+export function useReaderProgress(storyId: string | undefined) {
+  const readerId = useMemo(getReaderId, []);
+  const [progress, setProgress] = useState<StoryProgress>(emptyProgress);
+  const [loaded, setLoaded] = useState(false);
+  const progressRef = useRef(progress);
+
+  useEffect(() => {
+    setLoaded(false);
+    if (!storyId) return;
+    let cancelled = false;
+
+    progressStore.load(readerId, storyId).then(saved => {
+      if (cancelled) return;
+      progressRef.current = saved;
+      setProgress(saved);
+      setLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [readerId, storyId]);
+
+  // Changes before the saved progress arrives would overwrite it, so they're ignored
+  const update = useCallback((change: (current: StoryProgress) => StoryProgress | null) => {
+    if (!storyId || !loaded) return;
+    const changed = change(progressRef.current);
+    if (!changed) return;
+
+    const next = { ...changed, updatedAt: new Date().toISOString() };
+    progressRef.current = next;
+    setProgress(next);
+    progressStore.save(readerId, storyId, next);
+  }, [readerId, storyId, loaded]);
+
+  const markDiscovered = useCallback((hotspotId: string) => update(current =>
+    current.discoveredHotspots.includes(hotspotId)
+      ? null
+      : { ...current, discoveredHotspots: [...current.discoveredHotspots, hotspotId] }
+  ), [update]);
+
+  const markClueFound = useCallback((clueId: string) => update(current =>
+    current.foundClues.includes(clueId)
+      ? null
+      : { ...current, foundClues: [...current.foundClues, clueId] }
+  ), [update]);
+
+  const setPosition = useCallback((chapterId: string, sceneId: string) => update(current =>
+    current.chapterId === chapterId && current.sceneId === sceneId
+      ? null
+      : { ...current, chapterId, sceneId }
+  ), [update]);
+
+  return { readerId, progress, loaded, markDiscovered, markClueFound, setPosition };
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { bundleLoader, type ResolvedBundle } from '../services/bundles';
+
+interface StoryBundleState {
+  bundle: ResolvedBundle | null;
+  error: string | null;
+  loading: boolean;
+}
+
+export function useStoryBundle(bundleId: string): StoryBundleState {
+  const [state, setState] = useState<StoryBundleState>({ bundle: null, error: null, loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ bundle: null, error: null, loading: true });
+
+    bundleLoader.load(bundleId)
+      .then(bundle => {
+        if (cancelled) return;
+        console.log('Loaded bundle', bundle.id, 'with dependencies', bundle.dependencies);
+        setState({ bundle, error: null, loading: false });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error loading bundle:', error);
+        setState({ bundle: null, error: error.message, loading: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bundleId]);
+
+  return state;
+}
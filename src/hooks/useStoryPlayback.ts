@@ -0,0 +1,102 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { bundleLoader, type ChapterEntry, type ResolvedBundle, type ResolvedScene } from '../services/bundles';
+
+export interface StoryStep {
+  chapter: ChapterEntry;
+  scene: ResolvedScene;
+}
+
+// Chapters in manifest order, each scene in its listed order. Scene ids the
+// manifest doesn't define are skipped rather than stalling playback.
+function buildSteps(bundle: ResolvedBundle | null): StoryStep[] {
+  if (!bundle) return [];
+  return bundle.chapters.flatMap(chapter =>
+    chapter.scenes.flatMap(sceneId => {
+      const scene = bundle.scenes[sceneId];
+      if (!scene) {
+        console.warn(`Chapter ${chapter.id} lists unknown scene ${sceneId}`);
+        return [];
+      }
+      return [{ chapter, scene }];
+    })
+  );
+}
+
+/**
+ * Walks a story bundle's chapters and scenes in order, loading each
+ * chapter's narration text as playback reaches it.
+ */
+export function useStoryPlayback(bundle: ResolvedBundle | null) {
+  const steps = useMemo(() => buildSteps(bundle), [bundle]);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [narration, setNarration] = useState<Record<string, Record<string, string>>>({});
+  const [narrationError, setNarrationError] = useState<string | null>(null);
+
+  // A new bundle starts from the first scene
+  useEffect(() => {
+    setStepIndex(0);
+    setNarration({});
+  }, [steps]);
+
+  const step = steps[stepIndex] ?? null;
+  const chapter = step?.chapter;
+
+  useEffect(() => {
+    if (!bundle || !chapter) return;
+    let cancelled = false;
+    setNarrationError(null);
+
+    bundleLoader.getChapter(bundle, chapter)
+      .then(content => {
+        if (!cancelled) setNarration(prev => ({ ...prev, [chapter.id]: content.narration }));
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error loading chapter:', error);
+        setNarrationError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [bundle, chapter]);
+
+  // Chapters that have at least one playable scene
+  const chapters = useMemo(
+    () => [...new Set(steps.map(s => s.chapter))],
+    [steps]
+  );
+
+  const goToChapter = (chapterId: string) => {
+    const index = steps.findIndex(s => s.chapter.id === chapterId);
+    if (index !== -1) setStepIndex(index);
+  };
+
+  const goToScene = useCallback((sceneId: string) => {
+    const index = steps.findIndex(s => s.scene.id === sceneId);
+    if (index !== -1) setStepIndex(index);
+    else console.warn(`Scene ${sceneId} is not in any chapter`);
+  }, [steps]);
+
+  // First scene of the chapter after the current one
+  const nextChapter = () => {
+    const index = steps.findIndex((s, i) => i > stepIndex && s.chapter !== step?.chapter);
+    if (index !== -1) setStepIndex(index);
+  };
+
+  return {
+    step,
+    stepIndex,
+    stepCount: steps.length,
+    chapters,
+    narration: step ? narration[step.chapter.id]?.[step.scene.id] ?? null : null,
+    narrationError,
+    hasNext: stepIndex < steps.length - 1,
+    hasPrevious: stepIndex > 0,
+    next: () => setStepIndex(i => Math.min(i + 1, steps.length - 1)),
+    previous: () => setStepIndex(i => Math.max(i - 1, 0)),
+    goToChapter,
+    goToScene,
+    nextChapter
+  };
+}
@@ -10,6 +10,13 @@ export interface Selection {
   mapId?: string;
 }
 
+// What happens when a reader clicks a hotspot in the story player
+export type HotspotAction =
+  | { type: 'reveal-clue'; clueId: string }
+  | { type: 'open-scene'; sceneId: string }
+  | { type: 'show-character'; characterId: string }
+  | { type: 'next-chapter' };
+
 export interface Hotspot {
   id: string;
   x: number;
@@ -20,10 +27,60 @@ export interface Hotspot {
   description?: string;
   lassoSelectionId?: string;
   points?: Point[];
+  action?: HotspotAction | null;
   createdAt: string;
   mapId?: string;
 }
 
+// Where an author dragged a character's sticker on a map
+export interface CharacterPlacement {
+  characterId: string;
+  mapId: string;
+  x: number; // 0–1 of the map image width, like hotspot points
+  y: number;
+  updatedAt: string;
+}
+
+// How a character speeds up and slows down along its path
+export type PathEasing = 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out';
+
+// A route a character's sticker follows when a scene plays
+export interface CharacterPath {
+  id: string;
+  mapId: string;
+  characterId: string;
+  sceneId?: string | null;
+  points: Point[]; // 0–1 image coordinates, in travel order
+  curve: boolean; // Smooth curve through the points rather than straight segments
+  speed: number; // Map widths per second
+  easing: PathEasing;
+  createdAt: string;
+}
+
+export type CharacterPathDraft = Omit<CharacterPath, 'id' | 'mapId' | 'createdAt'>;
+
+// One reader's place in one story
+export interface StoryProgress {
+  discoveredHotspots: string[];
+  foundClues: string[];
+  chapterId?: string;
+  sceneId?: string;
+  updatedAt: string;
+}
+
+export interface ReaderProgress {
+  readerId: string;
+  stories: Record<string, StoryProgress>; // Keyed by story bundle id
+  updatedAt: string | null; // null until the reader's first save
+}
+
+// What a publish wrote, keyed by annotation (hotspots, paths, placements)
+export interface PublishResult {
+  bundleId: string;
+  files: Record<string, { path: string; records: number }>;
+  manifestUpdated: boolean;
+}
+
 const API_BASE_URL = 'http://localhost:3001/api';
 
 export class SelectionAPI {
@@ -35,18 +92,22 @@ export class SelectionAPI {
     return response.json();
   }
 
-  async getAllSelections(): Promise<Selection[]> {
-    const response = await fetch(`${API_BASE_URL}/selections`);
+  private mapUrl(mapId: string, collection: 'selections' | 'hotspots' | 'candidates' | 'placements' | 'paths'): string {
+    return `${API_BASE_URL}/maps/${encodeURIComponent(mapId)}/${collection}`;
+  }
+
+  async getSelections(mapId: string): Promise<Selection[]> {
+    const response = await fetch(this.mapUrl(mapId, 'selections'));
     return this.handleResponse<Selection[]>(response);
   }
 
-  async saveSelection(points: Point[], mapId: string = 'default'): Promise<Selection> {
-    const response = await fetch(`${API_BASE_URL}/selections`, {
+  async saveSelection(mapId: string, points: Point[]): Promise<Selection> {
+    const response = await fetch(this.mapUrl(mapId, 'selections'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ points, mapId }),
+      body: JSON.stringify({ points }),
     });
     return this.handleResponse<Selection>(response);
   }
@@ -58,26 +119,38 @@ export class SelectionAPI {
     await this.handleResponse<{ message: string }>(response);
   }
 
-  async clearAllSelections(): Promise<void> {
-    const response = await fetch(`${API_BASE_URL}/selections`, {
+  async clearSelections(mapId: string): Promise<void> {
+    const response = await fetch(this.mapUrl(mapId, 'selections'), {
       method: 'DELETE',
     });
     await this.handleResponse<{ message: string }>(response);
   }
 
+  // Re-insert selections removed by a clear, keeping their ids (undo)
+  async restoreSelections(mapId: string, selections: Selection[]): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'selections')}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ selections }),
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
   async checkHealth(): Promise<{ status: string; timestamp: string }> {
     const response = await fetch(`${API_BASE_URL}/health`);
     return this.handleResponse<{ status: string; timestamp: string }>(response);
   }
 
   // Hotspot methods
-  async getAllHotspots(): Promise<Hotspot[]> {
-    const response = await fetch(`${API_BASE_URL}/hotspots`);
+  async getHotspots(mapId: string): Promise<Hotspot[]> {
+    const response = await fetch(this.mapUrl(mapId, 'hotspots'));
     return this.handleResponse<Hotspot[]>(response);
   }
 
-  async saveHotspot(hotspot: Omit<Hotspot, 'id' | 'createdAt'>): Promise<Hotspot> {
-    const response = await fetch(`${API_BASE_URL}/hotspots`, {
+  async saveHotspot(mapId: string, hotspot: Omit<Hotspot, 'id' | 'createdAt' | 'mapId'>): Promise<Hotspot> {
+    const response = await fetch(this.mapUrl(mapId, 'hotspots'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -87,6 +160,36 @@ export class SelectionAPI {
     return this.handleResponse<Hotspot>(response);
   }
 
+  async clearHotspots(mapId: string): Promise<void> {
+    const response = await fetch(this.mapUrl(mapId, 'hotspots'), {
+      method: 'DELETE',
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  // Re-insert deleted hotspots, keeping their ids (undo)
+  async restoreHotspots(mapId: string, hotspots: Hotspot[]): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'hotspots')}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ hotspots }),
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async reorderHotspots(mapId: string, ids: string[]): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'hotspots')}/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ids }),
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
   async updateHotspot(id: string, updates: Partial<Hotspot>): Promise<void> {
     const response = await fetch(`${API_BASE_URL}/hotspots/${id}`, {
       method: 'PUT',
@@ -104,6 +207,119 @@ export class SelectionAPI {
     });
     await this.handleResponse<{ message: string }>(response);
   }
+
+  // Candidate hotspots from npm run detect:hotspots
+  async getCandidates(mapId: string): Promise<Hotspot[]> {
+    const response = await fetch(this.mapUrl(mapId, 'candidates'));
+    return this.handleResponse<Hotspot[]>(response);
+  }
+
+  async renameCandidate(mapId: string, id: string, label: string): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'candidates')}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ label }),
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async discardCandidate(mapId: string, id: string): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'candidates')}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async clearCandidates(mapId: string): Promise<void> {
+    const response = await fetch(this.mapUrl(mapId, 'candidates'), {
+      method: 'DELETE',
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async getPlacements(mapId: string): Promise<CharacterPlacement[]> {
+    const response = await fetch(this.mapUrl(mapId, 'placements'));
+    return this.handleResponse<CharacterPlacement[]>(response);
+  }
+
+  async savePlacement(mapId: string, characterId: string, position: Point): Promise<CharacterPlacement> {
+    const response = await fetch(`${this.mapUrl(mapId, 'placements')}/${encodeURIComponent(characterId)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ x: position.x, y: position.y }),
+    });
+    return this.handleResponse<CharacterPlacement>(response);
+  }
+
+  async deletePlacement(mapId: string, characterId: string): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'placements')}/${encodeURIComponent(characterId)}`, {
+      method: 'DELETE',
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async getPaths(mapId: string): Promise<CharacterPath[]> {
+    const response = await fetch(this.mapUrl(mapId, 'paths'));
+    return this.handleResponse<CharacterPath[]>(response);
+  }
+
+  async createPath(mapId: string, path: CharacterPathDraft): Promise<CharacterPath> {
+    const response = await fetch(this.mapUrl(mapId, 'paths'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(path),
+    });
+    return this.handleResponse<CharacterPath>(response);
+  }
+
+  async updatePath(mapId: string, id: string, updates: Partial<CharacterPathDraft>): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'paths')}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(updates),
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  async deletePath(mapId: string, id: string): Promise<void> {
+    const response = await fetch(`${this.mapUrl(mapId, 'paths')}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+    await this.handleResponse<{ message: string }>(response);
+  }
+
+  // Writes the map's hotspots, paths and placements into its bundle's annotation files
+  async publishBundle(bundleId: string): Promise<PublishResult> {
+    const response = await fetch(`${API_BASE_URL}/bundles/${encodeURIComponent(bundleId)}/publish`, {
+      method: 'POST',
+    });
+    return this.handleResponse<PublishResult>(response);
+  }
+
+  async getProgress(readerId: string): Promise<ReaderProgress> {
+    const response = await fetch(`${API_BASE_URL}/progress/${encodeURIComponent(readerId)}`);
+    return this.handleResponse<ReaderProgress>(response);
+  }
+
+  // Replaces the given stories' progress; the reader's other stories are kept
+  async saveProgress(readerId: string, stories: Record<string, StoryProgress>): Promise<ReaderProgress> {
+    const response = await fetch(`${API_BASE_URL}/progress/${encodeURIComponent(readerId)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ stories }),
+    });
+    return this.handleResponse<ReaderProgress>(response);
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,231 @@
+export type AudioChannel = 'ambient' | 'narration' | 'ui';
+
+export interface AudioState {
+  muted: boolean;
+  volume: number; // 0–1, applied on top of each channel's mix level
+  // The browser won't play sound until the reader clicks or presses a key
+  blocked: boolean;
+  narrationUrl: string | null;
+  narrationPlaying: boolean;
+  // Files that failed to load; anything asking for them plays nothing
+  unavailable: string[];
+}
+
+const SETTINGS_KEY = 'storymap.audio';
+
+// How loud each channel is relative to the master volume
+const CHANNEL_MIX: Record<AudioChannel, number> = {
+  ambient: 0.35,
+  narration: 1,
+  ui: 0.6
+};
+
+const readSettings = (): Pick<AudioState, 'muted' | 'volume'> => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      muted: saved.muted === true,
+      volume: typeof saved.volume === 'number' ? Math.max(0, Math.min(1, saved.volume)) : 0.8
+    };
+  } catch {
+    return { muted: false, volume: 0.8 };
+  }
+};
+
+/**
+ * Every sound in the app: a looping ambient track per map, narration per
+ * scene and short UI sounds. Files are loaded once and shared. A file that
+ * fails to load is remembered and skipped, so a missing mp3 never stops the
+ * story. Sound asked for before the browser allows autoplay starts on the
+ * reader's first click or key press.
+ */
+export class AudioManager {
+  private state: AudioState = {
+    ...readSettings(),
+    blocked: false,
+    narrationUrl: null,
+    narrationPlaying: false,
+    unavailable: []
+  };
+  private listeners = new Set<() => void>();
+  private elements = new Map<string, HTMLAudioElement>();
+  private ambientUrl: string | null = null;
+  private waitingForGesture = false;
+
+  subscribe = (listener: () => void): (() => void) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  // Same object until something changes, for useSyncExternalStore
+  getState = (): AudioState => this.state;
+
+  private setState(changes: Partial<AudioState>): void {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  isAvailable(url: string): boolean {
+    return !this.state.unavailable.includes(url);
+  }
+
+  private markUnavailable(url: string): void {
+    if (!this.isAvailable(url)) return;
+    console.warn(`Audio unavailable, continuing without it: ${url}`);
+    this.setState({
+      unavailable: [...this.state.unavailable, url],
+      ...(this.state.narrationUrl === url ? { narrationPlaying: false } : {})
+    });
+  }
+
+  private element(url: string, preload: 'auto' | 'metadata' = 'auto'): HTMLAudioElement {
+    let audio = this.elements.get(url);
+    if (!audio) {
+      audio = new Audio();
+      audio.preload = preload;
+      audio.addEventListener('error', () => this.markUnavailable(url));
+      audio.src = url;
+      this.elements.set(url, audio);
+    }
+    return audio;
+  }
+
+  private applyVolume(audio: HTMLAudioElement, channel: AudioChannel): void {
+    audio.muted = this.state.muted;
+    audio.volume = this.state.volume * CHANNEL_MIX[channel];
+  }
+
+  /**
+   * Start loading files ahead of time. Narration only fetches metadata, enough
+   * to find out whether the file exists.
+   */
+  preload(urls: string[], preload: 'auto' | 'metadata' = 'auto'): void {
+    for (const url of urls) {
+      if (this.isAvailable(url)) this.element(url, preload);
+    }
+  }
+
+  private async start(url: string, channel: AudioChannel): Promise<boolean> {
+    if (!this.isAvailable(url)) return false;
+    const audio = this.element(url);
+    this.applyVolume(audio, channel);
+    try {
+      await audio.play();
+      return true;
+    } catch (error) {
+      const { name } = error as DOMException;
+      if (name === 'NotAllowedError') {
+        this.waitForGesture();
+      } else if (name !== 'AbortError') {
+        // AbortError only means a pause() got there first
+        this.markUnavailable(url);
+      }
+      return false;
+    }
+  }
+
+  private waitForGesture(): void {
+    if (!this.state.blocked) this.setState({ blocked: true });
+    if (this.waitingForGesture) return;
+    this.waitingForGesture = true;
+
+    const unlock = () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+      this.waitingForGesture = false;
+      this.setState({ blocked: false });
+      if (this.ambientUrl) this.start(this.ambientUrl, 'ambient');
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+  }
+
+  /**
+   * Loop a map's ambient track, replacing the current one. null stops it.
+   */
+  playAmbient(url: string | null): void {
+    if (url === this.ambientUrl) return;
+    if (this.ambientUrl) {
+      const previous = this.element(this.ambientUrl);
+      previous.pause();
+      previous.currentTime = 0;
+    }
+    this.ambientUrl = url;
+    if (!url) return;
+
+    this.element(url).loop = true;
+    this.start(url, 'ambient');
+  }
+
+  /**
+   * Play or resume a scene's narration, stopping any other narration.
+   * Resolves to false if it couldn't play (missing file, autoplay blocked).
+   */
+  async playNarration(url: string): Promise<boolean> {
+    const current = this.state.narrationUrl;
+    if (current && current !== url) this.stopNarration();
+
+    const audio = this.element(url, 'metadata');
+    if (!audio.dataset.narration) {
+      audio.dataset.narration = 'true';
+      audio.addEventListener('play', () => {
+        if (this.state.narrationUrl === url) this.setState({ narrationPlaying: true });
+      });
+      const stopped = () => {
+        if (this.state.narrationUrl === url) this.setState({ narrationPlaying: false });
+      };
+      audio.addEventListener('pause', stopped);
+      audio.addEventListener('ended', stopped);
+    }
+
+    this.setState({ narrationUrl: url });
+    return this.start(url, 'narration');
+  }
+
+  pauseNarration(): void {
+    if (this.state.narrationUrl) this.element(this.state.narrationUrl).pause();
+  }
+
+  stopNarration(): void {
+    const url = this.state.narrationUrl;
+    if (!url) return;
+    const audio = this.element(url);
+    audio.pause();
+    audio.currentTime = 0;
+    this.setState({ narrationUrl: null, narrationPlaying: false });
+  }
+
+  /**
+   * Short UI sound. Each play is a fresh copy so quick clicks can overlap.
+   */
+  playSound(url: string | undefined): void {
+    if (!url || this.state.muted || this.state.blocked || !this.isAvailable(url)) return;
+    const sound = this.element(url).cloneNode() as HTMLAudioElement;
+    this.applyVolume(sound, 'ui');
+    sound.play().catch(() => undefined);
+  }
+
+  private saveSettings(): void {
+    const { muted, volume } = this.state;
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ muted, volume }));
+    } catch {
+      // Settings just won't survive a reload
+    }
+    if (this.ambientUrl) this.applyVolume(this.element(this.ambientUrl), 'ambient');
+    if (this.state.narrationUrl) this.applyVolume(this.element(this.state.narrationUrl), 'narration');
+  }
+
+  setMuted(muted: boolean): void {
+    this.setState({ muted });
+    this.saveSettings();
+  }
+
+  setVolume(volume: number): void {
+    this.setState({ volume: Math.max(0, Math.min(1, volume)) });
+    this.saveSettings();
+  }
+}
+
+// Singleton instance
+export const audioManager = new AudioManager();
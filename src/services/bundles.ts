@@ -0,0 +1,431 @@
+import type { CharacterPath, CharacterPlacement, Hotspot } from './api';
+
+export interface NormalizedPoint {
+  x: number; // 0–1 of the map image width
+  y: number; // 0–1 of the map image height
+}
+
+export interface AssetEntry {
+  id: string;
+  type: string;
+  path: string;
+  description?: string;
+}
+
+export interface CharacterEntry {
+  id: string;
+  name: string;
+  type: 'character';
+  image: string;
+  description?: string;
+  position?: NormalizedPoint;
+}
+
+export interface LocationEntry {
+  id: string;
+  name: string;
+  type: 'location';
+  image: string;
+  coordinates?: { x: number; y: number };
+}
+
+export interface ClueEntry {
+  id: string;
+  name: string;
+  type: 'clue';
+  image: string;
+  description?: string;
+}
+
+export interface SceneEntry {
+  id: string;
+  title: string;
+  type: 'scene';
+  image?: string;
+  audio?: string;
+}
+
+export interface ChapterEntry {
+  id: string;
+  title: string;
+  scenes: string[];
+  path?: string;
+}
+
+// Contents of a chapter's `path` file: narration text for each of its scenes
+export interface ChapterContent {
+  id: string;
+  narration: Record<string, string>;
+}
+
+export interface AnnotationEntry {
+  path: string;
+  description?: string;
+}
+
+// Format of the stickers and outlines tools/build_assets.js derives from a bundle's images
+export type DerivedFormat = 'webp' | 'svg';
+
+export interface BundleManifest {
+  id: string;
+  version: string;
+  type: 'story' | 'pack';
+  name: string;
+  description?: string;
+  dependsOn?: string[];
+  derivedFormat?: DerivedFormat;
+  metadata?: Record<string, unknown>;
+  assets: {
+    images?: Record<string, AssetEntry>;
+    audio?: Record<string, AssetEntry>;
+    characters?: Record<string, CharacterEntry>;
+    locations?: Record<string, LocationEntry>;
+    clues?: Record<string, ClueEntry>;
+    scenes?: Record<string, SceneEntry>;
+    story?: { chapters: ChapterEntry[] };
+    annotations?: Record<string, AnnotationEntry>;
+  };
+}
+
+export interface ResolvedCharacter extends CharacterEntry {
+  bundleId: string;
+  imageUrl: string;
+  stickerUrl: string;
+}
+
+export interface ResolvedLocation extends LocationEntry {
+  bundleId: string;
+  imageUrl: string;
+}
+
+export interface ResolvedClue extends ClueEntry {
+  bundleId: string;
+  imageUrl: string;
+  outlineUrl: string;
+}
+
+export interface ResolvedScene extends SceneEntry {
+  bundleId: string;
+  imageUrl?: string;
+  audioUrl?: string;
+}
+
+export interface ResolvedMap {
+  id: string; // Scopes hotspots and other per-map data in the backend
+  image: string;
+  coloredImage: string;
+  outlineImage: string;
+  ambientAudio?: string; // Looped while reading
+}
+
+export interface ResolvedBundle {
+  id: string;
+  manifest: BundleManifest;
+  baseUrl: string;
+  dependencies: string[]; // Every pack pulled in through dependsOn, nearest first
+  map: ResolvedMap;
+  images: Record<string, string>;
+  audio: Record<string, string>;
+  characters: ResolvedCharacter[];
+  locations: ResolvedLocation[];
+  clues: ResolvedClue[];
+  scenes: Record<string, ResolvedScene>;
+  chapters: ChapterEntry[];
+  annotations: Record<string, string>;
+}
+
+// Authored map data published into the bundle, for reading without the backend
+export interface PublishedAnnotations {
+  hotspots: Hotspot[];
+  paths: CharacterPath[];
+  placements: CharacterPlacement[];
+}
+
+// Image ids the map is assembled from; story bundles usually inherit them from assets.core
+export const MAP_IMAGE_IDS = {
+  base: 'map-background',
+  colored: 'map-colored',
+  outline: 'map-outline'
+} as const;
+
+// Audio ids for the map's ambient loop and UI sounds, also usually from assets.core
+export const MAP_AUDIO_IDS = {
+  ambient: 'ambient-city'
+} as const;
+
+export const UI_SOUND_IDS = {
+  click: 'click'
+} as const;
+
+export class BundleError extends Error {
+  readonly bundleId: string;
+
+  constructor(bundleId: string, message: string) {
+    super(`${bundleId}: ${message}`);
+    this.name = 'BundleError';
+    this.bundleId = bundleId;
+  }
+}
+
+/**
+ * Story bundles live under /stories, asset packs at the root of public/.
+ */
+export function bundleBaseUrl(bundleId: string): string {
+  return bundleId.endsWith('.bundle') ? `/stories/${bundleId}` : `/${bundleId}`;
+}
+
+export function resolveAssetUrl(baseUrl: string, assetPath: string): string {
+  if (/^(https?:)?\/\//.test(assetPath) || assetPath.startsWith('/')) {
+    return assetPath;
+  }
+  return `${baseUrl}/${assetPath.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Derived images sit next to their source: foo.png → foo.sticker.webp, or
+ * foo.sticker.svg in SVG bundles. Cutouts are always WebP.
+ */
+export function derivedAssetUrl(url: string, suffix: 'cutout' | 'sticker' | 'outline', format: DerivedFormat = 'webp'): string {
+  const ext = format === 'svg' && suffix !== 'cutout' ? 'svg' : 'webp';
+  return url.replace(/\.[^./]+$/, `.${suffix}.${ext}`);
+}
+
+// Id of the root element of derived SVGs, which the app draws through <use>
+export const DERIVED_SVG_ID = 'image';
+
+export class BundleLoader {
+  private manifests = new Map<string, Promise<BundleManifest>>();
+  private chapters = new Map<string, Promise<ChapterContent>>();
+  private annotations = new Map<string, Promise<PublishedAnnotations>>();
+
+  private async fetchManifest(bundleId: string): Promise<BundleManifest> {
+    const response = await fetch(`${bundleBaseUrl(bundleId)}/manifest.json`);
+    if (!response.ok) {
+      throw new BundleError(bundleId, `manifest not found (HTTP ${response.status})`);
+    }
+
+    let manifest: BundleManifest;
+    try {
+      manifest = await response.json();
+    } catch {
+      throw new BundleError(bundleId, 'manifest is not valid JSON');
+    }
+
+    if (manifest.id !== bundleId) {
+      throw new BundleError(bundleId, `manifest declares id "${manifest.id}"`);
+    }
+    return manifest;
+  }
+
+  getManifest(bundleId: string): Promise<BundleManifest> {
+    let manifest = this.manifests.get(bundleId);
+    if (!manifest) {
+      manifest = this.fetchManifest(bundleId);
+      // Don't cache failures, so a fixed manifest can be picked up on retry
+      manifest.catch(() => this.manifests.delete(bundleId));
+      this.manifests.set(bundleId, manifest);
+    }
+    return manifest;
+  }
+
+  private async fetchAnnotation<T>(bundle: ResolvedBundle, key: keyof PublishedAnnotations): Promise<T[]> {
+    const url = bundle.annotations[key];
+    if (!url) return [];
+
+    const response = await fetch(url);
+    // Nothing published yet
+    if (response.status === 404) return [];
+    if (!response.ok) {
+      throw new BundleError(bundle.id, `${key} annotations not found (HTTP ${response.status})`);
+    }
+
+    let records: T[];
+    try {
+      records = await response.json();
+    } catch {
+      throw new BundleError(bundle.id, `${key} annotations are not valid JSON`);
+    }
+    if (!Array.isArray(records)) {
+      throw new BundleError(bundle.id, `${key} annotations should be a list`);
+    }
+    // Published records leave out the map id; it's the bundle's
+    return records.map(record => ({ ...record, mapId: bundle.map.id }));
+  }
+
+  private async fetchAnnotations(bundle: ResolvedBundle): Promise<PublishedAnnotations> {
+    const [hotspots, paths, placements] = await Promise.all([
+      this.fetchAnnotation<Hotspot>(bundle, 'hotspots'),
+      this.fetchAnnotation<CharacterPath>(bundle, 'paths'),
+      this.fetchAnnotation<CharacterPlacement>(bundle, 'placements')
+    ]);
+    return { hotspots, paths, placements };
+  }
+
+  /**
+   * Hotspots, paths and character placements published into the bundle.
+   * Kinds the bundle doesn't declare, or hasn't published yet, are empty.
+   */
+  getAnnotations(bundle: ResolvedBundle): Promise<PublishedAnnotations> {
+    let annotations = this.annotations.get(bundle.id);
+    if (!annotations) {
+      annotations = this.fetchAnnotations(bundle);
+      annotations.catch(() => this.annotations.delete(bundle.id));
+      this.annotations.set(bundle.id, annotations);
+    }
+    return annotations;
+  }
+
+  private async fetchChapter(bundle: ResolvedBundle, chapter: ChapterEntry): Promise<ChapterContent> {
+    if (!chapter.path) {
+      return { id: chapter.id, narration: {} };
+    }
+
+    const response = await fetch(resolveAssetUrl(bundle.baseUrl, chapter.path));
+    if (!response.ok) {
+      throw new BundleError(bundle.id, `${chapter.path} not found (HTTP ${response.status})`);
+    }
+
+    let content: ChapterContent;
+    try {
+      content = await response.json();
+    } catch {
+      throw new BundleError(bundle.id, `${chapter.path} is not valid JSON`);
+    }
+
+    if (content.id !== chapter.id) {
+      throw new BundleError(bundle.id, `${chapter.path} declares id "${content.id}", expected "${chapter.id}"`);
+    }
+    return { id: content.id, narration: content.narration || {} };
+  }
+
+  /**
+   * Narration for a chapter. Chapters without a path have no narration text.
+   */
+  getChapter(bundle: ResolvedBundle, chapter: ChapterEntry): Promise<ChapterContent> {
+    const key = `${bundle.id}/${chapter.id}`;
+    let content = this.chapters.get(key);
+    if (!content) {
+      content = this.fetchChapter(bundle, chapter);
+      content.catch(() => this.chapters.delete(key));
+      this.chapters.set(key, content);
+    }
+    return content;
+  }
+
+  /**
+   * Loads the bundle and its dependsOn packs depth-first. Dependencies come
+   * before the bundle that needs them so later entries can override assets.
+   */
+  private async loadChain(bundleId: string, trail: string[] = [], seen = new Set<string>()): Promise<BundleManifest[]> {
+    if (trail.includes(bundleId)) {
+      throw new BundleError(bundleId, `circular dependsOn: ${[...trail, bundleId].join(' → ')}`);
+    }
+    if (seen.has(bundleId)) return [];
+    seen.add(bundleId);
+
+    const manifest = await this.getManifest(bundleId);
+    const chain: BundleManifest[] = [];
+    for (const dependencyId of manifest.dependsOn || []) {
+      chain.push(...await this.loadChain(dependencyId, [...trail, bundleId], seen));
+    }
+    chain.push(manifest);
+    return chain;
+  }
+
+  async load(bundleId: string): Promise<ResolvedBundle> {
+    const chain = await this.loadChain(bundleId);
+    const manifest = chain[chain.length - 1];
+    const baseUrl = bundleBaseUrl(bundleId);
+
+    const images: Record<string, string> = {};
+    // Derived format of the bundle each image came from
+    const imageFormats: Record<string, DerivedFormat | undefined> = {};
+    const audio: Record<string, string> = {};
+    const characters = new Map<string, ResolvedCharacter>();
+    const locations = new Map<string, ResolvedLocation>();
+    const clues = new Map<string, ResolvedClue>();
+    const scenes: Record<string, ResolvedScene> = {};
+
+    for (const entry of chain) {
+      const entryBase = bundleBaseUrl(entry.id);
+      const { assets } = entry;
+
+      for (const image of Object.values(assets.images || {})) {
+        images[image.id] = resolveAssetUrl(entryBase, image.path);
+        imageFormats[image.id] = entry.derivedFormat;
+      }
+      for (const sound of Object.values(assets.audio || {})) {
+        audio[sound.id] = resolveAssetUrl(entryBase, sound.path);
+      }
+      for (const character of Object.values(assets.characters || {})) {
+        const imageUrl = resolveAssetUrl(entryBase, character.image);
+        characters.set(character.id, {
+          ...character,
+          bundleId: entry.id,
+          imageUrl,
+          stickerUrl: derivedAssetUrl(imageUrl, 'sticker', entry.derivedFormat)
+        });
+      }
+      for (const location of Object.values(assets.locations || {})) {
+        locations.set(location.id, {
+          ...location,
+          bundleId: entry.id,
+          imageUrl: resolveAssetUrl(entryBase, location.image)
+        });
+      }
+      for (const clue of Object.values(assets.clues || {})) {
+        const imageUrl = resolveAssetUrl(entryBase, clue.image);
+        clues.set(clue.id, {
+          ...clue,
+          bundleId: entry.id,
+          imageUrl,
+          outlineUrl: derivedAssetUrl(imageUrl, 'outline', entry.derivedFormat)
+        });
+      }
+      for (const scene of Object.values(assets.scenes || {})) {
+        scenes[scene.id] = {
+          ...scene,
+          bundleId: entry.id,
+          imageUrl: scene.image ? resolveAssetUrl(entryBase, scene.image) : undefined,
+          audioUrl: scene.audio ? resolveAssetUrl(entryBase, scene.audio) : undefined
+        };
+      }
+    }
+
+    const mapImage = images[MAP_IMAGE_IDS.base];
+    if (!mapImage) {
+      throw new BundleError(bundleId, `no "${MAP_IMAGE_IDS.base}" image in the bundle or its dependencies`);
+    }
+
+    const annotations: Record<string, string> = {};
+    for (const [key, annotation] of Object.entries(manifest.assets.annotations || {})) {
+      annotations[key] = resolveAssetUrl(baseUrl, annotation.path);
+    }
+
+    return {
+      id: bundleId,
+      manifest,
+      baseUrl,
+      dependencies: chain.slice(0, -1).map(m => m.id).reverse(),
+      map: {
+        id: bundleId,
+        image: mapImage,
+        coloredImage: images[MAP_IMAGE_IDS.colored] || mapImage,
+        outlineImage: images[MAP_IMAGE_IDS.outline] ||
+          derivedAssetUrl(mapImage, 'outline', imageFormats[MAP_IMAGE_IDS.base]),
+        ambientAudio: audio[MAP_AUDIO_IDS.ambient]
+      },
+      images,
+      audio,
+      characters: [...characters.values()],
+      locations: [...locations.values()],
+      clues: [...clues.values()],
+      scenes,
+      chapters: manifest.assets.story?.chapters || [],
+      annotations
+    };
+  }
+}
+
+// Singleton instance
+export const bundleLoader = new BundleLoader();
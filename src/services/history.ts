@@ -0,0 +1,100 @@
+// Undo/redo stack for map authoring. Each command knows how to replay its
+// backend calls in both directions, so the server stays in step with the
+// history rather than just the local React state.
+
+export interface HistoryCommand {
+  label: string;
+  undo: () => Promise<void>;
+  redo: () => Promise<void>;
+}
+
+const DEFAULT_LIMIT = 100;
+
+export class HistoryStack {
+  private past: HistoryCommand[] = [];
+  private future: HistoryCommand[] = [];
+  private listeners = new Set<() => void>();
+  private busy = false;
+  private limit: number;
+
+  constructor(limit = DEFAULT_LIMIT) {
+    this.limit = limit;
+  }
+
+  /**
+   * Record a command that has already been applied. Clears the redo stack.
+   */
+  push(command: HistoryCommand): void {
+    this.past.push(command);
+    if (this.past.length > this.limit) {
+      this.past.shift();
+    }
+    this.future = [];
+    this.notify();
+  }
+
+  async undo(): Promise<HistoryCommand | null> {
+    return this.step(this.past, this.future, command => command.undo());
+  }
+
+  async redo(): Promise<HistoryCommand | null> {
+    return this.step(this.future, this.past, command => command.redo());
+  }
+
+  // A command that fails to replay stays where it was so it can be retried
+  private async step(
+    from: HistoryCommand[],
+    to: HistoryCommand[],
+    run: (command: HistoryCommand) => Promise<void>
+  ): Promise<HistoryCommand | null> {
+    if (this.busy || from.length === 0) return null;
+
+    const command = from.pop()!;
+    this.busy = true;
+    this.notify();
+    try {
+      await run(command);
+      to.push(command);
+      return command;
+    } catch (error) {
+      from.push(command);
+      throw error;
+    } finally {
+      this.busy = false;
+      this.notify();
+    }
+  }
+
+  get canUndo(): boolean {
+    return !this.busy && this.past.length > 0;
+  }
+
+  get canRedo(): boolean {
+    return !this.busy && this.future.length > 0;
+  }
+
+  get undoLabel(): string | null {
+    return this.past[this.past.length - 1]?.label ?? null;
+  }
+
+  get redoLabel(): string | null {
+    return this.future[this.future.length - 1]?.label ?? null;
+  }
+
+  clear(): void {
+    this.past = [];
+    this.future = [];
+    this.notify();
+  }
+
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private notify(): void {
+    this.listeners.forEach(listener => listener());
+  }
+}
@@ -0,0 +1,97 @@
+import { selectionAPI, type StoryProgress } from './api';
+
+const READER_ID_KEY = 'storymap.readerId';
+const progressKey = (readerId: string, storyId: string) => `storymap.progress.${readerId}.${storyId}`;
+
+export const emptyProgress = (): StoryProgress => ({
+  discoveredHotspots: [],
+  foundClues: [],
+  updatedAt: new Date(0).toISOString()
+});
+
+/**
+ * The reader on this device: ?reader=<id> if given (so a child can pick up on
+ * another device), otherwise an id generated once and kept in localStorage.
+ */
+export function getReaderId(): string {
+  const fromUrl = new URLSearchParams(window.location.search).get('reader');
+  if (fromUrl) return fromUrl;
+
+  let readerId = localStorage.getItem(READER_ID_KEY);
+  if (!readerId) {
+    readerId = crypto.randomUUID();
+    localStorage.setItem(READER_ID_KEY, readerId);
+  }
+  return readerId;
+}
+
+const isNewer = (a: StoryProgress, b: StoryProgress) => Date.parse(a.updatedAt) > Date.parse(b.updatedAt);
+
+/**
+ * Reader progress kept on the backend, with localStorage as a copy that
+ * works offline. Whichever side was updated last wins when they disagree,
+ * so changes made offline are pushed up on the next load.
+ */
+export class ProgressStore {
+  // Saves go out one at a time so an older one can't land after a newer one
+  private queue: Promise<unknown> = Promise.resolve();
+
+  private readLocal(readerId: string, storyId: string): StoryProgress | null {
+    try {
+      const saved = localStorage.getItem(progressKey(readerId, storyId));
+      return saved ? { ...emptyProgress(), ...JSON.parse(saved) } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private writeLocal(readerId: string, storyId: string, progress: StoryProgress): void {
+    try {
+      localStorage.setItem(progressKey(readerId, storyId), JSON.stringify(progress));
+    } catch (error) {
+      console.warn('Could not save progress locally:', error);
+    }
+  }
+
+  private push(readerId: string, storyId: string, progress: StoryProgress): Promise<void> {
+    const request = this.queue.then(() => selectionAPI.saveProgress(readerId, { [storyId]: progress }));
+    this.queue = request.catch(() => undefined);
+    return request.then(() => undefined);
+  }
+
+  async load(readerId: string, storyId: string): Promise<StoryProgress> {
+    const local = this.readLocal(readerId, storyId);
+
+    let remote: StoryProgress | undefined;
+    try {
+      remote = (await selectionAPI.getProgress(readerId)).stories[storyId];
+    } catch (error) {
+      console.warn('Progress server unavailable, using this device\'s copy:', error);
+      return local ?? emptyProgress();
+    }
+
+    if (local && (!remote || isNewer(local, remote))) {
+      this.push(readerId, storyId, local).catch(error => console.warn('Could not sync progress:', error));
+      return local;
+    }
+    const progress = remote ?? emptyProgress();
+    this.writeLocal(readerId, storyId, progress);
+    return progress;
+  }
+
+  /**
+   * Saves locally right away; the backend copy catches up on the next load
+   * if it can't be reached now.
+   */
+  async save(readerId: string, storyId: string, progress: StoryProgress): Promise<void> {
+    this.writeLocal(readerId, storyId, progress);
+    try {
+      await this.push(readerId, storyId, progress);
+    } catch (error) {
+      console.warn('Progress saved on this device only:', error);
+    }
+  }
+}
+
+// Singleton instance
+export const progressStore = new ProgressStore();
@@ -0,0 +1,89 @@
+import type { CharacterPath, PathEasing } from '../services/api';
+import type { Point } from './geometry';
+
+export const PATH_EASINGS: { id: PathEasing; label: string; ease: (t: number) => number }[] = [
+  { id: 'linear', label: 'Steady', ease: t => t },
+  { id: 'ease-in', label: 'Speed up', ease: t => t * t },
+  { id: 'ease-out', label: 'Slow down', ease: t => 1 - (1 - t) * (1 - t) },
+  { id: 'ease-in-out', label: 'Speed up, then slow down', ease: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)) }
+];
+
+// Map widths per second
+export const DEFAULT_PATH_SPEED = 0.25;
+export const MIN_PATH_SPEED = 0.05;
+export const MAX_PATH_SPEED = 1;
+
+// Points added between each pair of authored points when drawing a curve
+const CURVE_SEGMENTS = 12;
+
+/**
+ * Catmull–Rom curve through every point, so the character still passes
+ * exactly where the author clicked. The ends are padded by repeating them.
+ */
+export function curveThrough(points: Point[], segments = CURVE_SEGMENTS): Point[] {
+  if (points.length < 3) return points;
+
+  const curve: Point[] = [points[0]];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[Math.max(0, i - 1)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(points.length - 1, i + 2)];
+
+    for (let step = 1; step <= segments; step++) {
+      const t = step / segments;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const along = (a: number, b: number, c: number, d: number) =>
+        0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+      curve.push({ x: along(p0.x, p1.x, p2.x, p3.x), y: along(p0.y, p1.y, p2.y, p3.y) });
+    }
+  }
+  return curve;
+}
+
+/**
+ * The line a character actually follows: the authored points, smoothed if
+ * the path is a curve.
+ */
+export function routePoints(path: Pick<CharacterPath, 'points' | 'curve'>): Point[] {
+  return path.curve ? curveThrough(path.points) : path.points;
+}
+
+export function polylineLength(points: Point[]): number {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * The point a fraction (0–1) of the way along a polyline, by distance, so the
+ * character keeps an even pace however the points are spaced.
+ */
+export function pointAlong(points: Point[], fraction: number): Point {
+  if (points.length === 0) return { x: 0, y: 0 };
+  let remaining = polylineLength(points) * Math.max(0, Math.min(1, fraction));
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const segment = Math.hypot(b.x - a.x, b.y - a.y);
+    if (remaining <= segment && segment > 0) {
+      const t = remaining / segment;
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+    remaining -= segment;
+  }
+  return points[points.length - 1];
+}
+
+// How long the walk takes at the path's speed, in milliseconds
+export function pathDurationMs(path: Pick<CharacterPath, 'points' | 'curve' | 'speed'>): number {
+  return (polylineLength(routePoints(path)) / Math.max(path.speed, MIN_PATH_SPEED)) * 1000;
+}
+
+export function easingFunction(easing: PathEasing): (t: number) => number {
+  return PATH_EASINGS.find(e => e.id === easing)?.ease ?? PATH_EASINGS[0].ease;
+}
@@ -0,0 +1,222 @@
+// Hotspot polygons are stored in normalized image coordinates: 0–1 of the map
+// image's natural width/height. The map is always displayed at its natural
+// aspect ratio, so dividing by the rendered size gives the same values at any
+// viewport size, zoom level or device.
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export interface PercentBounds {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export const clamp01 = (value: number) => Math.max(0, Math.min(1, value));
+
+/**
+ * Convert a mouse/pointer position to normalized coordinates of an element.
+ */
+export function clientToNormalized(clientX: number, clientY: number, rect: DOMRect): Point {
+  return {
+    x: clamp01((clientX - rect.left) / rect.width),
+    y: clamp01((clientY - rect.top) / rect.height)
+  };
+}
+
+export function normalizePoints(points: Point[], width: number, height: number): Point[] {
+  return points.map(p => ({ x: clamp01(p.x / width), y: clamp01(p.y / height) }));
+}
+
+/**
+ * Bounding box of a normalized polygon as percentages, matching the
+ * x/y/width/height fields on a hotspot record.
+ */
+export function boundsPercent(points: Point[]): PercentBounds {
+  if (points.length === 0) return { x: 0, y: 0, width: 1, height: 1 };
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const x = minX * 100;
+  const y = minY * 100;
+
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(100 - x, (Math.max(...xs) - minX) * 100)),
+    height: Math.max(1, Math.min(100 - y, (Math.max(...ys) - minY) * 100))
+  };
+}
+
+export function clipPathPolygon(points: Point[]): string {
+  return `polygon(${points.map(p => `${p.x * 100}% ${p.y * 100}%`).join(', ')})`;
+}
+
+export function clipPathFromBounds(bounds: PercentBounds): string {
+  const { x, y, width, height } = bounds;
+  return `polygon(${x}% ${y}%, ${x + width}% ${y}%, ${x + width}% ${y + height}%, ${x}% ${y + height}%)`;
+}
+
+/**
+ * SVG path data for use inside an <svg viewBox="0 0 1 1" preserveAspectRatio="none">
+ */
+export function svgPathData(points: Point[], closed = true): string {
+  if (points.length === 0) return '';
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+  return closed ? `${path} Z` : path;
+}
+
+const samePoint = (a: Point, b: Point) => a.x === b.x && a.y === b.y;
+
+export function samePoints(a: Point[], b: Point[]): boolean {
+  return a.length === b.length && a.every((p, i) => samePoint(p, b[i]));
+}
+
+/**
+ * Lasso paths are saved closed (last point repeats the first). Editing works
+ * on the open ring; closeRing restores the saved shape.
+ */
+export function openRing(points: Point[]): Point[] {
+  return points.length > 1 && samePoint(points[0], points[points.length - 1])
+    ? points.slice(0, -1)
+    : points;
+}
+
+export function closeRing(points: Point[]): Point[] {
+  return points.length > 0 ? [...points, points[0]] : points;
+}
+
+export function isClosedRing(points: Point[]): boolean {
+  return points.length > 1 && samePoint(points[0], points[points.length - 1]);
+}
+
+export function midpoint(a: Point, b: Point): Point {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Move a polygon by (dx, dy) without letting any vertex leave the image.
+ */
+export function translatePoints(points: Point[], dx: number, dy: number): Point[] {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const clampedDx = Math.max(-Math.min(...xs), Math.min(1 - Math.max(...xs), dx));
+  const clampedDy = Math.max(-Math.min(...ys), Math.min(1 - Math.max(...ys), dy));
+  return points.map(p => ({ x: p.x + clampedDx, y: p.y + clampedDy }));
+}
+
+// Distance from p to the segment a–b
+function segmentDistance(p: Point, a: Point, b: Point): number {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Douglas–Peucker simplification of an open polyline. Endpoints are kept;
+ * tolerance is in normalized units (0.002 ≈ 2px on a 1000px wide map).
+ */
+export function simplifyPolyline(points: Point[], tolerance: number): Point[] {
+  if (points.length <= 2) return points;
+
+  const keep = new Array<boolean>(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack: [number, number][] = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()!;
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = segmentDistance(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify a polygon. The ring is split at the vertex farthest from the first
+ * one so both halves keep a stable anchor. Closed input stays closed.
+ */
+export function simplifyPolygon(points: Point[], tolerance: number): Point[] {
+  const ring = openRing(points);
+  if (ring.length <= 3) return points;
+
+  let far = 0;
+  let farDistance = -1;
+  ring.forEach((p, i) => {
+    const distance = Math.hypot(p.x - ring[0].x, p.y - ring[0].y);
+    if (distance > farDistance) {
+      farDistance = distance;
+      far = i;
+    }
+  });
+
+  const first = simplifyPolyline(ring.slice(0, far + 1), tolerance);
+  const second = simplifyPolyline([...ring.slice(far), ring[0]], tolerance);
+  const simplified = [...first, ...second.slice(1, -1)];
+
+  if (simplified.length < 3) return points;
+  return isClosedRing(points) ? closeRing(simplified) : simplified;
+}
+
+/**
+ * Chaikin corner cutting: each pass replaces every corner with two points a
+ * quarter of the way along its edges. Closed input stays closed.
+ */
+export function smoothPolygon(points: Point[], iterations = 1): Point[] {
+  let ring = openRing(points);
+  if (ring.length < 3) return points;
+
+  for (let pass = 0; pass < iterations; pass++) {
+    ring = ring.flatMap((p, i) => {
+      const q = ring[(i + 1) % ring.length];
+      return [
+        { x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y },
+        { x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y }
+      ];
+    });
+  }
+
+  return isClosedRing(points) ? closeRing(ring) : ring;
+}
+
+export interface LassoCleanupOptions {
+  tolerance: number; // Douglas–Peucker tolerance, normalized units; 0 disables
+  smoothing: number; // Chaikin passes; 0 disables
+}
+
+export const DEFAULT_LASSO_CLEANUP: LassoCleanupOptions = {
+  tolerance: 0.002,
+  smoothing: 0
+};
+
+/**
+ * Clean up a freehand lasso: drop jitter, optionally round the corners, then
+ * simplify once more so smoothing doesn't multiply the vertex count.
+ */
+export function cleanLassoPath(points: Point[], options: LassoCleanupOptions = DEFAULT_LASSO_CLEANUP): Point[] {
+  const { tolerance, smoothing } = options;
+  let cleaned = tolerance > 0 ? simplifyPolygon(points, tolerance) : points;
+  if (smoothing > 0) {
+    cleaned = smoothPolygon(cleaned, smoothing);
+    if (tolerance > 0) cleaned = simplifyPolygon(cleaned, tolerance / 2);
+  }
+  return cleaned;
+}
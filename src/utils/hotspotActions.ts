@@ -0,0 +1,78 @@
+import type { HotspotAction } from '../services/api';
+import type { ResolvedBundle } from '../services/bundles';
+
+export type HotspotActionType = HotspotAction['type'];
+
+// Which bundle list each action picks its target from
+type ActionTarget = 'clues' | 'scenes' | 'characters' | null;
+
+export const HOTSPOT_ACTIONS: { type: HotspotActionType; label: string; target: ActionTarget }[] = [
+  { type: 'reveal-clue', label: 'Reveal clue', target: 'clues' },
+  { type: 'open-scene', label: 'Open scene', target: 'scenes' },
+  { type: 'show-character', label: 'Show character', target: 'characters' },
+  { type: 'next-chapter', label: 'Next chapter', target: null }
+];
+
+export interface ActionOption {
+  id: string;
+  name: string;
+}
+
+/**
+ * Targets an action of the given type can point at in this bundle.
+ */
+export function actionOptions(bundle: ResolvedBundle | null, type: HotspotActionType): ActionOption[] {
+  if (!bundle) return [];
+  switch (HOTSPOT_ACTIONS.find(a => a.type === type)?.target) {
+    case 'clues':
+      return bundle.clues.map(c => ({ id: c.id, name: c.name }));
+    case 'scenes':
+      return Object.values(bundle.scenes).map(s => ({ id: s.id, name: s.title }));
+    case 'characters':
+      return bundle.characters.map(c => ({ id: c.id, name: c.name }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Builds an action from the edit panel's type and target pickers; null when
+ * the type needs a target that hasn't been chosen.
+ */
+export function buildAction(type: HotspotActionType, targetId: string | null): HotspotAction | null {
+  switch (type) {
+    case 'reveal-clue':
+      return targetId ? { type, clueId: targetId } : null;
+    case 'open-scene':
+      return targetId ? { type, sceneId: targetId } : null;
+    case 'show-character':
+      return targetId ? { type, characterId: targetId } : null;
+    case 'next-chapter':
+      return { type };
+  }
+}
+
+export function actionTargetId(action: HotspotAction): string | null {
+  switch (action.type) {
+    case 'reveal-clue':
+      return action.clueId;
+    case 'open-scene':
+      return action.sceneId;
+    case 'show-character':
+      return action.characterId;
+    case 'next-chapter':
+      return null;
+  }
+}
+
+/**
+ * One-line summary for the hotspot list, e.g. "Reveal clue: Inside the Bakery".
+ */
+export function describeAction(action: HotspotAction, bundle: ResolvedBundle | null): string {
+  const info = HOTSPOT_ACTIONS.find(a => a.type === action.type);
+  const targetId = actionTargetId(action);
+  if (!info || !targetId) return info?.label ?? action.type;
+
+  const target = actionOptions(bundle, action.type).find(o => o.id === targetId);
+  return `${info.label}: ${target?.name ?? `${targetId} (missing)`}`;
+}
@@ -0,0 +1,245 @@
+// Magic wand selection on the outline layer: flood-fill the area enclosed by
+// ink lines around a clicked point and trace its outer edge as a polygon.
+// Works on plain pixel arrays so it doesn't depend on the DOM beyond loading.
+
+import { simplifyPolygon, DEFAULT_LASSO_CLEANUP, type Point } from './geometry';
+
+export interface PixelData {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
+export interface MagicWandOptions {
+  inkThreshold: number; // Pixels darker than this (0–255) and mostly opaque are ink
+  closeGaps: number; // Thicken ink by this many pixels so small breaks still enclose an area
+  maxCoverage: number; // Regions larger than this fraction of the image aren't enclosed
+  tolerance: number; // Simplification of the traced edge, normalized units
+}
+
+export const DEFAULT_MAGIC_WAND_OPTIONS: MagicWandOptions = {
+  inkThreshold: 128,
+  closeGaps: 1,
+  maxCoverage: 0.5,
+  tolerance: DEFAULT_LASSO_CLEANUP.tolerance
+};
+
+export class MagicWandError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MagicWandError';
+  }
+}
+
+export function inkMask(pixels: PixelData, threshold: number): Uint8Array {
+  const { data, width, height } = pixels;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    const o = i * 4;
+    const luminance = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+    mask[i] = data[o + 3] >= 128 && luminance < threshold ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Grow a mask by a square of the given radius (separable max filter).
+ */
+export function dilateMask(mask: Uint8Array, width: number, height: number, radius: number): Uint8Array {
+  if (radius <= 0) return mask;
+
+  const horizontal = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      const from = Math.max(0, x - radius);
+      const to = Math.min(width - 1, x + radius);
+      for (let k = from; k <= to; k++) {
+        if (mask[row + k]) {
+          horizontal[row + x] = 1;
+          break;
+        }
+      }
+    }
+  }
+
+  const result = new Uint8Array(mask.length);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const from = Math.max(0, y - radius);
+      const to = Math.min(height - 1, y + radius);
+      for (let k = from; k <= to; k++) {
+        if (horizontal[k * width + x]) {
+          result[y * width + x] = 1;
+          break;
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Scanline flood fill over the non-ink pixels connected to (seedX, seedY).
+ * Returns the filled mask and its area in pixels.
+ */
+export function floodFill(ink: Uint8Array, width: number, height: number, seedX: number, seedY: number) {
+  const filled = new Uint8Array(ink.length);
+  const stack = [seedY * width + seedX];
+  let area = 0;
+
+  while (stack.length > 0) {
+    const index = stack.pop()!;
+    const y = Math.floor(index / width);
+    let x = index % width;
+    if (filled[index] || ink[index]) continue;
+
+    // Walk to the left end of this run, then fill rightwards
+    while (x > 0 && !ink[y * width + x - 1] && !filled[y * width + x - 1]) x--;
+    let spanAbove = false;
+    let spanBelow = false;
+
+    for (; x < width; x++) {
+      const i = y * width + x;
+      if (ink[i] || filled[i]) break;
+      filled[i] = 1;
+      area++;
+
+      if (y > 0) {
+        const above = i - width;
+        const open = !ink[above] && !filled[above];
+        if (open && !spanAbove) stack.push(above);
+        spanAbove = open;
+      }
+      if (y < height - 1) {
+        const below = i + width;
+        const open = !ink[below] && !filled[below];
+        if (open && !spanBelow) stack.push(below);
+        spanBelow = open;
+      }
+    }
+  }
+
+  return { filled, area };
+}
+
+/**
+ * Outer boundary of a mask, traced with marching squares along pixel edges.
+ * Returns corner coordinates in pixels, keeping only the turns.
+ */
+export function traceOutline(mask: Uint8Array, width: number, height: number): Point[] {
+  const start = mask.indexOf(1);
+  if (start === -1) return [];
+
+  const at = (x: number, y: number) => (x >= 0 && y >= 0 && x < width && y < height ? mask[y * width + x] : 0);
+  const startX = start % width;
+  const startY = Math.floor(start / width);
+
+  const outline: Point[] = [];
+  let x = startX;
+  let y = startY;
+  let dx = 0;
+  let dy = 0;
+
+  do {
+    const state =
+      (at(x - 1, y - 1) ? 1 : 0) |
+      (at(x, y - 1) ? 2 : 0) |
+      (at(x - 1, y) ? 4 : 0) |
+      (at(x, y) ? 8 : 0);
+
+    let nextDx: number;
+    let nextDy: number;
+    switch (state) {
+      case 1: case 5: case 13: nextDx = 0; nextDy = -1; break; // up
+      case 2: case 3: case 7: nextDx = 1; nextDy = 0; break; // right
+      case 4: case 12: case 14: nextDx = -1; nextDy = 0; break; // left
+      case 8: case 10: case 11: nextDx = 0; nextDy = 1; break; // down
+      case 6: // saddle: keep the region on the same side
+        [nextDx, nextDy] = dy === -1 ? [-1, 0] : [1, 0];
+        break;
+      case 9:
+        [nextDx, nextDy] = dx === 1 ? [0, -1] : [0, 1];
+        break;
+      default:
+        return outline; // 0 or 15: not on a boundary
+    }
+
+    if (nextDx !== dx || nextDy !== dy) {
+      outline.push({ x, y });
+    }
+    dx = nextDx;
+    dy = nextDy;
+    x += dx;
+    y += dy;
+  } while (x !== startX || y !== startY);
+
+  return outline;
+}
+
+/**
+ * Select the region around a normalized point on the outline image.
+ * Returns a closed, simplified ring in normalized coordinates.
+ */
+export function magicWandSelect(
+  pixels: PixelData,
+  seed: Point,
+  options: MagicWandOptions = DEFAULT_MAGIC_WAND_OPTIONS
+): Point[] {
+  const { width, height } = pixels;
+  const seedX = Math.min(width - 1, Math.floor(seed.x * width));
+  const seedY = Math.min(height - 1, Math.floor(seed.y * height));
+
+  const ink = dilateMask(inkMask(pixels, options.inkThreshold), width, height, options.closeGaps);
+  if (ink[seedY * width + seedX]) {
+    throw new MagicWandError('Click inside an outlined area, not on a line');
+  }
+
+  const { filled, area } = floodFill(ink, width, height, seedX, seedY);
+  if (area / (width * height) > options.maxCoverage) {
+    throw new MagicWandError('That area is not enclosed by the outline');
+  }
+
+  // Grow the region back over the thickened ink so the edge sits on the line
+  const region = dilateMask(filled, width, height, options.closeGaps + 1);
+  const outline = traceOutline(region, width, height);
+  if (outline.length < 3) {
+    throw new MagicWandError('Selected area is too small');
+  }
+
+  const normalized = outline.map(p => ({ x: p.x / width, y: p.y / height }));
+  // Simplifying also removes the stair-steps of the pixel grid
+  return simplifyPolygon([...normalized, normalized[0]], options.tolerance);
+}
+
+const pixelCache = new Map<string, Promise<PixelData>>();
+
+/**
+ * Decode an image into pixels once per URL.
+ */
+export function loadImagePixels(url: string): Promise<PixelData> {
+  let pending = pixelCache.get(url);
+  if (!pending) {
+    pending = new Promise<PixelData>((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        if (!context) {
+          reject(new Error('Canvas 2D context unavailable'));
+          return;
+        }
+        context.drawImage(image, 0, 0);
+        resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+      };
+      image.onerror = () => reject(new Error(`Failed to load ${url}`));
+      image.src = url;
+    });
+    pixelCache.set(url, pending);
+    pending.catch(() => pixelCache.delete(url));
+  }
+  return pending;
+}
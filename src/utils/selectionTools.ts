@@ -0,0 +1,71 @@
+import type { Hotspot } from '../services/api';
+import { boundsPercent, type Point } from './geometry';
+
+export type SelectionTool = 'lasso' | 'polygon' | 'rectangle' | 'ellipse' | 'magic-wand';
+
+export const SELECTION_TOOLS: { id: SelectionTool; label: string; hint: string }[] = [
+  { id: 'lasso', label: 'Lasso', hint: 'Click and drag to select' },
+  { id: 'polygon', label: 'Polygon', hint: 'Click to place vertices, double-click to close' },
+  { id: 'rectangle', label: 'Rectangle', hint: 'Drag from corner to corner' },
+  { id: 'ellipse', label: 'Ellipse', hint: 'Drag out the bounding box' },
+  { id: 'magic-wand', label: 'Magic Wand', hint: 'Click inside an outlined area' }
+];
+
+export const isSelectionTool = (tool: string | null | undefined): tool is SelectionTool =>
+  SELECTION_TOOLS.some(t => t.id === tool);
+
+// Vertices used to approximate an ellipse
+const ELLIPSE_SEGMENTS = 48;
+
+/**
+ * Rectangle between two opposite corners, as a closed ring.
+ */
+export function rectanglePoints(a: Point, b: Point): Point[] {
+  const left = Math.min(a.x, b.x);
+  const right = Math.max(a.x, b.x);
+  const top = Math.min(a.y, b.y);
+  const bottom = Math.max(a.y, b.y);
+  return [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom },
+    { x: left, y: top }
+  ];
+}
+
+/**
+ * Ellipse inscribed in the box between two opposite corners, as a closed ring.
+ */
+export function ellipsePoints(a: Point, b: Point, segments = ELLIPSE_SEGMENTS): Point[] {
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  const rx = Math.abs(b.x - a.x) / 2;
+  const ry = Math.abs(b.y - a.y) / 2;
+  const ring = Array.from({ length: segments }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2;
+    return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+  });
+  return [...ring, ring[0]];
+}
+
+export type HotspotDraft = Omit<Hotspot, 'createdAt' | 'mapId'>;
+
+/**
+ * The hotspot record every selection tool hands to onHotspotCreated, built
+ * from the saved selection it came from.
+ */
+export function buildHotspotDraft(selectionId: string, points: Point[], tool: SelectionTool): HotspotDraft {
+  const bounds = boundsPercent(points);
+  return {
+    id: `${tool}-${selectionId}`,
+    x: bounds.x,
+    y: bounds.y,
+    width: bounds.width,
+    height: bounds.height,
+    label: `Selection ${selectionId}`,
+    description: `${SELECTION_TOOLS.find(t => t.id === tool)?.label ?? 'Lasso'} selection created on ${new Date().toLocaleDateString()}`,
+    lassoSelectionId: selectionId,
+    points
+  };
+}
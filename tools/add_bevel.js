@@ -10,7 +10,7 @@
 //   --debug <true|false>  Dump rim & height PNGs (default false)
 
 import sharp from "sharp";
-import fs from "node:fs";
+import { alphaMask, blurGray, erode, extractAlpha, maskToGray, sobel } from "./lib/imaging.js";
 
 function argBool(v, d=false){ if(v==null) return d; const s=String(v).toLowerCase(); return s==="1"||s==="true"||s==="yes";}
 function clamp(n,min,max){ return Math.max(min, Math.min(max, n)); }
@@ -34,61 +34,7 @@ function parseArgs() {
   return { input, output, bevelPx, lightDir, intensity, mode, debug };
 }
 
-// 3x3 erosion (shrinks mask by ~1px); repeat R times to approximate radius
-function erode3x3(mask, w, h) {
-  const out = new Uint8Array(w*h);
-  for (let y=1;y<h-1;y++){
-    for (let x=1;x<w-1;x++){
-      let all=1;
-      for(let dy=-1;dy<=1 && all;dy++){
-        for(let dx=-1;dx<=1 && all;dx++){
-          if(!mask[(y+dy)*w+(x+dx)]) all=0;
-        }
-      }
-      out[y*w+x]=all?1:0;
-    }
-  }
-  // borders → 0
-  for(let x=0;x<w;x++){ out[x]=0; out[(h-1)*w+x]=0; }
-  for(let y=0;y<h;y++){ out[y*w]=0; out[y*w+(w-1)]=0; }
-  return out;
-}
-
-function blurAlpha(rgba, w, h, sigma) {
-  // Sharp blur on alpha channel only: extract alpha → blur → return Uint8Array
-  return sharp(rgba, { raw:{ width:w, height:h, channels:4 } })
-    .extractChannel(3)
-    .blur(sigma)
-    .raw()
-    .toBuffer();
-}
-
-// Simple Sobel on float height array (0..1). Returns gx, gy as floats.
-function sobel(height, w, h) {
-  const gx = new Float32Array(w*h);
-  const gy = new Float32Array(w*h);
-  const Kx = [-1,0,1,-2,0,2,-1,0,1];
-  const Ky = [-1,-2,-1, 0,0,0, 1,2,1];
-  for(let y=1;y<h-1;y++){
-    for(let x=1;x<w-1;x++){
-      let sx=0, sy=0, k=0;
-      for(let dy=-1; dy<=1; dy++){
-        for(let dx=-1; dx<=1; dx++){
-          const v = height[(y+dy)*w + (x+dx)];
-          sx += v * Kx[k];
-          sy += v * Ky[k];
-          k++;
-        }
-      }
-      gx[y*w+x]=sx; gy[y*w+x]=sy;
-    }
-  }
-  return { gx, gy };
-}
-
-async function main(){
-  const { input, output, bevelPx, lightDir, intensity, mode, debug } = parseArgs();
-
+async function addBevel(input, output, { bevelPx=4, lightDir=45, intensity=0.35, mode="soft-light", debug=false } = {}){
   const img = sharp(input);
   const meta = await img.metadata();
   if(!meta.width || !meta.height) throw new Error("Could not read image size");
@@ -98,24 +44,22 @@ async function main(){
   const rgba = await img.ensureAlpha().raw().toBuffer();
 
   // --- Build binary alpha mask (0/1) ---
-  const alphaMask = new Uint8Array(W*H);
-  for(let i=0,p=0;i<alphaMask.length;i++,p+=4) alphaMask[i] = rgba[p+3] > 0 ? 1 : 0;
+  const opaque = alphaMask(rgba, W, H);
 
   // --- Inner rim (within bevelPx of the edge, inside the sticker) ---
   const r = clamp(Math.round(bevelPx), 1, 50);
-  // Erode alpha r times → interior shrunk; rim = alphaMask - eroded
-  let eroded = alphaMask;
-  for(let i=0;i<r;i++) eroded = erode3x3(eroded, W, H);
+  // Erode alpha r times → interior shrunk; rim = opaque - eroded
+  const eroded = erode(opaque, W, H, r);
   const rimMask = new Uint8Array(W*H);
   let rimCount=0;
   for(let i=0;i<rimMask.length;i++){
-    const v = alphaMask[i] && !eroded[i] ? 1 : 0;
+    const v = opaque[i] && !eroded[i] ? 1 : 0;
     rimMask[i]=v; if(v) rimCount++;
   }
 
   // --- Height map from blurred alpha (soft ramp near edges) ---
   const sigma = Math.max(0.6, r * 0.6);
-  const alphaBlur = await blurAlpha(rgba, W, H, sigma); // Uint8 0..255
+  const alphaBlur = await blurGray(extractAlpha(rgba, W, H), W, H, sigma); // Uint8 0..255
   // convert to float 0..1
   const height = new Float32Array(W*H);
   for(let i=0;i<height.length;i++) height[i] = alphaBlur[i]/255;
@@ -158,7 +102,7 @@ async function main(){
   }
 
   if (debug) {
-    const rim8 = Buffer.from(rimMask.map(v=>v?255:0));
+    const rim8 = maskToGray(rimMask);
     await sharp(rim8, { raw:{width:W,height:H,channels:1} }).png().toFile(output.replace(/\.(png|webp)$/i, ".rim.png"));
     await sharp(alphaBlur, { raw:{width:W,height:H,channels:1} }).png().toFile(output.replace(/\.(png|webp)$/i, ".height.png"));
   }
@@ -181,4 +125,13 @@ async function main(){
   console.log(`✔ Bevel added -> ${output}  (bevelPx=${bevelPx}, lightDir=${lightDir}°, intensity=${intensity}, mode=${mode}, rimPx≈${r})`);
 }
 
-main().catch(err => { console.error("✖", err.stack || err); process.exit(1); });
\ No newline at end of file
+async function main(){
+  const { input, output, ...options } = parseArgs();
+  await addBevel(input, output, options);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(err => { console.error("✖", err.stack || err); process.exit(1); });
+}
+
+export { addBevel };
\ No newline at end of file
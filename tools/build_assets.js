@@ -0,0 +1,471 @@
+#!/usr/bin/env node
+
+/**
+ * Build every derived image a bundle needs in one pass
+ *
+ * Reads each bundle's manifest and decides what each source image needs by
+ * its role:
+ * - Characters (manifest characters, or files in a characters folder):
+ *   .cutout.webp (cutout_border_only), then .sticker.webp
+ *   (make_sticker_border, optionally add_bevel and add_second_edge)
+ * - Clues and maps (manifest clues and map images, or files in a clues/maps
+ *   folder): .outline.webp (gen_outlines)
+ *
+ * A manifest with "derivedFormat": "svg" gets .sticker.svg and .outline.svg
+ * instead, traced from the cutout and the outline (lib/svg_trace.js), so they
+ * stay sharp at any zoom and can be restyled in CSS. Bevel and second-edge
+ * passes only apply to raster stickers.
+ *
+ * Each derived file is built from the previous one (png → cutout → sticker),
+ * so changing a source rebuilds everything after it. An output is skipped when
+ * the hashes of its input, of the settings it uses and of the tool code that
+ * makes it match the ones recorded in the bundle's .assets-cache.json (see
+ * lib/asset_cache.js).
+ *
+ * --watch keeps running after the build and rebuilds a bundle whenever a
+ * source image, its manifest or its assets.config.json is saved.
+ *
+ * Settings come from an optional assets.config.json in the bundle folder
+ * (see DEFAULT_SETTINGS); sections and values it leaves out use the defaults.
+ *
+ * Usage:
+ *   node tools/build_assets.js [<bundle-id> ...] [--force] [--dry-run] [--watch]
+ *
+ *   <bundle-id>  Only build these bundles, e.g. gingerbread.bundle assets.core
+ *   --force      Rebuild outputs even when they are up to date
+ *   --dry-run    List what would be built without writing anything
+ *   --watch      Keep rebuilding as files in the bundles change
+ */
+
+import { promises as fs, watch } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cutoutBorderOnly, cutoutSettings } from './cutout_border_only.js';
+import { makeStickerBorder, makeStickerSvg, stickerSettings, stickerSvgSettings } from './make_sticker_border.js';
+import { addBevel } from './add_bevel.js';
+import { addSecondEdge } from './add_second_edge.js';
+import { generateOutline, generateOutlineSvg } from './gen_outlines.js';
+import { AssetCache } from './lib/asset_cache.js';
+import { findBundles } from './lib/imaging.js';
+import { DEFAULT_TRACE, traceSettings } from './lib/svg_trace.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Configuration
+const CONFIG = {
+  publicDir: path.join(ROOT, 'public'),
+  configFile: 'assets.config.json',
+  sourceExtensions: ['.png', '.jpg', '.jpeg'],
+  // Role of source images the manifest doesn't mention, by the folder they live in
+  rolesByFolder: [
+    { dirs: ['images/characters', 'characters'], role: 'character' },
+    { dirs: ['images/clues', 'clues'], role: 'clue' },
+    { dirs: ['images/maps', 'maps'], role: 'map' }
+  ],
+  // Manifest image ids that are map layers
+  mapImageIds: ['map-background', 'map-colored'],
+  watchDelayMs: 500     // Wait for a save to settle before rebuilding
+};
+
+// What a bundle's assets.config.json can set; the defaults match the tools' own
+const DEFAULT_SETTINGS = {
+  cutout: { tolerance: 220, feather: 2, preblur: 0.6 },
+  sticker: {
+    strokePx: 21,
+    softness: 0.8,
+    shadow: true,
+    vectorSmooth: false,
+    simplifyPx: 0,
+    bevelPx: 0,
+    lightDir: 45,
+    bevelIntensity: 0.35,
+    bevelInner: true
+  },
+  // Extra passes over the finished sticker
+  bevel: { enabled: false, bevelPx: 4, lightDir: 45, intensity: 0.35 },
+  secondEdge: { enabled: false, edgePx: 100, offsetPx: 0 },
+  outline: { luminanceLow: 210, luminanceHigh: 235 },
+  // Tracing of SVG stickers and outlines, for manifests with derivedFormat "svg"
+  svg: { ...DEFAULT_TRACE }
+};
+
+// Derived files each role needs, in build order
+const PIPELINES = {
+  character: ['cutout', 'sticker'],
+  clue: ['outline'],
+  map: ['outline']
+};
+
+// ANSI color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m',
+  gray: '\x1b[90m'
+};
+
+/**
+ * Log with color and formatting
+ */
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Run a tool that writes `output`, then run the same output through `passes`
+ * (each writing a new file from the last). The result is only moved into
+ * place once every step has succeeded.
+ */
+async function buildFile(output, run, passes = []) {
+  const temp = output.replace(/(\.\w+)$/, '.building$1');
+  const passTemp = output.replace(/(\.\w+)$/, '.pass$1');
+  try {
+    await run(temp);
+    for (const pass of passes) {
+      await pass(temp, passTemp);
+      await fs.rename(passTemp, temp);
+    }
+    await fs.rename(temp, output);
+  } finally {
+    await fs.rm(temp, { force: true });
+    await fs.rm(passTemp, { force: true });
+  }
+}
+
+// The tool modules behind each step; editing one rebuilds what it made
+const tool = name => path.join(__dirname, name);
+
+// How each derived file is made from its input. `settings` picks the part of
+// the bundle settings the step uses, and `tools` the code that runs; a change
+// to either rebuilds the file. `svg` is the recipe for bundles whose derived
+// format is SVG.
+const STEPS = {
+  cutout: {
+    settings: ({ cutout }) => cutoutSettings(cutout.tolerance, cutout.feather, cutout.preblur),
+    tools: () => [tool('cutout_border_only.js')],
+    build: (input, output, cutout) =>
+      buildFile(output, temp => cutoutBorderOnly(input, temp, cutout.tolerance, cutout.feather, cutout.preblur))
+  },
+
+  sticker: {
+    // Passes that are off don't count, so tweaking their values does nothing
+    settings: ({ sticker, bevel, secondEdge }) => ({
+      sticker: stickerSettings(sticker),
+      bevel: bevel.enabled ? bevel : null,
+      secondEdge: secondEdge.enabled ? secondEdge : null
+    }),
+    tools: ({ bevel, secondEdge }) => [
+      tool('make_sticker_border.js'),
+      ...(bevel.enabled ? [tool('add_bevel.js')] : []),
+      ...(secondEdge.enabled ? [tool('add_second_edge.js')] : [])
+    ],
+    build: (input, output, { sticker, bevel, secondEdge }) => {
+      const passes = [];
+      if (bevel) passes.push((from, to) => addBevel(from, to, bevel));
+      if (secondEdge) passes.push((from, to) => addSecondEdge(from, to, secondEdge));
+      return buildFile(output, temp => makeStickerBorder(
+        input, temp,
+        sticker.strokePx, sticker.softness, sticker.shadow, sticker.vectorSmooth, sticker.simplifyPx,
+        0, false,
+        sticker.bevelPx, sticker.lightDir ?? 45, sticker.bevelIntensity ?? 0.35, sticker.bevelInner ?? true
+      ), passes);
+    },
+    svg: {
+      settings: ({ sticker, svg }) => stickerSvgSettings(sticker, svg),
+      tools: () => [tool('make_sticker_border.js')],
+      build: (input, output, { strokePx, trace }) =>
+        buildFile(output, temp => makeStickerSvg(input, temp, strokePx, trace))
+    }
+  },
+
+  outline: {
+    settings: ({ outline }) => outline,
+    tools: () => [tool('gen_outlines.js')],
+    build: (input, output, outline) =>
+      buildFile(output, async temp => {
+        // generateOutline reports failures itself and returns false
+        if (!await generateOutline(input, temp, outline)) {
+          throw new Error('outline generation failed');
+        }
+      }),
+    svg: {
+      settings: ({ outline, svg }) => ({ ...outline, trace: traceSettings(svg) }),
+      tools: () => [tool('gen_outlines.js')],
+      build: (input, output, { trace, ...outline }) =>
+        buildFile(output, async temp => {
+          if (!await generateOutlineSvg(input, temp, outline, trace)) {
+            throw new Error('outline generation failed');
+          }
+        })
+    }
+  }
+};
+
+/**
+ * The recipe for a step in the bundle's derived format, and the extension of
+ * the file it writes
+ */
+function recipeFor(step, format) {
+  const vector = format === 'svg' && STEPS[step].svg;
+  return vector ? { ...vector, ext: 'svg' } : { ...STEPS[step], ext: 'webp' };
+}
+
+async function readJsonOrNull(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`${path.relative(ROOT, filePath)}: ${error.message}`);
+  }
+}
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The bundle's settings: DEFAULT_SETTINGS with assets.config.json on top
+ */
+async function loadSettings(bundlePath) {
+  const overrides = await readJsonOrNull(path.join(bundlePath, CONFIG.configFile)) || {};
+  const settings = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = { ...defaults, ...overrides[section] };
+  }
+  for (const section of Object.keys(overrides)) {
+    if (!DEFAULT_SETTINGS[section]) {
+      log(`  ⚠️  ${CONFIG.configFile}: unknown section "${section}" ignored`, 'yellow');
+    }
+  }
+  return settings;
+}
+
+const derivedPath = (sourcePath, suffix, ext = 'webp') =>
+  sourcePath.replace(/\.[^./]+$/, `.${suffix}.${ext}`);
+
+const isSource = file => CONFIG.sourceExtensions.includes(path.extname(file).toLowerCase());
+
+// Manifest paths that point at a file inside the bundle
+const isLocalPath = p => typeof p === 'string' && !/^(https?:)?\/\//.test(p) && !p.startsWith('/');
+
+/**
+ * Every source image in the bundle with the role that decides its derived
+ * files, as bundle-relative paths. The manifest's categories win over folders.
+ */
+async function findSources(bundlePath, manifest) {
+  const sources = new Map();
+  const assets = manifest.assets || {};
+
+  const add = (sourcePath, role) => {
+    if (!isLocalPath(sourcePath) || !isSource(sourcePath)) return;
+    const relative = path.posix.normalize(sourcePath.replace(/^\.\//, ''));
+    if (!sources.has(relative)) sources.set(relative, role);
+  };
+
+  for (const character of Object.values(assets.characters || {})) add(character.image, 'character');
+  for (const clue of Object.values(assets.clues || {})) add(clue.image, 'clue');
+  for (const id of CONFIG.mapImageIds) add(assets.images?.[id]?.path, 'map');
+
+  for (const { dirs, role } of CONFIG.rolesByFolder) {
+    for (const dir of dirs) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(bundlePath, dir));
+      } catch {
+        continue; // Folder doesn't exist in this bundle
+      }
+      for (const file of files) add(`${dir}/${file}`, role);
+    }
+  }
+
+  // Referenced by the manifest but not on disk: lint_bundles reports those
+  for (const relative of [...sources.keys()]) {
+    if (!(await statOrNull(path.join(bundlePath, relative)))?.isFile()) sources.delete(relative);
+  }
+  return sources;
+}
+
+/**
+ * Build one bundle's derived images, returning counts for the summary
+ */
+async function buildBundle(bundlePath, { force = false, dryRun = false } = {}) {
+  const totals = { built: 0, skipped: 0, errors: 0 };
+  const manifest = await readJsonOrNull(path.join(bundlePath, 'manifest.json'));
+  if (!manifest) {
+    log('  ❌ manifest.json is missing', 'red');
+    totals.errors++;
+    return totals;
+  }
+
+  const settings = await loadSettings(bundlePath);
+  const format = manifest.derivedFormat === 'svg' ? 'svg' : 'webp';
+  const cache = await AssetCache.load(bundlePath);
+  const sources = await findSources(bundlePath, manifest);
+
+  if (sources.size === 0) {
+    log('  📭 No source images', 'gray');
+    return totals;
+  }
+
+  for (const [sourcePath, role] of sources) {
+    let input = sourcePath;
+    let inputRebuilt = false;
+
+    for (const step of PIPELINES[role]) {
+      const recipe = recipeFor(step, format);
+      const output = derivedPath(sourcePath, step, recipe.ext);
+      const inputFile = path.join(bundlePath, input);
+      const outputFile = path.join(bundlePath, output);
+
+      // A dry run hasn't written the input this step would be built from
+      if (dryRun && inputRebuilt) {
+        log(`    📝 ${output} would be built from ${input} (${role})`, 'yellow');
+        totals.built++;
+        input = output;
+        continue;
+      }
+
+      try {
+        const stepSettings = recipe.settings(settings);
+        const { stale, reason, hashes } = await cache.check(inputFile, outputFile, stepSettings, recipe.tools(settings));
+        const why = force && !stale ? 'forced' : reason;
+
+        if (!stale && !force) {
+          log(`    ⏩ ${output} (up to date)`, 'gray');
+          totals.skipped++;
+        } else if (dryRun) {
+          log(`    📝 ${output} would be built from ${input} (${role}, ${why})`, 'yellow');
+          totals.built++;
+          inputRebuilt = true;
+        } else {
+          log(`    ⚙️  ${output} from ${input} (${role}, ${why})...`, 'yellow');
+          await recipe.build(inputFile, outputFile, stepSettings);
+          cache.record(outputFile, hashes);
+          log(`    ✅ ${output}`, 'green');
+          totals.built++;
+        }
+      } catch (error) {
+        log(`    ❌ ${output}: ${error.message}`, 'red');
+        totals.errors++;
+        break; // Later steps need this output
+      }
+      input = output;
+    }
+  }
+
+  if (!dryRun) await cache.save();
+  return totals;
+}
+
+/**
+ * Folders of the named bundles, or of every bundle under public/
+ */
+async function selectBundles(bundleIds = []) {
+  const bundles = await findBundles(CONFIG.publicDir);
+  if (bundleIds.length === 0) return bundles;
+
+  const unknown = bundleIds.filter(id => !bundles.some(b => path.basename(b) === id));
+  if (unknown.length > 0) {
+    throw new Error(`No bundle named ${unknown.join(', ')} under public/`);
+  }
+  return bundles.filter(b => bundleIds.includes(path.basename(b)));
+}
+
+/**
+ * Build the named bundles, or every bundle under public/
+ */
+async function buildAssets(bundleIds = [], options = {}) {
+  const bundles = await selectBundles(bundleIds);
+  const totals = { built: 0, skipped: 0, errors: 0 };
+  for (const bundlePath of bundles) {
+    log(`\n📦 ${path.relative(CONFIG.publicDir, bundlePath)}`, 'bright');
+    const result = await buildBundle(bundlePath, options);
+    totals.built += result.built;
+    totals.skipped += result.skipped;
+    totals.errors += result.errors;
+  }
+  return totals;
+}
+
+// Saves that can change what a bundle's derived images should look like
+function triggersRebuild(file) {
+  const name = path.basename(file);
+  if (name === 'manifest.json' || name === CONFIG.configFile) return true;
+  // Derived files are .webp or .svg, so building never triggers another build
+  return isSource(name);
+}
+
+/**
+ * Rebuild a bundle whenever a source image, its manifest or its
+ * assets.config.json is saved. Runs until the process is stopped.
+ */
+async function watchAssets(bundleIds = []) {
+  const bundles = await selectBundles(bundleIds);
+  const timers = new Map();
+  // One build at a time; saves during a build queue the next one
+  let queue = Promise.resolve();
+
+  const rebuild = bundlePath => {
+    queue = queue.then(async () => {
+      log(`\n📦 ${path.relative(CONFIG.publicDir, bundlePath)} changed`, 'bright');
+      const { built, errors } = await buildBundle(bundlePath);
+      log(`📊 ${built} built, ${errors} error(s) — watching for changes`, errors ? 'red' : 'green');
+    }).catch(error => log(`❌ ${error.message}`, 'red'));
+  };
+
+  for (const bundlePath of bundles) {
+    watch(bundlePath, { recursive: true }, (event, file) => {
+      if (!file || !triggersRebuild(file)) return;
+      // Editors and exporters often write a file in several steps
+      clearTimeout(timers.get(bundlePath));
+      timers.set(bundlePath, setTimeout(() => rebuild(bundlePath), CONFIG.watchDelayMs));
+    });
+  }
+  log(`\n👀 Watching ${bundles.length} bundle(s) for new and changed images (Ctrl+C to stop)`, 'blue');
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const dryRun = args.includes('--dry-run');
+  const watching = args.includes('--watch');
+  const bundleIds = args.filter(arg => !arg.startsWith('--'));
+
+  const totals = await buildAssets(bundleIds, { force, dryRun });
+
+  log('\n' + '═'.repeat(50), 'bright');
+  log(
+    `📊 ${totals.built} ${dryRun ? 'to build' : 'built'}, ${totals.skipped} up to date, ${totals.errors} error(s)`,
+    totals.errors ? 'red' : 'green'
+  );
+
+  if (watching && !dryRun) {
+    await watchAssets(bundleIds);
+    return;
+  }
+  process.exit(totals.errors > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    log(`\n❌ Fatal error: ${error.message}`, 'red');
+    console.error(error.stack);
+    process.exit(1);
+  });
+}
+
+export { buildAssets, buildBundle, watchAssets, loadSettings, DEFAULT_SETTINGS };
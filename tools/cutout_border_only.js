@@ -5,23 +5,41 @@
  * - Sets only that region's alpha to 0 (interior whites are preserved).
  * - Optional feather/erosion trims halos.
  *
+ * With no input/output, processes every character folder, skipping images
+ * whose cutout is up to date (see lib/asset_cache.js). Images are processed
+ * in parallel and the run ends with a JSON report (see lib/batch.js).
+ *
  * Usage:
  *   node tools/cutout_border_only.js <input> <output> [tolerance=235] [feather=1]
+ *   node tools/cutout_border_only.js [--workers <n>] [--report <file>]
  */
 
 import sharp from 'sharp';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AssetCache, bundleRootOf } from './lib/asset_cache.js';
+import { BatchReport, DEFAULT_WORKERS, batchOptions, runJobs } from './lib/batch.js';
+import { alphaMask, erode, findCharacterFolders, floodFill, largestComponent } from './lib/imaging.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 
+/**
+ * The values cutoutBorderOnly actually uses for the given arguments; these
+ * are what the build cache records.
+ */
+function cutoutSettings(tolerance = 220, feather = 2, preblur = 0.6) {
+  return {
+    tolerance: Math.max(0, Math.min(255, +tolerance || 220)),
+    feather: Math.max(0, Math.min(5, +feather || 2)),
+    preblur: Math.max(0, Math.min(2, +preblur || 0.6))
+  };
+}
+
 async function cutoutBorderOnly(input, output, tolerance = 220, feather = 2, preblur = 0.6) {
-  tolerance = Math.max(0, Math.min(255, +tolerance || 220));
-  feather = Math.max(0, Math.min(5, +feather || 2));
-  preblur = Math.max(0, Math.min(2, +preblur || 0.6));
+  ({ tolerance, feather, preblur } = cutoutSettings(tolerance, feather, preblur));
 
   // Step 1: Apply configurable blur to reduce noise before processing
   const blurredImage = await sharp(input)
@@ -47,64 +65,12 @@ async function cutoutBorderOnly(input, output, tolerance = 220, feather = 2, pre
   }
 
   // Step 3: Flood-fill from borders to find connected background
-  const bg = new Uint8Array(W * H); // 1 = background to remove
-  const q = [];
-  const pushIf = i => { 
-    if (i >= 0 && i < bg.length && nearWhite[i] && !bg[i]) { 
-      bg[i] = 1; 
-      q.push(i); 
-    } 
-  };
-
-  // Start flood-fill from all border pixels
-  for (let x = 0; x < W; x++) { 
-    pushIf(x);              // Top row
-    pushIf((H-1)*W + x);    // Bottom row
-  }
-  for (let y = 0; y < H; y++) { 
-    pushIf(y*W);            // Left column
-    pushIf(y*W + (W-1));    // Right column
-  }
-
-  // Perform flood-fill
-  while (q.length) {
-    const i = q.pop();
-    const y = (i / W) | 0, x = i - y*W;
-    if (x > 0)   pushIf(i-1);
-    if (x < W-1) pushIf(i+1);
-    if (y > 0)   pushIf(i-W);
-    if (y < H-1) pushIf(i+W);
-  }
+  let bg = floodFill(nearWhite, W, H, 'edges'); // 1 = background to remove
 
-  // Step 4: Enhanced feather/erosion with despeckle
+  // Step 4: Feather - shrink the background so edge pixels stay opaque. The
+  // background carries on past the image edges, so it doesn't shrink from them.
   if (feather > 0) {
-    const contracted = new Uint8Array(bg.length);
-    const r = feather;
-    for (let y = 0; y < H; y++) {
-      for (let x = 0; x < W; x++) {
-        const i = y*W + x;
-        if (!bg[i]) continue;
-        
-        // Check if all pixels within radius are background
-        let allBg = true;
-        for (let dy = -r; dy <= r && allBg; dy++) {
-          const yy = y + dy; 
-          if (yy < 0 || yy >= H) { 
-            allBg = false; 
-            break; 
-          }
-          for (let dx = -r; dx <= r; dx++) {
-            const xx = x + dx; 
-            if (xx < 0 || xx >= W || !bg[yy*W + xx]) { 
-              allBg = false; 
-              break; 
-            }
-          }
-        }
-        if (allBg) contracted[i] = 1;
-      }
-    }
-    contracted.forEach((v, i) => bg[i] = v);
+    bg = erode(bg, W, H, feather, { outside: 1 });
   }
 
   // Step 5: Create output with original color data but processed alpha
@@ -135,76 +101,18 @@ async function cutoutBorderOnly(input, output, tolerance = 220, feather = 2, pre
     // Keep intermediate values for smooth antialiasing
   }
 
-  // Step 8: Find largest connected component (main character silhouette)
-  const opaque = new Uint8Array(W * H);
-  for (let i = 0, p = 3; i < opaque.length; i++, p += 4) {
-    opaque[i] = cleanedImage[p] > 128 ? 1 : 0; // Mark opaque pixels
-  }
-  
-  // Find all connected components
-  const visited = new Uint8Array(W * H);
-  const components = [];
-  
-  for (let y = 0; y < H; y++) {
-    for (let x = 0; x < W; x++) {
-      const i = y * W + x;
-      if (!opaque[i] || visited[i]) continue;
-      
-      // Flood-fill to find this component
-      const component = new Set();
-      const queue = [i];
-      visited[i] = 1;
-      
-      while (queue.length > 0) {
-        const curr = queue.shift();
-        component.add(curr);
-        const cy = Math.floor(curr / W);
-        const cx = curr % W;
-        
-        // Check 8-connected neighbors
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            const ny = cy + dy;
-            const nx = cx + dx;
-            if (ny < 0 || ny >= H || nx < 0 || nx >= W) continue;
-            
-            const ni = ny * W + nx;
-            if (!opaque[ni] || visited[ni]) continue;
-            
-            visited[ni] = 1;
-            queue.push(ni);
-          }
-        }
-      }
-      
-      if (component.size > 10) { // Ignore very small components
-        components.push(component);
-      }
-    }
-  }
-  
-  // Find largest component
-  let largestComponent = null;
-  let maxSize = 0;
-  
-  for (const component of components) {
-    if (component.size > maxSize) {
-      maxSize = component.size;
-      largestComponent = component;
-    }
-  }
+  // Step 8: Find largest connected component (main character silhouette),
+  // ignoring specks of 10 pixels or fewer
+  const opaque = alphaMask(cleanedImage, W, H, 128);
+  const largest = largestComponent(opaque, W, H, 10);
   
   // Step 9: Keep only the largest connected component
   const final = Buffer.from(cleanedImage);
   
-  if (largestComponent) {
-    // Mark everything as transparent first
+  if (largest.mask) {
     for (let i = 0, p = 3; i < W * H; i++, p += 4) {
-      if (final[p] > 50) { // If was opaque
-        if (!largestComponent.has(i)) {
-          final[p] = 0; // Make transparent if not in largest component
-        }
+      if (final[p] > 50 && !largest.mask[i]) { // Opaque but not part of the character
+        final[p] = 0;
       }
     }
   }
@@ -242,89 +150,37 @@ async function cutoutBorderOnly(input, output, tolerance = 220, feather = 2, pre
     .webp({ lossless: true, alphaQuality: 100, quality: 100 })
     .toFile(output);
 
-  const componentInfo = largestComponent ? ` (kept largest: ${largestComponent.size} pixels of ${components.length} components)` : '';
+  const componentInfo = largest.mask ? ` (kept largest: ${largest.size} pixels of ${largest.components} components)` : '';
   console.log(`✔ Border-only cutout: ${input} -> ${output} (tol=${tolerance}, feather=${feather}, blur=${preblur})${componentInfo}`);
 }
 
 /**
- * Find all character folders in bundles
- */
-async function findCharacterFolders() {
-  const folders = [];
-  const publicPath = path.resolve(process.cwd(), 'public');
-  
-  // Look for character folders in stories and assets
-  const bundlePatterns = [
-    'stories/*.bundle',
-    'assets.*'
-  ];
-  
-  for (const pattern of bundlePatterns) {
-    const baseDir = path.join(publicPath, path.dirname(pattern));
-    const bundlePattern = path.basename(pattern);
-    
-    try {
-      const entries = await fs.readdir(baseDir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-        
-        // Check if directory matches pattern
-        if (bundlePattern.includes('*')) {
-          const regex = new RegExp('^' + bundlePattern.replace('*', '.*') + '$');
-          if (regex.test(entry.name)) {
-            const bundlePath = path.join(baseDir, entry.name);
-            
-            // Look for characters folders
-            const characterPaths = [
-              path.join(bundlePath, 'images', 'characters'),
-              path.join(bundlePath, 'characters')
-            ];
-            
-            for (const charPath of characterPaths) {
-              try {
-                const stats = await fs.stat(charPath);
-                if (stats.isDirectory()) {
-                  folders.push(charPath);
-                }
-              } catch {
-                // Directory doesn't exist, continue
-              }
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Directory might not exist yet, that's ok
-    }
-  }
-  
-  return folders;
-}
-
-/**
- * Process all images in character folders
+ * Process all images in character folders, `workers` at a time. Failed images
+ * are reported and the rest carry on. Returns the BatchReport, which is also
+ * written as JSON to `reportPath` (default logs/cutout_border_only.json).
  */
-async function processAllCharacters(tolerance = 220, feather = 2, preblur = 0.6) {
+async function processAllCharacters(tolerance = 220, feather = 2, preblur = 0.6, { workers = DEFAULT_WORKERS, reportPath } = {}) {
   console.log('🎭 Processing all character images with border cutout...\n');
   
+  const settings = cutoutSettings(tolerance, feather, preblur);
+  const report = new BatchReport('cutout_border_only', { workers, settings });
   const characterFolders = await findCharacterFolders();
   
   if (characterFolders.length === 0) {
     console.log('⚠️  No character folders found');
-    return;
+    return report;
   }
   
-  let totalProcessed = 0;
-  let totalSkipped = 0;
-  let totalErrors = 0;
-  
+  // Step 1: Find the images whose cutout is missing or out of date
+  const jobs = [];
+  const caches = [];
   for (const folder of characterFolders) {
     const relativePath = path.relative(process.cwd(), folder);
-    console.log(`📁 Processing: ${relativePath}`);
+    console.log(`📁 Checking: ${relativePath}`);
     
-    let folderProcessed = 0;
-    let folderSkipped = 0;
+    const cache = await AssetCache.load(await bundleRootOf(folder));
+    caches.push(cache);
+    let found = 0;
     
     try {
       const files = await fs.readdir(folder);
@@ -332,71 +188,92 @@ async function processAllCharacters(tolerance = 220, feather = 2, preblur = 0.6)
       for (const file of files) {
         const ext = path.extname(file).toLowerCase();
         if (!['.png', '.jpg', '.jpeg'].includes(ext)) continue;
+        found++;
         
         const inputPath = path.join(folder, file);
         const outputPath = path.join(folder, `${path.basename(file, ext)}.cutout.webp`);
         
-        // Skip if cutout already exists
-        try {
-          await fs.access(outputPath);
-          console.log(`  ⏩ Skipped: ${file} (cutout exists)`);
-          folderSkipped++;
-          totalSkipped++;
+        // Skip if the cutout was built from this image with these settings and this code
+        const { stale, reason, hashes } = await cache.check(inputPath, outputPath, settings, [import.meta.url]);
+        if (!stale) {
+          console.log(`  ⏩ Skipped: ${file} (cutout up to date)`);
+          report.add({ input: inputPath, output: outputPath, status: 'skipped', reason: 'up to date' });
           continue;
-        } catch {
-          // File doesn't exist, proceed
         }
         
-        console.log(`  ⚙️  Processing: ${file}...`);
-        
-        try {
-          await cutoutBorderOnly(inputPath, outputPath, tolerance, feather, preblur);
-          console.log(`  ✅ Generated: ${path.basename(outputPath)}`);
-          folderProcessed++;
-          totalProcessed++;
-        } catch (error) {
-          console.log(`  ❌ Error: ${file} - ${error.message}`);
-          totalErrors++;
-        }
+        console.log(`  ⏳ Queued: ${file} (${reason})`);
+        jobs.push({
+          input: inputPath,
+          output: outputPath,
+          reason,
+          cache,
+          hashes,
+          fn: 'cutoutBorderOnly',
+          args: [inputPath, outputPath, settings.tolerance, settings.feather, settings.preblur]
+        });
       }
       
-      if (folderProcessed > 0 || folderSkipped > 0) {
-        console.log(`  📊 Subtotal: ${folderProcessed} processed, ${folderSkipped} skipped\n`);
-      } else {
-        console.log(`  📭 No images found\n`);
+      if (found === 0) {
+        console.log(`  📭 No images found`);
       }
     } catch (error) {
-      console.log(`  ❌ Could not read folder: ${error.message}\n`);
-      totalErrors++;
+      console.log(`  ❌ Could not read folder: ${error.message}`);
+      report.add({ input: folder, status: 'failed', error: `could not read folder: ${error.message}` });
     }
   }
   
+  // Step 2: Build them in parallel
+  if (jobs.length > 0) {
+    console.log(`\n⚙️  Building ${jobs.length} cutout(s) on ${Math.min(workers, jobs.length)} worker(s)...`);
+  }
+  await runJobs(import.meta.url, jobs, {
+    workers,
+    onDone: (job, { ok, error, durationMs }) => {
+      const name = path.relative(process.cwd(), job.output);
+      if (ok) {
+        job.cache.record(job.output, job.hashes);
+        console.log(`  ✅ Generated: ${name} (${(durationMs / 1000).toFixed(1)}s)`);
+      } else {
+        console.log(`  ❌ Error: ${path.relative(process.cwd(), job.input)} - ${error}`);
+      }
+      report.add({ input: job.input, output: job.output, status: ok ? 'built' : 'failed', reason: job.reason, durationMs, error });
+    }
+  });
+  for (const cache of caches) await cache.save();
+  report.finish();
+  
   // Final summary
-  console.log('═'.repeat(50));
+  const { built, skipped, failed } = report.totals;
+  console.log('\n' + '═'.repeat(50));
   console.log('✨ Character Cutout Complete!');
-  console.log(`📊 Total: ${totalProcessed} generated, ${totalSkipped} skipped, ${totalErrors} errors`);
+  console.log(`📊 Total: ${built} generated, ${skipped} skipped, ${failed} errors in ${(report.durationMs / 1000).toFixed(1)}s`);
   
-  if (totalErrors > 0) {
-    console.log(`⚠️  ${totalErrors} images failed to process`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} images failed to process`);
   }
+  console.log(`📝 Report: ${await report.write(reportPath ?? undefined)}`);
+  return report;
 }
 
 // CLI entry point
-(async () => {
-  const [,, input, output, tol, feather, preblur] = process.argv;
+async function main() {
+  const args = process.argv.slice(2);
+  const batch = batchOptions(args);
+  const [input, output, tol, feather, preblur] = args;
   
   // If no arguments, process all character folders
   if (!input && !output) {
-    await processAllCharacters(tol, feather, preblur).catch(err => {
+    const report = await processAllCharacters(tol, feather, preblur, batch).catch(err => {
       console.error('✖', err.message);
       process.exit(1);
     });
+    if (report.totals.failed > 0) process.exitCode = 1;
     return;
   }
   
   // Single file mode
   if (!input || !output) {
-    console.error('Usage: node tools/cutout_border_only.js [<input> <output>] [tolerance=220] [feather=2] [preblur=0.6]');
+    console.error('Usage: node tools/cutout_border_only.js [<input> <output>] [tolerance=220] [feather=2] [preblur=0.6] [--workers <n>] [--report <file>]');
     console.error('\nModes:');
     console.error('  No arguments: Process all images in character folders');
     console.error('  Two arguments: Process single file');
@@ -404,6 +281,8 @@ async function processAllCharacters(tolerance = 220, feather = 2, preblur = 0.6)
     console.error('  tolerance: Luminance threshold for white (0-255, default: 220)');
     console.error('  feather:   Erosion radius to avoid halos (0-5, default: 2)');
     console.error('  preblur:   Initial blur to merge speckles (0-2, default: 0.6)');
+    console.error(`  --workers <n>:   All characters: images processed at once (default: ${DEFAULT_WORKERS})`);
+    console.error('  --report <file>: All characters: where to write the JSON report (default: logs/cutout_border_only.json)');
     console.error('\nFeatures:');
     console.error('  - Removes only border-connected white background');
     console.error('  - Keeps largest connected component (main character)');
@@ -420,4 +299,11 @@ async function processAllCharacters(tolerance = 220, feather = 2, preblur = 0.6)
     console.error('✖', err.message);
     process.exit(1);
   });
-})();
\ No newline at end of file
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { cutoutBorderOnly, cutoutSettings };
@@ -4,27 +4,38 @@
  * Generate outline versions of images by removing white backgrounds
  * 
  * This script walks through images/clues and images/maps directories,
- * finds PNG/JPG files without corresponding .outline.webp files,
- * and generates outline versions by:
+ * finds PNG/JPG files whose .outline.webp is missing or out of date (the
+ * source or the luminance settings changed since it was built, see
+ * lib/asset_cache.js), and generates outline versions by:
  * - Removing white backgrounds (threshold ~240 → transparent)
  * - Keeping black lines and darker colors
  * - Outputting as .outline.webp next to the original
+ *
+ * With --svg the lines are traced into an SVG path instead (.outline.svg),
+ * which stays sharp when the map is zoomed and can be restyled in CSS.
+ *
+ * Images are processed in parallel (--workers, default up to 4) and the run
+ * ends with a JSON report of every image (see lib/batch.js).
+ *
+ * Usage:
+ *   node tools/gen_outlines.js [--svg] [--smoothing <px>] [--cornerThreshold <0..1.34>]
+ *                              [--workers <n>] [--report <file>]
  */
 
 import sharp from 'sharp';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AssetCache } from './lib/asset_cache.js';
+import { BatchReport, DEFAULT_WORKERS, batchOptions, runJobs } from './lib/batch.js';
+import { alphaMask, findBundles, walkDirectory } from './lib/imaging.js';
+import { outlineSvg, traceMask, traceSettings, writeSvg } from './lib/svg_trace.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
 const CONFIG = {
-  bundlePatterns: [
-    'stories/*.bundle',  // Story bundles
-    'assets.*'          // Asset packs like assets.core
-  ],
   targetDirs: ['maps', 'clues', 'images/maps', 'images/clues'],  // Possible locations within bundles
   extensions: ['.png', '.jpg', '.jpeg'],
   luminanceLow: 210,    // Start making transparent at this luminance
@@ -52,27 +63,8 @@ function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
-/**
- * Recursively walk directory and find all files
- */
-async function* walkDirectory(dir) {
-  try {
-    const files = await fs.readdir(dir, { withFileTypes: true });
-    
-    for (const file of files) {
-      const filePath = path.join(dir, file.name);
-      
-      if (file.isDirectory()) {
-        yield* walkDirectory(filePath);
-      } else {
-        yield filePath;
-      }
-    }
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      log(`Warning: Could not read directory ${dir}: ${error.message}`, 'yellow');
-    }
-  }
+function warnUnreadable(error, dir) {
+  log(`Warning: Could not read directory ${dir}: ${error.message}`, 'yellow');
 }
 
 /**
@@ -86,129 +78,145 @@ function isProcessableImage(filePath) {
 /**
  * Get output path for outline file
  */
-function getOutlinePath(originalPath) {
+function getOutlinePath(originalPath, format = CONFIG.outputFormat) {
   const dir = path.dirname(originalPath);
   const basename = path.basename(originalPath, path.extname(originalPath));
-  return path.join(dir, `${basename}.outline.${CONFIG.outputFormat}`);
-}
-
-/**
- * Check if outline already exists
- */
-async function outlineExists(outlinePath) {
-  try {
-    await fs.access(outlinePath);
-    return true;
-  } catch {
-    return false;
-  }
+  return path.join(dir, `${basename}.outline.${format}`);
 }
 
 /**
- * Process image to create halo-free outline version
+ * Halo-free outline pixels of an image as raw RGBA
  * Simplified approach: Remove white background, keep everything else as black
+ * Options override the luminance cutoffs in CONFIG.
  */
-async function generateOutline(inputPath, outputPath) {
-  try {
-    // Step 1: Load image with rotation normalization
-    const inputBuffer = await sharp(inputPath)
-      .rotate() // Auto-rotate based on EXIF orientation
-      .toBuffer();
-    
-    // Step 2: Get image info and prepare for processing
-    const image = sharp(inputBuffer);
-    const metadata = await image.metadata();
-    
-    // Step 3: Process the image - use composite to remove white background
-    // First create a version where white becomes transparent
-    const processed = await sharp(inputBuffer)
-      .ensureAlpha()
-      .toBuffer();
+async function renderOutline(inputPath, options = {}) {
+  const {
+    luminanceLow = CONFIG.luminanceLow,
+    luminanceHigh = CONFIG.luminanceHigh
+  } = options;
+
+  // Step 1: Load image with rotation normalization
+  const inputBuffer = await sharp(inputPath)
+    .rotate() // Auto-rotate based on EXIF orientation
+    .toBuffer();
+  
+  // Step 2: Get image info and prepare for processing
+  const image = sharp(inputBuffer);
+  const metadata = await image.metadata();
+  
+  // Step 3: Process the image - use composite to remove white background
+  // First create a version where white becomes transparent
+  const processed = await sharp(inputBuffer)
+    .ensureAlpha()
+    .toBuffer();
+  
+  // Get raw pixel data for manipulation
+  const { data, info } = await sharp(processed)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  // Create output buffer
+  const outputData = Buffer.alloc(info.width * info.height * 4);
+  
+  // Process each pixel
+  for (let i = 0; i < info.width * info.height; i++) {
+    const idx = i * 4;
+    const r = data[idx];
+    const g = data[idx + 1];
+    const b = data[idx + 2];
+    const a = data[idx + 3];
     
-    // Get raw pixel data for manipulation
-    const { data, info } = await sharp(processed)
-      .ensureAlpha()
-      .raw()
-      .toBuffer({ resolveWithObject: true });
+    // Calculate luminance
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b);
     
-    // Create output buffer
-    const outputData = Buffer.alloc(info.width * info.height * 4);
+    // Determine alpha based on luminance
+    let newAlpha = 255;
     
-    // Process each pixel
-    for (let i = 0; i < info.width * info.height; i++) {
-      const idx = i * 4;
-      const r = data[idx];
-      const g = data[idx + 1];
-      const b = data[idx + 2];
-      const a = data[idx + 3];
-      
-      // Calculate luminance
-      const luminance = (0.299 * r + 0.587 * g + 0.114 * b);
-      
-      // Determine alpha based on luminance
-      let newAlpha = 255;
-      
-      // Make white/light pixels transparent
-      if (luminance >= CONFIG.luminanceHigh) {
-        newAlpha = 0;
-      } else if (luminance >= CONFIG.luminanceLow) {
-        // Smooth fade for edge pixels
-        const range = CONFIG.luminanceHigh - CONFIG.luminanceLow;
-        const position = (luminance - CONFIG.luminanceLow) / range;
-        newAlpha = Math.round(255 * (1 - position));
-      }
-      
-      // If original was already transparent, keep it transparent
-      if (a < 255) {
-        newAlpha = Math.min(newAlpha, a);
-      }
-      
-      // Set output pixel as pure black with calculated alpha
-      outputData[idx] = 0;       // R - black
-      outputData[idx + 1] = 0;   // G - black
-      outputData[idx + 2] = 0;   // B - black
-      outputData[idx + 3] = newAlpha; // A
+    // Make white/light pixels transparent
+    if (luminance >= luminanceHigh) {
+      newAlpha = 0;
+    } else if (luminance >= luminanceLow) {
+      // Smooth fade for edge pixels
+      const range = luminanceHigh - luminanceLow;
+      const position = (luminance - luminanceLow) / range;
+      newAlpha = Math.round(255 * (1 - position));
     }
     
-    // Optional: Apply slight blur to alpha for smoother edges
-    // This step helps remove tiny speckles and halos
-    const blurredImage = await sharp(outputData, {
-      raw: {
-        width: info.width,
-        height: info.height,
-        channels: 4
-      }
-    })
-    .blur(0.5) // Very slight blur
-    .raw()
-    .toBuffer();
-    
-    // Clean up the alpha channel after blur
-    for (let i = 0; i < info.width * info.height; i++) {
-      const idx = i * 4 + 3; // Alpha channel
-      // Apply threshold to clean up edges
-      if (blurredImage[idx] < 30) {
-        blurredImage[idx] = 0;
-      } else if (blurredImage[idx] > 225) {
-        blurredImage[idx] = 255;
-      }
+    // If original was already transparent, keep it transparent
+    if (a < 255) {
+      newAlpha = Math.min(newAlpha, a);
     }
     
-    // Save as lossless WebP
-    await sharp(blurredImage, {
-      raw: {
-        width: info.width,
-        height: info.height,
-        channels: 4
-      }
-    })
-    .webp({
-      lossless: true,
-      alphaQuality: 100,
-      quality: 100
-    })
-    .toFile(outputPath);
-    
+    // Set output pixel as pure black with calculated alpha
+    outputData[idx] = 0;       // R - black
+    outputData[idx + 1] = 0;   // G - black
+    outputData[idx + 2] = 0;   // B - black
+    outputData[idx + 3] = newAlpha; // A
+  }
+  
+  // Optional: Apply slight blur to alpha for smoother edges
+  // This step helps remove tiny speckles and halos
+  const blurredImage = await sharp(outputData, {
+    raw: {
+      width: info.width,
+      height: info.height,
+      channels: 4
+    }
+  })
+  .blur(0.5) // Very slight blur
+  .raw()
+  .toBuffer();
+  
+  // Clean up the alpha channel after blur
+  for (let i = 0; i < info.width * info.height; i++) {
+    const idx = i * 4 + 3; // Alpha channel
+    // Apply threshold to clean up edges
+    if (blurredImage[idx] < 30) {
+      blurredImage[idx] = 0;
+    } else if (blurredImage[idx] > 225) {
+      blurredImage[idx] = 255;
+    }
+  }
+  
+  return { data: blurredImage, width: info.width, height: info.height };
+}
+
+/**
+ * Write the outline of an image as lossless WebP or, with `svg`, as SVG: the
+ * lines (alpha above half) traced into a path, so they stay sharp at any zoom
+ * and their colour and width can be changed in CSS (see lib/svg_trace.js).
+ * `trace` sets smoothing and cornerThreshold. Throws on failure.
+ */
+async function writeOutline(inputPath, outputPath, options = {}, { svg = false, trace = {} } = {}) {
+  const { data, width, height } = await renderOutline(inputPath, options);
+  
+  if (svg) {
+    const lines = await traceMask(alphaMask(data, width, height, 127), width, height, trace);
+    await writeSvg(outputPath, outlineSvg({ path: lines, width, height }));
+    return;
+  }
+  
+  // Save as lossless WebP
+  await sharp(data, {
+    raw: {
+      width,
+      height,
+      channels: 4
+    }
+  })
+  .webp({
+    lossless: true,
+    alphaQuality: 100,
+    quality: 100
+  })
+  .toFile(outputPath);
+}
+
+// Log a failed outline; resolves to whether it was written
+async function succeeded(inputPath, writing) {
+  try {
+    await writing;
     return true;
   } catch (error) {
     log(`Error processing ${inputPath}: ${error.message}`, 'red');
@@ -218,38 +226,17 @@ async function generateOutline(inputPath, outputPath) {
 }
 
 /**
- * Find all bundle directories matching patterns
+ * Write the outline of an image as lossless WebP; returns false on failure
  */
-async function findBundles() {
-  const bundles = [];
-  const publicPath = path.resolve(process.cwd(), 'public');
-  
-  for (const pattern of CONFIG.bundlePatterns) {
-    const baseDir = path.join(publicPath, path.dirname(pattern));
-    const bundlePattern = path.basename(pattern);
-    
-    try {
-      const entries = await fs.readdir(baseDir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-        
-        // Check if directory name matches pattern
-        if (bundlePattern.includes('*')) {
-          const regex = new RegExp('^' + bundlePattern.replace('*', '.*') + '$');
-          if (regex.test(entry.name)) {
-            bundles.push(path.join(baseDir, entry.name));
-          }
-        } else if (entry.name === bundlePattern) {
-          bundles.push(path.join(baseDir, entry.name));
-        }
-      }
-    } catch (error) {
-      // Directory might not exist yet, that's ok
-    }
-  }
-  
-  return bundles;
+async function generateOutline(inputPath, outputPath, options = {}) {
+  return succeeded(inputPath, writeOutline(inputPath, outputPath, options));
+}
+
+/**
+ * Write the outline of an image as SVG; returns false on failure
+ */
+async function generateOutlineSvg(inputPath, outputPath, options = {}, trace = {}) {
+  return succeeded(inputPath, writeOutline(inputPath, outputPath, options, { svg: true, trace }));
 }
 
 /**
@@ -277,32 +264,46 @@ async function findTargetDirs(bundlePath) {
 }
 
 /**
- * Main processing function
+ * Main processing function. With `svg` the outlines are traced into SVG
+ * using the `trace` settings. Images are processed `workers` at a time;
+ * failed images are reported and the rest carry on. Returns the BatchReport,
+ * which is also written as JSON to `reportPath` (default logs/gen_outlines.json).
  */
-async function processImages() {
+async function processImages({ svg = false, trace = {}, workers = DEFAULT_WORKERS, reportPath } = {}) {
   log('\n🎨 Starting outline generation (halo-free mode)...', 'bright');
   log(`Luminance cutoffs: ${CONFIG.luminanceLow}-${CONFIG.luminanceHigh}`, 'gray');
   log(`Alpha blur: ${CONFIG.alphaBlur}px, threshold: ${CONFIG.alphaThreshold}`, 'gray');
-  log(`Output: Lossless ${CONFIG.outputFormat} with pure black lines`, 'gray');
+  if (svg) {
+    trace = traceSettings(trace);
+    log(`Output: SVG paths (smoothing ${trace.smoothing}, corner threshold ${trace.cornerThreshold})`, 'gray');
+  } else {
+    log(`Output: Lossless ${CONFIG.outputFormat} with pure black lines`, 'gray');
+  }
   log(`Looking for bundles and asset packs...\n`, 'gray');
   
-  let totalProcessed = 0;
-  let totalSkipped = 0;
-  let totalErrors = 0;
+  // Recorded the same way build_assets.js records outlines
+  const luminance = { luminanceLow: CONFIG.luminanceLow, luminanceHigh: CONFIG.luminanceHigh };
+  const settings = svg ? { ...luminance, trace } : luminance;
+  const report = new BatchReport('gen_outlines', { workers, settings });
   
   // Find all bundles
   const bundles = await findBundles();
   
   if (bundles.length === 0) {
     log('⚠️  No bundles found in public/stories/*.bundle or public/assets.*', 'yellow');
-    return;
+    return report;
   }
   
   log(`📦 Found ${bundles.length} bundle(s):\n`, 'blue');
   
+  // Step 1: Find the images whose outline is missing or out of date
+  const jobs = [];
+  const caches = [];
   for (const bundlePath of bundles) {
     const bundleName = path.basename(bundlePath);
-    log(`\n📦 Processing bundle: ${bundleName}`, 'bright');
+    log(`\n📦 Checking bundle: ${bundleName}`, 'bright');
+    const cache = await AssetCache.load(bundlePath);
+    caches.push(cache);
     
     // Find target directories within this bundle
     const targetDirs = await findTargetDirs(bundlePath);
@@ -313,52 +314,71 @@ async function processImages() {
     }
     
     for (const target of targetDirs) {
-      log(`  📁 Processing: ${target.relative}`, 'blue');
+      log(`  📁 Checking: ${target.relative}`, 'blue');
       
-      let dirProcessed = 0;
-      let dirSkipped = 0;
+      let found = 0;
       
-      for await (const filePath of walkDirectory(target.path)) {
+      for await (const filePath of walkDirectory(target.path, warnUnreadable)) {
         if (!isProcessableImage(filePath)) continue;
+        found++;
         
-        const outlinePath = getOutlinePath(filePath);
+        const outlinePath = getOutlinePath(filePath, svg ? 'svg' : CONFIG.outputFormat);
         
-        if (await outlineExists(outlinePath)) {
-          log(`    ⏩ Skipped: ${path.basename(filePath)} (outline exists)`, 'gray');
-          dirSkipped++;
-          totalSkipped++;
+        const { stale, reason, hashes } = await cache.check(filePath, outlinePath, settings, [import.meta.url]);
+        if (!stale) {
+          log(`    ⏩ Skipped: ${path.basename(filePath)} (outline up to date)`, 'gray');
+          report.add({ input: filePath, output: outlinePath, status: 'skipped', reason: 'up to date' });
           continue;
         }
         
-        log(`    ⚙️  Processing: ${path.basename(filePath)}...`, 'yellow');
-        
-        const success = await generateOutline(filePath, outlinePath);
-        
-        if (success) {
-          log(`    ✅ Generated: ${path.basename(outlinePath)}`, 'green');
-          dirProcessed++;
-          totalProcessed++;
-        } else {
-          totalErrors++;
-        }
+        log(`    ⏳ Queued: ${path.basename(filePath)} (${reason})`, 'yellow');
+        jobs.push({
+          input: filePath,
+          output: outlinePath,
+          reason,
+          cache,
+          hashes,
+          fn: 'writeOutline',
+          args: [filePath, outlinePath, luminance, { svg, trace }]
+        });
       }
       
-      if (dirProcessed > 0 || dirSkipped > 0) {
-        log(`    📊 Subtotal: ${dirProcessed} processed, ${dirSkipped} skipped`, 'blue');
-      } else {
+      if (found === 0) {
         log(`    📭 No images found`, 'gray');
       }
     }
   }
   
+  // Step 2: Build them in parallel
+  if (jobs.length > 0) {
+    log(`\n⚙️  Building ${jobs.length} outline(s) on ${Math.min(workers, jobs.length)} worker(s)...`, 'blue');
+  }
+  await runJobs(import.meta.url, jobs, {
+    workers,
+    onDone: (job, { ok, error, durationMs }) => {
+      if (ok) {
+        job.cache.record(job.output, job.hashes);
+        log(`    ✅ Generated: ${path.relative(process.cwd(), job.output)} (${(durationMs / 1000).toFixed(1)}s)`, 'green');
+      } else {
+        log(`    ❌ Error: ${path.relative(process.cwd(), job.input)} - ${error}`, 'red');
+      }
+      report.add({ input: job.input, output: job.output, status: ok ? 'built' : 'failed', reason: job.reason, durationMs, error });
+    }
+  });
+  for (const cache of caches) await cache.save();
+  report.finish();
+  
   // Final summary
+  const { built, skipped, failed } = report.totals;
   log('\n' + '═'.repeat(50), 'bright');
   log('✨ Outline Generation Complete!', 'bright');
-  log(`📊 Total: ${totalProcessed} generated, ${totalSkipped} skipped, ${totalErrors} errors`, 'green');
+  log(`📊 Total: ${built} generated, ${skipped} skipped, ${failed} errors in ${(report.durationMs / 1000).toFixed(1)}s`, 'green');
   
-  if (totalErrors > 0) {
-    log(`⚠️  ${totalErrors} images failed to process`, 'red');
+  if (failed > 0) {
+    log(`⚠️  ${failed} images failed to process`, 'red');
   }
+  log(`📝 Report: ${await report.write(reportPath ?? undefined)}`, 'gray');
+  return report;
 }
 
 /**
@@ -386,9 +406,17 @@ async function main() {
     process.exit(1);
   }
   
+  const args = process.argv.slice(2);
+  const batch = batchOptions(args);
+  const trace = {};
+  for (const flag of ['smoothing', 'cornerThreshold']) {
+    const index = args.indexOf(`--${flag}`);
+    if (index !== -1 && index + 1 < args.length) trace[flag] = parseFloat(args[index + 1]);
+  }
+  
   try {
-    await processImages();
-    process.exit(0);
+    const report = await processImages({ svg: args.includes('--svg'), trace, ...batch });
+    process.exit(report.totals.failed > 0 ? 1 : 0);
   } catch (error) {
     log(`\n❌ Fatal error: ${error.message}`, 'red');
     console.error(error.stack);
@@ -401,4 +429,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { generateOutline, processImages };
\ No newline at end of file
+export { generateOutline, generateOutlineSvg, processImages, writeOutline };
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Content-hash cache for derived images
+ *
+ * Each bundle keeps a .assets-cache.json next to its manifest recording, for
+ * every derived file, a hash of the input it was built from, a hash of the
+ * settings used and a hash of the tool code that made it. A derived file is
+ * up to date when it exists and all three still match, so editing a source
+ * image, changing a setting or changing the tool rebuilds it and nothing
+ * else does.
+ *
+ * Derived files from before the cache existed have no entry; they are trusted
+ * when they are newer than their input and recorded with the current hashes.
+ * Entries from before tool hashes were recorded are trusted the same way.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const CACHE_FILE = '.assets-cache.json';
+
+// Ignore mtime differences from checkouts/copies
+const STALE_SLACK_MS = 1000;
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+export async function hashFile(filePath) {
+  return createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+// JSON with object keys sorted, so equal settings always hash the same
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashSettings(settings) {
+  return createHash('sha256').update(stableJson(settings)).digest('hex');
+}
+
+// Module paths in import and export statements that start with ./ or ../
+const RELATIVE_IMPORT = /^\s*(?:import|export)\b[^'"]*['"](\.{1,2}\/[^'"]+)['"]/gm;
+
+/**
+ * Hash of the code in the given modules (file paths or file: URLs) and every
+ * module they import by relative path, so a change to a tool or to a helper
+ * it uses changes the hash. Packages from node_modules don't count.
+ */
+export async function hashTools(modules) {
+  const sources = new Map();
+  const visit = async file => {
+    if (sources.has(file)) return;
+    const source = await fs.readFile(file, 'utf8');
+    sources.set(file, source);
+    for (const [, specifier] of source.matchAll(RELATIVE_IMPORT)) {
+      await visit(path.resolve(path.dirname(file), specifier));
+    }
+  };
+  for (const module of modules) {
+    await visit(path.resolve(String(module).startsWith('file:') ? fileURLToPath(module) : module));
+  }
+
+  // By content alone, so the same code hashes the same in any checkout
+  const hashes = [...sources.values()].map(source => createHash('sha256').update(source).digest('hex'));
+  return createHash('sha256').update(hashes.sort().join('\n')).digest('hex');
+}
+
+/**
+ * The bundle folder a file belongs to: the nearest folder above it with a
+ * manifest.json, or the file's own folder when there is none.
+ */
+export async function bundleRootOf(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+  for (;;) {
+    if (await statOrNull(path.join(dir, 'manifest.json'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return path.dirname(path.resolve(filePath));
+    dir = parent;
+  }
+}
+
+export class AssetCache {
+  constructor(root, entries = {}) {
+    this.root = root;
+    this.entries = entries;
+  }
+
+  /**
+   * The cache for the bundle folder `root`; empty if it has none yet
+   */
+  static async load(root) {
+    try {
+      return new AssetCache(root, JSON.parse(await fs.readFile(path.join(root, CACHE_FILE), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Ignoring unreadable ${path.join(root, CACHE_FILE)}: ${error.message}`);
+      }
+      return new AssetCache(root);
+    }
+  }
+
+  key(output) {
+    return path.relative(this.root, output).split(path.sep).join('/');
+  }
+
+  /**
+   * Whether `output` needs building from `input` with `settings` by the tool
+   * modules `tools` (see hashTools). Returns the hashes to pass to record()
+   * once it has been built.
+   */
+  async check(input, output, settings, tools = []) {
+    const hashes = { input: await hashFile(input), settings: hashSettings(settings), tools: await hashTools(tools) };
+    const outputStats = await statOrNull(output);
+    if (!outputStats) return { stale: true, reason: 'missing', hashes };
+
+    const entry = this.entries[this.key(output)];
+    if (!entry) {
+      const inputStats = await statOrNull(input);
+      if (outputStats.mtimeMs + STALE_SLACK_MS >= inputStats.mtimeMs) {
+        this.record(output, hashes);
+        return { stale: false, hashes };
+      }
+      return { stale: true, reason: 'older than its input', hashes };
+    }
+    if (entry.input !== hashes.input) return { stale: true, reason: 'input changed', hashes };
+    if (entry.settings !== hashes.settings) return { stale: true, reason: 'settings changed', hashes };
+    if (!entry.tools) {
+      this.record(output, hashes);
+    } else if (entry.tools !== hashes.tools) {
+      return { stale: true, reason: 'tool changed', hashes };
+    }
+    return { stale: false, hashes };
+  }
+
+  record(output, hashes) {
+    this.entries[this.key(output)] = hashes;
+  }
+
+  async save() {
+    const file = path.join(this.root, CACHE_FILE);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(this.entries, null, 2) + '\n');
+    await fs.rename(temp, file);
+  }
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { AssetCache, hashTools } from './asset_cache.js';
+
+// A temporary folder holding the given { relative path: contents } files
+async function withFiles(files, run) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'asset-cache-test-'));
+  try {
+    for (const [name, contents] of Object.entries(files)) {
+      await mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await writeFile(path.join(dir, name), contents);
+    }
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const TOOL = {
+  'tool.js': "import sharp from 'sharp';\nimport { helper } from './lib/helper.js';\nexport const run = () => helper();\n",
+  'lib/helper.js': "export const helper = () => 1;\n",
+  'other.js': "export const other = 2;\n"
+};
+
+test('hashTools covers a tool and the modules it imports, not unrelated ones', async () => {
+  await withFiles(TOOL, async dir => {
+    const tool = path.join(dir, 'tool.js');
+    const before = await hashTools([tool]);
+    assert.equal(await hashTools([pathToFileURL(tool).href]), before);
+
+    await writeFile(path.join(dir, 'other.js'), 'export const other = 3;\n');
+    assert.equal(await hashTools([tool]), before);
+
+    await writeFile(path.join(dir, 'lib/helper.js'), 'export const helper = () => 2;\n');
+    assert.notEqual(await hashTools([tool]), before);
+  });
+});
+
+test('check rebuilds an output when the tool that made it changes', async () => {
+  await withFiles({ ...TOOL, 'in.png': 'source', 'out.webp': 'derived' }, async dir => {
+    const [input, output, tool] = ['in.png', 'out.webp', 'tool.js'].map(name => path.join(dir, name));
+    const cache = new AssetCache(dir);
+    const settings = { strokePx: 21 };
+
+    const first = await cache.check(input, output, settings, [tool]);
+    cache.record(output, first.hashes);
+    assert.equal((await cache.check(input, output, settings, [tool])).stale, false);
+
+    await writeFile(tool, `${TOOL['tool.js']}// tweak\n`);
+    const { stale, reason } = await cache.check(input, output, settings, [tool]);
+    assert.equal(stale, true);
+    assert.equal(reason, 'tool changed');
+  });
+});
+
+test('check trusts entries recorded before tool hashes and fills theirs in', async () => {
+  await withFiles({ ...TOOL, 'in.png': 'source', 'out.webp': 'derived' }, async dir => {
+    const [input, output, tool] = ['in.png', 'out.webp', 'tool.js'].map(name => path.join(dir, name));
+    const cache = new AssetCache(dir);
+    const { hashes } = await cache.check(input, output, {}, [tool]);
+    cache.entries['out.webp'] = { input: hashes.input, settings: hashes.settings };
+
+    assert.equal((await cache.check(input, output, {}, [tool])).stale, false);
+    assert.equal(cache.entries['out.webp'].tools, hashes.tools);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Parallel batch runs for the image tools
+ *
+ * runJobs() hands each image to a pool of worker threads (lib/batch_worker.js),
+ * which call one of the tool's exported functions on it. A failing image is
+ * recorded and the rest carry on. BatchReport collects what happened to every
+ * image (built, skipped or failed, with timings and errors) and writes it as
+ * JSON, by default to logs/<tool>.json, for other tooling to read.
+ *
+ * Batch tools take the same two flags (see batchOptions):
+ *   --workers <n>    Images processed at once (default: CPU count, at most 4)
+ *   --report <file>  Where to write the JSON report
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { performance } from 'perf_hooks';
+import { Worker } from 'worker_threads';
+
+// Each worker holds a few full-size images in memory, so don't go wide by default
+export const DEFAULT_WORKERS = Math.max(1, Math.min(4, os.availableParallelism()));
+
+const WORKER_URL = new URL('./batch_worker.js', import.meta.url);
+
+const relative = filePath => filePath && path.relative(process.cwd(), filePath).split(path.sep).join('/');
+
+/**
+ * Take --workers and --report out of a tool's argument list (in place) and
+ * return their values
+ */
+export function batchOptions(args) {
+  const options = { workers: DEFAULT_WORKERS, reportPath: null };
+
+  const workersIndex = args.indexOf('--workers');
+  if (workersIndex !== -1 && workersIndex + 1 < args.length) {
+    options.workers = Math.max(1, parseInt(args[workersIndex + 1]) || DEFAULT_WORKERS);
+    args.splice(workersIndex, 2);
+  }
+
+  const reportIndex = args.indexOf('--report');
+  if (reportIndex !== -1 && reportIndex + 1 < args.length) {
+    options.reportPath = args[reportIndex + 1];
+    args.splice(reportIndex, 2);
+  }
+  return options;
+}
+
+/**
+ * Run jobs on up to `workers` threads. Each job calls `job.fn` exported by the
+ * module at `moduleUrl` with `job.args` (which must be plain data). onDone(job,
+ * result) is called as each finishes; result is { ok, error, durationMs }.
+ * Resolves to the results in job order once every job has finished.
+ */
+export function runJobs(moduleUrl, jobs, { workers = DEFAULT_WORKERS, onDone = () => {} } = {}) {
+  if (jobs.length === 0) return Promise.resolve([]);
+
+  return new Promise(resolve => {
+    const results = new Array(jobs.length);
+    let next = 0;
+    let finished = 0;
+
+    const finish = (index, result) => {
+      results[index] = result;
+      onDone(jobs[index], result);
+      if (++finished === jobs.length) resolve(results);
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(WORKER_URL);
+      let current = null;
+      let started = 0;
+
+      const send = () => {
+        if (next >= jobs.length) {
+          current = null;
+          worker.terminate();
+          return;
+        }
+        current = next++;
+        started = performance.now();
+        const { fn, args } = jobs[current];
+        worker.postMessage({ moduleUrl: String(moduleUrl), fn, args });
+      };
+
+      worker.on('message', result => {
+        const index = current;
+        send();
+        finish(index, result);
+      });
+
+      // The thread itself died (e.g. out of memory): fail its image and
+      // carry on with a fresh thread
+      const died = message => {
+        if (current === null) return;
+        const index = current;
+        current = null;
+        if (next < jobs.length) startWorker();
+        finish(index, { ok: false, error: message, durationMs: performance.now() - started });
+      };
+      worker.on('error', error => died(error.message));
+      worker.on('exit', code => died(`worker exited with code ${code}`));
+
+      send();
+    };
+
+    for (let i = 0; i < Math.min(workers, jobs.length); i++) startWorker();
+  });
+}
+
+/**
+ * What a batch run did with each image, for the JSON report
+ */
+export class BatchReport {
+  constructor(tool, { workers = DEFAULT_WORKERS, settings = {} } = {}) {
+    this.tool = tool;
+    this.workers = workers;
+    this.settings = settings;
+    this.startedAt = new Date().toISOString();
+    this.started = performance.now();
+    this.finishedAt = null;
+    this.durationMs = null;
+    this.items = [];
+  }
+
+  /**
+   * Record one image: status is 'built', 'skipped' or 'failed'
+   */
+  add({ input, output = null, status, reason = null, durationMs = null, error = null }) {
+    this.items.push({
+      input: relative(input),
+      output: relative(output),
+      status,
+      reason,
+      durationMs: durationMs === null ? null : Math.round(durationMs),
+      error
+    });
+  }
+
+  get totals() {
+    const totals = { built: 0, skipped: 0, failed: 0 };
+    for (const item of this.items) totals[item.status]++;
+    return totals;
+  }
+
+  finish() {
+    this.finishedAt = new Date().toISOString();
+    this.durationMs = Math.round(performance.now() - this.started);
+  }
+
+  toJSON() {
+    return {
+      tool: this.tool,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.durationMs,
+      workers: this.workers,
+      settings: this.settings,
+      totals: this.totals,
+      items: this.items
+    };
+  }
+
+  /**
+   * Write the report as JSON; returns the path written
+   */
+  async write(reportPath = path.join('logs', `${this.tool}.json`)) {
+    await fs.mkdir(path.dirname(path.resolve(reportPath)), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(this, null, 2) + '\n');
+    return reportPath;
+  }
+}
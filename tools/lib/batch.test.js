@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BatchReport, DEFAULT_WORKERS, batchOptions, runJobs } from './batch.js';
+
+test('batchOptions takes --workers and --report out of the arguments', () => {
+  const args = ['in.png', '--workers', '3', 'out.webp', '--report', 'r.json', '12'];
+  assert.deepEqual(batchOptions(args), { workers: 3, reportPath: 'r.json' });
+  assert.deepEqual(args, ['in.png', 'out.webp', '12']);
+
+  assert.deepEqual(batchOptions([]), { workers: DEFAULT_WORKERS, reportPath: null });
+  assert.equal(batchOptions(['--workers', 'lots']).workers, DEFAULT_WORKERS);
+  assert.equal(batchOptions(['--workers', '0']).workers, DEFAULT_WORKERS);
+});
+
+test('runJobs runs every job on the worker threads and carries on past failures', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'batch-test-'));
+  try {
+    const tool = path.join(dir, 'tool.mjs');
+    await writeFile(tool, [
+      "import { writeFile } from 'node:fs/promises';",
+      'export async function touch(file, text) { await writeFile(file, text); }',
+      "export async function fail(message) { throw new Error(message); }"
+    ].join('\n'));
+
+    const jobs = [
+      { fn: 'touch', args: [path.join(dir, 'a.txt'), 'a'] },
+      { fn: 'fail', args: ['broken image'] },
+      { fn: 'touch', args: [path.join(dir, 'b.txt'), 'b'] },
+      { fn: 'missing', args: [] }
+    ];
+    const done = [];
+    const results = await runJobs(pathToFileURL(tool), jobs, { workers: 2, onDone: job => done.push(job) });
+
+    assert.deepEqual(results.map(r => r.ok), [true, false, true, false]);
+    assert.equal(results[1].error, 'broken image');
+    assert.ok(results.every(r => r.durationMs >= 0));
+    assert.equal(done.length, 4);
+    assert.equal(await readFile(path.join(dir, 'a.txt'), 'utf8'), 'a');
+    assert.equal(await readFile(path.join(dir, 'b.txt'), 'utf8'), 'b');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('runJobs with no jobs starts no workers', async () => {
+  assert.deepEqual(await runJobs('file:///nonexistent.js', []), []);
+});
+
+test('BatchReport totals the items and writes them as JSON', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'batch-report-'));
+  try {
+    const report = new BatchReport('tool', { workers: 2, settings: { strokePx: 21 } });
+    report.add({ input: 'a.png', output: 'a.webp', status: 'built', reason: 'missing', durationMs: 12.4 });
+    report.add({ input: 'b.png', output: 'b.webp', status: 'skipped', reason: 'up to date' });
+    report.add({ input: 'c.png', output: 'c.webp', status: 'failed', reason: 'input changed', durationMs: 3, error: 'bad' });
+    report.finish();
+
+    assert.deepEqual(report.totals, { built: 1, skipped: 1, failed: 1 });
+
+    const file = await report.write(path.join(dir, 'nested', 'report.json'));
+    const written = JSON.parse(await readFile(file, 'utf8'));
+    assert.equal(written.tool, 'tool');
+    assert.equal(written.workers, 2);
+    assert.deepEqual(written.settings, { strokePx: 21 });
+    assert.deepEqual(written.totals, { built: 1, skipped: 1, failed: 1 });
+    assert.ok(written.durationMs >= 0 && written.startedAt && written.finishedAt);
+    assert.deepEqual(written.items[0], { input: 'a.png', output: 'a.webp', status: 'built', reason: 'missing', durationMs: 12, error: null });
+    assert.equal(written.items[2].error, 'bad');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
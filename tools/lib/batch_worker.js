@@ -0,0 +1,22 @@
+/**
+ * Worker thread for lib/batch.js: calls one exported tool function per message
+ * and answers with { ok, error, durationMs }
+ */
+
+import { parentPort } from 'worker_threads';
+import { performance } from 'perf_hooks';
+
+// The tools narrate every step; from several threads at once that's noise, so
+// the batch prints one line per image instead. Warnings and errors still show.
+console.log = () => {};
+
+parentPort.on('message', async ({ moduleUrl, fn, args }) => {
+  const started = performance.now();
+  try {
+    const tool = await import(moduleUrl);
+    await tool[fn](...args);
+    parentPort.postMessage({ ok: true, error: null, durationMs: performance.now() - started });
+  } catch (error) {
+    parentPort.postMessage({ ok: false, error: error.message, durationMs: performance.now() - started });
+  }
+});
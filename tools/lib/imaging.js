@@ -0,0 +1,428 @@
+/**
+ * Image helpers shared by the asset tools
+ *
+ * Images are raw RGBA buffers (4 bytes per pixel, row by row) with their
+ * width and height passed alongside. Masks are Uint8Arrays with one byte per
+ * pixel: 1 inside, 0 outside. Gray images (heights, blurred masks) are one
+ * byte per pixel from 0 to 255.
+ *
+ * - Mask ops: extractAlpha, alphaMask, maskToGray, erode, blurGray, blurMask,
+ *   sobel, floodFill, largestComponent
+ * - Distance transforms: distanceTransform, chamferDistance
+ * - Compositing: padImage, compositeRaw
+ * - Bundle discovery: BUNDLE_PATTERNS, findBundles, findCharacterFolders,
+ *   walkDirectory
+ */
+
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// ---------------------------------------------------------------------------
+// Mask ops
+// ---------------------------------------------------------------------------
+
+/**
+ * The alpha channel of an RGBA image, one byte per pixel
+ */
+export function extractAlpha(rgba, w, h) {
+  const a = Buffer.alloc(w * h);
+  for (let i = 0, p = 3; i < a.length; i++, p += 4) a[i] = rgba[p];
+  return a;
+}
+
+/**
+ * Mask of the pixels whose alpha is above `threshold`
+ */
+export function alphaMask(rgba, w, h, threshold = 0) {
+  const mask = new Uint8Array(w * h);
+  for (let i = 0, p = 3; i < mask.length; i++, p += 4) mask[i] = rgba[p] > threshold ? 1 : 0;
+  return mask;
+}
+
+/**
+ * A mask as a gray image: 255 inside, 0 outside
+ */
+export function maskToGray(mask) {
+  const gray = Buffer.alloc(mask.length);
+  for (let i = 0; i < mask.length; i++) gray[i] = mask[i] ? 255 : 0;
+  return gray;
+}
+
+/**
+ * Shrink a mask by `radius` pixels with a square structuring element: a
+ * pixel stays set only if every pixel within `radius` (in x and y) is set.
+ * Pixels outside the image count as `outside`: unset by default, so the mask
+ * also pulls away from the image edges; 1 lets it run off them.
+ */
+export function erode(mask, w, h, radius = 1, { outside = 0 } = {}) {
+  let current = mask;
+  for (let pass = 0; pass < radius; pass++) {
+    const out = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let all = 1;
+        for (let dy = -1; dy <= 1 && all; dy++) {
+          for (let dx = -1; dx <= 1 && all; dx++) {
+            const nx = x + dx, ny = y + dy;
+            const set = nx >= 0 && ny >= 0 && nx < w && ny < h ? current[ny * w + nx] : outside;
+            if (!set) all = 0;
+          }
+        }
+        out[y * w + x] = all;
+      }
+    }
+    current = out;
+  }
+  return current === mask ? Uint8Array.from(mask) : current;
+}
+
+/**
+ * Gaussian blur of a gray image (sharp's blur, so sigma below 0.3 is an error)
+ */
+export function blurGray(gray, w, h, sigma) {
+  return sharp(gray, { raw: { width: w, height: h, channels: 1 } })
+    .blur(sigma)
+    .extractChannel(0) // sharp hands back raw single-channel input as sRGB otherwise
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Gaussian-blurred mask: a gray image ramping from 255 inside to 0 outside
+ * over roughly `sigma` pixels; used as a height map for bevels and to round
+ * off mask edges.
+ */
+export function blurMask(mask, w, h, sigma) {
+  return blurGray(maskToGray(mask), w, h, sigma);
+}
+
+/**
+ * Sobel gradients of a gray or float image. Returns Float32Arrays gx (left to
+ * right) and gy (top to bottom); the outermost pixels have no gradient.
+ */
+export function sobel(values, w, h) {
+  const gx = new Float32Array(w * h);
+  const gy = new Float32Array(w * h);
+  const Kx = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+  const Ky = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      let sx = 0, sy = 0, k = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const v = values[(y + dy) * w + (x + dx)];
+          sx += v * Kx[k];
+          sy += v * Ky[k];
+          k++;
+        }
+      }
+      gx[y * w + x] = sx;
+      gy[y * w + x] = sy;
+    }
+  }
+  return { gx, gy };
+}
+
+/**
+ * The set pixels of `mask` 4-connected to any of `seeds` (pixel indices;
+ * seeds outside the mask are ignored). Pass 'edges' to start from every
+ * pixel on the image border, e.g. to find a background touching the edges.
+ */
+export function floodFill(mask, w, h, seeds) {
+  const filled = new Uint8Array(w * h);
+  const queue = [];
+  const push = i => {
+    if (mask[i] && !filled[i]) {
+      filled[i] = 1;
+      queue.push(i);
+    }
+  };
+
+  if (seeds === 'edges') {
+    for (let x = 0; x < w; x++) {
+      push(x);
+      push((h - 1) * w + x);
+    }
+    for (let y = 0; y < h; y++) {
+      push(y * w);
+      push(y * w + (w - 1));
+    }
+  } else {
+    for (const seed of seeds) push(seed);
+  }
+
+  while (queue.length) {
+    const i = queue.pop();
+    const y = (i / w) | 0, x = i - y * w;
+    if (x > 0) push(i - 1);
+    if (x < w - 1) push(i + 1);
+    if (y > 0) push(i - w);
+    if (y < h - 1) push(i + w);
+  }
+  return filled;
+}
+
+/**
+ * The largest 8-connected component of a mask. Components of `minSize`
+ * pixels or fewer are ignored; on a tie the first found (top to bottom)
+ * wins. Returns { mask, size, components } where `components` counts those
+ * big enough, and `mask` is null when there are none.
+ */
+export function largestComponent(mask, w, h, minSize = 0) {
+  const labels = new Int32Array(w * h);
+  const queue = new Int32Array(w * h);
+  let components = 0, best = 0, bestSize = 0, label = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    label++;
+    let head = 0, tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const i = queue[head++];
+      const cy = (i / w) | 0, cx = i - cy * w;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = cy + dy;
+        if (ny < 0 || ny >= h) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          if ((dx === 0 && dy === 0) || nx < 0 || nx >= w) continue;
+          const ni = ny * w + nx;
+          if (!mask[ni] || labels[ni]) continue;
+          labels[ni] = label;
+          queue[tail++] = ni;
+        }
+      }
+    }
+    if (tail > minSize) {
+      components++;
+      if (tail > bestSize) {
+        bestSize = tail;
+        best = label;
+      }
+    }
+  }
+
+  if (!best) return { mask: null, size: 0, components };
+  const out = new Uint8Array(w * h);
+  for (let i = 0; i < out.length; i++) out[i] = labels[i] === best ? 1 : 0;
+  return { mask: out, size: bestSize, components };
+}
+
+// ---------------------------------------------------------------------------
+// Distance transforms
+// ---------------------------------------------------------------------------
+
+/**
+ * Approximate distance from every pixel to the nearest set pixel of `mask`
+ * (0 on the mask), using two chamfer passes with steps of 1 and √2. It
+ * overestimates by up to about 8% between the axes and the diagonals.
+ * Every pixel is Infinity when the mask is empty.
+ */
+export function chamferDistance(mask, w, h) {
+  const df = new Float32Array(w * h);
+  for (let i = 0; i < df.length; i++) df[i] = mask[i] ? 0 : Infinity;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      let d = df[i];
+      if (y > 0) {
+        d = Math.min(d, df[i - w] + 1);
+        if (x > 0) d = Math.min(d, df[i - w - 1] + Math.SQRT2);
+        if (x + 1 < w) d = Math.min(d, df[i - w + 1] + Math.SQRT2);
+      }
+      if (x > 0) d = Math.min(d, df[i - 1] + 1);
+      df[i] = d;
+    }
+  }
+  for (let y = h - 1; y >= 0; y--) {
+    for (let x = w - 1; x >= 0; x--) {
+      const i = y * w + x;
+      let d = df[i];
+      if (y + 1 < h) {
+        d = Math.min(d, df[i + w] + 1);
+        if (x > 0) d = Math.min(d, df[i + w - 1] + Math.SQRT2);
+        if (x + 1 < w) d = Math.min(d, df[i + w + 1] + Math.SQRT2);
+      }
+      if (x + 1 < w) d = Math.min(d, df[i + 1] + 1);
+      df[i] = d;
+    }
+  }
+  return df;
+}
+
+// Stands in for "no set pixel yet"; finite so the parabola maths stays finite
+const FAR = 1e20;
+
+// Squared distance transform of one row or column (Felzenszwalb & Huttenlocher):
+// d[q] = min over p of (q - p)² + f[p], from the lower envelope of the parabolas
+function squaredDistance1d(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+/**
+ * Exact Euclidean distance from every pixel to the nearest set pixel of
+ * `mask` (0 on the mask), in time proportional to the pixel count however far
+ * the distances reach. Every pixel is Infinity when the mask is empty.
+ */
+export function distanceTransform(mask, w, h) {
+  const n = Math.max(w, h);
+  const f = new Float64Array(n);
+  const d = new Float64Array(n);
+  const v = new Int32Array(n);
+  const z = new Float64Array(n + 1);
+  const dist = new Float64Array(w * h);
+
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) f[y] = mask[y * w + x] ? 0 : FAR;
+    squaredDistance1d(f, h, d, v, z);
+    for (let y = 0; y < h; y++) dist[y * w + x] = d[y];
+  }
+  for (let y = 0; y < h; y++) {
+    const row = y * w;
+    for (let x = 0; x < w; x++) f[x] = dist[row + x];
+    squaredDistance1d(f, w, d, v, z);
+    for (let x = 0; x < w; x++) dist[row + x] = d[x] >= FAR ? Infinity : Math.sqrt(d[x]);
+  }
+  return dist;
+}
+
+// ---------------------------------------------------------------------------
+// Compositing
+// ---------------------------------------------------------------------------
+
+/**
+ * The image centred on a transparent canvas `padding` pixels larger on every
+ * side. Returns { data, width, height }.
+ */
+export function padImage(rgba, w, h, padding) {
+  const width = w + padding * 2;
+  const height = h + padding * 2;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < h; y++) {
+    data.set(rgba.subarray(y * w * 4, (y + 1) * w * 4), ((y + padding) * width + padding) * 4);
+  }
+  return { data, width, height };
+}
+
+/**
+ * Blend same-sized RGBA layers onto an RGBA image, in order, with sharp's
+ * blend modes ('over', 'multiply', 'screen', 'hard-light', ...). Returns the
+ * raw RGBA result.
+ */
+export function compositeRaw(rgba, w, h, layers) {
+  const raw = { width: w, height: h, channels: 4 };
+  return sharp(rgba, { raw })
+    .composite(layers.map(({ data, blend = 'over' }) => ({ input: data, raw, blend })))
+    .raw()
+    .toBuffer();
+}
+
+// ---------------------------------------------------------------------------
+// Bundle discovery
+// ---------------------------------------------------------------------------
+
+// Where bundles live, relative to public/
+export const BUNDLE_PATTERNS = [
+  'stories/*.bundle',  // Story bundles
+  'assets.*'           // Asset packs like assets.core
+];
+
+// Character image folders, relative to a bundle
+const CHARACTER_DIRS = ['images/characters', 'characters'];
+
+const defaultPublicPath = () => path.resolve(process.cwd(), 'public');
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Every story bundle and asset pack folder under `publicPath`
+ */
+export async function findBundles(publicPath = defaultPublicPath()) {
+  const bundles = [];
+
+  for (const pattern of BUNDLE_PATTERNS) {
+    const baseDir = path.join(publicPath, path.dirname(pattern));
+    const regex = new RegExp('^' + path.basename(pattern).replace('.', '\\.').replace('*', '.*') + '$');
+
+    try {
+      const entries = await fs.readdir(baseDir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isDirectory() && regex.test(entry.name)) {
+          bundles.push(path.join(baseDir, entry.name));
+        }
+      }
+    } catch {
+      // Directory might not exist yet, that's ok
+    }
+  }
+
+  return bundles;
+}
+
+/**
+ * The character image folders of every bundle under `publicPath`
+ */
+export async function findCharacterFolders(publicPath = defaultPublicPath()) {
+  const folders = [];
+  for (const bundlePath of await findBundles(publicPath)) {
+    for (const dir of CHARACTER_DIRS) {
+      const charPath = path.join(bundlePath, dir);
+      if (await isDirectory(charPath)) folders.push(charPath);
+    }
+  }
+  return folders;
+}
+
+const warnUnreadable = (error, dir) => console.warn(`⚠️  Could not read directory ${dir}: ${error.message}`);
+
+/**
+ * Every file below `dir`, depth first. A missing folder yields nothing;
+ * folders that can't be read are reported through `onError` and skipped.
+ */
+export async function* walkDirectory(dir, onError = warnUnreadable) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') onError(error, dir);
+    return;
+  }
+
+  for (const entry of entries) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      yield* walkDirectory(filePath, onError);
+    } else {
+      yield filePath;
+    }
+  }
+}
@@ -0,0 +1,279 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  alphaMask,
+  blurMask,
+  chamferDistance,
+  compositeRaw,
+  distanceTransform,
+  erode,
+  extractAlpha,
+  findBundles,
+  findCharacterFolders,
+  floodFill,
+  largestComponent,
+  maskToGray,
+  padImage,
+  sobel,
+  walkDirectory
+} from './imaging.js';
+
+// Mask from rows of '#' (set) and '.' (unset)
+function mask(...rows) {
+  return Uint8Array.from(rows.join('').split(''), c => (c === '#' ? 1 : 0));
+}
+
+function rows(m, w) {
+  const out = [];
+  for (let i = 0; i < m.length; i += w) out.push(Array.from(m.subarray(i, i + w), v => (v ? '#' : '.')).join(''));
+  return out;
+}
+
+// RGBA image whose alpha is the given values, colour (10, 20, 30)
+function rgbaWithAlpha(alphas) {
+  const rgba = Buffer.alloc(alphas.length * 4);
+  alphas.forEach((a, i) => rgba.set([10, 20, 30, a], i * 4));
+  return rgba;
+}
+
+test('extractAlpha and alphaMask read the alpha channel', () => {
+  const rgba = rgbaWithAlpha([0, 1, 127, 128, 255, 0]);
+  assert.deepEqual([...extractAlpha(rgba, 3, 2)], [0, 1, 127, 128, 255, 0]);
+  assert.deepEqual([...alphaMask(rgba, 3, 2)], [0, 1, 1, 1, 1, 0]);
+  assert.deepEqual([...alphaMask(rgba, 3, 2, 127)], [0, 0, 0, 1, 1, 0]);
+});
+
+test('maskToGray maps set pixels to 255', () => {
+  assert.deepEqual([...maskToGray(mask('#.', '.#'))], [255, 0, 0, 255]);
+});
+
+test('erode shrinks a square by the radius and pulls away from the edges', () => {
+  const square = mask(
+    '#######',
+    '#######',
+    '#######',
+    '#######',
+    '#######'
+  );
+  assert.deepEqual(rows(erode(square, 7, 5, 1), 7), [
+    '.......',
+    '.#####.',
+    '.#####.',
+    '.#####.',
+    '.......'
+  ]);
+  assert.deepEqual(rows(erode(square, 7, 5, 2), 7), [
+    '.......',
+    '.......',
+    '..###..',
+    '.......',
+    '.......'
+  ]);
+});
+
+test('erode can treat pixels outside the image as set', () => {
+  const m = mask(
+    '#####',
+    '#####',
+    '###..',
+    '#####'
+  );
+  assert.deepEqual(rows(erode(m, 5, 4, 1, { outside: 1 }), 5), [
+    '#####',
+    '##...',
+    '##...',
+    '##...'
+  ]);
+});
+
+test('erode with radius 0 returns an unchanged copy', () => {
+  const m = mask('##', '.#');
+  const eroded = erode(m, 2, 2, 0);
+  assert.deepEqual([...eroded], [...m]);
+  assert.notEqual(eroded, m);
+});
+
+test('blurMask returns one channel that ramps across the edge', async () => {
+  const w = 20, h = 5;
+  const m = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) for (let x = 10; x < w; x++) m[y * w + x] = 1;
+
+  const blurred = await blurMask(m, w, h, 1.5);
+  assert.equal(blurred.length, w * h);
+  const row = Array.from(blurred.subarray(2 * w, 3 * w));
+  assert.equal(row[0], 0);
+  assert.equal(row[w - 1], 255);
+  for (let x = 1; x < w; x++) assert.ok(row[x] >= row[x - 1], `not increasing at x=${x}`);
+  assert.ok(row[9] > 0 && row[9] < 128 && row[10] > 128 && row[10] < 255);
+});
+
+test('sobel points along the gradient and leaves the outer pixels at 0', () => {
+  const w = 4, h = 4;
+  // Brightness increases to the right
+  const ramp = Float32Array.from({ length: w * h }, (_, i) => i % w);
+  const { gx, gy } = sobel(ramp, w, h);
+  assert.equal(gx[1 * w + 1], 8);
+  assert.equal(gy[1 * w + 1], 0);
+  assert.equal(gx[0], 0);
+  assert.equal(gx[w * h - 1], 0);
+
+  const { gx: vx, gy: vy } = sobel(Float32Array.from({ length: w * h }, (_, i) => Math.floor(i / w)), w, h);
+  assert.equal(vx[2 * w + 2], 0);
+  assert.equal(vy[2 * w + 2], 8);
+});
+
+test('floodFill reaches 4-connected pixels only', () => {
+  const m = mask(
+    '##.#',
+    '#..#',
+    '.#.#'
+  );
+  assert.deepEqual(rows(floodFill(m, 4, 3, [0]), 4), [
+    '##..',
+    '#...',
+    '....'
+  ]);
+  // Seeds off the mask do nothing
+  assert.deepEqual([...floodFill(m, 4, 3, [2])], new Array(12).fill(0));
+});
+
+test("floodFill from 'edges' finds the background around a shape, not the hole inside it", () => {
+  const background = mask(
+    '#######',
+    '#.....#',
+    '#.###.#',
+    '#.....#',
+    '#######'
+  );
+  assert.deepEqual(rows(floodFill(background, 7, 5, 'edges'), 7), [
+    '#######',
+    '#.....#',
+    '#.....#',
+    '#.....#',
+    '#######'
+  ]);
+});
+
+test('largestComponent keeps the biggest 8-connected blob', () => {
+  const m = mask(
+    '#...##',
+    '.#..##',
+    '..#...',
+    '......',
+    '#....#'
+  );
+  // The diagonal is one blob of 3, so the square of 4 wins
+  const { mask: largest, size, components } = largestComponent(m, 6, 5);
+  assert.equal(size, 4);
+  assert.equal(components, 4);
+  assert.deepEqual(rows(largest, 6), [
+    '....##',
+    '....##',
+    '......',
+    '......',
+    '......'
+  ]);
+});
+
+test('largestComponent ignores components of minSize pixels or fewer', () => {
+  const m = mask('#.##', '....');
+  assert.equal(largestComponent(m, 4, 2, 1).components, 1);
+  const none = largestComponent(m, 4, 2, 2);
+  assert.equal(none.mask, null);
+  assert.equal(none.components, 0);
+});
+
+test('largestComponent keeps the first of equally large components', () => {
+  const { mask: largest } = largestComponent(mask('#.#'), 3, 1);
+  assert.deepEqual([...largest], [1, 0, 0]);
+});
+
+test('chamferDistance measures steps of 1 and √2 from the mask', () => {
+  const w = 5, h = 5;
+  const m = new Uint8Array(w * h);
+  m[2 * w + 2] = 1;
+  const df = chamferDistance(m, w, h);
+  assert.equal(df[2 * w + 2], 0);
+  assert.equal(df[2 * w + 4], 2);
+  assert.equal(df[0 * w + 2], 2);
+  assert.ok(Math.abs(df[1 * w + 1] - Math.SQRT2) < 1e-6);
+  assert.ok(Math.abs(df[0] - 2 * Math.SQRT2) < 1e-6);
+  assert.ok(Math.abs(df[0 * w + 3] - (1 + Math.SQRT2)) < 1e-6);
+});
+
+test('chamferDistance is Infinity everywhere for an empty mask', () => {
+  assert.ok(chamferDistance(new Uint8Array(4), 2, 2).every(d => d === Infinity));
+});
+
+test('distanceTransform matches the exact distance to the nearest set pixel', () => {
+  const w = 23, h = 17;
+  // Deterministic scatter of set pixels, including some on the edges
+  const m = Uint8Array.from({ length: w * h }, (_, i) => ((i * 7919) % 37 === 0 ? 1 : 0));
+  const set = [...m.keys()].filter(i => m[i]);
+  const df = distanceTransform(m, w, h);
+  for (let i = 0; i < m.length; i++) {
+    const x = i % w, y = (i / w) | 0;
+    const nearest = Math.min(...set.map(j => Math.sqrt((j % w - x) ** 2 + (((j / w) | 0) - y) ** 2)));
+    assert.equal(df[i], nearest, `at (${x}, ${y})`);
+  }
+});
+
+test('distanceTransform reaches across the whole image and is Infinity for an empty mask', () => {
+  const w = 300, h = 2;
+  const m = new Uint8Array(w * h);
+  m[0] = 1;
+  const df = distanceTransform(m, w, h);
+  assert.equal(df[w - 1], w - 1);
+  assert.equal(df[2 * w - 1], Math.sqrt((w - 1) ** 2 + 1));
+  assert.ok(distanceTransform(new Uint8Array(6), 3, 2).every(d => d === Infinity));
+});
+
+test('padImage centres the image on a transparent canvas', () => {
+  const rgba = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]); // 2x1
+  const { data, width, height } = padImage(rgba, 2, 1, 1);
+  assert.equal(width, 4);
+  assert.equal(height, 3);
+  assert.deepEqual([...data.subarray(4 * 4 + 4, 4 * 4 + 12)], [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(data.reduce((sum, v) => sum + v, 0), 36);
+});
+
+test('compositeRaw blends layers over the image', async () => {
+  const base = Buffer.from([200, 100, 50, 255]);
+  const black = Buffer.from([0, 0, 0, 255]);
+  const clear = Buffer.from([0, 0, 0, 0]);
+  assert.deepEqual([...await compositeRaw(base, 1, 1, [{ data: black }])], [0, 0, 0, 255]);
+  assert.deepEqual([...await compositeRaw(base, 1, 1, [{ data: clear }])], [200, 100, 50, 255]);
+  assert.deepEqual([...await compositeRaw(base, 1, 1, [{ data: black, blend: 'multiply' }])], [0, 0, 0, 255]);
+});
+
+test('bundle discovery finds bundles, asset packs and their character folders', async () => {
+  const root = await mkdtemp(path.join(tmpdir(), 'imaging-test-'));
+  try {
+    const publicPath = path.join(root, 'public');
+    await mkdir(path.join(publicPath, 'stories/a.bundle/images/characters'), { recursive: true });
+    await mkdir(path.join(publicPath, 'stories/b.bundle/characters'), { recursive: true });
+    await mkdir(path.join(publicPath, 'stories/notabundle/characters'), { recursive: true });
+    await mkdir(path.join(publicPath, 'assets.core'), { recursive: true });
+    await writeFile(path.join(publicPath, 'stories/a.bundle/images/characters/fox.png'), '');
+    await writeFile(path.join(publicPath, 'stories/a.bundle/manifest.json'), '{}');
+
+    const bundles = (await findBundles(publicPath)).map(p => path.relative(publicPath, p)).sort();
+    assert.deepEqual(bundles, ['assets.core', 'stories/a.bundle', 'stories/b.bundle']);
+
+    const folders = (await findCharacterFolders(publicPath)).map(p => path.relative(publicPath, p)).sort();
+    assert.deepEqual(folders, ['stories/a.bundle/images/characters', 'stories/b.bundle/characters']);
+
+    const files = [];
+    for await (const file of walkDirectory(path.join(publicPath, 'stories/a.bundle'))) {
+      files.push(path.relative(publicPath, file));
+    }
+    assert.deepEqual(files.sort(), ['stories/a.bundle/images/characters/fox.png', 'stories/a.bundle/manifest.json']);
+
+    assert.deepEqual(await findBundles(path.join(root, 'missing')), []);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+/**
+ * Trace masks into SVG paths for vector stickers and outlines
+ *
+ * Masks are smoothed with a Gaussian blur and traced with potrace. The SVG
+ * files draw their paths in colours and widths read from CSS custom
+ * properties, falling back to the built-in look, so the app can restyle them
+ * when it renders them through <svg><use href="file.svg#image"/></svg>.
+ * Renderers without custom properties (librsvg, so sharp) use the plain
+ * attributes underneath instead:
+ *
+ *   stickers  --sticker-border-color, --sticker-border-width
+ *   outlines  --outline-color, --outline-width
+ */
+
+import potrace from 'potrace';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import { blurMask, maskToGray } from './imaging.js';
+
+export const DEFAULT_TRACE = {
+  smoothing: 1,        // Gaussian blur (px) on the mask before tracing; 0 traces pixel edges as they are
+  cornerThreshold: 1   // potrace alphaMax: 0 keeps every corner sharp, 1.34 rounds them all
+};
+
+/**
+ * Trace settings as traceMask reads them; these are what the build cache records.
+ */
+export function traceSettings({ smoothing = DEFAULT_TRACE.smoothing, cornerThreshold = DEFAULT_TRACE.cornerThreshold } = {}) {
+  return {
+    smoothing: Math.max(0, Math.min(20, Number.isFinite(+smoothing) ? +smoothing : DEFAULT_TRACE.smoothing)),
+    cornerThreshold: Math.max(0, Math.min(1.34, Number.isFinite(+cornerThreshold) ? +cornerThreshold : DEFAULT_TRACE.cornerThreshold))
+  };
+}
+
+function potraceLoad(tracer, image) {
+  return new Promise((resolve, reject) => {
+    tracer.loadImage(image, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * SVG path data (in pixel coordinates) outlining the set pixels of a mask.
+ * Holes are cut out, so fill it with fill-rule="evenodd".
+ */
+export async function traceMask(mask, w, h, options = {}) {
+  const { smoothing, cornerThreshold } = traceSettings(options);
+  // Blur below sharp's minimum sigma does nothing visible anyway
+  const gray = smoothing >= 0.3 ? await blurMask(mask, w, h, smoothing) : maskToGray(mask);
+
+  // potrace traces dark shapes on a light background
+  const inverted = Buffer.alloc(w * h);
+  for (let i = 0; i < inverted.length; i++) inverted[i] = 255 - gray[i];
+  const png = await sharp(inverted, { raw: { width: w, height: h, channels: 1 } }).png().toBuffer();
+
+  const tracer = new potrace.Potrace({ threshold: 128, blackOnWhite: true, alphaMax: cornerThreshold, turdSize: 2 });
+  await potraceLoad(tracer, png);
+  return tracer.getPathTag('').match(/ d="([^"]*)"/)[1].trim();
+}
+
+// Id of the root <svg>, which the app's <use> points at
+export const SVG_ROOT_ID = 'image';
+
+const svgDocument = (w, h, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" id="${SVG_ROOT_ID}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" overflow="visible">\n${body}\n</svg>\n`;
+
+/**
+ * A sticker: the character image over its silhouette, stroked outward by
+ * strokePx in the border colour. `image` is the character as a URL (usually
+ * a data: URL, so the file stands alone), placed at `padding` from the edge.
+ */
+export function stickerSvg({ path, width, height, strokePx, image, imageWidth, imageHeight, padding }) {
+  const border = `var(--sticker-border-color, #fff)`;
+  return svgDocument(width, height, [
+    `  <path class="sticker-border" d="${path}" fill-rule="evenodd" stroke-linejoin="round" fill="#fff" stroke="#fff" stroke-width="${strokePx * 2}" style="fill: ${border}; stroke: ${border}; stroke-width: var(--sticker-border-width, ${strokePx * 2}px)"/>`,
+    `  <image class="sticker-image" href="${image}" x="${padding}" y="${padding}" width="${imageWidth}" height="${imageHeight}"/>`
+  ].join('\n'));
+}
+
+/**
+ * Line art filled in the outline colour; --outline-width thickens the lines.
+ */
+export function outlineSvg({ path, width, height }) {
+  const color = `var(--outline-color, #000)`;
+  return svgDocument(width, height,
+    `  <path class="outline" d="${path}" fill-rule="evenodd" stroke-linejoin="round" fill="#000" style="fill: ${color}; stroke: ${color}; stroke-width: var(--outline-width, 0)"/>`);
+}
+
+/**
+ * Write an SVG through a temporary file so a half-written one is never served.
+ */
+export async function writeSvg(output, svg) {
+  const temp = `${output}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(temp, svg);
+    await fs.rename(temp, output);
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
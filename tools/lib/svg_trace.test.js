@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TRACE, SVG_ROOT_ID, outlineSvg, stickerSvg, traceMask, traceSettings } from './svg_trace.js';
+
+// Mask of a w x h image with the rectangle [x0, x1) x [y0, y1) set
+function rectMask(w, h, x0, y0, x1, y1) {
+  const m = new Uint8Array(w * h);
+  for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) m[y * w + x] = 1;
+  return m;
+}
+
+// Bounding box of every coordinate pair in path data
+function bounds(d) {
+  const numbers = d.match(/-?\d+(\.\d+)?/g).map(Number);
+  const xs = numbers.filter((_, i) => i % 2 === 0);
+  const ys = numbers.filter((_, i) => i % 2 === 1);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+test('traceSettings fills in defaults and clamps to the usable range', () => {
+  assert.deepEqual(traceSettings(), DEFAULT_TRACE);
+  assert.deepEqual(traceSettings({ smoothing: 50, cornerThreshold: -1 }), { smoothing: 20, cornerThreshold: 0 });
+  assert.deepEqual(traceSettings({ smoothing: 'abc', cornerThreshold: 2 }), { smoothing: DEFAULT_TRACE.smoothing, cornerThreshold: 1.34 });
+});
+
+test('traceMask outlines a rectangle along its pixel edges', async () => {
+  const d = await traceMask(rectMask(40, 30, 10, 5, 30, 25), 40, 30, { smoothing: 0, cornerThreshold: 0 });
+  assert.match(d, /^M /);
+  assert.deepEqual(bounds(d), { minX: 10, maxX: 30, minY: 5, maxY: 25 });
+});
+
+test('traceMask stays close to the shape when smoothing', async () => {
+  const { minX, maxX, minY, maxY } = bounds(await traceMask(rectMask(40, 30, 10, 5, 30, 25), 40, 30, { smoothing: 2 }));
+  for (const [actual, expected] of [[minX, 10], [maxX, 30], [minY, 5], [maxY, 25]]) {
+    assert.ok(Math.abs(actual - expected) <= 1.5, `${actual} is not near ${expected}`);
+  }
+});
+
+test('traceMask returns no path for an empty mask', async () => {
+  assert.equal(await traceMask(new Uint8Array(100), 10, 10), '');
+});
+
+test('stickerSvg and outlineSvg draw the path in CSS-overridable styles under a root <use> can reference', () => {
+  const sticker = stickerSvg({ path: 'M 0 0 L 5 0 L 5 5 Z', width: 20, height: 10, strokePx: 3, image: 'data:image/png;base64,AA==', imageWidth: 14, imageHeight: 4, padding: 3 });
+  assert.match(sticker, new RegExp(`^<svg [^>]*id="${SVG_ROOT_ID}"[^>]*viewBox="0 0 20 10"`));
+  assert.match(sticker, /class="sticker-border" d="M 0 0 L 5 0 L 5 5 Z"/);
+  assert.match(sticker, /stroke-width="6"/);
+  assert.match(sticker, /stroke-width: var\(--sticker-border-width, 6px\)/);
+  assert.match(sticker, /<image [^>]*href="data:image\/png;base64,AA==" x="3" y="3" width="14" height="4"/);
+
+  const outline = outlineSvg({ path: 'M 1 1 L 2 2 Z', width: 8, height: 8 });
+  assert.match(outline, new RegExp(`id="${SVG_ROOT_ID}"`));
+  assert.match(outline, /class="outline" d="M 1 1 L 2 2 Z"[^>]*fill: var\(--outline-color, #000\)/);
+});
@@ -0,0 +1,114 @@
+/**
+ * Image comparison for the visual regression tests (tools/visual)
+ *
+ * perceptualDiff() compares two RGBA images pixel by pixel with the YIQ
+ * colour difference of Kotsarenko & Ramos (the measure pixelmatch uses), so
+ * changes the eye barely notices weigh less than ones it does. Transparency
+ * counts: each pixel is compared over white and over black and the larger
+ * difference wins, so a transparent pixel never matches an opaque white one.
+ *
+ * findPixels() picks out the pixels of a region that break a rule (say, dark
+ * pixels in a sticker's white ring), and writeDiffImage() marks either kind of
+ * failure in red over a faded copy of the image for a human to look at.
+ */
+
+import sharp from 'sharp';
+import path from 'path';
+import { promises as fs } from 'fs';
+
+// Largest possible YIQ difference between two colours
+const MAX_YIQ_DELTA = 35215;
+
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.27417610 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+
+/**
+ * Any image file (or an SVG, rasterized) as raw RGBA
+ */
+export async function loadRgba(file) {
+  const { data, info } = await sharp(file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Perceived difference between pixel i of `a` and pixel j of `b` (offsets into
+ * RGBA buffers), from 0 (same) to 1 (black against white is about 0.97)
+ */
+export function pixelDelta(a, i, b, j) {
+  let worst = 0;
+  for (const background of [255, 0]) {
+    const blend = (c, alpha) => background + (c - background) * alpha / 255;
+    const r1 = blend(a[i], a[i + 3]), g1 = blend(a[i + 1], a[i + 3]), b1 = blend(a[i + 2], a[i + 3]);
+    const r2 = blend(b[j], b[j + 3]), g2 = blend(b[j + 1], b[j + 3]), b2 = blend(b[j + 2], b[j + 3]);
+    const y = rgb2y(r1, g1, b1) - rgb2y(r2, g2, b2);
+    const iq = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+    const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+    worst = Math.max(worst, 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q);
+  }
+  return Math.sqrt(worst / MAX_YIQ_DELTA);
+}
+
+/**
+ * Compare two RGBA images. Pixels whose perceived difference is above
+ * `threshold` (0..1) count as different. Returns how many differ, what
+ * fraction of the image that is, and a mask of them. Images of different
+ * sizes differ everywhere.
+ */
+export function perceptualDiff(actual, expected, { threshold = 0.1 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    const size = expected.width * expected.height;
+    return { differing: size, ratio: 1, mask: new Uint8Array(size).fill(1), sizeMismatch: true };
+  }
+
+  const size = actual.width * actual.height;
+  const mask = new Uint8Array(size);
+  let differing = 0;
+  for (let i = 0; i < size; i++) {
+    if (pixelDelta(actual.data, i * 4, expected.data, i * 4) > threshold) {
+      mask[i] = 1;
+      differing++;
+    }
+  }
+  return { differing, ratio: differing / size, mask, sizeMismatch: false };
+}
+
+/**
+ * Pixels of an RGBA image inside `region` (a mask; every pixel when null)
+ * for which `test(data, offset)` holds. Returns how many and a mask of them.
+ */
+export function findPixels(image, region, test) {
+  const size = image.width * image.height;
+  const mask = new Uint8Array(size);
+  let count = 0;
+  for (let i = 0; i < size; i++) {
+    if ((!region || region[i]) && test(image.data, i * 4)) {
+      mask[i] = 1;
+      count++;
+    }
+  }
+  return { count, mask };
+}
+
+/**
+ * Write a PNG showing `image` faded to light grey with the pixels of `mask`
+ * in red
+ */
+export async function writeDiffImage(file, image, mask) {
+  const { data, width, height } = image;
+  const out = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4;
+    if (mask[i]) {
+      out.set([255, 0, 0, 255], p);
+    } else {
+      // Over white, then faded, so transparent areas show as white
+      const alpha = data[p + 3] / 255;
+      const gray = rgb2y(...[0, 1, 2].map(c => 255 + (data[p + c] - 255) * alpha));
+      out.fill(Math.round(255 - (255 - gray) * 0.25), p, p + 3);
+      out[p + 3] = 255;
+    }
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await sharp(out, { raw: { width, height, channels: 4 } }).png().toFile(file);
+}
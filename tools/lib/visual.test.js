@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { findPixels, loadRgba, perceptualDiff, pixelDelta, writeDiffImage } from './visual.js';
+
+// RGBA image from a list of [r, g, b, a] pixels
+function image(width, height, ...pixels) {
+  return { data: Uint8Array.from(pixels.flat()), width, height };
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const CLEAR = [0, 0, 0, 0];
+
+test('pixelDelta runs from 0 for the same colour to nearly 1 for black against white', () => {
+  assert.equal(pixelDelta(WHITE, 0, WHITE, 0), 0);
+  assert.ok(pixelDelta(WHITE, 0, BLACK, 0) > 0.95);
+  const slight = pixelDelta(WHITE, 0, [250, 250, 250, 255], 0);
+  assert.ok(slight > 0 && slight < 0.05);
+});
+
+test('pixelDelta tells transparent pixels from opaque ones of any colour', () => {
+  assert.ok(pixelDelta(CLEAR, 0, WHITE, 0) > 0.9);
+  assert.ok(pixelDelta(CLEAR, 0, BLACK, 0) > 0.9);
+  // Fully transparent pixels match whatever their colour channels hold
+  assert.equal(pixelDelta(CLEAR, 0, [255, 0, 0, 0], 0), 0);
+});
+
+test('perceptualDiff counts and marks the pixels that differ', () => {
+  const expected = image(2, 2, WHITE, WHITE, BLACK, CLEAR);
+  assert.deepEqual(perceptualDiff(expected, expected),
+    { differing: 0, ratio: 0, mask: new Uint8Array(4), sizeMismatch: false });
+
+  const actual = image(2, 2, WHITE, [252, 252, 252, 255], WHITE, WHITE);
+  const diff = perceptualDiff(actual, expected);
+  assert.equal(diff.differing, 2);
+  assert.equal(diff.ratio, 0.5);
+  assert.deepEqual([...diff.mask], [0, 0, 1, 1]);
+
+  // A threshold of 0 counts the barely visible change too
+  assert.equal(perceptualDiff(actual, expected, { threshold: 0 }).differing, 3);
+});
+
+test('perceptualDiff treats images of different sizes as different everywhere', () => {
+  const diff = perceptualDiff(image(1, 1, WHITE), image(2, 1, WHITE, WHITE));
+  assert.equal(diff.sizeMismatch, true);
+  assert.equal(diff.ratio, 1);
+  assert.deepEqual([...diff.mask], [1, 1]);
+});
+
+test('findPixels only looks inside the region', () => {
+  const img = image(3, 1, BLACK, BLACK, WHITE);
+  const isBlack = (d, p) => d[p] === 0;
+  assert.deepEqual(findPixels(img, null, isBlack), { count: 2, mask: Uint8Array.from([1, 1, 0]) });
+  assert.deepEqual(findPixels(img, Uint8Array.from([0, 1, 1]), isBlack), { count: 1, mask: Uint8Array.from([0, 1, 0]) });
+});
+
+test('writeDiffImage marks the masked pixels in red over a faded copy', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'visual-test-'));
+  try {
+    const file = path.join(dir, 'nested', 'diff.png');
+    await writeDiffImage(file, image(3, 1, BLACK, CLEAR, BLACK), Uint8Array.from([0, 0, 1]));
+    const { data } = await loadRgba(file);
+    assert.deepEqual([...data.subarray(8, 12)], [255, 0, 0, 255]);
+    // Black fades to light grey, transparent shows as white
+    assert.ok(data[0] > 180 && data[0] < 255 && data[3] === 255);
+    assert.deepEqual([...data.subarray(4, 8)], [255, 255, 255, 255]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+/**
+ * Validate every story bundle and asset pack under public/
+ *
+ * Checks each manifest.json against tools/schema/manifest.schema.json, then:
+ * - Unresolved or circular dependsOn ids
+ * - Duplicate ids (bundles, assets within a bundle, chapters)
+ * - Chapters pointing at scenes that don't exist
+ * - Files referenced by the manifest that are missing on disk
+ * - Derived assets (.cutout.webp, .sticker.webp, .outline.webp, or .svg
+ *   stickers and outlines with "derivedFormat": "svg") that are missing or
+ *   older than their source image
+ *
+ * Exits with code 1 when any error is found (or any warning with --strict).
+ *
+ * Usage:
+ *   node tools/lint_bundles.js [--strict] [--quiet]
+ */
+
+import Ajv from 'ajv';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findBundles } from './lib/imaging.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_PATH = path.join(__dirname, 'schema', 'manifest.schema.json');
+
+// Configuration
+const CONFIG = {
+  sourceExtensions: ['.png', '.jpg', '.jpeg'],
+  // Derived files each source image needs, by the folder it lives in
+  derivedByFolder: [
+    { dirs: ['images/characters', 'characters'], suffixes: ['cutout', 'sticker'] },
+    { dirs: ['maps', 'clues', 'images/maps', 'images/clues'], suffixes: ['outline'] }
+  ],
+  // Derived files that are traced to SVG when the manifest's derivedFormat is "svg"
+  vectorSuffixes: ['sticker', 'outline'],
+  // Files that are produced later in the authoring process only warn when missing
+  optionalKinds: ['audio', 'chapter', 'annotation'],
+  staleSlackMs: 1000    // Ignore mtime differences from checkouts/copies
+};
+
+// ANSI color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  red: '\x1b[31m',
+  gray: '\x1b[90m'
+};
+
+/**
+ * Log with color and formatting
+ */
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Collects problems for a single bundle
+ */
+class Report {
+  constructor(bundleName) {
+    this.bundleName = bundleName;
+    this.problems = [];
+  }
+
+  error(message) {
+    this.problems.push({ level: 'error', message });
+  }
+
+  warn(message) {
+    this.problems.push({ level: 'warning', message });
+  }
+
+  count(level) {
+    return this.problems.filter(p => p.level === level).length;
+  }
+}
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+async function loadManifest(bundlePath, report) {
+  const manifestPath = path.join(bundlePath, 'manifest.json');
+  let text;
+  try {
+    text = await fs.readFile(manifestPath, 'utf8');
+  } catch {
+    report.error('manifest.json is missing');
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    report.error(`manifest.json is not valid JSON: ${error.message}`);
+    return null;
+  }
+}
+
+function checkSchema(manifest, validate, report) {
+  if (validate(manifest)) return;
+  for (const err of validate.errors) {
+    const where = err.instancePath || '(root)';
+    const extra = err.params?.additionalProperty ? ` "${err.params.additionalProperty}"` : '';
+    report.error(`schema: ${where} ${err.message}${extra}`);
+  }
+}
+
+function checkIds(manifest, bundlePath, report) {
+  const folderName = path.basename(bundlePath);
+  if (manifest.id && manifest.id !== folderName) {
+    report.error(`id "${manifest.id}" does not match folder name "${folderName}"`);
+  }
+
+  const assets = manifest.assets || {};
+  const seen = new Map(); // asset id → category that declared it first
+
+  for (const category of ['images', 'audio', 'characters', 'locations', 'clues', 'scenes']) {
+    for (const [key, entry] of Object.entries(assets[category] || {})) {
+      if (entry && entry.id !== key) {
+        report.error(`${category}.${key}: id "${entry.id}" does not match its key`);
+      }
+      const id = entry?.id ?? key;
+      if (seen.has(id)) {
+        report.error(`duplicate asset id "${id}" in ${seen.get(id)} and ${category}`);
+      } else {
+        seen.set(id, category);
+      }
+    }
+  }
+
+  const chapters = assets.story?.chapters || [];
+  const chapterIds = new Set();
+  for (const chapter of chapters) {
+    if (chapterIds.has(chapter.id)) {
+      report.error(`duplicate chapter id "${chapter.id}"`);
+    }
+    chapterIds.add(chapter.id);
+
+    for (const sceneId of chapter.scenes || []) {
+      if (!assets.scenes?.[sceneId]) {
+        report.error(`chapter "${chapter.id}" references unknown scene "${sceneId}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Every file path the manifest points at, tagged with what kind of asset it is
+ */
+function referencedFiles(manifest) {
+  const assets = manifest.assets || {};
+  const refs = [];
+
+  for (const image of Object.values(assets.images || {})) {
+    refs.push({ kind: 'image', owner: `images.${image.id}`, path: image.path });
+  }
+  for (const sound of Object.values(assets.audio || {})) {
+    refs.push({ kind: 'audio', owner: `audio.${sound.id}`, path: sound.path });
+  }
+  for (const category of ['characters', 'locations', 'clues', 'scenes']) {
+    for (const entry of Object.values(assets[category] || {})) {
+      if (entry.image) refs.push({ kind: 'image', owner: `${category}.${entry.id}`, path: entry.image });
+      if (entry.audio) refs.push({ kind: 'audio', owner: `${category}.${entry.id}`, path: entry.audio });
+    }
+  }
+  for (const chapter of assets.story?.chapters || []) {
+    if (chapter.path) refs.push({ kind: 'chapter', owner: `story.${chapter.id}`, path: chapter.path });
+  }
+  for (const [key, annotation] of Object.entries(assets.annotations || {})) {
+    refs.push({ kind: 'annotation', owner: `annotations.${key}`, path: annotation.path });
+  }
+
+  return refs.filter(ref => typeof ref.path === 'string');
+}
+
+async function checkFiles(manifest, bundlePath, report) {
+  for (const ref of referencedFiles(manifest)) {
+    const stats = await statOrNull(path.join(bundlePath, ref.path));
+    if (stats?.isFile()) continue;
+
+    const message = `${ref.owner}: missing ${ref.kind} file ${ref.path}`;
+    if (CONFIG.optionalKinds.includes(ref.kind)) {
+      report.warn(message);
+    } else {
+      report.error(message);
+    }
+  }
+}
+
+async function checkDerivedAssets(manifest, bundlePath, report) {
+  const vector = manifest.derivedFormat === 'svg';
+  for (const rule of CONFIG.derivedByFolder) {
+    for (const dir of rule.dirs) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(bundlePath, dir));
+      } catch {
+        continue; // Folder doesn't exist in this bundle
+      }
+
+      for (const file of files) {
+        const ext = path.extname(file).toLowerCase();
+        if (!CONFIG.sourceExtensions.includes(ext)) continue;
+
+        const base = path.basename(file, path.extname(file));
+        let upstream = { name: file, stats: await statOrNull(path.join(bundlePath, dir, file)) };
+
+        // Each derived file is built from the previous one (png → cutout → sticker)
+        for (const suffix of rule.suffixes) {
+          const ext = vector && CONFIG.vectorSuffixes.includes(suffix) ? 'svg' : 'webp';
+          const derivedName = `${base}.${suffix}.${ext}`;
+          const derivedStats = await statOrNull(path.join(bundlePath, dir, derivedName));
+          const relative = path.join(dir, derivedName);
+
+          if (!derivedStats) {
+            report.error(`missing derived asset ${relative}`);
+            upstream = { name: derivedName, stats: null };
+            continue;
+          }
+          if (upstream.stats && upstream.stats.mtimeMs > derivedStats.mtimeMs + CONFIG.staleSlackMs) {
+            report.warn(`stale derived asset ${relative} (older than ${upstream.name})`);
+          }
+          upstream = { name: derivedName, stats: derivedStats };
+        }
+      }
+    }
+  }
+}
+
+function checkDependencies(bundles, report) {
+  const byId = new Map(bundles.filter(b => b.manifest).map(b => [b.manifest.id, b]));
+
+  for (const bundle of bundles) {
+    if (!bundle.manifest) continue;
+    const bundleReport = report.get(bundle.path);
+
+    for (const dependencyId of bundle.manifest.dependsOn || []) {
+      const dependency = byId.get(dependencyId);
+      if (!dependency) {
+        bundleReport.error(`dependsOn "${dependencyId}" does not match any bundle under public/`);
+      } else if (dependency.manifest.type !== 'pack') {
+        bundleReport.warn(`dependsOn "${dependencyId}" is a ${dependency.manifest.type}, not a pack`);
+      }
+    }
+
+    // Walk the dependency graph looking for a path back to this bundle
+    const stack = [[bundle.manifest.id]];
+    while (stack.length) {
+      const trail = stack.pop();
+      const current = byId.get(trail[trail.length - 1]);
+      for (const next of current?.manifest.dependsOn || []) {
+        if (next === bundle.manifest.id) {
+          bundleReport.error(`circular dependsOn: ${[...trail, next].join(' → ')}`);
+          stack.length = 0;
+          break;
+        }
+        if (!trail.includes(next)) stack.push([...trail, next]);
+      }
+    }
+
+    // Assets redefined from a dependency silently win; flag it so it's intentional
+    for (const dependencyId of bundle.manifest.dependsOn || []) {
+      const dependency = byId.get(dependencyId);
+      if (!dependency) continue;
+      for (const category of ['images', 'audio', 'characters']) {
+        for (const id of Object.keys(bundle.manifest.assets?.[category] || {})) {
+          if (dependency.manifest.assets?.[category]?.[id]) {
+            bundleReport.warn(`${category}.${id} overrides the same id from ${dependencyId}`);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Lint all bundles, returning the per-bundle reports
+ */
+async function lintBundles(publicPath = path.resolve(process.cwd(), 'public')) {
+  const schema = JSON.parse(await fs.readFile(SCHEMA_PATH, 'utf8'));
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+
+  const reports = new Map();
+  const bundles = [];
+
+  for (const bundlePath of await findBundles(publicPath)) {
+    const report = new Report(path.relative(publicPath, bundlePath));
+    reports.set(bundlePath, report);
+
+    const manifest = await loadManifest(bundlePath, report);
+    bundles.push({ path: bundlePath, manifest });
+    if (!manifest) continue;
+
+    checkSchema(manifest, validate, report);
+    checkIds(manifest, bundlePath, report);
+    await checkFiles(manifest, bundlePath, report);
+    await checkDerivedAssets(manifest, bundlePath, report);
+  }
+
+  // Two folders claiming the same bundle id
+  const owners = new Map();
+  for (const bundle of bundles) {
+    if (!bundle.manifest?.id) continue;
+    if (owners.has(bundle.manifest.id)) {
+      reports.get(bundle.path).error(`duplicate bundle id "${bundle.manifest.id}" (also in ${path.relative(publicPath, owners.get(bundle.manifest.id))})`);
+    } else {
+      owners.set(bundle.manifest.id, bundle.path);
+    }
+  }
+
+  checkDependencies(bundles, reports);
+
+  return [...reports.values()];
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const quiet = args.includes('--quiet');
+
+  const reports = await lintBundles();
+
+  if (reports.length === 0) {
+    log('⚠️  No bundles found in public/stories/*.bundle or public/assets.*', 'yellow');
+    process.exit(1);
+  }
+
+  let errors = 0;
+  let warnings = 0;
+
+  for (const report of reports) {
+    errors += report.count('error');
+    warnings += report.count('warning');
+
+    if (report.problems.length === 0 || (quiet && report.count('error') === 0)) {
+      if (!quiet) log(`✅ ${report.bundleName}`, 'green');
+      continue;
+    }
+
+    log(`\n📦 ${report.bundleName}`, 'bright');
+    for (const problem of report.problems) {
+      if (problem.level === 'error') {
+        log(`  ❌ ${problem.message}`, 'red');
+      } else if (!quiet) {
+        log(`  ⚠️  ${problem.message}`, 'yellow');
+      }
+    }
+  }
+
+  log('\n' + '═'.repeat(50), 'bright');
+  log(`📊 ${reports.length} bundle(s): ${errors} error(s), ${warnings} warning(s)`, errors ? 'red' : 'green');
+
+  process.exit(errors > 0 || (strict && warnings > 0) ? 1 : 0);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    log(`\n❌ Fatal error: ${error.message}`, 'red');
+    console.error(error.stack);
+    process.exit(1);
+  });
+}
+
+export { lintBundles };
@@ -8,91 +8,82 @@
  * - Optionally adds subtle drop shadow
  * - Outputs transparent lossless WebP
  *
+ * With --svg (or an output ending in .svg) it instead traces the silhouette
+ * into an SVG path (lib/svg_trace.js) and writes a .sticker.svg whose border
+ * stays sharp at any zoom and takes its colour and width from CSS.
+ *
+ * With no input/output, processes every character cutout, skipping stickers
+ * that are up to date (see lib/asset_cache.js). Cutouts are processed in
+ * parallel and the run ends with a JSON report (see lib/batch.js).
+ *
  * Usage:
  *   node tools/make_sticker_border.js <input> <output> [strokePx=8] [softness=0.6] [shadow=true] [--vectorSmooth]
+ *   node tools/make_sticker_border.js <input> <output.svg> [strokePx=8] [--smoothing <px>] [--cornerThreshold <0..1.34>]
+ *   node tools/make_sticker_border.js "" "" [strokePx] ... [--svg] [--workers <n>] [--report <file>]
  */
 
 import sharp from 'sharp';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AssetCache, bundleRootOf } from './lib/asset_cache.js';
+import { BatchReport, DEFAULT_WORKERS, batchOptions, runJobs } from './lib/batch.js';
+import { alphaMask, blurMask, chamferDistance, compositeRaw, distanceTransform, findCharacterFolders, padImage } from './lib/imaging.js';
+import { stickerSvg, traceMask, traceSettings, writeSvg } from './lib/svg_trace.js';
 
 const __filename = fileURLToPath(import.meta.url);
 
 /**
- * Apply ultra-aggressive boundary smoothing using multiple Gaussian blur passes
+ * Which pixels have empty space (or the image edge) within bevelPx to the
+ * southeast: any unset pixel in the box from (x, y) to (x + bevelPx, y + bevelPx).
+ * Counts unset pixels with a summed-area table, so the box size costs nothing.
  */
-async function applyUltraSmoothBoundary(binaryMask, width, height, smoothRadius) {
-  // Convert binary mask to grayscale for Sharp processing
-  const grayData = Buffer.alloc(width * height);
-  for (let i = 0; i < binaryMask.length; i++) {
-    grayData[i] = binaryMask[i] * 255;
+function southeastSpace(mask, w, h, bevelPx) {
+  const W1 = w + 1;
+  const empty = new Int32Array(W1 * (h + 1)); // empty[(y+1)*W1 + x+1] = unset pixels above-left of and at (x, y)
+  for (let y = 0; y < h; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < w; x++) {
+      rowSum += mask[y*w + x] ? 0 : 1;
+      empty[(y+1)*W1 + x+1] = empty[y*W1 + x+1] + rowSum;
+    }
   }
-  
-  // Apply multiple passes of aggressive Gaussian blur
-  let smoothed = await sharp(grayData, {
-    raw: { width, height, channels: 1 }
-  })
-  .blur(smoothRadius * 2) // First pass - ultra-aggressive blur
-  .raw()
-  .toBuffer();
-  
-  // Second pass - even more aggressive
-  smoothed = await sharp(smoothed, {
-    raw: { width, height, channels: 1 }
-  })
-  .blur(smoothRadius * 3) // Even more aggressive
-  .raw()
-  .toBuffer();
-  
-  // Third pass for glass-smooth results
-  smoothed = await sharp(smoothed, {
-    raw: { width, height, channels: 1 }
-  })
-  .blur(smoothRadius * 2) // Final smoothing pass
-  .raw()
-  .toBuffer();
-  
-  // Convert back to binary with high threshold for clean edges
-  const result = new Uint8Array(width * height);
-  for (let i = 0; i < smoothed.length; i++) {
-    result[i] = smoothed[i] > 200 ? 1 : 0; // High threshold for sharp edges after blur
+
+  const result = new Uint8Array(w*h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (x + bevelPx >= w || y + bevelPx >= h) {
+        result[y*w + x] = 1; // the box runs off the image
+        continue;
+      }
+      const x1 = x + bevelPx + 1, y1 = y + bevelPx + 1;
+      const count = empty[y1*W1 + x1] - empty[y*W1 + x1] - empty[y1*W1 + x] + empty[y*W1 + x];
+      // The pixel itself doesn't count
+      result[y*w + x] = count - (mask[y*w + x] ? 0 : 1) > 0 ? 1 : 0;
+    }
   }
-  
   return result;
 }
 
-// Extract 1-channel alpha from RGBA
-function extractAlpha(rgba, w, h) {
-  const a = new Uint8Array(w*h);
-  for (let i=0, p=0; i<a.length; i++, p+=4) a[i] = rgba[p+3];
-  return a;
-}
-
-// Build a soft height map from a binary mask (0/1) using Gaussian blur (~bevelPx)
-async function maskToHeight(mask, w, h, bevelPx) {
-  const m8 = Buffer.alloc(w*h);
-  for (let i=0;i<mask.length;i++) m8[i] = mask[i]?255:0;
-  const sigma = Math.max(0.5, bevelPx*0.6);
-  return await sharp(m8, { raw:{width:w, height:h, channels:1} })
-    .blur(sigma)
-    .raw().toBuffer();
-}
-
 // Sobel gradients -> fake normals -> lambert shading
 async function buildBevelLayer({ ringMask, innerMask, w, h, bevelPx, lightDirDeg, intensity }) {
   // Choose where bevel applies: inner (default) uses innerMask, else ringMask
   const workMask = innerMask || ringMask;
-  const height = await maskToHeight(workMask, w, h, bevelPx);
+  // Soft height map from the mask, ramping over ~bevelPx
+  const height = await blurMask(workMask, w, h, Math.max(0.5, bevelPx*0.6));
 
   // Sobel kernels
   const sobelX = [-1,0,1,-2,0,2,-1,0,1];
   const sobelY = [-1,-2,-1, 0,0,0, 1,2,1];
 
+  // sharp hands a convolved one-channel image back as three channels; keep
+  // one, so gx[i]/gy[i] line up with pixel i
   const gx = await sharp(height, { raw:{width:w, height:h, channels:1} })
-    .convolve({ width:3, height:3, kernel:sobelX }).raw().toBuffer();
+    .convolve({ width:3, height:3, kernel:sobelX }).extractChannel(0).raw().toBuffer();
   const gy = await sharp(height, { raw:{width:w, height:h, channels:1} })
-    .convolve({ width:3, height:3, kernel:sobelY }).raw().toBuffer();
+    .convolve({ width:3, height:3, kernel:sobelY }).extractChannel(0).raw().toBuffer();
+
+  const southeast = southeastSpace(workMask, w, h, bevelPx);
 
   const rad = (lightDirDeg*Math.PI)/180;
   const lx = Math.cos(rad), ly = Math.sin(rad);
@@ -103,27 +94,7 @@ async function buildBevelLayer({ ringMask, innerMask, w, h, bevelPx, lightDirDeg
       const i = y*w + x;
       if (!workMask[i]) continue;             // only shade on bevel zone
 
-      // Check if this pixel should get bevel effect (southeast direction only)
-      // We need to check if there's empty space to the southeast
-      let hasSoutheastSpace = false;
-      for (let dy = 0; dy <= bevelPx && !hasSoutheastSpace; dy++) {
-        for (let dx = 0; dx <= bevelPx && !hasSoutheastSpace; dx++) {
-          if (dx === 0 && dy === 0) continue; // skip center pixel
-          const checkY = y + dy;
-          const checkX = x + dx;
-          if (checkY < h && checkX < w) {
-            const checkIdx = checkY * w + checkX;
-            if (!workMask[checkIdx]) { // empty space found to southeast
-              hasSoutheastSpace = true;
-            }
-          } else {
-            // Edge of image counts as empty space
-            hasSoutheastSpace = true;
-          }
-        }
-      }
-      
-      if (!hasSoutheastSpace) continue; // no bevel effect if no southeast space
+      if (!southeast[i]) continue; // no bevel effect if no southeast space
 
       // central-diff grads → normal
       const nx = (gx[i]-128)/128;            // ~-1..1
@@ -143,6 +114,57 @@ async function buildBevelLayer({ ringMask, innerMask, w, h, bevelPx, lightDirDeg
   return out;
 }
 
+/**
+ * Copy of an RGBA image with off-white (cream, yellowish) pixels made pure
+ * white, so they match the border
+ */
+function normalizeOffWhites(data) {
+  const rgba = Buffer.from(data);
+  for (let i = 0; i < rgba.length; i += 4) {
+    const r = rgba[i], g = rgba[i+1], b = rgba[i+2];
+    if (r > 220 && g > 220 && b > 220) { // light pixel
+      const maxDiff = Math.max(Math.abs(r-g), Math.abs(r-b), Math.abs(g-b));
+      if (maxDiff < 20) { // near neutral (not pink, red, etc.)
+        rgba[i] = 255;
+        rgba[i+1] = 255;
+        rgba[i+2] = 255;
+      }
+    }
+  }
+  return rgba;
+}
+
+/**
+ * The sticker options that affect the output, normalized the way
+ * makeStickerBorder reads them; these are what the build cache records.
+ * Bevel options only count when there is a bevel.
+ */
+function stickerSettings({ strokePx = 21, softness = 0.8, shadow = true, vectorSmooth = false, simplifyPx = 0, bevelPx = 0, lightDir = 45, bevelIntensity = 0.35, bevelInner = true } = {}) {
+  const settings = {
+    strokePx: Math.max(1, Math.min(500, +strokePx || 21)),
+    softness: Math.max(0.1, Math.min(5.0, +softness || 0.8)),
+    shadow: shadow !== false && shadow !== 'false' && shadow !== '0',
+    vectorSmooth: Boolean(vectorSmooth),
+    simplifyPx: +simplifyPx || 0,
+    bevelPx: Math.max(0, +bevelPx || 0)
+  };
+  if (settings.bevelPx > 0) {
+    Object.assign(settings, { lightDir: +lightDir, bevelIntensity: +bevelIntensity, bevelInner: Boolean(bevelInner) });
+  }
+  return settings;
+}
+
+/**
+ * Settings of an SVG sticker as makeStickerSvg reads them; these are what the
+ * build cache records. Softness, shadow and bevels only apply to raster stickers.
+ */
+function stickerSvgSettings({ strokePx = 21 } = {}, trace = {}) {
+  return {
+    strokePx: Math.max(1, Math.min(500, +strokePx || 21)),
+    trace: traceSettings(trace)
+  };
+}
+
 async function makeStickerBorder(input, output, strokePx = 21, softness = 0.8, shadow = true, vectorSmooth = false, simplifyPx = 0, trimSpikesPx = 0, solidBorder = false, bevelPx = 0, lightDir = 45, bevelIntensity = 0.35, bevelInner = true) {
   strokePx = Math.max(1, Math.min(500, +strokePx || 21)); // Allow up to 500px strokes
   softness = Math.max(0.1, Math.min(5.0, +softness || 0.8)); // Allow higher softness
@@ -162,44 +184,15 @@ async function makeStickerBorder(input, output, strokePx = 21, softness = 0.8, s
   
   // Step 1.5: Normalize off-white (cream, yellowish) to pure white
   console.log(`   🎨 Normalizing off-whites to pure white...`);
-  const rgba = Buffer.from(data); // Create a copy to modify
-  for (let i = 0; i < rgba.length; i += 4) {
-    const r = rgba[i], g = rgba[i+1], b = rgba[i+2];
-    if (r > 220 && g > 220 && b > 220) { // light pixel
-      const maxDiff = Math.max(Math.abs(r-g), Math.abs(r-b), Math.abs(g-b));
-      if (maxDiff < 20) { // near neutral (not pink, red, etc.)
-        rgba[i] = 255;
-        rgba[i+1] = 255;
-        rgba[i+2] = 255;
-      }
-    }
-  }
+  const rgba = normalizeOffWhites(data);
   
-  // Step 2: Calculate expanded canvas size
+  // Step 2: Copy normalized image to the center of an expanded transparent canvas
   const padding = strokePx;
-  const newW = W + padding * 2;
-  const newH = H + padding * 2;
+  const { data: expandedData, width: newW, height: newH } = padImage(rgba, W, H, padding);
   
   console.log(`   📐 Expanded size: ${newW}x${newH} (padding: ${padding}px on each side)`);
   
-  // Step 3: Create expanded transparent canvas
-  const expandedData = Buffer.alloc(newW * newH * 4);
-  expandedData.fill(0); // Fill with transparent
-  
-  // Copy normalized image to center
-  for (let y = 0; y < H; y++) {
-    for (let x = 0; x < W; x++) {
-      const srcIdx = (y * W + x) * 4;
-      const dstIdx = ((y + padding) * newW + (x + padding)) * 4;
-      
-      expandedData[dstIdx] = rgba[srcIdx];     // R
-      expandedData[dstIdx + 1] = rgba[srcIdx + 1]; // G
-      expandedData[dstIdx + 2] = rgba[srcIdx + 2]; // B
-      expandedData[dstIdx + 3] = rgba[srcIdx + 3]; // A
-    }
-  }
-  
-  // Step 4: Create border using vector smoothing or improved raster method
+  // Step 3: Create border using vector smoothing or improved raster method
   let borderResult;
   
   if (vectorSmooth) {
@@ -212,10 +205,9 @@ async function makeStickerBorder(input, output, strokePx = 21, softness = 0.8, s
   
   let { borderData, ringMask, innerMask, outerMask } = borderResult;
   
-  // Step 5: Apply bevel shading if enabled
+  // Step 4: Apply bevel shading if enabled
   if (bevelPx > 0) {
     console.log(`   ✨ Adding ${bevelPx}px bevel shading (intensity: ${bevelIntensity}, ${bevelInner ? 'inner' : 'outer'})...`);
-    const alphaSrc = extractAlpha(expandedData, newW, newH);
     const targetMask = bevelInner ? innerMask : outerMask;
     const bevelLayer = await buildBevelLayer({
       ringMask, 
@@ -228,12 +220,10 @@ async function makeStickerBorder(input, output, strokePx = 21, softness = 0.8, s
     });
     
     // Composite with hard-light for visible 3D plastic effect
-    borderData = await sharp(borderData, { raw:{width:newW, height:newH, channels:4} })
-      .composite([{ input: bevelLayer, raw:{ width:newW, height:newH, channels:4 }, blend: 'hard-light' }])
-      .raw().toBuffer();
+    borderData = await compositeRaw(borderData, newW, newH, [{ data: bevelLayer, blend: 'hard-light' }]);
   }
   
-  // Step 6: Save as lossless WebP
+  // Step 5: Save as lossless WebP
   console.log(`   💾 Saving as lossless WebP...`);
   await sharp(borderData, {
     raw: {
@@ -253,59 +243,53 @@ async function makeStickerBorder(input, output, strokePx = 21, softness = 0.8, s
 }
 
 /**
- * Find all character folders in bundles
+ * SVG sticker: the character's silhouette traced into a path and stroked
+ * outward by strokePx, under the (off-white normalized) character image.
+ * The border scales without blurring and its colour and width can be
+ * changed in CSS (see lib/svg_trace.js).
  */
-async function findCharacterFolders() {
-  const folders = [];
-  const publicPath = path.resolve(process.cwd(), 'public');
-  
-  // Look for character folders in stories and assets
-  const bundlePatterns = [
-    'stories/*.bundle',
-    'assets.*'
-  ];
-  
-  for (const pattern of bundlePatterns) {
-    const baseDir = path.join(publicPath, path.dirname(pattern));
-    const bundlePattern = path.basename(pattern);
-    
-    try {
-      const entries = await fs.readdir(baseDir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-        
-        // Check if directory matches pattern
-        if (bundlePattern.includes('*')) {
-          const regex = new RegExp('^' + bundlePattern.replace('*', '.*') + '$');
-          if (regex.test(entry.name)) {
-            const bundlePath = path.join(baseDir, entry.name);
-            
-            // Look for characters folders
-            const characterPaths = [
-              path.join(bundlePath, 'images', 'characters'),
-              path.join(bundlePath, 'characters')
-            ];
-            
-            for (const charPath of characterPaths) {
-              try {
-                const stats = await fs.stat(charPath);
-                if (stats.isDirectory()) {
-                  folders.push(charPath);
-                }
-              } catch {
-                // Directory doesn't exist, continue
-              }
-            }
-          }
-        }
-      }
-    } catch (error) {
-      // Directory might not exist yet, that's ok
-    }
+async function makeStickerSvg(input, output, strokePx = 21, trace = {}) {
+  ({ strokePx, trace } = stickerSvgSettings({ strokePx }, trace));
+  console.log(`🔖 Creating SVG sticker: ${strokePx}px stroke, smoothing ${trace.smoothing}, corner threshold ${trace.cornerThreshold}`);
+
+  const { data, info } = await sharp(input)
+    .rotate()
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: W, height: H } = info;
+  console.log(`   📏 Original size: ${W}x${H}`);
+
+  const rgba = normalizeOffWhites(data);
+
+  // Room for the stroke on every side, as in the raster sticker
+  const padding = strokePx;
+  const { data: expandedData, width: newW, height: newH } = padImage(rgba, W, H, padding);
+
+  console.log(`   ✏️  Tracing silhouette...`);
+  const silhouette = await traceMask(alphaMask(expandedData, newW, newH), newW, newH, trace);
+  if (!silhouette) {
+    throw new Error('image has no opaque pixels to trace');
   }
-  
-  return folders;
+
+  // PNG rather than WebP so SVG renderers without WebP support (librsvg) show it too
+  const image = await sharp(rgba, { raw: { width: W, height: H, channels: 4 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  console.log(`   💾 Saving as SVG...`);
+  await writeSvg(output, stickerSvg({
+    path: silhouette,
+    width: newW,
+    height: newH,
+    strokePx,
+    image: `data:image/png;base64,${image.toString('base64')}`,
+    imageWidth: W,
+    imageHeight: H,
+    padding
+  }));
+
+  console.log(`✔ SVG sticker complete: ${input} -> ${output}`);
 }
 
 /**
@@ -313,101 +297,36 @@ async function findCharacterFolders() {
  */
 async function createVectorSmoothBorder(expandedData, newW, newH, strokePx, bevelPx = 0) {
   console.log(`   🎯 Creating clean white border without dark edges...`);
-  
-  const borderData = Buffer.alloc(newW * newH * 4);
-  borderData.fill(0); // Start transparent
-  
-  // Step 1: First, create the white border background
-  for (let y = 0; y < newH; y++) {
-    for (let x = 0; x < newW; x++) {
-      const idx = (y * newW + x) * 4;
-      
-      // Check if this pixel should be part of the white border
-      let shouldBeBorder = false;
-      
-      // Look for character pixels within strokePx distance
-      for (let dy = -strokePx; dy <= strokePx && !shouldBeBorder; dy++) {
-        for (let dx = -strokePx; dx <= strokePx && !shouldBeBorder; dx++) {
-          const checkY = y + dy;
-          const checkX = x + dx;
-          
-          if (checkY >= 0 && checkY < newH && checkX >= 0 && checkX < newW) {
-            const checkIdx = (checkY * newW + checkX) * 4;
-            if (expandedData[checkIdx + 3] > 0) {
-              const distance = Math.sqrt(dx * dx + dy * dy);
-              if (distance <= strokePx) {
-                shouldBeBorder = true;
-              }
-            }
-          }
-        }
-      }
-      
-      if (shouldBeBorder) {
-        // Set white border
-        borderData[idx] = 255;     // R - white
-        borderData[idx + 1] = 255; // G - white
-        borderData[idx + 2] = 255; // B - white
-        borderData[idx + 3] = 255; // A - fully opaque
-      }
+  const borderData = Buffer.alloc(newW * newH * 4); // Start transparent
+  
+  // Step 1: White border wherever a character pixel is within strokePx
+  const character = alphaMask(expandedData, newW, newH);
+  const toCharacter = distanceTransform(character, newW, newH);
+  const border = new Uint8Array(newW * newH);
+  for (let i = 0; i < border.length; i++) {
+    if (toCharacter[i] <= strokePx) {
+      border[i] = 1;
+      borderData.fill(255, i * 4, i * 4 + 4); // Opaque white
     }
   }
   
-  // Step 2: Create masks for beveling
+  // Step 2: Create masks for beveling: the ring is the border outside the
+  // character; its inner rim hugs the character and its outer rim the empty
+  // space beyond the border (or the image edge)
   const ringMask = new Uint8Array(newW * newH);
   const innerMask = new Uint8Array(newW * newH);
   const outerMask = new Uint8Array(newW * newH);
+  const rimPx = Math.min(bevelPx, strokePx / 2);
+  const toEmpty = bevelPx > 0 ? distanceTransform(border.map((b, i) => (b || character[i] ? 0 : 1)), newW, newH) : null;
   
   for (let y = 0; y < newH; y++) {
     for (let x = 0; x < newW; x++) {
       const i = y * newW + x;
-      const idx = i * 4;
-      const originalAlpha = expandedData[idx + 3];
-      
-      if (originalAlpha === 0 && borderData[idx + 3] > 0) {
-        ringMask[i] = 1; // This is part of the white ring
-        
-        // For inner mask, check if we're within bevelPx distance from the character
-        let isInner = false;
-        for (let dy = -bevelPx; dy <= bevelPx && !isInner; dy++) {
-          for (let dx = -bevelPx; dx <= bevelPx && !isInner; dx++) {
-            const checkY = y + dy;
-            const checkX = x + dx;
-            if (checkY >= 0 && checkY < newH && checkX >= 0 && checkX < newW) {
-              const checkIdx = (checkY * newW + checkX) * 4;
-              if (expandedData[checkIdx + 3] > 0) {
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance <= Math.min(bevelPx, strokePx/2)) {
-                  isInner = true;
-                }
-              }
-            }
-          }
-        }
-        if (isInner) innerMask[i] = 1;
-        
-        // For outer mask, check if we're close to the outer edge (no white pixels nearby)
-        let isOuter = false;
-        for (let dy = -bevelPx; dy <= bevelPx && !isOuter; dy++) {
-          for (let dx = -bevelPx; dx <= bevelPx && !isOuter; dx++) {
-            const checkY = y + dy;
-            const checkX = x + dx;
-            if (checkY < 0 || checkY >= newH || checkX < 0 || checkX >= newW) {
-              // Near edge of image
-              isOuter = true;
-            } else {
-              const checkIdx = (checkY * newW + checkX) * 4;
-              if (expandedData[checkIdx + 3] === 0 && borderData[checkIdx + 3] === 0) {
-                // Found transparent space nearby
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance <= Math.min(bevelPx, strokePx/2)) {
-                  isOuter = true;
-                }
-              }
-            }
-          }
-        }
-        if (isOuter) outerMask[i] = 1;
+      if (character[i] || !border[i]) continue;
+      ringMask[i] = 1;
+      if (toCharacter[i] <= rimPx) innerMask[i] = 1;
+      if (bevelPx > 0 && (x < bevelPx || y < bevelPx || x >= newW - bevelPx || y >= newH - bevelPx || toEmpty[i] <= rimPx)) {
+        outerMask[i] = 1;
       }
     }
   }
@@ -434,73 +353,10 @@ async function createVectorSmoothBorder(expandedData, newW, newH, strokePx, beve
 async function createRasterSmoothBorder(expandedData, newW, newH, strokePx, softness = 0.8, bevelPx = 0) {
   const borderData = Buffer.alloc(newW * newH * 4);
   
-  // Step 1: Build binary mask from expandedData alpha
-  const binaryMask = new Uint8Array(newW * newH);
-  for (let y = 0; y < newH; y++) {
-    for (let x = 0; x < newW; x++) {
-      const idx = y * newW + x;
-      const pixelIdx = idx * 4;
-      binaryMask[idx] = expandedData[pixelIdx + 3] > 127 ? 1 : 0;
-    }
-  }
+  // Step 1: Distance from every pixel to the character (alpha above half)
+  const distanceField = chamferDistance(alphaMask(expandedData, newW, newH, 127), newW, newH);
   
-  // Step 2: Use binary mask directly (no smoothing for now)
-  let processedMask = binaryMask;
-  
-  // Step 3: Create distance field for smooth borders
-  const distanceField = new Float32Array(newW * newH);
-  
-  // Initialize with large values
-  distanceField.fill(strokePx * 2);
-  
-  // Mark character pixels as distance 0 using processed mask
-  for (let y = 0; y < newH; y++) {
-    for (let x = 0; x < newW; x++) {
-      const idx = y * newW + x;
-      
-      if (processedMask[idx] === 1) {
-        distanceField[idx] = 0;
-      }
-    }
-  }
-  
-  // Step 4: Calculate distance field using multiple passes
-  
-  // Forward pass
-  for (let y = 1; y < newH - 1; y++) {
-    for (let x = 1; x < newW - 1; x++) {
-      const idx = y * newW + x;
-      const current = distanceField[idx];
-      
-      const neighbors = [
-        distanceField[(y - 1) * newW + (x - 1)] + Math.SQRT2,
-        distanceField[(y - 1) * newW + x] + 1,
-        distanceField[(y - 1) * newW + (x + 1)] + Math.SQRT2,
-        distanceField[y * newW + (x - 1)] + 1
-      ];
-      
-      distanceField[idx] = Math.min(current, ...neighbors);
-    }
-  }
-  
-  // Backward pass
-  for (let y = newH - 2; y > 0; y--) {
-    for (let x = newW - 2; x > 0; x--) {
-      const idx = y * newW + x;
-      const current = distanceField[idx];
-      
-      const neighbors = [
-        distanceField[y * newW + (x + 1)] + 1,
-        distanceField[(y + 1) * newW + (x - 1)] + Math.SQRT2,
-        distanceField[(y + 1) * newW + x] + 1,
-        distanceField[(y + 1) * newW + (x + 1)] + Math.SQRT2
-      ];
-      
-      distanceField[idx] = Math.min(current, ...neighbors);
-    }
-  }
-  
-  // Step 5: Create the masks needed for beveling
+  // Step 2: Create the masks needed for beveling
   const ringMask = new Uint8Array(newW*newH);
   const innerMask = new Uint8Array(newW*newH);
   const outerMask = new Uint8Array(newW*newH);
@@ -521,7 +377,7 @@ async function createRasterSmoothBorder(expandedData, newW, newH, strokePx, soft
     }
   }
 
-  // Step 6: Generate base sticker border  
+  // Step 3: Generate base sticker border  
   for (let y = 0; y < newH; y++) {
     for (let x = 0; x < newW; x++) {
       const idx = (y * newW + x) * 4;
@@ -548,28 +404,39 @@ async function createRasterSmoothBorder(expandedData, newW, newH, strokePx, soft
 }
 
 /**
- * Process all character cutout images
+ * Process all character cutout images, `workers` at a time. Failed images are
+ * reported and the rest carry on. Returns the BatchReport, which is also
+ * written as JSON to `reportPath` (default logs/make_sticker_border.json).
  */
-async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true, vectorSmooth = false, simplifyPx = 0, trimSpikesPx = 0, solidBorder = false, bevelPx = 0, lightDir = 45, bevelIntensity = 0.35, bevelInner = true) {
+async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true, vectorSmooth = false, simplifyPx = 0, trimSpikesPx = 0, solidBorder = false, bevelPx = 0, lightDir = 45, bevelIntensity = 0.35, bevelInner = true, svg = false, trace = {}, { workers = DEFAULT_WORKERS, reportPath } = {}) {
   console.log('🔖 Processing all character images with sticker borders...\n');
   
+  // Recorded the same way build_assets.js records a sticker without extra passes,
+  // so either tool sees the other's stickers as up to date
+  const settings = svg ? stickerSvgSettings({ strokePx }, trace) : {
+    sticker: stickerSettings({ strokePx, softness, shadow, vectorSmooth, simplifyPx, bevelPx, lightDir, bevelIntensity, bevelInner }),
+    bevel: null,
+    secondEdge: null
+  };
+  const stickerExt = svg ? 'svg' : 'webp';
+  const report = new BatchReport('make_sticker_border', { workers, settings });
   const characterFolders = await findCharacterFolders();
   
   if (characterFolders.length === 0) {
     console.log('⚠️  No character folders found');
-    return;
+    return report;
   }
   
-  let totalProcessed = 0;
-  let totalSkipped = 0;
-  let totalErrors = 0;
-  
+  // Step 1: Find the cutouts whose sticker is missing or out of date
+  const jobs = [];
+  const caches = [];
   for (const folder of characterFolders) {
     const relativePath = path.relative(process.cwd(), folder);
-    console.log(`📁 Processing: ${relativePath}`);
+    console.log(`📁 Checking: ${relativePath}`);
     
-    let folderProcessed = 0;
-    let folderSkipped = 0;
+    const cache = await AssetCache.load(await bundleRootOf(folder));
+    caches.push(cache);
+    let found = 0;
     
     try {
       const files = await fs.readdir(folder);
@@ -577,59 +444,79 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
       for (const file of files) {
         // Only process .cutout.webp files
         if (!file.endsWith('.cutout.webp')) continue;
+        found++;
         
         const inputPath = path.join(folder, file);
         const baseName = path.basename(file, '.cutout.webp');
-        const outputPath = path.join(folder, `${baseName}.sticker.webp`);
+        const outputPath = path.join(folder, `${baseName}.sticker.${stickerExt}`);
         
-        // Skip if sticker already exists
-        try {
-          await fs.access(outputPath);
-          console.log(`  ⏩ Skipped: ${file} (sticker exists)`);
-          folderSkipped++;
-          totalSkipped++;
+        // Skip if the sticker was built from this cutout with these settings and this code
+        const { stale, reason, hashes } = await cache.check(inputPath, outputPath, settings, [import.meta.url]);
+        if (!stale) {
+          console.log(`  ⏩ Skipped: ${file} (sticker up to date)`);
+          report.add({ input: inputPath, output: outputPath, status: 'skipped', reason: 'up to date' });
           continue;
-        } catch {
-          // File doesn't exist, proceed
         }
         
-        console.log(`  ⚙️  Processing: ${file}...`);
-        
-        try {
-          await makeStickerBorder(inputPath, outputPath, strokePx, softness, shadow, vectorSmooth, simplifyPx, trimSpikesPx, solidBorder, bevelPx, lightDir, bevelIntensity, bevelInner);
-          console.log(`  ✅ Generated: ${baseName}.sticker.webp`);
-          folderProcessed++;
-          totalProcessed++;
-        } catch (error) {
-          console.log(`  ❌ Error: ${file} - ${error.message}`);
-          totalErrors++;
-        }
+        console.log(`  ⏳ Queued: ${file} (${reason})`);
+        jobs.push({
+          input: inputPath,
+          output: outputPath,
+          reason,
+          cache,
+          hashes,
+          ...(svg
+            ? { fn: 'makeStickerSvg', args: [inputPath, outputPath, strokePx, trace] }
+            : { fn: 'makeStickerBorder', args: [inputPath, outputPath, strokePx, softness, shadow, vectorSmooth, simplifyPx, trimSpikesPx, solidBorder, bevelPx, lightDir, bevelIntensity, bevelInner] })
+        });
       }
       
-      if (folderProcessed > 0 || folderSkipped > 0) {
-        console.log(`  📊 Subtotal: ${folderProcessed} processed, ${folderSkipped} skipped\n`);
-      } else {
-        console.log(`  📭 No cutout images found\n`);
+      if (found === 0) {
+        console.log(`  📭 No cutout images found`);
       }
     } catch (error) {
-      console.log(`  ❌ Could not read folder: ${error.message}\n`);
-      totalErrors++;
+      console.log(`  ❌ Could not read folder: ${error.message}`);
+      report.add({ input: folder, status: 'failed', error: `could not read folder: ${error.message}` });
     }
   }
   
+  // Step 2: Build them in parallel
+  if (jobs.length > 0) {
+    console.log(`\n⚙️  Building ${jobs.length} sticker(s) on ${Math.min(workers, jobs.length)} worker(s)...`);
+  }
+  await runJobs(import.meta.url, jobs, {
+    workers,
+    onDone: (job, { ok, error, durationMs }) => {
+      const name = path.relative(process.cwd(), job.output);
+      if (ok) {
+        job.cache.record(job.output, job.hashes);
+        console.log(`  ✅ Generated: ${name} (${(durationMs / 1000).toFixed(1)}s)`);
+      } else {
+        console.log(`  ❌ Error: ${path.relative(process.cwd(), job.input)} - ${error}`);
+      }
+      report.add({ input: job.input, output: job.output, status: ok ? 'built' : 'failed', reason: job.reason, durationMs, error });
+    }
+  });
+  for (const cache of caches) await cache.save();
+  report.finish();
+  
   // Final summary
-  console.log('═'.repeat(50));
+  const { built, skipped, failed } = report.totals;
+  console.log('\n' + '═'.repeat(50));
   console.log('✨ Sticker Border Complete!');
-  console.log(`📊 Total: ${totalProcessed} generated, ${totalSkipped} skipped, ${totalErrors} errors`);
+  console.log(`📊 Total: ${built} generated, ${skipped} skipped, ${failed} errors in ${(report.durationMs / 1000).toFixed(1)}s`);
   
-  if (totalErrors > 0) {
-    console.log(`⚠️  ${totalErrors} images failed to process`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} images failed to process`);
   }
+  console.log(`📝 Report: ${await report.write(reportPath ?? undefined)}`);
+  return report;
 }
 
 // CLI entry point
-(async () => {
+async function main() {
   const args = process.argv.slice(2);
+  const batch = batchOptions(args);
   
   // Parse arguments
   let input, output, strokePx, softness, shadow;
@@ -639,6 +526,24 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
   let lightDir = 45;
   let bevelIntensity = 0.35;
   let bevelInner = false;
+  let svg = false;
+  const trace = {};
+  
+  // Check for --svg flag
+  const svgIndex = args.indexOf('--svg');
+  if (svgIndex !== -1) {
+    svg = true;
+    args.splice(svgIndex, 1);
+  }
+  
+  // Check for --smoothing and --cornerThreshold flags (SVG tracing)
+  for (const flag of ['smoothing', 'cornerThreshold']) {
+    const index = args.indexOf(`--${flag}`);
+    if (index !== -1 && index + 1 < args.length) {
+      trace[flag] = parseFloat(args[index + 1]);
+      args.splice(index, 2);
+    }
+  }
   
   // Check for --vectorSmooth flag
   const vectorSmoothIndex = args.indexOf('--vectorSmooth');
@@ -686,16 +591,17 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
   
   // If no arguments, process all character cutouts
   if (!input && !output) {
-    await processAllCharacters(strokePx, softness, shadow, vectorSmooth, simplifyPx, 0, false, bevelPx, lightDir, bevelIntensity, bevelInner).catch(err => {
+    const report = await processAllCharacters(strokePx, softness, shadow, vectorSmooth, simplifyPx, 0, false, bevelPx, lightDir, bevelIntensity, bevelInner, svg, trace, batch).catch(err => {
       console.error('✖', err.message);
       process.exit(1);
     });
+    if (report.totals.failed > 0) process.exitCode = 1;
     return;
   }
   
   // Single file mode
   if (!input || !output) {
-    console.error('Usage: node tools/make_sticker_border.js [<input> <output>] [strokePx=16] [softness=0.8] [shadow=true] [--vectorSmooth] [--simplifyPx <pixels>] [--bevelPx <px>] [--lightDir <deg>] [--bevelIntensity <0..1>] [--bevelInner <bool>]');
+    console.error('Usage: node tools/make_sticker_border.js [<input> <output>] [strokePx=16] [softness=0.8] [shadow=true] [--vectorSmooth] [--simplifyPx <pixels>] [--bevelPx <px>] [--lightDir <deg>] [--bevelIntensity <0..1>] [--bevelInner <bool>] [--svg] [--smoothing <px>] [--cornerThreshold <0..1.34>] [--workers <n>] [--report <file>]');
     console.error('\nModes:');
     console.error('  No arguments: Process all .cutout.webp files in character folders');
     console.error('  Two arguments: Process single file');
@@ -703,12 +609,17 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
     console.error('  strokePx: Border thickness in pixels (1-500, default: 21)');
     console.error('  softness: Blur amount for border growth (0.1-5.0, default: 0.8)');
     console.error('  shadow:   Add drop shadow (true/false, default: true)');
-    console.error('  --vectorSmooth: Use vector-like morphological smoothing (default: false)');
+    console.error('  --vectorSmooth: Use vector-like morphological smoothing, still a raster (default: false)');
     console.error('  --simplifyPx <N>: Close tiny gaps/concavities by N px for cleaner curves (0-50, default: 0)');
     console.error('  --bevelPx <N>: Thickness of the beveled rim in pixels (0 = off, default: 0)');
     console.error('  --lightDir <deg>: Light direction angle, 0 = +X (to the right), default: 45');
     console.error('  --bevelIntensity <0..1>: Shading strength (default: 0.35)');
     console.error('  --bevelInner <bool>: true = bevel inside the white ring, false = outside (default: true)');
+    console.error('  --svg: Write .sticker.svg with a traced, CSS-stylable border (also chosen by an output ending in .svg)');
+    console.error('  --smoothing <px>: SVG only: blur on the silhouette before tracing (0-20, default: 1)');
+    console.error('  --cornerThreshold <0..1.34>: SVG only: higher rounds more corners (default: 1)');
+    console.error(`  --workers <n>: All characters: images processed at once (default: ${DEFAULT_WORKERS})`);
+    console.error('  --report <file>: All characters: where to write the JSON report (default: logs/make_sticker_border.json)');
     console.error('\nFeatures:');
     console.error('  - Creates white sticker border around image');
     console.error('  - Vector smoothing: Advanced morphological operations for ultra-smooth borders');
@@ -716,7 +627,7 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
     console.error('  - Shape simplification: Morphological closing to smooth out small concavities');
     console.error('  - Optional bevel shading layer for 3D plastic/vinyl look');
     console.error('  - Optional subtle drop shadow');
-    console.error('  - Outputs transparent lossless WebP');
+    console.error('  - Outputs transparent lossless WebP, or SVG with --svg');
     console.error('  - Auto-normalizes off-white (cream/yellow) to pure white');
     console.error('\nExamples:');
     console.error('  node tools/make_sticker_border.js                                   # Process all character cutouts');
@@ -724,11 +635,22 @@ async function processAllCharacters(strokePx = 21, softness = 0.8, shadow = true
     console.error('  node tools/make_sticker_border.js "" "" 24 1.2 false --vectorSmooth    # All characters, vector smoothed');
     console.error('  node tools/make_sticker_border.js "" "" 16 0.8 true --simplifyPx 3     # All characters, simplified curves');
     console.error('  node tools/make_sticker_border.js "" "" 20 0.8 true --bevelPx 8 --lightDir 45 --bevelIntensity 0.4  # All characters, with bevel shading');
+    console.error('  node tools/make_sticker_border.js char.cutout.webp char.sticker.svg 21 --smoothing 2  # Single SVG sticker');
     process.exit(1);
   }
   
-  await makeStickerBorder(input, output, strokePx, softness, shadow, vectorSmooth, simplifyPx, 0, false, bevelPx, lightDir, bevelIntensity, bevelInner).catch(err => {
+  const build = svg || output.toLowerCase().endsWith('.svg')
+    ? makeStickerSvg(input, output, strokePx, trace)
+    : makeStickerBorder(input, output, strokePx, softness, shadow, vectorSmooth, simplifyPx, 0, false, bevelPx, lightDir, bevelIntensity, bevelInner);
+  await build.catch(err => {
     console.error('✖', err.message);
     process.exit(1);
   });
-})();
\ No newline at end of file
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { makeStickerBorder, makeStickerSvg, stickerSettings, stickerSvgSettings };
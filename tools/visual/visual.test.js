@@ -0,0 +1,227 @@
+/**
+ * Visual regression tests for the image tools
+ *
+ * Each case runs a tool on a fixture image (fixtures/) and compares the
+ * result with its golden image (golden/<case>.png) using the perceptual diff
+ * in lib/visual.js, then checks what every output must get right however it
+ * looks: no dark pixels in a sticker's white ring, and the background left
+ * fully transparent. A failing case writes what went wrong to
+ * diffs/<case>.*.png (ignored by git).
+ *
+ * After an intended change to a tool's output, regenerate the goldens with
+ *   UPDATE_GOLDEN=1 npm run test:visual
+ * and look them over before committing them.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { cutoutBorderOnly } from '../cutout_border_only.js';
+import { makeStickerBorder, makeStickerSvg } from '../make_sticker_border.js';
+import { addBevel } from '../add_bevel.js';
+import { addSecondEdge } from '../add_second_edge.js';
+import { generateOutline, generateOutlineSvg } from '../gen_outlines.js';
+import { alphaMask, distanceTransform, floodFill, padImage } from '../lib/imaging.js';
+import { findPixels, loadRgba, perceptualDiff, writeDiffImage } from '../lib/visual.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(HERE, 'fixtures');
+const GOLDEN = path.join(HERE, 'golden');
+const DIFFS = path.join(HERE, 'diffs');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const CHARACTER = path.join(FIXTURES, 'character.png');
+const CLUE = path.join(FIXTURES, 'clue.png');
+const STROKE_PX = 8;
+// Stands in for public/VisualAssets/cardboard.png, which add_second_edge uses by default
+const CARDBOARD = path.join(FIXTURES, 'cardboard.png');
+
+// Per-pixel difference that counts (0..1), and the share of pixels allowed to
+// differ. Traced SVGs are rasterized by librsvg, whose anti-aliasing varies
+// between versions, so they get more room.
+const RASTER = { threshold: 0.1, tolerance: 0.001 };
+const VECTOR = { threshold: 0.1, tolerance: 0.01 };
+
+const luminance = (d, p) => 0.299 * d[p] + 0.587 * d[p + 1] + 0.114 * d[p + 2];
+const isVisible = (d, p) => d[p + 3] > 0;
+const isDark = (d, p) => d[p + 3] > 0 && Math.min(d[p], d[p + 1], d[p + 2]) < 200;
+
+const relative = file => path.relative(process.cwd(), file);
+
+// The tools narrate every step; keep the test output to the results
+console.log = () => {};
+
+let work;
+let cutoutFile;
+let stickerFile;
+
+before(async () => {
+  work = await mkdtemp(path.join(tmpdir(), 'visual-'));
+  // The sticker cases start from the cutout, as in the real pipeline
+  cutoutFile = path.join(work, 'character.cutout.webp');
+  await cutoutBorderOnly(CHARACTER, cutoutFile);
+  stickerFile = path.join(work, 'character.sticker.webp');
+  await makeStickerBorder(cutoutFile, stickerFile, STROKE_PX);
+});
+
+after(async () => {
+  await rm(work, { recursive: true, force: true });
+});
+
+/**
+ * Compare an output with its golden image; with UPDATE_GOLDEN=1, replace
+ * the golden instead
+ */
+async function expectGolden(name, actual, { threshold, tolerance }) {
+  const goldenFile = path.join(GOLDEN, `${name}.png`);
+  const save = (image, file) =>
+    sharp(image.data, { raw: { width: image.width, height: image.height, channels: 4 } }).png().toFile(file);
+
+  if (UPDATE) {
+    await mkdir(GOLDEN, { recursive: true });
+    await save(actual, goldenFile);
+    return;
+  }
+
+  let expected;
+  try {
+    expected = await loadRgba(goldenFile);
+  } catch {
+    assert.fail(`${name}: no golden image at ${relative(goldenFile)}; create it with UPDATE_GOLDEN=1 npm run test:visual`);
+  }
+
+  const { differing, ratio, mask, sizeMismatch } = perceptualDiff(actual, expected, { threshold });
+  if (ratio <= tolerance) return;
+
+  const diffFile = path.join(DIFFS, `${name}.diff.png`);
+  await writeDiffImage(diffFile, expected, mask);
+  await save(actual, path.join(DIFFS, `${name}.actual.png`));
+  assert.fail(sizeMismatch
+    ? `${name}: output is ${actual.width}x${actual.height}, golden image is ${expected.width}x${expected.height}`
+    : `${name}: ${differing} pixels (${(ratio * 100).toFixed(2)}%) differ from the golden image, ` +
+      `more than ${tolerance * 100}%; see ${relative(diffFile)}`);
+}
+
+/**
+ * Fail, marking them in a diff image, if any pixel of `region` passes `test`
+ */
+async function expectNone(name, check, image, region, test) {
+  const { count, mask } = findPixels(image, region, test);
+  if (count === 0) return;
+  const diffFile = path.join(DIFFS, `${name}.${check}.png`);
+  await writeDiffImage(diffFile, image, mask);
+  assert.fail(`${name}: ${count} ${check} pixel(s); see ${relative(diffFile)}`);
+}
+
+/**
+ * Areas of a sticker's canvas by distance from the character in its cutout:
+ * the white ring (clear of the anti-aliased outer edge) and the background
+ * beyond the border
+ */
+async function stickerRegions(strokePx) {
+  const cutout = await loadRgba(cutoutFile);
+  const { data, width, height } = padImage(cutout.data, cutout.width, cutout.height, strokePx);
+  const distance = distanceTransform(alphaMask(data, width, height), width, height);
+  return {
+    ring: distance.map(d => (d >= 1 && d <= strokePx - 1.5 ? 1 : 0)),
+    background: distance.map(d => (d > strokePx + 2 ? 1 : 0))
+  };
+}
+
+/**
+ * Pixels of a source image that are light (luminance at least `cutoff`) and
+ * more than `marginPx` from anything darker, optionally only those joined to
+ * the image edge
+ */
+async function lightBackground(sourceFile, cutoff, marginPx, { fromEdges = false } = {}) {
+  const { data, width, height } = await loadRgba(sourceFile);
+  let light = findPixels({ data, width, height }, null, (d, p) => luminance(d, p) >= cutoff).mask;
+  if (fromEdges) light = floodFill(light, width, height, 'edges');
+  const distance = distanceTransform(light.map(v => 1 - v), width, height);
+  return distance.map(d => (d > marginPx ? 1 : 0));
+}
+
+async function checkSticker(name, image) {
+  const { ring, background } = await stickerRegions(STROKE_PX);
+  await expectNone(name, 'dark-ring', image, ring, isDark);
+  await expectNone(name, 'opaque-background', image, background, isVisible);
+}
+
+test('cutout_border_only clears the background around the character', async () => {
+  const cutout = await loadRgba(cutoutFile);
+  await expectGolden('cutout', cutout, RASTER);
+  // The tool's default tolerance, clear of its feathered edge, right up to
+  // the image edges
+  const background = await lightBackground(CHARACTER, 220, 4, { fromEdges: true });
+  await expectNone('cutout', 'opaque-background', cutout, background, isVisible);
+});
+
+test('make_sticker_border draws a clean white border', async () => {
+  const sticker = await loadRgba(stickerFile);
+  await expectGolden('sticker', sticker, RASTER);
+  await checkSticker('sticker', sticker);
+});
+
+test('make_sticker_border --vectorSmooth draws a clean white border', async () => {
+  const output = path.join(work, 'vector.sticker.webp');
+  await makeStickerBorder(cutoutFile, output, STROKE_PX, 0.8, true, true);
+  const sticker = await loadRgba(output);
+  await expectGolden('sticker-vector', sticker, RASTER);
+  await checkSticker('sticker-vector', sticker);
+});
+
+test('make_sticker_border --bevelPx shades the border', async () => {
+  const output = path.join(work, 'bevelled.sticker.webp');
+  await makeStickerBorder(cutoutFile, output, STROKE_PX, 0.8, true, false, 0, 0, false, 4);
+  const sticker = await loadRgba(output);
+  await expectGolden('sticker-bevel', sticker, RASTER);
+  const { background } = await stickerRegions(STROKE_PX);
+  await expectNone('sticker-bevel', 'opaque-background', sticker, background, isVisible);
+});
+
+test('make_sticker_border --svg traces a clean white border', async () => {
+  const output = path.join(work, 'character.sticker.svg');
+  await makeStickerSvg(cutoutFile, output, STROKE_PX);
+  const sticker = await loadRgba(output);
+  await expectGolden('sticker-svg', sticker, VECTOR);
+  await checkSticker('sticker-svg', sticker);
+});
+
+test('add_bevel shades the sticker border', async () => {
+  const output = path.join(work, 'bevel.sticker.webp');
+  await addBevel(stickerFile, output, { bevelPx: 3 });
+  await expectGolden('bevel', await loadRgba(output), RASTER);
+});
+
+test('add_second_edge adds a textured edge around the sticker', async () => {
+  const output = path.join(work, 'second-edge.sticker.webp');
+  await addSecondEdge(stickerFile, output, { edgePx: 6, texture: CARDBOARD });
+  const edged = await loadRgba(output);
+  await expectGolden('second-edge', edged, RASTER);
+
+  // The tool pads by at least 100px; past the new edge stays clear
+  const sticker = await loadRgba(stickerFile);
+  const { data, width, height } = padImage(sticker.data, sticker.width, sticker.height, 100);
+  const distance = distanceTransform(alphaMask(data, width, height), width, height);
+  await expectNone('second-edge', 'opaque-background', edged, distance.map(d => (d > 6 + 2 ? 1 : 0)), isVisible);
+});
+
+test('gen_outlines keeps the lines and clears the white background', async () => {
+  const output = path.join(work, 'clue.outline.webp');
+  assert.ok(await generateOutline(CLUE, output), 'generateOutline failed');
+  const outline = await loadRgba(output);
+  await expectGolden('outline', outline, RASTER);
+  await expectNone('outline', 'opaque-background', outline, await lightBackground(CLUE, 235, 3), isVisible);
+});
+
+test('gen_outlines --svg traces the lines and clears the white background', async () => {
+  const output = path.join(work, 'clue.outline.svg');
+  assert.ok(await generateOutlineSvg(CLUE, output), 'generateOutlineSvg failed');
+  const outline = await loadRgba(output);
+  await expectGolden('outline-svg', outline, VECTOR);
+  await expectNone('outline-svg', 'opaque-background', outline, await lightBackground(CLUE, 235, 3), isVisible);
+});